@@ -1,10 +1,11 @@
 'use strict';
 
 var BraintreeError = require('../lib/braintree-error');
-var deferred = require('../lib/deferred');
 var errors = require('./errors');
 var assign = require('../lib/assign').assign;
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
+var Logger = require('../lib/logger');
 
 /**
  * @class
@@ -14,6 +15,7 @@ var throwIfNoCallback = require('../lib/throw-if-no-callback');
  */
 function AmericanExpress(options) {
   this._client = options.client;
+  this._logger = Logger.fromClient(options.client, 'american-express');
 }
 
 /**
@@ -21,8 +23,8 @@ function AmericanExpress(options) {
  * @public
  * @param {object} options Request options
  * @param {string} options.nonce An existing Braintree nonce.
- * @param {callback} callback The second argument, <code>data</code>, is the returned server data.
- * @returns {void}
+ * @param {callback} [callback] The second argument, <code>data</code>, is the returned server data.
+ * @returns {Promise|void} Returns a promise that resolves with the server data if no callback is provided.
  * @example
  * var americanExpress = require('braintree-web/american-express');
  *
@@ -38,57 +40,58 @@ function AmericanExpress(options) {
  *   });
  * });
  */
-AmericanExpress.prototype.getRewardsBalance = function (options, callback) {
-  var nonce = options.nonce;
-  var data;
+AmericanExpress.prototype.getRewardsBalance = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  throwIfNoCallback(callback, 'getRewardsBalance');
+  return new Promise(function (resolve, reject) {
+    var nonce = options.nonce;
+    var data;
 
-  callback = deferred(callback);
+    if (!nonce) {
+      throw new BraintreeError({
+        type: errors.AMEX_NONCE_REQUIRED.type,
+        code: errors.AMEX_NONCE_REQUIRED.code,
+        message: 'getRewardsBalance must be called with a nonce.'
+      });
+    }
 
-  if (!nonce) {
-    callback(new BraintreeError({
-      type: errors.AMEX_NONCE_REQUIRED.type,
-      code: errors.AMEX_NONCE_REQUIRED.code,
-      message: 'getRewardsBalance must be called with a nonce.'
-    }));
-    return;
-  }
+    data = assign({
+      _meta: {source: 'american-express'},
+      paymentMethodNonce: nonce
+    }, options);
 
-  data = assign({
-    _meta: {source: 'american-express'},
-    paymentMethodNonce: nonce
-  }, options);
+    delete data.nonce;
 
-  delete data.nonce;
+    self._logger.log('getRewardsBalance');
 
-  this._client.request({
-    method: 'get',
-    endpoint: 'payment_methods/amex_rewards_balance',
-    data: data
-  }, function (err, response) {
-    if (err) {
-      callback(new BraintreeError({
-        type: errors.AMEX_NETWORK_ERROR.type,
-        code: errors.AMEX_NETWORK_ERROR.code,
-        message: 'A network error occurred when getting the American Express rewards balance.',
-        details: {
-          originalError: err
-        }
-      }));
-    } else {
-      callback(null, response);
-    }
+    self._client.request({
+      method: 'get',
+      endpoint: 'payment_methods/amex_rewards_balance',
+      data: data
+    }, function (err, response) {
+      if (err) {
+        reject(new BraintreeError({
+          type: errors.AMEX_NETWORK_ERROR.type,
+          code: errors.AMEX_NETWORK_ERROR.code,
+          message: 'A network error occurred when getting the American Express rewards balance.',
+          details: {
+            originalError: err
+          }
+        }));
+      } else {
+        resolve(response);
+      }
+    });
   });
-};
+});
 
 /**
  * Gets the Express Checkout nonce profile given a nonce from American Express.
  * @public
  * @param {object} options Request options
  * @param {string} options.nonce An existing nonce from American Express (note that this is <em>not</em> a nonce from Braintree).
- * @param {callback} callback The second argument, <code>data</code>, is the returned server data.
- * @returns {void}
+ * @param {callback} [callback] The second argument, <code>data</code>, is the returned server data.
+ * @returns {Promise|void} Returns a promise that resolves with the server data if no callback is provided.
  * @example
  * var americanExpress = require('braintree-web/american-express');
  *
@@ -104,41 +107,42 @@ AmericanExpress.prototype.getRewardsBalance = function (options, callback) {
  *   });
  * });
  */
-AmericanExpress.prototype.getExpressCheckoutProfile = function (options, callback) {
-  throwIfNoCallback(callback, 'getExpressCheckoutProfile');
+AmericanExpress.prototype.getExpressCheckoutProfile = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  callback = deferred(callback);
+  return new Promise(function (resolve, reject) {
+    if (!options.nonce) {
+      throw new BraintreeError({
+        type: errors.AMEX_NONCE_REQUIRED.type,
+        code: errors.AMEX_NONCE_REQUIRED.code,
+        message: 'getExpressCheckoutProfile must be called with a nonce.'
+      });
+    }
 
-  if (!options.nonce) {
-    callback(new BraintreeError({
-      type: errors.AMEX_NONCE_REQUIRED.type,
-      code: errors.AMEX_NONCE_REQUIRED.code,
-      message: 'getExpressCheckoutProfile must be called with a nonce.'
-    }));
-    return;
-  }
+    self._logger.log('getExpressCheckoutProfile');
 
-  this._client.request({
-    method: 'get',
-    endpoint: 'payment_methods/amex_express_checkout_cards/' + options.nonce,
-    data: {
-      _meta: {source: 'american-express'},
-      paymentMethodNonce: options.nonce
-    }
-  }, function (err, response) {
-    if (err) {
-      callback(new BraintreeError({
-        type: errors.AMEX_NETWORK_ERROR.type,
-        code: errors.AMEX_NETWORK_ERROR.code,
-        message: 'A network error occurred when getting the American Express Checkout nonce profile.',
-        details: {
-          originalError: err
-        }
-      }));
-    } else {
-      callback(null, response);
-    }
+    self._client.request({
+      method: 'get',
+      endpoint: 'payment_methods/amex_express_checkout_cards/' + options.nonce,
+      data: {
+        _meta: {source: 'american-express'},
+        paymentMethodNonce: options.nonce
+      }
+    }, function (err, response) {
+      if (err) {
+        reject(new BraintreeError({
+          type: errors.AMEX_NETWORK_ERROR.type,
+          code: errors.AMEX_NETWORK_ERROR.code,
+          message: 'A network error occurred when getting the American Express Checkout nonce profile.',
+          details: {
+            originalError: err
+          }
+        }));
+      } else {
+        resolve(response);
+      }
+    });
   });
-};
+});
 
 module.exports = AmericanExpress;
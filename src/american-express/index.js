@@ -6,50 +6,46 @@
 
 var BraintreeError = require('../lib/braintree-error');
 var AmericanExpress = require('./american-express');
-var deferred = require('../lib/deferred');
 var sharedErrors = require('../lib/errors');
 var VERSION = process.env.npm_package_version;
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 
 /**
  * @static
  * @function create
  * @param {object} options Creation options:
  * @param {Client} options.client A {@link Client} instance.
- * @param {callback} callback The second argument, `data`, is the {@link AmericanExpress} instance.
- * @returns {void}
+ * @param {callback} [callback] The second argument, `data`, is the {@link AmericanExpress} instance.
+ * @returns {Promise|void} Returns a promise that resolves the {@link AmericanExpress} instance if no callback is provided.
  */
-function create(options, callback) {
-  var clientVersion;
-
-  throwIfNoCallback(callback, 'create');
-
-  callback = deferred(callback);
-
-  if (options.client == null) {
-    callback(new BraintreeError({
-      type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
-      code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
-      message: 'options.client is required when instantiating American Express.'
-    }));
-    return;
-  }
-
-  clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
-  if (clientVersion !== VERSION) {
-    callback(new BraintreeError({
-      type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
-      code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
-      message: 'Client (version ' + clientVersion + ') and American Express (version ' + VERSION + ') components must be from the same SDK version.'
-    }));
-    return;
-  }
-
-  callback(null, new AmericanExpress(options));
+function create(options) {
+  return new Promise(function (resolve) {
+    var clientVersion;
+
+    if (options.client == null) {
+      throw new BraintreeError({
+        type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
+        code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
+        message: 'options.client is required when instantiating American Express.'
+      });
+    }
+
+    clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
+    if (clientVersion !== VERSION) {
+      throw new BraintreeError({
+        type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
+        code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
+        message: 'Client (version ' + clientVersion + ') and American Express (version ' + VERSION + ') components must be from the same SDK version.'
+      });
+    }
+
+    resolve(new AmericanExpress(options));
+  });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
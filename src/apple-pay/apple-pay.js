@@ -2,9 +2,10 @@
 
 var BraintreeError = require('../lib/braintree-error');
 var analytics = require('../lib/analytics');
-var deferred = require('../lib/deferred');
-var sharedErrors = require('../lib/errors');
 var errors = require('./errors');
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
+var Logger = require('../lib/logger');
 
 /**
  * An Apple Pay Payment Authorization Event object.
@@ -28,6 +29,7 @@ var errors = require('./errors');
  */
 function ApplePay(options) {
   this._client = options.client;
+  this._logger = Logger.fromClient(options.client, 'apple-pay');
   /**
    * @name ApplePay#merchantIdentifier
    * @description A special merchant ID which represents the merchant association with Braintree. Required when using `ApplePaySession.canMakePaymentsWithActiveCard`.
@@ -97,9 +99,9 @@ ApplePay.prototype.createPaymentRequest = function (paymentRequest) {
  * @param {object} options Options
  * @param {string} options.validationURL The validationURL fram an `ApplePayValidateMerchantEvent`.
  * @param {string} options.displayName The canonical name for your store. Use a non-localized name. This parameter should be a UTF-8 string that is a maximum of 128 characters. The system may display this name to the user.
- * @param {callback} callback The second argument, <code>data</code>, is the Apple Pay merchant session object.
+ * @param {callback} [callback] The second argument, <code>data</code>, is the Apple Pay merchant session object.
  * Pass the merchant session to your Apple Pay session's `completeMerchantValidation` method.
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves with the merchant session object if no callback is provided.
  * @example
  * var applePay = require('braintree-web/apple-pay');
  *
@@ -133,77 +135,74 @@ ApplePay.prototype.createPaymentRequest = function (paymentRequest) {
  *   };
  * });
  */
-ApplePay.prototype.performValidation = function (options, callback) {
-  var applePayWebSession;
+ApplePay.prototype.performValidation = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  if (typeof callback !== 'function') {
-    throw new BraintreeError({
-      type: sharedErrors.CALLBACK_REQUIRED.type,
-      code: sharedErrors.CALLBACK_REQUIRED.code,
-      message: 'performValidation requires a callback.'
-    });
-  }
+  return new Promise(function (resolve, reject) {
+    var applePayWebSession;
 
-  callback = deferred(callback);
+    if (!options || !options.validationURL) {
+      throw new BraintreeError(errors.APPLE_PAY_VALIDATION_URL_REQUIRED);
+    }
 
-  if (!options || !options.validationURL) {
-    callback(new BraintreeError(errors.APPLE_PAY_VALIDATION_URL_REQUIRED));
-    return;
-  }
+    applePayWebSession = {
+      validationUrl: options.validationURL,
+      domainName: options.domainName || global.location.hostname,
+      merchantIdentifier: options.merchantIdentifier || self.merchantIdentifier
+    };
 
-  applePayWebSession = {
-    validationUrl: options.validationURL,
-    domainName: options.domainName || global.location.hostname,
-    merchantIdentifier: options.merchantIdentifier || this.merchantIdentifier
-  };
+    if (options.displayName != null) {
+      applePayWebSession.displayName = options.displayName;
+    }
 
-  if (options.displayName != null) {
-    applePayWebSession.displayName = options.displayName;
-  }
+    self._logger.log('performValidation', {validationUrl: applePayWebSession.validationUrl});
 
-  this._client.request({
-    method: 'post',
-    endpoint: 'apple_pay_web/sessions',
-    data: {
-      _meta: {source: 'apple-pay'},
-      applePayWebSession: applePayWebSession
-    }
-  }, function (err, response) {
-    if (err) {
-      if (err.code === 'CLIENT_REQUEST_ERROR') {
-        callback(new BraintreeError({
-          type: errors.APPLE_PAY_MERCHANT_VALIDATION_FAILED.type,
-          code: errors.APPLE_PAY_MERCHANT_VALIDATION_FAILED.code,
-          message: errors.APPLE_PAY_MERCHANT_VALIDATION_FAILED.message,
-          details: {
-            originalError: err.details.originalError
-          }
-        }));
+    self._client.request({
+      method: 'post',
+      endpoint: 'apple_pay_web/sessions',
+      data: {
+        _meta: {source: 'apple-pay'},
+        applePayWebSession: applePayWebSession
+      }
+    }, function (err, response) {
+      if (err) {
+        if (err.code === 'CLIENT_REQUEST_ERROR') {
+          reject(new BraintreeError({
+            type: errors.APPLE_PAY_MERCHANT_VALIDATION_FAILED.type,
+            code: errors.APPLE_PAY_MERCHANT_VALIDATION_FAILED.code,
+            message: errors.APPLE_PAY_MERCHANT_VALIDATION_FAILED.message,
+            details: {
+              originalError: err.details.originalError
+            }
+          }));
+        } else {
+          reject(new BraintreeError({
+            type: errors.APPLE_PAY_MERCHANT_VALIDATION_NETWORK.type,
+            code: errors.APPLE_PAY_MERCHANT_VALIDATION_NETWORK.code,
+            message: errors.APPLE_PAY_MERCHANT_VALIDATION_NETWORK.message,
+            details: {
+              originalError: err
+            }
+          }));
+        }
+        analytics.sendEvent(self._client, 'applepay.performValidation.failed');
+        self._logger.log('performValidation failed', {error: err});
       } else {
-        callback(new BraintreeError({
-          type: errors.APPLE_PAY_MERCHANT_VALIDATION_NETWORK.type,
-          code: errors.APPLE_PAY_MERCHANT_VALIDATION_NETWORK.code,
-          message: errors.APPLE_PAY_MERCHANT_VALIDATION_NETWORK.message,
-          details: {
-            originalError: err
-          }
-        }));
+        resolve(response);
+        analytics.sendEvent(self._client, 'applepay.performValidation.succeeded');
+        self._logger.log('performValidation succeeded');
       }
-      analytics.sendEvent(this._client, 'applepay.performValidation.failed');
-    } else {
-      callback(null, response);
-      analytics.sendEvent(this._client, 'applepay.performValidation.succeeded');
-    }
-  }.bind(this));
-};
+    });
+  });
+});
 
 /**
  * Tokenizes an Apple Pay payment. This will likely be called in your `ApplePaySession`'s `onpaymentauthorized` callback.
  * @public
  * @param {object} options Options
  * @param {object} options.token The `payment.token` property of an {@link external:ApplePayPaymentAuthorizedEvent}.
- * @param {callback} callback The second argument, <code>data</code>, is the tokenized payload.
- * @returns {void}
+ * @param {callback} [callback] The second argument, <code>data</code>, is the tokenized payload.
+ * @returns {Promise|void} Returns a promise that resolves with the tokenized payload if no callback is provided.
  * @example
  * var applePay = require('braintree-web/apple-pay');
  *
@@ -238,50 +237,47 @@ ApplePay.prototype.performValidation = function (options, callback) {
  *   // ...
  * });
  */
-ApplePay.prototype.tokenize = function (options, callback) {
-  if (typeof callback !== 'function') {
-    throw new BraintreeError({
-      type: sharedErrors.CALLBACK_REQUIRED.type,
-      code: sharedErrors.CALLBACK_REQUIRED.code,
-      message: 'tokenize requires a callback.'
-    });
-  }
+ApplePay.prototype.tokenize = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  callback = deferred(callback);
+  return new Promise(function (resolve, reject) {
+    if (!options || !options.token) {
+      throw new BraintreeError(errors.APPLE_PAY_PAYMENT_TOKEN_REQUIRED);
+    }
 
-  if (!options.token) {
-    callback(new BraintreeError(errors.APPLE_PAY_PAYMENT_TOKEN_REQUIRED));
-    return;
-  }
+    self._logger.log('tokenize');
 
-  this._client.request({
-    method: 'post',
-    endpoint: 'payment_methods/apple_payment_tokens',
-    data: {
-      _meta: {
-        source: 'apple-pay'
-      },
-      applePaymentToken: Object.assign({}, options.token, {
-        // The gateway requires this key to be base64-encoded.
-        paymentData: btoa(JSON.stringify(options.token.paymentData))
-      })
-    }
-  }, function (err, response) {
-    if (err) {
-      callback(new BraintreeError({
-        type: errors.APPLE_PAY_TOKENIZATION.type,
-        code: errors.APPLE_PAY_TOKENIZATION.code,
-        message: errors.APPLE_PAY_TOKENIZATION.message,
-        details: {
-          originalError: err
-        }
-      }));
-      analytics.sendEvent(this._client, 'applepay.tokenize.failed');
-    } else {
-      callback(null, response.applePayCards[0]);
-      analytics.sendEvent(this._client, 'applepay.tokenize.succeeded');
-    }
-  }.bind(this));
-};
+    self._client.request({
+      method: 'post',
+      endpoint: 'payment_methods/apple_payment_tokens',
+      data: {
+        _meta: {
+          source: 'apple-pay'
+        },
+        applePaymentToken: Object.assign({}, options.token, {
+          // The gateway requires this key to be base64-encoded.
+          paymentData: btoa(JSON.stringify(options.token.paymentData))
+        })
+      }
+    }, function (err, response) {
+      if (err) {
+        reject(new BraintreeError({
+          type: errors.APPLE_PAY_TOKENIZATION.type,
+          code: errors.APPLE_PAY_TOKENIZATION.code,
+          message: errors.APPLE_PAY_TOKENIZATION.message,
+          details: {
+            originalError: err
+          }
+        }));
+        analytics.sendEvent(self._client, 'applepay.tokenize.failed');
+        self._logger.log('tokenize failed', {error: err});
+      } else {
+        resolve(response.applePayCards[0]);
+        analytics.sendEvent(self._client, 'applepay.tokenize.succeeded');
+        self._logger.log('tokenized');
+      }
+    });
+  });
+});
 
 module.exports = ApplePay;
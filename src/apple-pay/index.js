@@ -8,58 +8,53 @@
 var BraintreeError = require('../lib/braintree-error');
 var ApplePay = require('./apple-pay');
 var analytics = require('../lib/analytics');
-var deferred = require('../lib/deferred');
 var sharedErrors = require('../lib/errors');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
 var errors = require('./errors');
 var VERSION = process.env.npm_package_version;
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 
 /**
  * @static
  * @function create
  * @param {object} options Creation options:
  * @param {Client} options.client A {@link Client} instance.
- * @param {callback} callback The second argument, `data`, is the {@link ApplePay} instance.
- * @returns {void}
+ * @param {callback} [callback] The second argument, `data`, is the {@link ApplePay} instance.
+ * @returns {Promise|void} Returns a promise that resolves with the {@link ApplePay} instance if no callback is provided.
  */
-function create(options, callback) {
-  var clientVersion;
-
-  throwIfNoCallback(callback, 'create');
-
-  callback = deferred(callback);
-
-  if (options.client == null) {
-    callback(new BraintreeError({
-      type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
-      code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
-      message: 'options.client is required when instantiating Apple Pay.'
-    }));
-    return;
-  }
-
-  clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
-  if (clientVersion !== VERSION) {
-    callback(new BraintreeError({
-      type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
-      code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
-      message: 'Client (version ' + clientVersion + ') and Apple Pay (version ' + VERSION + ') components must be from the same SDK version.'
-    }));
-    return;
-  }
-
-  if (!options.client.getConfiguration().gatewayConfiguration.applePayWeb) {
-    callback(new BraintreeError(errors.APPLE_PAY_NOT_ENABLED));
-    return;
-  }
-
-  analytics.sendEvent(options.client, 'applepay.initialized');
-
-  callback(null, new ApplePay(options));
+function create(options) {
+  return new Promise(function (resolve) {
+    var clientVersion;
+
+    if (options.client == null) {
+      throw new BraintreeError({
+        type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
+        code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
+        message: 'options.client is required when instantiating Apple Pay.'
+      });
+    }
+
+    clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
+    if (clientVersion !== VERSION) {
+      throw new BraintreeError({
+        type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
+        code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
+        message: 'Client (version ' + clientVersion + ') and Apple Pay (version ' + VERSION + ') components must be from the same SDK version.'
+      });
+    }
+
+    if (!options.client.getConfiguration().gatewayConfiguration.applePayWeb) {
+      throw new BraintreeError(errors.APPLE_PAY_NOT_ENABLED);
+    }
+
+    analytics.sendEvent(options.client, 'applepay.initialized');
+
+    resolve(new ApplePay(options));
+  });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
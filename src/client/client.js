@@ -1,14 +1,20 @@
 'use strict';
 
 var request = require('./request');
+var getConfiguration = require('./get-configuration').getConfiguration;
 var isWhitelistedDomain = require('../lib/is-whitelisted-domain');
 var BraintreeError = require('../lib/braintree-error');
 var addMetadata = require('../lib/add-metadata');
 var deferred = require('../lib/deferred');
+var once = require('../lib/once');
+var Logger = require('../lib/logger');
+var Promise = require('../lib/promise');
 var constants = require('./constants');
 var errors = require('./errors');
 var sharedErrors = require('../lib/errors');
 
+var INTERCEPTOR_HOOKS = ['request', 'response', 'error'];
+
 /**
  * This object is returned by {@link Client#getConfiguration|getConfiguration}. This information is used extensively by other Braintree modules to properly configure themselves.
  * @typedef {object} Client~configuration
@@ -21,19 +27,31 @@ var sharedErrors = require('../lib/errors');
  * @property {string} analyticsMetadata.merchantAppId Identifies the merchant's web app.
  */
 
-/**
- * @class
- * @param {Client~configuration} configuration Options
- * @description <strong>Do not use this constructor directly. Use {@link module:braintree-web/client.create|braintree.client.create} instead.</strong>
- * @classdesc This class is required by many other Braintree components. It serves as the base API layer that communicates with our servers. It is also capable of being used to formulate direct calls to our servers, such as direct credit card tokenization. See {@link Client#request}.
- */
-function Client(configuration) {
-  var configurationJSON, gatewayConfiguration, braintreeApiConfiguration;
+function applyInterceptors(interceptors, hook, value, context) {
+  return interceptors.reduce(function (result, interceptor) {
+    var replacement;
 
-  configuration = configuration || {};
+    if (typeof interceptor[hook] !== 'function') {
+      return result;
+    }
+
+    try {
+      replacement = interceptor[hook](result, context);
+    } catch (err) {
+      throw new BraintreeError({
+        type: errors.CLIENT_INTERCEPTOR_ERROR.type,
+        code: errors.CLIENT_INTERCEPTOR_ERROR.code,
+        message: 'An interceptor threw an error in its ' + hook + ' function.',
+        details: {originalError: err}
+      });
+    }
+
+    return typeof replacement === 'undefined' ? result : replacement;
+  }, value);
+}
 
-  configurationJSON = JSON.stringify(configuration);
-  gatewayConfiguration = configuration.gatewayConfiguration;
+function validateConfiguration(configuration) {
+  var gatewayConfiguration = configuration.gatewayConfiguration;
 
   if (!gatewayConfiguration) {
     throw new BraintreeError(errors.CLIENT_MISSING_GATEWAY_CONFIGURATION);
@@ -53,6 +71,57 @@ function Client(configuration) {
     }
   });
 
+  if (gatewayConfiguration.braintreeApi && !isWhitelistedDomain(gatewayConfiguration.braintreeApi.url + '/')) {
+    throw new BraintreeError({
+      type: errors.CLIENT_GATEWAY_CONFIGURATION_INVALID_DOMAIN.type,
+      code: errors.CLIENT_GATEWAY_CONFIGURATION_INVALID_DOMAIN.code,
+      message: 'braintreeApi URL is on an invalid domain.'
+    });
+  }
+}
+
+/**
+ * Controls how a failed request is retried by {@link Client#request|request}. Each retry waits a random amount of time between 0 and the backoff delay, which starts at `baseDelay` and doubles after every attempt up to `maxDelay`.
+ * @typedef {object} Client~retryPolicy
+ * @property {number} [maxAttempts=3] The maximum number of times the request is sent, including the first attempt.
+ * @property {number} [baseDelay=250] The backoff delay (in milliseconds) before the first retry.
+ * @property {number} [maxDelay=4000] The largest backoff delay (in milliseconds) between attempts.
+ */
+
+/**
+ * An object with functions that are run around every request a {@link Client} sends, including requests made by other components and analytics events. Each function is optional and is called with the value it can modify. It may change that value in place or return a replacement; returning nothing keeps the current value. When several interceptors are added, they run in the order they were added, each receiving the value returned by the last.
+ *
+ * If a function throws, the request fails with a `CLIENT_INTERCEPTOR_ERROR` {@link BraintreeError} whose `details.originalError` is the thrown error.
+ *
+ * Requests made from inside Braintree iframes, such as Hosted Fields tokenization, do not run interceptors.
+ * @typedef {object} Client~interceptor
+ * @property {function} [request] Called with the request options before the request is sent. The options include the full `url`, `method`, `data`, `timeout`, and `headers`.
+ * @property {function} [response] Called with the response data and a {@link Client~interceptorContext context} when a request succeeds.
+ * @property {function} [error] Called with the error and a {@link Client~interceptorContext context} when a request fails. The error is the unprocessed error from the request, such as the parsed response body, and not a {@link BraintreeError}.
+ */
+
+/**
+ * Information about a completed request, passed to the `response` and `error` functions of an {@link Client~interceptor interceptor}.
+ * @typedef {object} Client~interceptorContext
+ * @property {object} options The request options that were sent.
+ * @property {number} status The HTTP status code of the response, or `-1` if the request timed out.
+ * @property {number} duration The time (in milliseconds) from sending the request to receiving the response, including any retries.
+ * @property {number} attempts The number of times the request was sent.
+ */
+
+/**
+ * @class
+ * @param {Client~configuration} configuration Options
+ * @description <strong>Do not use this constructor directly. Use {@link module:braintree-web/client.create|braintree.client.create} instead.</strong>
+ * @classdesc This class is required by many other Braintree components. It serves as the base API layer that communicates with our servers. It is also capable of being used to formulate direct calls to our servers, such as direct credit card tokenization. See {@link Client#request}.
+ */
+function Client(configuration) {
+  var configurationJSON, transport;
+  var self = this;
+
+  configuration = configuration || {};
+  transport = configuration.transport;
+
   /**
    * Returns a copy of the configuration values.
    * @public
@@ -62,26 +131,94 @@ function Client(configuration) {
     return JSON.parse(configurationJSON);
   };
 
-  this._request = request;
-  this._configuration = this.getConfiguration();
+  this._setConfiguration = function (newConfiguration) {
+    var gatewayConfiguration, braintreeApiConfiguration;
 
-  this._clientApiBaseUrl = gatewayConfiguration.clientApiUrl + '/v1/';
+    validateConfiguration(newConfiguration);
 
-  braintreeApiConfiguration = gatewayConfiguration.braintreeApi;
-  if (braintreeApiConfiguration) {
-    this._braintreeApi = {
-      baseUrl: braintreeApiConfiguration.url + '/',
-      accessToken: braintreeApiConfiguration.accessToken
-    };
+    configurationJSON = JSON.stringify(newConfiguration);
+    gatewayConfiguration = newConfiguration.gatewayConfiguration;
 
-    if (!isWhitelistedDomain(this._braintreeApi.baseUrl)) {
-      throw new BraintreeError({
-        type: errors.CLIENT_GATEWAY_CONFIGURATION_INVALID_DOMAIN.type,
-        code: errors.CLIENT_GATEWAY_CONFIGURATION_INVALID_DOMAIN.code,
-        message: 'braintreeApi URL is on an invalid domain.'
-      });
+    self._configuration = self.getConfiguration();
+    self._clientApiBaseUrl = gatewayConfiguration.clientApiUrl + '/v1/';
+
+    braintreeApiConfiguration = gatewayConfiguration.braintreeApi;
+    if (braintreeApiConfiguration) {
+      self._braintreeApi = {
+        baseUrl: braintreeApiConfiguration.url + '/',
+        accessToken: braintreeApiConfiguration.accessToken
+      };
+    } else {
+      delete self._braintreeApi;
     }
-  }
+  };
+
+  this._interceptors = [];
+  this._logger = new Logger(configuration.logger, 'client');
+  this._transport = transport;
+  this._refreshAuthorizationHandler = configuration.refreshAuthorization;
+
+  this._request = function (options, callback) {
+    var startTime;
+    var interceptors = self._interceptors.slice();
+
+    callback = callback || Function.prototype;
+
+    try {
+      options = applyInterceptors(interceptors, 'request', options);
+    } catch (interceptorErr) {
+      callback = deferred(callback);
+      callback(interceptorErr);
+      return null;
+    }
+
+    startTime = Date.now();
+
+    self._logger.log('request', {
+      method: options.method,
+      url: options.url,
+      data: options.data,
+      headers: options.headers
+    });
+
+    return request(options, function (err, data, status, attempts) {
+      var context = {
+        options: options,
+        status: status,
+        duration: Date.now() - startTime,
+        attempts: attempts
+      };
+
+      self._logger.log(err ? 'request failed' : 'response', {
+        method: options.method,
+        url: options.url,
+        status: status,
+        duration: context.duration,
+        attempts: attempts,
+        error: err || null
+      });
+
+      try {
+        if (err) {
+          err = applyInterceptors(interceptors, 'error', err, context);
+        } else {
+          data = applyInterceptors(interceptors, 'response', data, context);
+        }
+      } catch (interceptorErr) {
+        err = interceptorErr;
+        data = null;
+      }
+
+      callback(err, data, status, attempts);
+    }, transport);
+  };
+
+  this._setConfiguration(configuration);
+
+  this._logger.log('created', {
+    authorizationType: configuration.authorizationType,
+    environment: configuration.gatewayConfiguration.environment
+  });
 }
 
 /**
@@ -92,7 +229,9 @@ function Client(configuration) {
  * @param {string} options.endpoint Endpoint path, e.g. "payment_methods".
  * @param {object} options.data Data to send with the request.
  * @param {number} [options.timeout=60000] Set a timeout (in milliseconds) for the request.
- * @param {callback} callback The second argument, <code>data</code>, is the returned server data.
+ * @param {object} [options.signal] An `AbortSignal`, such as the `signal` of an `AbortController`, that cancels the request when aborted.
+ * @param {Client~retryPolicy|boolean} [options.retry] Retry the request with exponential backoff if it fails because of a network failure or timeout, or, for `GET` requests, a server error. Pass `true` to use the default {@link Client~retryPolicy retry policy}. Only enable this for requests that are safe to send more than once. When a retried request fails, the number of attempts made is included in the error's `details.attempts`.
+ * @param {callback} [callback] The second argument, <code>data</code>, is the returned server data. The third argument, <code>status</code>, is the HTTP status code of the response.
  * @example
  * <caption>Direct Credit Card Tokenization</caption>
  * var createClient = require('braintree-web/client').create;
@@ -129,10 +268,114 @@ function Client(configuration) {
  *     console.log('Got nonce:', response.creditCards[0].nonce);
  *   });
  * });
- * @returns {void}
+ * @example
+ * <caption>Using a promise</caption>
+ * clientInstance.request({
+ *   endpoint: 'payment_methods/credit_cards',
+ *   method: 'post',
+ *   data: data
+ * }).then(function (response) {
+ *   console.log('Got nonce:', response.creditCards[0].nonce);
+ * }).catch(function (requestErr) {
+ *   console.error(requestErr);
+ * });
+ * @example
+ * <caption>Cancelling a request</caption>
+ * var controller = new AbortController();
+ *
+ * clientInstance.request({
+ *   endpoint: 'payment_methods/credit_cards',
+ *   method: 'post',
+ *   data: data,
+ *   signal: controller.signal
+ * }).catch(function (requestErr) {
+ *   if (requestErr.code === 'CLIENT_REQUEST_ABORTED') {
+ *     // the request was cancelled
+ *   }
+ * });
+ *
+ * controller.abort();
+ * @returns {Promise|object} Returns a promise that resolves with the returned server data if no callback is provided. The HTTP status code is only available when using a callback. If the request is cancelled with `options.signal`, the promise is rejected with a `CLIENT_REQUEST_ABORTED` error.
+ *
+ * If a callback is provided, returns an object with an `abort` function that cancels the request. The callback is not called for a cancelled request.
  */
 Client.prototype.request = function (options, callback) {
+  var result;
+  var self = this;
+
+  if (typeof callback === 'function') {
+    result = this._sendAbortableRequest(options, callback);
+  } else {
+    result = new Promise(function (resolve, reject) {
+      self._sendAbortableRequest(options, function (err, data) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      }, function () {
+        reject(new BraintreeError(errors.CLIENT_REQUEST_ABORTED));
+      });
+    });
+  }
+
+  return result;
+};
+
+Client.prototype._sendAbortableRequest = function (options, callback, onAbort) {
+  var signal = options.signal;
+  var state = {
+    isAborted: false,
+    request: null
+  };
+
+  function abort() {
+    if (state.isAborted) {
+      return;
+    }
+
+    state.isAborted = true;
+
+    if (state.request && typeof state.request.abort === 'function') {
+      state.request.abort();
+    }
+
+    if (onAbort) {
+      onAbort();
+    }
+  }
+
+  if (signal) {
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort);
+    }
+  }
+
+  this._sendRequest(options, function () {
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+
+    if (!state.isAborted) {
+      callback.apply(null, arguments);
+    }
+  }, state);
+
+  return {abort: abort};
+};
+
+Client.prototype._sendRequest = function (options, callback, state, isReplay) {
   var optionName, api, baseUrl, requestOptions;
+  var self = this;
+  var requestCallback = this._bindRequestCallback(callback);
+
+  state = state || {};
+
+  if (state.isAborted) {
+    return;
+  }
 
   if (!options.method) {
     optionName = 'options.method';
@@ -158,7 +401,8 @@ Client.prototype.request = function (options, callback) {
 
   requestOptions = {
     method: options.method,
-    timeout: options.timeout
+    timeout: options.timeout,
+    retry: options.retry
   };
 
   if (api === 'clientApi') {
@@ -190,32 +434,205 @@ Client.prototype.request = function (options, callback) {
 
   requestOptions.url = baseUrl + options.endpoint;
 
-  this._request(requestOptions, this._bindRequestCallback(callback));
+  state.request = this._request(requestOptions, function (err, data, status, attempts) {
+    // Tokenization keys do not expire, so only client tokens are refreshed
+    var canRefresh = !isReplay &&
+      typeof self._refreshAuthorizationHandler === 'function' &&
+      self._configuration.authorizationType === 'CLIENT_TOKEN';
+
+    if (canRefresh && (status === 401 || status === 403)) {
+      self._refreshAuthorization(function (refreshErr) {
+        if (refreshErr) {
+          requestCallback(err, data, status, attempts);
+        } else {
+          self._sendRequest(options, callback, state, true);
+        }
+      });
+      return;
+    }
+
+    requestCallback(err, data, status, attempts);
+  });
+};
+
+Client.prototype._refreshAuthorization = function (callback) {
+  var result, onAuthorization;
+  var self = this;
+
+  if (this._pendingRefreshCallbacks) {
+    this._pendingRefreshCallbacks.push(callback);
+    return;
+  }
+
+  this._pendingRefreshCallbacks = [callback];
+  this._logger.log('refreshing authorization');
+
+  function finish(err) {
+    var callbacks = self._pendingRefreshCallbacks;
+
+    delete self._pendingRefreshCallbacks;
+
+    if (err) {
+      self._logger.log('authorization refresh failed', {error: err});
+    } else {
+      self._logger.log('authorization refreshed');
+    }
+
+    callbacks.forEach(function (pendingCallback) {
+      pendingCallback(err);
+    });
+  }
+
+  onAuthorization = once(function (err, authorization) {
+    if (err || !authorization) {
+      finish(err || new BraintreeError({
+        type: errors.CLIENT_INVALID_AUTHORIZATION.type,
+        code: errors.CLIENT_INVALID_AUTHORIZATION.code,
+        message: 'refreshAuthorization did not provide an authorization.'
+      }));
+      return;
+    }
+
+    getConfiguration({
+      authorization: authorization,
+      transport: self._transport
+    }, function (configurationErr, refreshedConfiguration) {
+      var configuration;
+
+      if (configurationErr) {
+        finish(configurationErr);
+        return;
+      }
+
+      configuration = self.getConfiguration();
+      configuration.authorization = refreshedConfiguration.authorization;
+      configuration.authorizationType = refreshedConfiguration.authorizationType;
+      configuration.gatewayConfiguration = refreshedConfiguration.gatewayConfiguration;
+
+      try {
+        self._setConfiguration(configuration);
+      } catch (setConfigurationErr) {
+        finish(setConfigurationErr);
+        return;
+      }
+
+      finish(null);
+    });
+  });
+
+  try {
+    result = this._refreshAuthorizationHandler(onAuthorization);
+  } catch (handlerErr) {
+    onAuthorization(handlerErr);
+    return;
+  }
+
+  if (result && typeof result.then === 'function') {
+    result.then(function (authorization) {
+      onAuthorization(null, authorization);
+    }, onAuthorization);
+  }
 };
 
 Client.prototype._bindRequestCallback = function (callback) {
-  return function (err, data, status) {
+  return function (err, data, status, attempts) {
+    var errorTemplate, errorOptions;
+    var details = {};
+
+    // Interceptor failures are already reported as a BraintreeError
+    if (err instanceof BraintreeError) {
+      callback(err);
+      return;
+    }
+
     if (status === -1) {
-      callback(new BraintreeError(errors.CLIENT_REQUEST_TIMEOUT), null, status);
+      errorTemplate = errors.CLIENT_REQUEST_TIMEOUT;
     } else if (status === 403) {
-      callback(new BraintreeError(errors.CLIENT_AUTHORIZATION_INSUFFICIENT), null, status);
+      errorTemplate = errors.CLIENT_AUTHORIZATION_INSUFFICIENT;
     } else if (status === 429) {
-      callback(new BraintreeError(errors.CLIENT_RATE_LIMITED), null, status);
+      errorTemplate = errors.CLIENT_RATE_LIMITED;
     } else if (status >= 500) {
-      callback(new BraintreeError(errors.CLIENT_GATEWAY_NETWORK), null, status);
+      errorTemplate = errors.CLIENT_GATEWAY_NETWORK;
     } else if (status < 200 || status >= 400) {
-      callback(new BraintreeError({
-        type: errors.CLIENT_REQUEST_ERROR.type,
-        code: errors.CLIENT_REQUEST_ERROR.code,
-        message: errors.CLIENT_REQUEST_ERROR.message,
-        details: {originalError: err}
-      }), null, status);
+      errorTemplate = errors.CLIENT_REQUEST_ERROR;
+      details.originalError = err;
     } else {
       callback(null, data, status);
+      return;
+    }
+
+    if (attempts > 1) {
+      details.attempts = attempts;
     }
+
+    errorOptions = {
+      type: errorTemplate.type,
+      code: errorTemplate.code,
+      message: errorTemplate.message
+    };
+
+    if (Object.keys(details).length > 0) {
+      errorOptions.details = details;
+    }
+
+    callback(new BraintreeError(errorOptions), null, status);
   };
 };
 
+/**
+ * Adds an {@link Client~interceptor interceptor} that is run around every request this client sends. This can be used to log requests, add headers, or redact data.
+ * @public
+ * @param {Client~interceptor} interceptor The interceptor to add.
+ * @example
+ * <caption>Logging request timing</caption>
+ * clientInstance.addInterceptor({
+ *   response: function (data, context) {
+ *     console.log(context.options.url, context.status, context.duration + 'ms');
+ *   },
+ *   error: function (err, context) {
+ *     console.error(context.options.url, context.status, context.duration + 'ms');
+ *   }
+ * });
+ * @example
+ * <caption>Adding a correlation ID</caption>
+ * clientInstance.addInterceptor({
+ *   request: function (options) {
+ *     options.headers = options.headers || {};
+ *     options.headers['X-Correlation-Id'] = getCorrelationId();
+ *   }
+ * });
+ * @returns {void}
+ */
+Client.prototype.addInterceptor = function (interceptor) {
+  var hasHook = interceptor != null && INTERCEPTOR_HOOKS.some(function (hook) {
+    return typeof interceptor[hook] === 'function';
+  });
+
+  if (!hasHook) {
+    throw new BraintreeError({
+      type: errors.CLIENT_OPTION_INVALID.type,
+      code: errors.CLIENT_OPTION_INVALID.code,
+      message: 'interceptor must have a request, response, or error function.'
+    });
+  }
+
+  this._interceptors.push(interceptor);
+};
+
+/**
+ * Removes an {@link Client~interceptor interceptor} that was added with {@link Client#addInterceptor|addInterceptor}.
+ * @public
+ * @param {Client~interceptor} interceptor The interceptor to remove.
+ * @returns {void}
+ */
+Client.prototype.removeInterceptor = function (interceptor) {
+  var index = this._interceptors.indexOf(interceptor);
+
+  if (index !== -1) {
+    this._interceptors.splice(index, 1);
+  }
+};
+
 Client.prototype.toJSON = function () {
   return this.getConfiguration();
 };
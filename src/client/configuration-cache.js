@@ -0,0 +1,133 @@
+'use strict';
+
+var jsonClone = require('../lib/json-clone');
+
+var STORAGE_KEY_PREFIX = 'braintree-web-configuration:';
+var DEFAULT_TTL = 300000;
+
+var cache = {};
+
+function getSessionStorage() {
+  try {
+    return global.sessionStorage || null;
+  } catch (err) {
+    // Accessing sessionStorage throws when storage is disabled
+    return null;
+  }
+}
+
+// The key is the client's authorization, so only a hash of it is
+// written to sessionStorage. This is FNV-1a, run with two offsets to
+// give a 64-bit hash.
+function hashKey(key) {
+  return [0x811c9dc5, 0x050c5d1f].map(function (hash) {
+    var i;
+
+    for (i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    }
+
+    return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+  }).join('');
+}
+
+function isExpired(entry) {
+  return !entry || entry.expiresAt <= Date.now();
+}
+
+function readFromSessionStorage(key) {
+  var storage = getSessionStorage();
+  var entry = null;
+
+  if (!storage) {
+    return null;
+  }
+
+  try {
+    entry = JSON.parse(storage.getItem(STORAGE_KEY_PREFIX + hashKey(key)));
+  } catch (err) { /* ignored */ }
+
+  return entry;
+}
+
+function writeToSessionStorage(key, entry) {
+  var storage = getSessionStorage();
+
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(STORAGE_KEY_PREFIX + hashKey(key), JSON.stringify(entry));
+  } catch (err) { /* ignored */ }
+}
+
+function get(key, options) {
+  var entry = cache[key];
+
+  options = options || {};
+
+  if (isExpired(entry) && options.sessionStorage) {
+    entry = readFromSessionStorage(key);
+
+    if (!isExpired(entry)) {
+      cache[key] = entry;
+    }
+  }
+
+  if (isExpired(entry)) {
+    return null;
+  }
+
+  return jsonClone(entry.gatewayConfiguration);
+}
+
+function set(key, gatewayConfiguration, options) {
+  var ttl, entry;
+
+  options = options || {};
+  ttl = typeof options.ttl === 'number' ? options.ttl : DEFAULT_TTL;
+  entry = {
+    gatewayConfiguration: jsonClone(gatewayConfiguration),
+    expiresAt: Date.now() + ttl
+  };
+
+  cache[key] = entry;
+
+  if (options.sessionStorage) {
+    writeToSessionStorage(key, entry);
+  }
+}
+
+function clear() {
+  var i, key;
+  var storage = getSessionStorage();
+  var storageKeys = [];
+
+  cache = {};
+
+  if (!storage) {
+    return;
+  }
+
+  try {
+    for (i = 0; i < storage.length; i++) {
+      key = storage.key(i);
+
+      if (key.indexOf(STORAGE_KEY_PREFIX) === 0) {
+        storageKeys.push(key);
+      }
+    }
+
+    storageKeys.forEach(function (storageKey) {
+      storage.removeItem(storageKey);
+    });
+  } catch (err) { /* ignored */ }
+}
+
+module.exports = {
+  get: get,
+  set: set,
+  clear: clear
+};
@@ -35,6 +35,11 @@ module.exports = {
     code: 'CLIENT_REQUEST_TIMEOUT',
     message: 'Request timed out waiting for a reply.'
   },
+  CLIENT_REQUEST_ABORTED: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'CLIENT_REQUEST_ABORTED',
+    message: 'The request was aborted.'
+  },
   CLIENT_REQUEST_ERROR: {
     type: BraintreeError.types.NETWORK,
     code: 'CLIENT_REQUEST_ERROR',
@@ -45,6 +50,10 @@ module.exports = {
     code: 'CLIENT_RATE_LIMITED',
     message: 'You are being rate-limited; please try again in a few minutes.'
   },
+  CLIENT_INTERCEPTOR_ERROR: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'CLIENT_INTERCEPTOR_ERROR'
+  },
   CLIENT_AUTHORIZATION_INSUFFICIENT: {
     type: BraintreeError.types.MERCHANT,
     code: 'CLIENT_AUTHORIZATION_INSUFFICIENT',
@@ -5,20 +5,37 @@ var request = require('./request');
 var uuid = require('../lib/uuid');
 var constants = require('../lib/constants');
 var createAuthorizationData = require('../lib/create-authorization-data');
+var jsonClone = require('../lib/json-clone');
+var assign = require('../lib/assign').assign;
+var configurationCache = require('./configuration-cache');
 var errors = require('./errors');
 
-function getConfiguration(options, callback) {
-  var configuration, authData, attrs, configUrl;
-  var sessionId = uuid();
-  var analyticsMetadata = {
+var pendingRequests = {};
+
+function createAnalyticsMetadata() {
+  return {
     merchantAppId: global.location.host,
     platform: constants.PLATFORM,
     sdkVersion: constants.VERSION,
     source: constants.SOURCE,
     integration: constants.INTEGRATION,
     integrationType: constants.INTEGRATION,
-    sessionId: sessionId
+    sessionId: uuid()
   };
+}
+
+function getConfiguration(options, callback) {
+  var authData, attrs, configUrl, cacheKey, cacheOptions, gatewayConfiguration, pendingCallbacks;
+  var analyticsMetadata = createAnalyticsMetadata();
+
+  function createConfiguration(response) {
+    return {
+      authorization: options.authorization,
+      authorizationType: attrs.tokenizationKey ? 'TOKENIZATION_KEY' : 'CLIENT_TOKEN',
+      analyticsMetadata: analyticsMetadata,
+      gatewayConfiguration: response
+    };
+  }
 
   try {
     authData = createAuthorizationData(options.authorization);
@@ -29,6 +46,36 @@ function getConfiguration(options, callback) {
   attrs = authData.attrs;
   configUrl = authData.configUrl;
 
+  if (options.gatewayConfiguration) {
+    callback(null, createConfiguration(jsonClone(options.gatewayConfiguration)));
+    return;
+  }
+
+  cacheKey = attrs.tokenizationKey || attrs.authorizationFingerprint;
+  cacheOptions = options.configurationCache === true ? {} : options.configurationCache;
+
+  if (cacheOptions) {
+    gatewayConfiguration = configurationCache.get(cacheKey, cacheOptions);
+
+    if (gatewayConfiguration) {
+      callback(null, createConfiguration(gatewayConfiguration));
+      return;
+    }
+
+    // Share a single request between clients created at the same time.
+    // A custom transport may behave differently, so its requests are not shared.
+    if (!options.transport) {
+      if (pendingRequests[cacheKey]) {
+        pendingRequests[cacheKey].push(function (err, response) {
+          callback(err, err ? null : createConfiguration(response));
+        });
+        return;
+      }
+
+      pendingCallbacks = pendingRequests[cacheKey] = [];
+    }
+  }
+
   attrs._meta = analyticsMetadata;
   attrs.braintreeLibraryVersion = constants.BRAINTREE_LIBRARY_VERSION;
   attrs.configVersion = '3';
@@ -36,9 +83,16 @@ function getConfiguration(options, callback) {
   request({
     url: configUrl,
     method: 'GET',
-    data: attrs
-  }, function (err, response, status) {
+    data: attrs,
+    retry: true
+  }, function (err, response, status, attempts) {
     var errorTemplate;
+    var details = {originalError: err};
+
+    pendingCallbacks = pendingCallbacks || [];
+    if (pendingRequests[cacheKey] === pendingCallbacks) {
+      delete pendingRequests[cacheKey];
+    }
 
     if (err) {
       if (status === 403) {
@@ -47,28 +101,40 @@ function getConfiguration(options, callback) {
         errorTemplate = errors.CLIENT_GATEWAY_NETWORK;
       }
 
-      callback(new BraintreeError({
-        type: errorTemplate.type,
-        code: errorTemplate.code,
-        message: errorTemplate.message,
-        details: {
-          originalError: err
-        }
-      }));
+      if (attempts > 1) {
+        details.attempts = attempts;
+      }
+
+      // Each caller gets its own error so that changes made by one
+      // do not affect the others
+      [callback].concat(pendingCallbacks).forEach(function (errorCallback) {
+        errorCallback(new BraintreeError({
+          type: errorTemplate.type,
+          code: errorTemplate.code,
+          message: errorTemplate.message,
+          details: assign({}, details)
+        }));
+      });
       return;
     }
 
-    configuration = {
-      authorization: options.authorization,
-      authorizationType: attrs.tokenizationKey ? 'TOKENIZATION_KEY' : 'CLIENT_TOKEN',
-      analyticsMetadata: analyticsMetadata,
-      gatewayConfiguration: response
-    };
+    if (cacheOptions) {
+      configurationCache.set(cacheKey, response, cacheOptions);
+    }
+
+    callback(null, createConfiguration(response));
+    pendingCallbacks.forEach(function (pendingCallback) {
+      pendingCallback(null, jsonClone(response));
+    });
+  }, options.transport);
+}
 
-    callback(null, configuration);
-  });
+function clearConfigurationCache() {
+  pendingRequests = {};
+  configurationCache.clear();
 }
 
 module.exports = {
-  getConfiguration: getConfiguration
+  getConfiguration: getConfiguration,
+  clearConfigurationCache: clearConfigurationCache
 };
@@ -3,18 +3,81 @@
 var BraintreeError = require('../lib/braintree-error');
 var Client = require('./client');
 var getConfiguration = require('./get-configuration').getConfiguration;
+var clearConfigurationCache = require('./get-configuration').clearConfigurationCache;
 var VERSION = process.env.npm_package_version;
 var Promise = require('../lib/promise');
 var wrapPromise = require('../lib/wrap-promise');
+var Logger = require('../lib/logger');
 var sharedErrors = require('../lib/errors');
 
 /** @module braintree-web/client */
 
+/**
+ * A function that sends requests to Braintree in place of the built-in XHR and JSONP drivers. It can be used to send requests with `fetch`, route them through a proxy, or add tracing headers. All of a client's requests go through it, including the configuration fetch in {@link module:braintree-web/client.create|create}, requests made by other components with {@link Client#request|request}, and analytics events.
+ *
+ * Requests made from inside Braintree iframes, such as Hosted Fields tokenization, cannot use a custom transport.
+ * @callback transport
+ * @param {object} options Request options:
+ * @param {string} options.url The full URL of the request.
+ * @param {string} options.method The HTTP method in uppercase, such as `GET` or `POST`.
+ * @param {object} options.data The request data. For `GET` requests, it should be sent as query string parameters. Otherwise, it should be sent as a JSON body.
+ * @param {object} [options.headers] Additional headers to send with the request.
+ * @param {number} options.timeout The request timeout in milliseconds.
+ * @param {function} callback Call with `(err, data, status)` once the request completes. `data` is the parsed JSON response and `status` is the HTTP status code. If the request fails, `err` should be set, using a `status` of `-1` for timeouts and `0` for network failures without a status.
+ * @returns {object|void} The transport may return an object with an `abort` function, which is called when the request is cancelled.
+ * @example
+ * function fetchTransport(options, callback) {
+ *   var url = options.url;
+ *   var init = {
+ *     method: options.method,
+ *     headers: Object.assign({'Content-Type': 'application/json'}, options.headers)
+ *   };
+ *
+ *   if (options.method === 'GET') {
+ *     url += '?' + new URLSearchParams(options.data);
+ *   } else {
+ *     init.body = JSON.stringify(options.data);
+ *   }
+ *
+ *   fetch(url, init).then(function (response) {
+ *     return response.json().then(function (data) {
+ *       callback(response.ok ? null : data, response.ok ? data : null, response.status);
+ *     });
+ *   }).catch(function (err) {
+ *     callback(err, null, 500);
+ *   });
+ * }
+ */
+
+/**
+ * A function that receives debug log entries when the `debug` option of {@link module:braintree-web/client.create|create} is used. Every component created with the client logs to it, including lifecycle steps, messages sent between frames, frame creation, and requests. Card numbers, CVVs, bank account details, and authorization values are replaced with `[REDACTED]` before they are logged.
+ *
+ * Messages sent from inside Braintree iframes are not logged.
+ * @callback logger
+ * @param {object} entry The log entry:
+ * @param {string} entry.namespace The component that logged the entry, such as `client`, `hosted-fields`, or `paypal`.
+ * @param {string} entry.message A short description of what happened, such as `request` or `frame created`.
+ * @param {number} entry.timestamp When the entry was logged, in milliseconds since the epoch.
+ * @param {*} [entry.data] Additional information about the entry.
+ * @example
+ * function debugLogger(entry) {
+ *   myLoggingService.log('braintree', entry.namespace, entry.message, entry.data);
+ * }
+ */
+
 /**
  * @function
  * @description This function is the entry point for the <code>braintree.client</code> module. It is used for creating {@link Client} instances that service communication to Braintree servers.
  * @param {object} options Object containing all {@link Client} options:
  * @param {string} options.authorization A tokenizationKey or clientToken.
+ * @param {boolean|object} [options.debug] Log what the client and the components created with it are doing. Pass `true` to log to the browser console and load unminified iframe assets.
+ * @param {logger} [options.debug.logger] A {@link module:braintree-web/client~logger logger} that receives log entries in place of the browser console. Iframe assets stay minified when an object is passed.
+ * @param {transport} [options.transport] A {@link module:braintree-web/client~transport transport} used to send requests in place of the built-in drivers.
+ * @param {function} [options.refreshAuthorization] A function that gets a new client token when the current one has expired. It is only used when the client was created with a client token. When a request made with {@link Client#request|request} fails with a `401` or `403` status, it is called with a callback taking `(err, authorization)`; it may instead return a promise that resolves with the new authorization. The client then fetches a new configuration for the authorization and sends the failed request again. Requests are only sent again once, and if refreshing fails, the original error is returned. Components that have already passed their configuration into iframes, such as Hosted Fields, are not updated.
+ * @param {object} [options.gatewayConfiguration] A gateway configuration fetched by your server for the same authorization. When provided, the client is created without requesting the configuration from Braintree. It is validated the same way as a fetched configuration.
+ * @param {object|boolean} [options.configurationCache] Pass `true` or an object of options to cache the gateway configuration. Clients created with the cache turned on and the same authorization share a cached configuration, and clients created at the same time without a custom `transport` share a single configuration request. By default, every client fetches a new configuration.
+ * @param {number} [options.configurationCache.ttl=300000] How long (in milliseconds) a cached configuration is used before it is fetched again.
+ * @param {boolean} [options.configurationCache.sessionStorage=false] Also store the configuration in `sessionStorage` so that it can be reused across page loads. The entry is stored under a hash of the authorization, not the authorization itself.
  * @param {callback} [callback] The second argument, <code>data</code>, is the {@link Client} instance.
  * @returns {Promise|void} Returns a promise that resolves the client instance if no callback is provided.
  * @example
@@ -25,10 +88,44 @@ var sharedErrors = require('../lib/errors');
  * }, function (createErr, clientInstance) {
  *   // ...
  * });
+ * @example
+ * <caption>Refreshing an expired client token</caption>
+ * createClient({
+ *   authorization: CLIENT_TOKEN,
+ *   refreshAuthorization: function (callback) {
+ *     fetch('/client_token').then(function (response) {
+ *       return response.text();
+ *     }).then(function (clientToken) {
+ *       callback(null, clientToken);
+ *     }).catch(callback);
+ *   }
+ * }, function (createErr, clientInstance) {
+ *   // ...
+ * });
+ * @example
+ * <caption>Sending debug logs to your own logger</caption>
+ * createClient({
+ *   authorization: CLIENT_AUTHORIZATION,
+ *   debug: {
+ *     logger: function (entry) {
+ *       console.debug(entry.namespace, entry.message, entry.data);
+ *     }
+ *   }
+ * }, function (createErr, clientInstance) {
+ *   // ...
+ * });
+ * @example
+ * <caption>Using a gateway configuration fetched by your server</caption>
+ * createClient({
+ *   authorization: CLIENT_AUTHORIZATION,
+ *   gatewayConfiguration: GATEWAY_CONFIGURATION
+ * }, function (createErr, clientInstance) {
+ *   // ...
+ * });
  * @static
  */
 function create(options) {
-  return new Promise(function (resolve) {
+  return new Promise(function (resolve, reject) {
     if (!options.authorization) {
       throw new BraintreeError({
         type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
@@ -37,21 +134,69 @@ function create(options) {
       });
     }
 
+    if (options.transport != null && typeof options.transport !== 'function') {
+      throw new BraintreeError({
+        type: sharedErrors.INVALID_OPTION.type,
+        code: sharedErrors.INVALID_OPTION.code,
+        message: 'options.transport must be a function.'
+      });
+    }
+
+    if (options.refreshAuthorization != null && typeof options.refreshAuthorization !== 'function') {
+      throw new BraintreeError({
+        type: sharedErrors.INVALID_OPTION.type,
+        code: sharedErrors.INVALID_OPTION.code,
+        message: 'options.refreshAuthorization must be a function.'
+      });
+    }
+
+    if (options.debug && options.debug.logger != null && typeof options.debug.logger !== 'function') {
+      throw new BraintreeError({
+        type: sharedErrors.INVALID_OPTION.type,
+        code: sharedErrors.INVALID_OPTION.code,
+        message: 'options.debug.logger must be a function.'
+      });
+    }
+
+    if (options.gatewayConfiguration != null && typeof options.gatewayConfiguration !== 'object') {
+      throw new BraintreeError({
+        type: sharedErrors.INVALID_OPTION.type,
+        code: sharedErrors.INVALID_OPTION.code,
+        message: 'options.gatewayConfiguration must be an object.'
+      });
+    }
+
     getConfiguration(options, function (err, configuration) {
       var client;
 
       if (err) {
-        throw err;
+        reject(err);
+        return;
       }
 
-      if (options.debug) {
+      // Only `debug: true` loads unminified frames; a custom logger
+      // should not change which assets are used
+      if (options.debug === true) {
         configuration.isDebug = true;
       }
 
+      if (options.debug) {
+        configuration.logger = options.debug.logger || Logger.consoleLogger;
+      }
+
+      if (options.transport) {
+        configuration.transport = options.transport;
+      }
+
+      if (options.refreshAuthorization) {
+        configuration.refreshAuthorization = options.refreshAuthorization;
+      }
+
       try {
         client = new Client(configuration);
       } catch (clientCreationError) {
-        throw clientCreationError;
+        reject(clientCreationError);
+        return;
       }
 
       resolve(client);
@@ -61,6 +206,15 @@ function create(options) {
 
 module.exports = {
   create: wrapPromise(create),
+  /**
+   * @function
+   * @description Removes all gateway configurations cached by {@link module:braintree-web/client.create|create}, including those stored in `sessionStorage`. The next client that is created will fetch a new configuration.
+   * @returns {void}
+   * @example
+   * braintree.client.clearConfigurationCache();
+   * @static
+   */
+  clearConfigurationCache: clearConfigurationCache,
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
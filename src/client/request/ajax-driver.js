@@ -32,7 +32,7 @@ function request(options, cb) {
       resBody = parseBody(req.responseText);
 
       if (status >= 400 || status < 200) {
-        callback(resBody || 'error', null, status || 500);
+        callback(resBody || 'error', null, status);
       } else {
         callback(null, resBody, status);
       }
@@ -79,6 +79,13 @@ function request(options, cb) {
   try {
     req.send(prepBody(method, body));
   } catch (e) { /* ignored */ }
+
+  return {
+    abort: function () {
+      callback = Function.prototype;
+      req.abort();
+    }
+  };
 }
 
 module.exports = {
@@ -1,6 +1,11 @@
 'use strict';
 
 module.exports = {
+  DEFAULT_RETRY_POLICY: {
+    maxAttempts: 3,
+    baseDelay: 250,
+    maxDelay: 4000
+  },
   errors: {
     UNKNOWN_ERROR: 'Unknown error.',
     TIMEOUT_ERROR: 'Request timed out waiting for a reply.',
@@ -2,10 +2,12 @@
 
 var ajaxIsAvaliable;
 var once = require('../../lib/once');
+var assign = require('../../lib/assign').assign;
 var JSONPDriver = require('./jsonp-driver');
 var AJAXDriver = require('./ajax-driver');
 var getUserAgent = require('./get-user-agent');
 var isHTTP = require('./is-http');
+var constants = require('./constants');
 
 function isAjaxAvailable() {
   if (ajaxIsAvaliable == null) {
@@ -15,15 +17,84 @@ function isAjaxAvailable() {
   return ajaxIsAvaliable;
 }
 
-module.exports = function (options, cb) {
+function defaultTransport(options, cb) {
+  var driver = isAjaxAvailable() ? AJAXDriver : JSONPDriver;
+
+  return driver.request(options, cb);
+}
+
+function normalizeRetryPolicy(retry) {
+  if (!retry) {
+    return null;
+  }
+
+  return assign({}, constants.DEFAULT_RETRY_POLICY, retry === true ? {} : retry);
+}
+
+function isRetryable(method, err, status) {
+  if (!err) {
+    return false;
+  }
+
+  // 0 and -1 mean the request never got a response, either from a
+  // dropped connection or a timeout. Server errors are only retried for
+  // GET requests, since they may have been processed.
+  if (status === 0 || status === -1) {
+    return true;
+  }
+
+  return method === 'GET' && status >= 500;
+}
+
+function getRetryDelay(policy, attempt) {
+  var maxDelay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+
+  return Math.floor(Math.random() * maxDelay);
+}
+
+module.exports = function (options, cb, transport) {
+  var retryPolicy, currentRequest, retryTimeout;
+  var attempts = 0;
+  var isAborted = false;
+
   cb = once(cb || Function.prototype);
   options.method = (options.method || 'GET').toUpperCase();
   options.timeout = options.timeout == null ? 60000 : options.timeout;
   options.data = options.data || {};
 
-  if (isAjaxAvailable()) {
-    AJAXDriver.request(options, cb);
-  } else {
-    JSONPDriver.request(options, cb);
+  retryPolicy = normalizeRetryPolicy(options.retry);
+  delete options.retry;
+
+  transport = transport || defaultTransport;
+
+  function send() {
+    attempts++;
+
+    currentRequest = transport(options, once(function (err, data, status) {
+      if (isAborted) {
+        return;
+      }
+
+      if (retryPolicy && attempts < retryPolicy.maxAttempts && isRetryable(options.method, err, status)) {
+        retryTimeout = setTimeout(send, getRetryDelay(retryPolicy, attempts));
+        return;
+      }
+
+      // Network failures without a status are reported as server errors
+      cb(err, data, status === 0 ? 500 : status, attempts);
+    }));
   }
+
+  send();
+
+  return {
+    abort: function () {
+      isAborted = true;
+      clearTimeout(retryTimeout);
+
+      if (currentRequest && typeof currentRequest.abort === 'function') {
+        currentRequest.abort();
+      }
+    }
+  };
 };
@@ -101,6 +101,19 @@ function request(options, callback) {
   }
 
   head.appendChild(script);
+
+  return {
+    abort: function () {
+      clearTimeout(timeouts[callbackName]);
+      _removeScript(script);
+
+      // The script may have already loaded, so the global callback must
+      // stay defined until it is called
+      global[callbackName] = function () {
+        _cleanupGlobal(callbackName);
+      };
+    }
+  };
 }
 
 module.exports = {
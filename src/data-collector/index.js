@@ -9,6 +9,7 @@ var convertMethodsToError = require('../lib/convert-methods-to-error');
 var VERSION = process.env.npm_package_version;
 var Promise = require('../lib/promise');
 var wrapPromise = require('../lib/wrap-promise');
+var Logger = require('../lib/logger');
 var sharedErrors = require('../lib/errors');
 var errors = require('./errors');
 
@@ -79,7 +80,8 @@ function create(options) {
     var data, kountInstance, fraudnetInstance, config, clientVersion;
     var result = {};
     var instances = [];
-    var teardown = createTeardownMethod(result, instances);
+    var logger = Logger.fromClient(options.client, 'data-collector');
+    var teardown = createTeardownMethod(result, instances, logger);
 
     if (options.client == null) {
       throw new BraintreeError({
@@ -137,11 +139,16 @@ function create(options) {
     result.deviceData = JSON.stringify(data);
     result.teardown = teardown;
 
+    logger.log('created', {
+      kount: Boolean(kountInstance),
+      paypal: Boolean(fraudnetInstance)
+    });
+
     resolve(result);
   });
 }
 
-function createTeardownMethod(result, instances) {
+function createTeardownMethod(result, instances, logger) {
   return wrapPromise(function teardown() {
     return new Promise(function (resolve) {
       var i;
@@ -152,6 +159,7 @@ function createTeardownMethod(result, instances) {
 
       convertMethodsToError(result, methods(result));
 
+      logger.log('torn down');
       resolve();
     });
   });
@@ -11,20 +11,24 @@ var errors = require('../shared/errors');
 var INTEGRATION_TIMEOUT_MS = require('../../lib/constants').INTEGRATION_TIMEOUT_MS;
 var uuid = require('../../lib/uuid');
 var findParentTags = require('../shared/find-parent-tags');
-var throwIfNoCallback = require('../../lib/throw-if-no-callback');
 var isIos = require('../../lib/is-ios');
 var events = constants.events;
 var EventEmitter = require('../../lib/event-emitter');
 var injectFrame = require('./inject-frame');
 var analytics = require('../../lib/analytics');
+var Logger = require('../../lib/logger');
 var whitelistedFields = constants.whitelistedFields;
 var VERSION = process.env.npm_package_version;
 var methods = require('../../lib/methods');
 var convertMethodsToError = require('../../lib/convert-methods-to-error');
 var deferred = require('../../lib/deferred');
+var Promise = require('../../lib/promise');
+var wrapPromise = require('../../lib/wrap-promise');
 var sharedErrors = require('../../lib/errors');
 var getCardTypes = require('credit-card-type');
 var attributeValidationError = require('./attribute-validation-error');
+var rulesValidationError = require('./rules-validation-error');
+var fontValidationMessage = require('../shared/font-validation-message');
 
 /**
  * @typedef {object} HostedFields~tokenizePayload
@@ -51,6 +55,12 @@ var attributeValidationError = require('./attribute-validation-error');
  * - `"expirationMonth"`
  * - `"expirationYear"`
  * - `"postalCode"`
+ * - `"cardholderName"`
+ * - `"streetAddress"`
+ * - `"extendedAddress"`
+ * - `"locality"`
+ * - `"region"`
+ * - `"countryCode"`
  * @property {object} fields
  * @property {?HostedFields~hostedFieldsFieldData} fields.number {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the number field, if it is present.
  * @property {?HostedFields~hostedFieldsFieldData} fields.cvv {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the CVV field, if it is present.
@@ -58,6 +68,21 @@ var attributeValidationError = require('./attribute-validation-error');
  * @property {?HostedFields~hostedFieldsFieldData} fields.expirationMonth {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the expiration month field, if it is present.
  * @property {?HostedFields~hostedFieldsFieldData} fields.expirationYear {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the expiration year field, if it is present.
  * @property {?HostedFields~hostedFieldsFieldData} fields.postalCode {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the postal code field, if it is present.
+ * @property {?HostedFields~hostedFieldsFieldData} fields.cardholderName {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the cardholder name field, if it is present.
+ * @property {?HostedFields~hostedFieldsFieldData} fields.streetAddress {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the street address field, if it is present.
+ * @property {?HostedFields~hostedFieldsFieldData} fields.extendedAddress {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the extended address field, if it is present.
+ * @property {?HostedFields~hostedFieldsFieldData} fields.locality {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the locality field, if it is present.
+ * @property {?HostedFields~hostedFieldsFieldData} fields.region {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the region field, if it is present.
+ * @property {?HostedFields~hostedFieldsFieldData} fields.countryCode {@link HostedFields~hostedFieldsFieldData|hostedFieldsFieldData} for the country code field, if it is present.
+ * @property {?HostedFields~hostedFieldsInputProgress} input {@link HostedFields~hostedFieldsInputProgress|Progress} of the field that emitted the event. This is only included in {@link HostedFields#event:inputChange|inputChange} events.
+ */
+
+/**
+ * @typedef {object} HostedFields~hostedFieldsInputProgress
+ * @description Masked progress of the field that emitted an {@link HostedFields#event:inputChange|inputChange} event. The value of the field is never included.
+ * @property {number} length The number of characters entered, ignoring any formatting added by Hosted Fields.
+ * @property {boolean} isPotentiallyValid Whether or not the value entered so far can still become valid.
+ * @property {?string} cardType The {@link HostedFields~hostedFieldsCard|type} of the detected card brand, or `null` if the brand has not been determined.
  */
 
 /**
@@ -74,6 +99,17 @@ var attributeValidationError = require('./attribute-validation-error');
  * it is clear that the card number can never become valid and isPotentiallyValid will
  * return false.
  * @property {boolean} isValid Whether or not the value of the associated input is <i>fully</i> qualified for submission.
+ * @property {?string} invalidReason A machine-readable code describing why the field is not valid, or `null` when the field is valid. It will be one of the following strings:
+ * - `EMPTY` The field has no value.
+ * - `INCOMPLETE` The value is not yet valid, but could become valid as the customer continues typing.
+ * - `INVALID` The value can never become valid.
+ * - `LUHN_CHECK_FAILED` The card number is the right length for its card type, but fails the Luhn check.
+ * - `EXPIRED` The expiration date is in the past.
+ * - `CARD_TYPE_NOT_SUPPORTED` The card number belongs to a card type that is not accepted by `supportedCardBrands` or the `allowedCardTypes` rule.
+ * - `RULE_MIN_LENGTH` The value is shorter than the field's `minLength` rule.
+ * - `RULE_MAX_LENGTH` The value is longer than the field's `maxLength` rule.
+ * - `RULE_PATTERN` The value does not match the field's `pattern` rule.
+ * - `RULE_EXCLUDED_PREFIX` The value starts with one of the field's `excludedPrefixes`.
  */
 
 /**
@@ -110,7 +146,7 @@ var attributeValidationError = require('./attribute-validation-error');
  * @function
  * @param {string} event The name of the event to which you are subscribing.
  * @param {function} handler A callback to handle the event.
- * @description Subscribes a handler function to a named event. `event` should be {@link HostedFields#event:blur|blur}, {@link HostedFields#event:focus|focus}, {@link HostedFields#event:empty|empty}, {@link HostedFields#event:notEmpty|notEmpty}, {@link HostedFields#event:cardTypeChange|cardTypeChange}, or {@link HostedFields#event:validityChange|validityChange}. Events will emit a {@link HostedFields~stateObject|stateObject}.
+ * @description Subscribes a handler function to a named event. `event` should be {@link HostedFields#event:blur|blur}, {@link HostedFields#event:focus|focus}, {@link HostedFields#event:empty|empty}, {@link HostedFields#event:notEmpty|notEmpty}, {@link HostedFields#event:cardTypeChange|cardTypeChange}, {@link HostedFields#event:validityChange|validityChange}, {@link HostedFields#event:inputChange|inputChange}, or {@link HostedFields#event:fontsReady|fontsReady}. Events other than `fontsReady` will emit a {@link HostedFields~stateObject|stateObject}.
  * @example
  * <caption>Listening to a Hosted Field event, in this case 'focus'</caption>
  * hostedFields.create({ ... }, function (createErr, hostedFieldsInstance) {
@@ -228,15 +264,57 @@ var attributeValidationError = require('./attribute-validation-error');
  * });
  */
 
+/**
+ * This event is emitted each time the user changes the value of a field, such as on every keystroke. The {@link HostedFields~stateObject|stateObject} includes an `input` property with the {@link HostedFields~hostedFieldsInputProgress|progress} of the field, without its value.
+ * @event HostedFields#inputChange
+ * @type {HostedFields~stateObject}
+ * @example
+ * <caption>Listening to an inputChange event</caption>
+ * hostedFields.create({ ... }, function (createErr, hostedFieldsInstance) {
+ *   hostedFieldsInstance.on('inputChange', function (event) {
+ *     if (event.emittedBy === 'number') {
+ *       console.log(event.input.length, 'digits entered for', event.input.cardType || 'an unknown brand');
+ *     }
+ *   });
+ * });
+ */
+
+/**
+ * This event is emitted once every field has finished loading the {@link module:braintree-web/hosted-fields~fontOptions fonts} passed to {@link module:braintree-web/hosted-fields.create|create}. It is only emitted when `fonts` are provided. Fields added with {@link HostedFields#addField|addField} before this event are waited for, and removed fields are not. A font that fails to load does not prevent this event; the field falls back to the next font in its `font-family`.
+ * @event HostedFields#fontsReady
+ * @example
+ * <caption>Revealing the form once fonts have loaded</caption>
+ * hostedFields.create({ ... }, function (createErr, hostedFieldsInstance) {
+ *   hostedFieldsInstance.on('fontsReady', function () {
+ *     document.querySelector('#payment-form').classList.remove('is-loading');
+ *   });
+ * });
+ */
+
 function createInputEventHandler(fields) {
   return function (eventData) {
-    var field;
+    var field, container;
+    var previousState = this._state; // eslint-disable-line no-invalid-this
     var merchantPayload = eventData.merchantPayload;
     var emittedBy = merchantPayload.emittedBy;
-    var container = fields[emittedBy].containerElement;
+
+    // The frames may not have processed an added or removed field yet
+    if (!fields.hasOwnProperty(emittedBy)) { return; }
+
+    container = fields[emittedBy].containerElement;
 
     Object.keys(merchantPayload.fields).forEach(function (key) {
-      merchantPayload.fields[key].container = fields[key].containerElement;
+      if (fields.hasOwnProperty(key)) {
+        merchantPayload.fields[key].container = fields[key].containerElement;
+      } else {
+        delete merchantPayload.fields[key];
+      }
+    });
+
+    Object.keys(fields).forEach(function (key) {
+      if (!merchantPayload.fields.hasOwnProperty(key)) {
+        merchantPayload.fields[key] = previousState.fields[key];
+      }
     });
 
     field = merchantPayload.fields[emittedBy];
@@ -254,6 +332,38 @@ function createInputEventHandler(fields) {
   };
 }
 
+function isValidSupportedCardBrands(supportedCardBrands) {
+  if (supportedCardBrands === true) {
+    return true;
+  }
+
+  return supportedCardBrands instanceof Array && supportedCardBrands.every(function (cardBrand) {
+    return typeof cardBrand === 'string';
+  });
+}
+
+function validateFonts(fonts) {
+  if (!(fonts instanceof Array)) {
+    throw new BraintreeError({
+      type: sharedErrors.INVALID_OPTION.type,
+      code: sharedErrors.INVALID_OPTION.code,
+      message: 'options.fonts must be an array.'
+    });
+  }
+
+  fonts.forEach(function (font) {
+    var message = fontValidationMessage(font);
+
+    if (message) {
+      throw new BraintreeError({
+        type: errors.HOSTED_FIELDS_FONT_NOT_ALLOWED.type,
+        code: errors.HOSTED_FIELDS_FONT_NOT_ALLOWED.code,
+        message: message
+      });
+    }
+  });
+}
+
 /**
  * @class HostedFields
  * @param {object} options The Hosted Fields {@link module:braintree-web/hosted-fields.create create} options.
@@ -261,11 +371,10 @@ function createInputEventHandler(fields) {
  * @classdesc This class represents a Hosted Fields component produced by {@link module:braintree-web/hosted-fields.create|braintree-web/hosted-fields.create}. Instances of this class have methods for interacting with the input fields within Hosted Fields' iframes.
  */
 function HostedFields(options) {
-  var failureTimeout, clientVersion, clientConfig;
+  var failureTimeout, clientVersion;
   var self = this;
   var fields = {};
-  var fieldCount = 0;
-  var componentId = uuid();
+  var frameReplies = {};
 
   if (!options.client) {
     throw new BraintreeError({
@@ -275,8 +384,7 @@ function HostedFields(options) {
     });
   }
 
-  clientConfig = options.client.getConfiguration();
-  clientVersion = clientConfig.analyticsMetadata.sdkVersion;
+  clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
   if (clientVersion !== VERSION) {
     throw new BraintreeError({
       type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
@@ -293,19 +401,30 @@ function HostedFields(options) {
     });
   }
 
+  if (options.fonts != null) {
+    validateFonts(options.fonts);
+  }
+
   EventEmitter.call(this);
 
   this._injectedNodes = [];
   this._destructor = new Destructor();
+  this._componentId = uuid();
   this._fields = fields;
+  this._pendingFields = {};
+  this._framesPending = {};
+  this._fontsPending = null;
   this._state = {
     fields: {},
     cards: getCardTypes('')
   };
 
+  this._logger = Logger.fromClient(options.client, 'hosted-fields');
+
   this._bus = new Bus({
-    channel: componentId,
-    merchantUrl: location.href
+    channel: this._componentId,
+    merchantUrl: location.href,
+    logger: this._logger
   });
 
   this._destructor.registerFunctionForTeardown(function () {
@@ -317,85 +436,49 @@ function HostedFields(options) {
   analytics.sendEvent(this._client, 'custom.hosted-fields.initialized');
 
   Object.keys(options.fields).forEach(function (key) {
-    var field, container, frame;
+    this._injectField(key, options.fields[key]);
+    this._framesPending[key] = true;
+  }.bind(this));
 
-    if (!constants.whitelistedFields.hasOwnProperty(key)) {
-      throw new BraintreeError({
-        type: errors.HOSTED_FIELDS_INVALID_FIELD_KEY.type,
-        code: errors.HOSTED_FIELDS_INVALID_FIELD_KEY.code,
-        message: '"' + key + '" is not a valid field.'
-      });
-    }
+  // The first field's frame holds the card form for every other frame
+  this._hostField = Object.keys(options.fields)[0];
 
-    field = options.fields[key];
+  failureTimeout = setTimeout(function () {
+    analytics.sendEvent(self._client, 'custom.hosted-fields.load.timed-out');
+  }, INTEGRATION_TIMEOUT_MS);
 
-    if (field instanceof Element) {
-      container = field;
-    } else {
-      container = document.querySelector(field.selector);
+  this._bus.on(events.FRAME_READY, function (data, reply) {
+    // The frame of a removed field can still report that it is ready
+    if (!self._fields.hasOwnProperty(data.field)) {
+      return;
     }
 
-    if (!container) {
-      throw new BraintreeError({
-        type: errors.HOSTED_FIELDS_INVALID_FIELD_SELECTOR.type,
-        code: errors.HOSTED_FIELDS_INVALID_FIELD_SELECTOR.code,
-        message: errors.HOSTED_FIELDS_INVALID_FIELD_SELECTOR.message,
-        details: {
-          fieldSelector: field.selector,
-          fieldKey: key
-        }
-      });
-    } else if (container.querySelector('iframe[name^="braintree-"]')) {
-      throw new BraintreeError({
-        type: errors.HOSTED_FIELDS_FIELD_DUPLICATE_IFRAME.type,
-        code: errors.HOSTED_FIELDS_FIELD_DUPLICATE_IFRAME.code,
-        message: errors.HOSTED_FIELDS_FIELD_DUPLICATE_IFRAME.message,
-        details: {
-          fieldSelector: field.selector,
-          fieldKey: key
-        }
-      });
+    if (self._pendingFields.hasOwnProperty(data.field)) {
+      self._onAddedFieldReady(data.field);
+      return;
     }
 
-    frame = iFramer({
-      type: key,
-      name: 'braintree-hosted-field-' + key,
-      style: constants.defaultIFrameStyle
-    });
-
-    this._injectedNodes = this._injectedNodes.concat(injectFrame(frame, container));
-    this._setupLabelFocus(key, container);
-    fields[key] = {
-      frameElement: frame,
-      containerElement: container
-    };
-    fieldCount++;
-
-    this._state.fields[key] = {
-      isEmpty: true,
-      isValid: false,
-      isPotentiallyValid: true,
-      isFocused: false,
-      container: container
-    };
+    frameReplies[data.field] = reply;
+    self._resolvePendingFrame(data.field);
+  });
 
-    setTimeout(function () {
-      frame.src = composeUrl(clientConfig.gatewayConfiguration.assetsUrl, componentId, clientConfig.isDebug);
-    }, 0);
-  }.bind(this));
+  this._onFramesReady = function () {
+    clearTimeout(failureTimeout);
+    frameReplies[self._hostField](options);
+    self._logger.log('ready');
+    self._emit('ready');
+  };
 
-  failureTimeout = setTimeout(function () {
-    analytics.sendEvent(self._client, 'custom.hosted-fields.load.timed-out');
-  }, INTEGRATION_TIMEOUT_MS);
+  if (options.fonts) {
+    this._fontsPending = {};
+    Object.keys(options.fields).forEach(function (key) {
+      self._fontsPending[key] = true;
+    });
 
-  this._bus.on(events.FRAME_READY, function (reply) {
-    fieldCount--;
-    if (fieldCount === 0) {
-      clearTimeout(failureTimeout);
-      reply(options);
-      self._emit('ready');
-    }
-  });
+    this._bus.on(events.FONTS_READY, function (data) {
+      self._resolvePendingFonts(data.field);
+    });
+  }
 
   this._bus.on(
     events.INPUT_EVENT,
@@ -431,6 +514,129 @@ HostedFields.prototype = Object.create(EventEmitter.prototype, {
   constructor: HostedFields
 });
 
+HostedFields.prototype._injectField = function (key, field) {
+  var container, frame, rulesErr;
+  var clientConfig = this._client.getConfiguration();
+  var componentId = this._componentId;
+
+  if (!constants.whitelistedFields.hasOwnProperty(key)) {
+    throw new BraintreeError({
+      type: errors.HOSTED_FIELDS_INVALID_FIELD_KEY.type,
+      code: errors.HOSTED_FIELDS_INVALID_FIELD_KEY.code,
+      message: '"' + key + '" is not a valid field.'
+    });
+  }
+
+  if (key === 'number' && field.supportedCardBrands != null && !isValidSupportedCardBrands(field.supportedCardBrands)) {
+    throw new BraintreeError({
+      type: sharedErrors.INVALID_OPTION.type,
+      code: sharedErrors.INVALID_OPTION.code,
+      message: 'options.fields.number.supportedCardBrands must be true or an array of card types.'
+    });
+  }
+
+  if (field.rules != null) {
+    rulesErr = rulesValidationError(key, field.rules);
+
+    if (rulesErr) {
+      throw rulesErr;
+    }
+  }
+
+  if (field instanceof Element) {
+    container = field;
+  } else {
+    container = document.querySelector(field.selector);
+  }
+
+  if (!container) {
+    throw new BraintreeError({
+      type: errors.HOSTED_FIELDS_INVALID_FIELD_SELECTOR.type,
+      code: errors.HOSTED_FIELDS_INVALID_FIELD_SELECTOR.code,
+      message: errors.HOSTED_FIELDS_INVALID_FIELD_SELECTOR.message,
+      details: {
+        fieldSelector: field.selector,
+        fieldKey: key
+      }
+    });
+  } else if (container.querySelector('iframe[name^="braintree-"]')) {
+    throw new BraintreeError({
+      type: errors.HOSTED_FIELDS_FIELD_DUPLICATE_IFRAME.type,
+      code: errors.HOSTED_FIELDS_FIELD_DUPLICATE_IFRAME.code,
+      message: errors.HOSTED_FIELDS_FIELD_DUPLICATE_IFRAME.message,
+      details: {
+        fieldSelector: field.selector,
+        fieldKey: key
+      }
+    });
+  }
+
+  frame = iFramer({
+    type: key,
+    name: 'braintree-hosted-field-' + key,
+    style: constants.defaultIFrameStyle
+  });
+
+  this._injectedNodes = this._injectedNodes.concat(injectFrame(frame, container));
+  this._setupLabelFocus(key, container);
+  this._fields[key] = {
+    frameElement: frame,
+    containerElement: container
+  };
+
+  this._state.fields[key] = {
+    isEmpty: true,
+    isValid: false,
+    isPotentiallyValid: true,
+    isFocused: false,
+    invalidReason: constants.invalidReasons.EMPTY,
+    container: container
+  };
+
+  this._logger.log('frame created', {field: key});
+
+  setTimeout(function () {
+    frame.src = composeUrl(clientConfig.gatewayConfiguration.assetsUrl, componentId, clientConfig.isDebug);
+  }, 0);
+};
+
+HostedFields.prototype._onAddedFieldReady = function (key) {
+  var pendingField = this._pendingFields[key];
+
+  delete this._pendingFields[key];
+
+  this._bus.emit(events.ADD_FIELD, {
+    field: key,
+    options: pendingField.options
+  }, function () {
+    if (typeof pendingField.callback === 'function') {
+      pendingField.callback();
+    }
+  });
+};
+
+HostedFields.prototype._resolvePendingFrame = function (key) {
+  if (!this._framesPending) { return; }
+
+  delete this._framesPending[key];
+
+  if (Object.keys(this._framesPending).length === 0) {
+    this._framesPending = null;
+    this._onFramesReady();
+  }
+};
+
+HostedFields.prototype._resolvePendingFonts = function (key) {
+  if (!this._fontsPending) { return; }
+
+  delete this._fontsPending[key];
+
+  if (Object.keys(this._fontsPending).length === 0) {
+    this._fontsPending = null;
+    this._emit('fontsReady');
+  }
+};
+
 HostedFields.prototype._setupLabelFocus = function (type, container) {
   var labels, i;
   var shouldSkipLabelFocus = isIos();
@@ -469,20 +675,26 @@ HostedFields.prototype._setupLabelFocus = function (type, container) {
  *     console.info('Hosted Fields has been torn down!');
  *   }
  * });
- * @returns {void}
+ * @returns {Promise|void} Returns a promise if no callback is provided.
  */
-HostedFields.prototype.teardown = function (callback) {
-  var client = this._client;
-
-  this._destructor.teardown(function (err) {
-    analytics.sendEvent(client, 'custom.hosted-fields.teardown-completed');
-
-    if (typeof callback === 'function') {
-      callback = deferred(callback);
-      callback(err);
-    }
+HostedFields.prototype.teardown = wrapPromise(function () {
+  var client = this._client; // eslint-disable-line no-invalid-this
+  var destructor = this._destructor; // eslint-disable-line no-invalid-this
+  var logger = this._logger; // eslint-disable-line no-invalid-this
+
+  return new Promise(function (resolve, reject) {
+    destructor.teardown(function (err) {
+      analytics.sendEvent(client, 'custom.hosted-fields.teardown-completed');
+      logger.log('torn down');
+
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
   });
-};
+});
 
 /**
  * Tokenizes fields and returns a nonce payload.
@@ -490,7 +702,7 @@ HostedFields.prototype.teardown = function (callback) {
  * @param {object} [options] All tokenization options for the Hosted Fields component.
  * @param {boolean} [options.vault=false] When true, will vault the tokenized card. Cards will only be vaulted when using a client created with a client token that includes a customer ID.
  * @param {string} [options.billingAddress.postalCode] When supplied, this postal code will be tokenized along with the contents of the fields. If a postal code is provided as part of the Hosted Fields configuration, the value of the field will be tokenized and this value will be ignored.
- * @param {callback} callback The second argument, <code>data</code>, is a {@link HostedFields~tokenizePayload|tokenizePayload}
+ * @param {callback} [callback] The second argument, <code>data</code>, is a {@link HostedFields~tokenizePayload|tokenizePayload}
  * @example <caption>Tokenize a card</caption>
  * hostedFieldsInstance.tokenize(function (tokenizeErr, payload) {
  *   if (tokenizeErr) {
@@ -536,20 +748,35 @@ HostedFields.prototype.teardown = function (callback) {
  *     console.log('Got nonce:', payload.nonce);
  *   }
  * });
- * @returns {void}
+ * @example <caption>Tokenize a card using a promise</caption>
+ * hostedFieldsInstance.tokenize().then(function (payload) {
+ *   console.log('Got nonce:', payload.nonce);
+ * }).catch(function (tokenizeErr) {
+ *   console.error(tokenizeErr);
+ * });
+ * @returns {Promise|void} Returns a promise that resolves with a {@link HostedFields~tokenizePayload|tokenizePayload} if no callback is provided.
  */
-HostedFields.prototype.tokenize = function (options, callback) {
-  if (!callback) {
-    callback = options;
-    options = {};
-  }
-
-  throwIfNoCallback(callback, 'tokenize');
-
-  this._bus.emit(events.TOKENIZATION_REQUEST, options, function (response) {
-    callback.apply(null, response);
+HostedFields.prototype.tokenize = wrapPromise(function (options) {
+  var bus = this._bus; // eslint-disable-line no-invalid-this
+  var logger = this._logger; // eslint-disable-line no-invalid-this
+
+  logger.log('tokenize');
+
+  return new Promise(function (resolve, reject) {
+    bus.emit(events.TOKENIZATION_REQUEST, options || {}, function (response) {
+      var err = response[0];
+      var payload = response[1];
+
+      if (err) {
+        logger.log('tokenize failed', {error: err});
+        reject(err);
+      } else {
+        logger.log('tokenized');
+        resolve(payload);
+      }
+    });
   });
-};
+});
 
 /**
  * Add a class to a {@link module:braintree-web/hosted-fields~field field}. Useful for updating field styles when events occur elsewhere in your checkout.
@@ -762,6 +989,172 @@ HostedFields.prototype.clear = function (field, callback) {
   }
 };
 
+/**
+ * Adds a {@link module:braintree-web/hosted-fields~field field} after Hosted Fields has been created, such as a CVV field that is only needed for some checkout flows. The field's iframe is injected into its container and its state is included in {@link HostedFields#getState|getState} straight away.
+ * @public
+ * @param {string} field The field you wish to add. Must be a valid {@link module:braintree-web/hosted-fields~fieldOptions fieldOption} that is not already present.
+ * @param {field} fieldOptions The {@link module:braintree-web/hosted-fields~field options} for the field, as they would be passed to {@link module:braintree-web/hosted-fields.create|create}.
+ * @param {callback} [callback] Callback executed once the field is ready for input, or with an error if the field could not be added. No data is returned if the field is added successfully.
+ * @returns {void}
+ * @example
+ * hostedFieldsInstance.addField('cvv', {
+ *   selector: '#cvv',
+ *   placeholder: '123'
+ * }, function (addFieldErr) {
+ *   if (addFieldErr) {
+ *     console.error(addFieldErr);
+ *   }
+ * });
+ */
+HostedFields.prototype.addField = function (field, fieldOptions, callback) {
+  var err;
+
+  if (!whitelistedFields.hasOwnProperty(field)) {
+    err = new BraintreeError({
+      type: errors.HOSTED_FIELDS_FIELD_INVALID.type,
+      code: errors.HOSTED_FIELDS_FIELD_INVALID.code,
+      message: '"' + field + '" is not a valid field. You must use a valid field option when adding a field.'
+    });
+  } else if (this._fields.hasOwnProperty(field)) {
+    err = new BraintreeError({
+      type: errors.HOSTED_FIELDS_FIELD_ALREADY_PRESENT.type,
+      code: errors.HOSTED_FIELDS_FIELD_ALREADY_PRESENT.code,
+      message: 'Cannot add "' + field + '" field because it is already part of the current Hosted Fields options.'
+    });
+  } else {
+    try {
+      this._injectField(field, fieldOptions || {});
+    } catch (injectErr) {
+      err = injectErr;
+    }
+  }
+
+  if (err) {
+    if (typeof callback === 'function') {
+      callback = deferred(callback);
+      callback(err);
+    }
+    return;
+  }
+
+  this._pendingFields[field] = {
+    options: fieldOptions,
+    callback: callback
+  };
+
+  if (this._fontsPending) {
+    this._fontsPending[field] = true;
+  }
+};
+
+/**
+ * Removes a {@link module:braintree-web/hosted-fields~field field} and its iframe. The field is no longer included in {@link HostedFields#getState|getState} or in tokenization.
+ *
+ * The first field passed to {@link module:braintree-web/hosted-fields.create|create} coordinates the other fields and cannot be removed.
+ * @public
+ * @param {string} field The field you wish to remove. Must be a valid {@link module:braintree-web/hosted-fields~fieldOptions fieldOption}.
+ * @param {callback} [callback] Callback executed on completion, containing an error if one occurred. No data is returned if the field is removed successfully.
+ * @returns {void}
+ * @example <caption>Switch from an expiration date field to month and year fields</caption>
+ * hostedFieldsInstance.removeField('expirationDate');
+ * hostedFieldsInstance.addField('expirationMonth', {selector: '#expiration-month'});
+ * hostedFieldsInstance.addField('expirationYear', {selector: '#expiration-year'});
+ */
+HostedFields.prototype.removeField = function (field, callback) {
+  var err, containerElement;
+
+  if (!whitelistedFields.hasOwnProperty(field)) {
+    err = new BraintreeError({
+      type: errors.HOSTED_FIELDS_FIELD_INVALID.type,
+      code: errors.HOSTED_FIELDS_FIELD_INVALID.code,
+      message: '"' + field + '" is not a valid field. You must use a valid field option when removing a field.'
+    });
+  } else if (!this._fields.hasOwnProperty(field)) {
+    err = new BraintreeError({
+      type: errors.HOSTED_FIELDS_FIELD_NOT_PRESENT.type,
+      code: errors.HOSTED_FIELDS_FIELD_NOT_PRESENT.code,
+      message: 'Cannot remove "' + field + '" field because it is not part of the current Hosted Fields options.'
+    });
+  } else if (field === this._hostField) {
+    err = new BraintreeError({
+      type: errors.HOSTED_FIELDS_FIELD_NOT_REMOVABLE.type,
+      code: errors.HOSTED_FIELDS_FIELD_NOT_REMOVABLE.code,
+      message: 'Cannot remove "' + field + '" field because it was the first field passed to hostedFields.create.'
+    });
+  } else {
+    containerElement = this._fields[field].containerElement;
+
+    this._injectedNodes = this._injectedNodes.filter(function (node) {
+      if (node.parentNode !== containerElement) {
+        return true;
+      }
+
+      containerElement.removeChild(node);
+      return false;
+    });
+
+    classlist.remove(
+      containerElement,
+      constants.externalClasses.FOCUSED,
+      constants.externalClasses.INVALID,
+      constants.externalClasses.VALID
+    );
+
+    delete this._fields[field];
+    delete this._pendingFields[field];
+    delete this._state.fields[field];
+
+    this._bus.emit(events.REMOVE_FIELD, field);
+    this._resolvePendingFrame(field);
+    this._resolvePendingFonts(field);
+  }
+
+  if (typeof callback === 'function') {
+    callback = deferred(callback);
+    callback(err);
+  }
+};
+
+/**
+ * Replaces the styles applied to every {@link module:braintree-web/hosted-fields~field field}. The new styles are filtered with the same whitelist as the `styles` passed to {@link module:braintree-web/hosted-fields.create|create}, and completely replace them. Useful for switching themes without recreating Hosted Fields.
+ * @public
+ * @param {object} styles The new {@link module:braintree-web/hosted-fields~styleOptions styles}.
+ * @param {callback} [callback] Callback executed on completion, containing an error if one occurred. No data is returned if the styles are sent successfully.
+ * @returns {void}
+ * @example <caption>Switch to a dark theme</caption>
+ * hostedFieldsInstance.setStyles({
+ *   'input': {
+ *     'color': '#fff',
+ *     'background-color': '#222'
+ *   },
+ *   '.invalid': {
+ *     'color': '#f66'
+ *   }
+ * }, function (setStylesErr) {
+ *   if (setStylesErr) {
+ *     console.error(setStylesErr);
+ *   }
+ * });
+ */
+HostedFields.prototype.setStyles = function (styles, callback) {
+  var err;
+
+  if (!styles || typeof styles !== 'object' || styles instanceof Array) {
+    err = new BraintreeError({
+      type: sharedErrors.INVALID_OPTION.type,
+      code: sharedErrors.INVALID_OPTION.code,
+      message: 'Styles must be an object.'
+    });
+  } else {
+    this._bus.emit(events.SET_STYLES, styles);
+  }
+
+  if (typeof callback === 'function') {
+    callback = deferred(callback);
+    callback(err);
+  }
+};
+
 /**
  * Returns an {@link HostedFields~stateObject|object} that includes the state of all fields and possible card types.
  * @public
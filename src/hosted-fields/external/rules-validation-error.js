@@ -0,0 +1,73 @@
+'use strict';
+
+var BraintreeError = require('../../lib/braintree-error');
+var errors = require('../shared/errors');
+var whitelist = require('../shared/constants').whitelistedRules;
+
+function rulesValidationError(field, rules) {
+  var i, rule, ruleNames;
+
+  if (rules == null || typeof rules !== 'object' || rules instanceof Array) {
+    return new BraintreeError({
+      type: errors.HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED.type,
+      code: errors.HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED.code,
+      message: 'Rules for "' + field + '" field must be an object.'
+    });
+  }
+
+  ruleNames = Object.keys(rules);
+
+  for (i = 0; i < ruleNames.length; i++) {
+    rule = ruleNames[i];
+
+    if (!whitelist.hasOwnProperty(rule) || !_isSupportedForField(rule, field)) {
+      return new BraintreeError({
+        type: errors.HOSTED_FIELDS_RULE_NOT_SUPPORTED.type,
+        code: errors.HOSTED_FIELDS_RULE_NOT_SUPPORTED.code,
+        message: 'The "' + rule + '" rule is not supported for "' + field + '" field.'
+      });
+    } else if (!_isValid(rule, rules[rule])) {
+      return new BraintreeError({
+        type: errors.HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED.type,
+        code: errors.HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED.code,
+        message: 'Value "' + rules[rule] + '" is not allowed for "' + rule + '" rule.'
+      });
+    }
+  }
+
+  return null;
+}
+
+function _isSupportedForField(rule, field) {
+  var fields = whitelist[rule].fields;
+
+  return !fields || fields.indexOf(field) !== -1;
+}
+
+function _isValid(rule, value) {
+  var type = whitelist[rule].type;
+
+  if (type === 'number') {
+    return typeof value === 'number' && value >= 0 && Math.floor(value) === value;
+  } else if (type === 'array') {
+    return value instanceof Array && value.every(function (item) {
+      return typeof item === 'string';
+    });
+  } else if (type === 'string') {
+    return typeof value === 'string' && _isValidPattern(value);
+  }
+
+  return false;
+}
+
+function _isValidPattern(pattern) {
+  try {
+    new RegExp(pattern); // eslint-disable-line no-new
+  } catch (err) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = rulesValidationError;
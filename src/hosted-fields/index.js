@@ -2,8 +2,8 @@
 /** @module braintree-web/hosted-fields */
 
 var HostedFields = require('./external/hosted-fields');
-var deferred = require('../lib/deferred');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 var VERSION = process.env.npm_package_version;
 
 /**
@@ -15,6 +15,18 @@ var VERSION = process.env.npm_package_version;
  * @property {boolean} [formatInput=true] Enable or disable automatic formatting on this field.
  * @property {object|boolean} [select] If truthy, this field becomes a `<select>` dropdown list. This can only be used for `expirationMonth` and `expirationYear` fields.
  * @property {string[]} [select.options] An array of 12 strings, one per month. This can only be used for the `expirationMonth` field. For example, the array can look like `['01 - January', '02 - February', ...]`.
+ * @property {boolean|string[]} [supportedCardBrands] The card brands accepted by the `number` field. When `true`, the card types enabled for your merchant account in the Braintree control panel are used. When an array of {@link HostedFields~hostedFieldsCard|card types} such as `['visa', 'master-card', 'american-express']`, only those brands are accepted. This works like the `allowedCardTypes` rule: a number from any other brand is reported as invalid with an `invalidReason` of `CARD_TYPE_NOT_SUPPORTED`. When both are passed, only brands in both lists are accepted. This can only be used for the `number` field.
+ * @property {validationRules} [rules] Additional {@link module:braintree-web/hosted-fields~validationRules validation rules} the field's value must satisfy to be considered valid.
+ */
+
+/**
+ * Declarative validation rules applied to a {@link module:braintree-web/hosted-fields~field field} on top of Hosted Fields' built-in validation. A field that fails a rule is reported as invalid in {@link HostedFields#getState|getState} and {@link HostedFields#event:validityChange|validityChange} events, and {@link HostedFields#tokenize|tokenize} will fail with a `HOSTED_FIELDS_FIELDS_INVALID` error. Rules are not applied to an optional field, such as `extendedAddress`, while it is empty. Rules must be plain data so they can be passed into the Hosted Fields iframes.
+ * @typedef {object} validationRules
+ * @property {number} [minLength] The minimum number of characters in the value. Card numbers are measured without spaces or dashes.
+ * @property {number} [maxLength] The maximum number of characters in the value. Card numbers are measured without spaces or dashes.
+ * @property {string} [pattern] The source of a regular expression the value must match, such as `'^\\d{5}$'` for a 5-digit ZIP code.
+ * @property {string[]} [excludedPrefixes] Values beginning with any of these prefixes are invalid. Useful for rejecting card BIN ranges, such as `['411111', '5555']`.
+ * @property {string[]} [allowedCardTypes] The {@link HostedFields~hostedFieldsCard|card types} that are accepted, such as `['visa', 'master-card']`. This can only be used for the `number` field.
  */
 
 /**
@@ -26,6 +38,12 @@ var VERSION = process.env.npm_package_version;
  * @property {field} [expirationYear] A field for expiration year in `YYYY` format. This should be used with the `expirationMonth` property.
  * @property {field} [cvv] A field for 3 or 4 digit CVV or CID.
  * @property {field} [postalCode] A field for postal or region code.
+ * @property {field} [cardholderName] A field for the name of the cardholder as it appears on the card.
+ * @property {field} [streetAddress] A field for the street address of the billing address.
+ * @property {field} [extendedAddress] A field for additional billing address information, such as an apartment or suite number. This field is optional and is valid when empty.
+ * @property {field} [locality] A field for the locality (city) of the billing address.
+ * @property {field} [region] A field for the region (state or province) of the billing address.
+ * @property {field} [countryCode] A field for the two-letter ISO 3166-1 alpha-2 country code of the billing address, such as `US`.
  */
 
 /**
@@ -34,7 +52,21 @@ var VERSION = process.env.npm_package_version;
  * These are the CSS properties that Hosted Fields supports. Any other CSS should be specified on your page and outside of any Braintree configuration. Trying to set unsupported properties will fail and put a warning in the console.
  *
  * Supported CSS properties are:
+ * `-moz-appearance`
+ * `-moz-osx-font-smoothing`
+ * `-moz-tap-highlight-color`
+ * `-moz-transition`
+ * `-webkit-appearance`
+ * `-webkit-font-smoothing`
+ * `-webkit-tap-highlight-color`
+ * `-webkit-text-fill-color`
+ * `-webkit-transition`
+ * `appearance`
+ * `background-color`
+ * `box-shadow`
+ * `caret-color`
  * `color`
+ * `direction`
  * `font-family`
  * `font-size-adjust`
  * `font-size`
@@ -52,17 +84,37 @@ var VERSION = process.env.npm_package_version;
  * `line-height`
  * `opacity`
  * `outline`
+ * `padding`
+ * `padding-bottom`
+ * `padding-left`
+ * `padding-right`
+ * `padding-top`
+ * `text-align`
+ * `text-decoration`
+ * `text-indent`
  * `text-shadow`
+ * `text-transform`
  * `transition`
- * `-moz-osx-font-smoothing`
- * `-moz-tap-highlight-color`
- * `-moz-transition`
- * `-webkit-font-smoothing`
- * `-webkit-tap-highlight-color`
- * `-webkit-transition`
+ *
+ * Styles can target the `:focus` state and the `.valid` and `.invalid` classes, which are applied to an input as its value changes. Placeholder text can be styled with `::placeholder`; vendor-prefixed equivalents are added automatically.
+ *
+ * `@media` queries are passed through, so fields can follow your page's responsive breakpoints. The value of a media query is an object of selectors, just like the top level. Media queries cannot be nested.
  * @typedef {object} styleOptions
  */
 
+/**
+ * A web font to load inside each hosted field, so that it can be used in {@link module:braintree-web/hosted-fields~styleOptions styles}. Fonts are declared with `@font-face` inside the iframes and loaded before the fields are styled.
+ *
+ * Font sources must be HTTPS URLs from one of the following origins:
+ * `https://fonts.gstatic.com`
+ * `https://use.typekit.net`
+ * @typedef {object} fontOptions
+ * @property {string} family The font family name to use in `font-family` styles. May only contain letters, numbers, spaces, hyphens, and underscores.
+ * @property {string} src The HTTPS URL of the font file.
+ * @property {string} [weight] The `font-weight` of this font file, such as `normal`, `bold`, or `600`.
+ * @property {string} [style] The `font-style` of this font file: `normal`, `italic`, or `oblique`.
+ */
+
 /**
  * @static
  * @function create
@@ -70,8 +122,9 @@ var VERSION = process.env.npm_package_version;
  * @param {Client} options.client A {@link Client} instance.
  * @param {fieldOptions} options.fields A {@link module:braintree-web/hosted-fields~fieldOptions set of options for each field}.
  * @param {styleOptions} options.styles {@link module:braintree-web/hosted-fields~styleOptions Styles} applied to each field.
- * @param {callback} callback The second argument, `data`, is the {@link HostedFields} instance.
- * @returns {void}
+ * @param {fontOptions[]} [options.fonts] {@link module:braintree-web/hosted-fields~fontOptions Fonts} loaded in each field. A {@link HostedFields#event:fontsReady|fontsReady} event is emitted once they have loaded.
+ * @param {callback} [callback] The second argument, `data`, is the {@link HostedFields} instance.
+ * @returns {Promise|void} Returns a promise that resolves with the {@link HostedFields} instance if no callback is provided.
  * @example
  * braintree.hostedFields.create({
  *   client: clientInstance,
@@ -85,6 +138,17 @@ var VERSION = process.env.npm_package_version;
  *     },
  *     '.valid': {
  *       'color': 'green'
+ *     },
+ *     ':focus': {
+ *       'color': 'black'
+ *     },
+ *     '::placeholder': {
+ *       'color': '#999'
+ *     },
+ *     '@media screen and (max-width: 700px)': {
+ *       'input': {
+ *         'font-size': '14pt'
+ *       }
  *     }
  *   },
  *   fields: {
@@ -101,27 +165,55 @@ var VERSION = process.env.npm_package_version;
  *     }
  *   }
  * }, callback);
+ * @example <caption>Requiring a 5-digit postal code and rejecting a BIN range</caption>
+ * braintree.hostedFields.create({
+ *   client: clientInstance,
+ *   fields: {
+ *     number: {
+ *       selector: '#card-number',
+ *       rules: {
+ *         excludedPrefixes: ['411111']
+ *       }
+ *     },
+ *     postalCode: {
+ *       selector: '#postal-code',
+ *       rules: {
+ *         pattern: '^\\d{5}$'
+ *       }
+ *     }
+ *   }
+ * }, callback);
+ * @example <caption>Using a web font</caption>
+ * braintree.hostedFields.create({
+ *   client: clientInstance,
+ *   fonts: [{
+ *     family: 'Brand Sans',
+ *     src: 'https://use.typekit.net/af/abc123/brand-sans.woff2'
+ *   }],
+ *   styles: {
+ *     'input': {
+ *       'font-family': '"Brand Sans", sans-serif'
+ *     }
+ *   },
+ *   fields: {
+ *     number: {
+ *       selector: '#card-number'
+ *     }
+ *   }
+ * }, callback);
  */
-function create(options, callback) {
-  var integration;
-
-  throwIfNoCallback(callback, 'create');
-
-  try {
-    integration = new HostedFields(options);
-  } catch (err) {
-    callback = deferred(callback);
-    callback(err);
-    return;
-  }
+function create(options) {
+  return new Promise(function (resolve) {
+    var integration = new HostedFields(options);
 
-  integration.on('ready', function () {
-    callback(null, integration);
+    integration.on('ready', function () {
+      resolve(integration);
+    });
   });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
@@ -0,0 +1,82 @@
+'use strict';
+
+var assign = require('../../lib/assign').assign;
+var getCardTypes = require('credit-card-type');
+var invalidReasons = require('../shared/constants').invalidReasons;
+
+var checks = {
+  minLength: function (value, minLength) {
+    return value.length < minLength ? failure(true, invalidReasons.RULE_MIN_LENGTH) : null;
+  },
+  maxLength: function (value, maxLength) {
+    return value.length > maxLength ? failure(false, invalidReasons.RULE_MAX_LENGTH) : null;
+  },
+  pattern: function (value, pattern) {
+    return new RegExp(pattern).test(value) ? null : failure(true, invalidReasons.RULE_PATTERN);
+  },
+  excludedPrefixes: function (value, excludedPrefixes) {
+    return hasPrefix(value, excludedPrefixes) ? failure(false, invalidReasons.RULE_EXCLUDED_PREFIX) : null;
+  },
+  allowedCardTypes: function (value, allowedCardTypes) {
+    if (value.length === 0 || hasAllowedCardType(value, allowedCardTypes)) {
+      return null;
+    }
+
+    return failure(false, invalidReasons.CARD_TYPE_NOT_SUPPORTED);
+  }
+};
+
+function failure(isPotentiallyValid, invalidReason) {
+  return {
+    isPotentiallyValid: isPotentiallyValid,
+    invalidReason: invalidReason
+  };
+}
+
+function hasPrefix(value, prefixes) {
+  return prefixes.some(function (prefix) {
+    return value.indexOf(prefix) === 0;
+  });
+}
+
+function hasAllowedCardType(value, allowedCardTypes) {
+  return getCardTypes(value).some(function (cardType) {
+    return allowedCardTypes.indexOf(cardType.type) !== -1;
+  });
+}
+
+module.exports = function applyValidationRules(fieldKey, value, validationResult, rules) {
+  var result;
+
+  if (!rules) { return validationResult; }
+
+  // A field that is valid while empty is optional, so its rules only
+  // apply once something has been entered
+  if (value === '' && validationResult.isValid) { return validationResult; }
+
+  if (fieldKey === 'number') {
+    value = value.replace(/[-\s]/g, '');
+  }
+
+  result = assign({}, validationResult);
+
+  Object.keys(checks).forEach(function (rule) {
+    var ruleFailure;
+
+    if (!rules.hasOwnProperty(rule)) { return; }
+
+    ruleFailure = checks[rule](value, rules[rule]);
+
+    if (!ruleFailure) { return; }
+
+    // Only report the rule as the reason when it is what made the field invalid
+    if (result.isValid || result.isPotentiallyValid && !ruleFailure.isPotentiallyValid) {
+      result.invalidReason = ruleFailure.invalidReason;
+    }
+
+    result.isValid = false;
+    result.isPotentiallyValid = result.isPotentiallyValid && ruleFailure.isPotentiallyValid;
+  });
+
+  return result;
+};
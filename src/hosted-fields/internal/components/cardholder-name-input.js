@@ -0,0 +1,14 @@
+'use strict';
+
+var TextInput = require('./text-input').TextInput;
+
+function CardholderNameInput() {
+  TextInput.apply(this, arguments);
+}
+
+CardholderNameInput.prototype = Object.create(TextInput.prototype);
+CardholderNameInput.prototype.constructor = CardholderNameInput;
+
+module.exports = {
+  CardholderNameInput: CardholderNameInput
+};
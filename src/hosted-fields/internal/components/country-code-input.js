@@ -0,0 +1,20 @@
+'use strict';
+
+var BaseInput = require('./base-input').BaseInput;
+var defaultMaxLengths = require('../../shared/constants').defaultMaxLengths;
+
+function CountryCodeInput() {
+  this.maxLength = defaultMaxLengths.countryCode;
+
+  BaseInput.apply(this, arguments);
+
+  this.formatter.setPattern('{{AA}}');
+  this.element.setAttribute('type', this.getConfiguration().type || 'text');
+}
+
+CountryCodeInput.prototype = Object.create(BaseInput.prototype);
+CountryCodeInput.prototype.constructor = CountryCodeInput;
+
+module.exports = {
+  CountryCodeInput: CountryCodeInput
+};
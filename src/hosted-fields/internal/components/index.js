@@ -1,10 +1,18 @@
 'use strict';
 
+var TextInput = require('./text-input').TextInput;
+
 module.exports = {
   number: require('./credit-card-input').CreditCardInput,
   expirationDate: require('./expiration-date-input').ExpirationDateInput,
   expirationMonth: require('./expiration-month-input').ExpirationMonthInput,
   expirationYear: require('./expiration-year-input').ExpirationYearInput,
   cvv: require('./cvv-input').CVVInput,
-  postalCode: require('./postal-code-input').PostalCodeInput
+  postalCode: require('./postal-code-input').PostalCodeInput,
+  cardholderName: require('./cardholder-name-input').CardholderNameInput,
+  streetAddress: TextInput,
+  extendedAddress: TextInput,
+  locality: TextInput,
+  region: TextInput,
+  countryCode: require('./country-code-input').CountryCodeInput
 };
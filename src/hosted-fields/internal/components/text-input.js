@@ -0,0 +1,40 @@
+'use strict';
+
+var BaseInput = require('./base-input').BaseInput;
+var defaultMaxLengths = require('../../shared/constants').defaultMaxLengths;
+
+var PATTERN_CACHE = {};
+
+function _generatePattern(length) {
+  var i;
+  var pattern = '{{';
+
+  for (i = 0; i < length; i++) {
+    pattern += '*';
+  }
+
+  return pattern + '}}';
+}
+
+function _getPattern(length) {
+  if (!(length in PATTERN_CACHE)) {
+    PATTERN_CACHE[length] = _generatePattern(length);
+  }
+  return PATTERN_CACHE[length];
+}
+
+function TextInput(options) {
+  this.maxLength = defaultMaxLengths[options.type];
+
+  BaseInput.apply(this, arguments);
+
+  this.formatter.setPattern(_getPattern(this.maxLength));
+  this.element.setAttribute('type', this.getConfiguration().type || 'text');
+}
+
+TextInput.prototype = Object.create(BaseInput.prototype);
+TextInput.prototype.constructor = TextInput;
+
+module.exports = {
+  TextInput: TextInput
+};
@@ -2,6 +2,15 @@
 
 'use strict';
 
+var BILLING_ADDRESS_KEYS = {
+  postalCode: 'postal_code',
+  streetAddress: 'street_address',
+  extendedAddress: 'extended_address',
+  locality: 'locality',
+  region: 'region',
+  countryCode: 'country_code_alpha2'
+};
+
 module.exports = function (data) {
   var result = {};
 
@@ -13,6 +22,10 @@ module.exports = function (data) {
     result.cvv = data.cvv;
   }
 
+  if ('cardholderName' in data) {
+    result.cardholder_name = data.cardholderName;
+  }
+
   if ('expirationMonth' in data) {
     result.expiration_month = data.expirationMonth;
   }
@@ -25,10 +38,15 @@ module.exports = function (data) {
     }
   }
 
-  if ('postalCode' in data) {
-    result.billing_address = {
-      postal_code: data.postalCode
-    };
+  Object.keys(BILLING_ADDRESS_KEYS).forEach(function (key) {
+    if (!(key in data)) { return; }
+
+    result.billing_address = result.billing_address || {};
+    result.billing_address[BILLING_ADDRESS_KEYS[key]] = data[key];
+  });
+
+  if (result.billing_address && result.billing_address.country_code_alpha2) {
+    result.billing_address.country_code_alpha2 = result.billing_address.country_code_alpha2.toUpperCase();
   }
 
   return result;
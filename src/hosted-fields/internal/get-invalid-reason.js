@@ -0,0 +1,25 @@
+'use strict';
+
+var invalidReasons = require('../shared/constants').invalidReasons;
+
+function isLuhnFailure(value, validationResult) {
+  var card = validationResult.card;
+
+  return Boolean(card) && card.lengths.indexOf(value.replace(/[-\s]/g, '').length) !== -1;
+}
+
+module.exports = function getInvalidReason(fieldKey, value, validationResult) {
+  if (validationResult.isValid) {
+    return null;
+  } else if (validationResult.invalidReason) {
+    return validationResult.invalidReason;
+  } else if (value.replace(/\s/g, '') === '') {
+    return invalidReasons.EMPTY;
+  } else if (fieldKey === 'number' && isLuhnFailure(value, validationResult)) {
+    return invalidReasons.LUHN_CHECK_FAILED;
+  } else if (validationResult.isPotentiallyValid) {
+    return invalidReasons.INCOMPLETE;
+  }
+
+  return invalidReasons.INVALID;
+};
@@ -6,6 +6,8 @@ var frameName = require('./get-frame-name');
 var assembleIFrames = require('./assemble-iframes');
 var Client = require('../../client/client');
 var injectWithWhitelist = require('inject-stylesheet').injectWithWhitelist;
+var normalizeStyles = require('./normalize-styles');
+var injectFonts = require('./inject-fonts');
 var CreditCardForm = require('./models/credit-card-form').CreditCardForm;
 var FieldComponent = require('./components/field-component').FieldComponent;
 var analytics = require('../../lib/analytics');
@@ -20,12 +22,22 @@ var formatCardRequestData = require('./format-card-request-data');
 var formatBraintreeApiCardResponse = require('./format-braintree-api-card-response');
 
 function initialize(cardForm) {
-  var fieldComponent;
+  var fieldComponent, stylesheet;
 
-  injectWithWhitelist(
-    cardForm.configuration.styles,
-    whitelistedStyles
-  );
+  injectFonts(cardForm.configuration.fonts).then(function () {
+    global.bus.emit(events.FONTS_READY, {
+      field: frameName.getFrameName()
+    });
+  });
+
+  stylesheet = injectStyles(cardForm.configuration.styles);
+
+  global.bus.on(events.SET_STYLES, function (styles) {
+    var newStylesheet = injectStyles(styles);
+
+    stylesheet.parentNode.removeChild(stylesheet);
+    stylesheet = newStylesheet;
+  });
 
   fieldComponent = new FieldComponent({
     cardForm: cardForm,
@@ -36,6 +48,13 @@ function initialize(cardForm) {
   shimPlaceholder();
 }
 
+function injectStyles(styles) {
+  return injectWithWhitelist(
+    normalizeStyles(styles),
+    whitelistedStyles
+  );
+}
+
 function shimPlaceholder() {
   var input;
 
@@ -52,7 +71,9 @@ function create() {
 
   global.bus = new Bus({channel: componentId});
 
-  global.bus.emit(events.FRAME_READY, orchestrate);
+  global.bus.emit(events.FRAME_READY, {
+    field: frameName.getFrameName()
+  }, orchestrate);
 }
 
 function createTokenizationHandler(client, cardForm) {
@@ -159,11 +180,19 @@ function createTokenizationHandler(client, cardForm) {
         if (clientApiResult.status === 403) {
           err = clientApiResult.err;
         } else if (clientApiResult.status < 500) {
-          err = new BraintreeError(errors.HOSTED_FIELDS_FAILED_TOKENIZATION);
-          err.details = {originalError: clientApiResult.err};
+          err = new BraintreeError({
+            type: errors.HOSTED_FIELDS_FAILED_TOKENIZATION.type,
+            code: errors.HOSTED_FIELDS_FAILED_TOKENIZATION.code,
+            message: errors.HOSTED_FIELDS_FAILED_TOKENIZATION.message,
+            details: {originalError: clientApiResult.err}
+          });
         } else {
-          err = new BraintreeError(errors.HOSTED_FIELDS_TOKENIZATION_NETWORK_ERROR);
-          err.details = {originalError: clientApiResult.err};
+          err = new BraintreeError({
+            type: errors.HOSTED_FIELDS_TOKENIZATION_NETWORK_ERROR.type,
+            code: errors.HOSTED_FIELDS_TOKENIZATION_NETWORK_ERROR.code,
+            message: errors.HOSTED_FIELDS_TOKENIZATION_NETWORK_ERROR.message,
+            details: {originalError: clientApiResult.err}
+          });
         }
 
         analytics.sendEvent(client, 'custom.hosted-fields.tokenization.failed');
@@ -213,6 +242,27 @@ function orchestrate(configuration) {
     tokenizationHandler(options, reply);
   });
 
+  global.bus.on(events.ADD_FIELD, function (data, reply) {
+    cardForm.addField(data.field, data.options);
+
+    assembleIFrames.assembleIFrames(window.parent).forEach(function (iframe) {
+      if (iframe.name === 'braintree-hosted-field-' + data.field) {
+        iframe.braintree.hostedFields.initialize(cardForm);
+      }
+    });
+
+    reply();
+  });
+
+  global.bus.on(events.REMOVE_FIELD, function (field) {
+    cardForm.removeField(field);
+  });
+
+  // Keep styles current for fields that are added later
+  global.bus.on(events.SET_STYLES, function (styles) {
+    cardForm.configuration.styles = styles;
+  });
+
   // Globalize cardForm is global so other components (UnionPay) can access it
   global.cardForm = cardForm;
 }
@@ -0,0 +1,53 @@
+'use strict';
+
+var Promise = require('../../lib/promise');
+var fontValidationMessage = require('../shared/font-validation-message');
+
+function isValidFont(font) {
+  return fontValidationMessage(font) == null;
+}
+
+function buildFontFace(font) {
+  var rule = '@font-face{' +
+    'font-family:"' + font.family + '";' +
+    'src:url("' + font.src + '");';
+
+  if (font.weight != null) {
+    rule += 'font-weight:' + font.weight + ';';
+  }
+  if (font.style != null) {
+    rule += 'font-style:' + font.style + ';';
+  }
+
+  return rule + '}';
+}
+
+function loadFont(font) {
+  var descriptor = [font.style, font.weight, '1em', '"' + font.family + '"'].filter(function (part) {
+    return part != null;
+  }).join(' ');
+
+  // A font that fails to load falls back to the next font in the
+  // merchant's font-family, so it should not block the ready event
+  return document.fonts.load(descriptor).then(null, function () {});
+}
+
+module.exports = function injectFonts(fonts) {
+  var styleElement;
+
+  fonts = (fonts || []).filter(isValidFont);
+
+  if (fonts.length === 0) {
+    return Promise.resolve();
+  }
+
+  styleElement = document.createElement('style');
+  styleElement.appendChild(document.createTextNode(fonts.map(buildFontFace).join('')));
+  document.querySelector('head').appendChild(styleElement);
+
+  if (!document.fonts || typeof document.fonts.load !== 'function') {
+    return Promise.resolve();
+  }
+
+  return Promise.all(fonts.map(loadFont));
+};
@@ -4,10 +4,20 @@ var EventedModel = require('./evented-model');
 var getCardTypes = require('credit-card-type');
 var validator = require('card-validator');
 var comparePossibleCardTypes = require('../compare-possible-card-types');
+var applyValidationRules = require('../apply-validation-rules');
+var getInvalidReason = require('../get-invalid-reason');
+var assign = require('../../../lib/assign').assign;
 var constants = require('../../shared/constants');
 var events = constants.events;
 var externalEvents = constants.externalEvents;
 var whitelistedFields = constants.whitelistedFields;
+var invalidReasons = constants.invalidReasons;
+var defaultMaxLengths = constants.defaultMaxLengths;
+var countryCodes = require('../country-codes');
+var TEXT_FIELDS = ['cardholderName'].concat(constants.billingAddressFields.filter(function (key) {
+  return key !== 'postalCode' && key !== 'countryCode';
+}));
+var OPTIONAL_FIELDS = ['extendedAddress'];
 
 function CreditCardForm(configuration) {
   this._fieldKeys = Object.keys(configuration.fields).filter(function (key) {
@@ -15,19 +25,12 @@ function CreditCardForm(configuration) {
   });
 
   this.configuration = configuration;
+  this._supportedCardBrands = getSupportedCardBrands(configuration);
+  this._fieldKeysWithListeners = [];
 
   EventedModel.apply(this, arguments);
 
-  this._fieldKeys.forEach(function (field) {
-    var onFieldChange = onFieldStateChange(this, field);
-
-    this.on('change:' + field + '.value', onFieldValueChange(this, field));
-    this.on('change:' + field + '.isFocused', onFieldFocusChange(this, field));
-    this.on('change:' + field + '.isEmpty', onEmptyChange(this, field));
-
-    this.on('change:' + field + '.isValid', onFieldChange);
-    this.on('change:' + field + '.isPotentiallyValid', onFieldChange);
-  }.bind(this));
+  this._fieldKeys.forEach(this._addFieldListeners.bind(this));
 
   this.on('change:number.value', this._onNumberChange);
   this.on('change:possibleCardTypes', function () { this._validateField('cvv'); }.bind(this));
@@ -38,41 +41,68 @@ CreditCardForm.prototype = Object.create(EventedModel.prototype);
 CreditCardForm.prototype.constructor = CreditCardForm;
 
 CreditCardForm.prototype.resetAttributes = function () {
-  var thisMonth = (new Date().getMonth() + 1).toString();
-  var thisYear = (new Date().getFullYear()).toString();
-
   return this._fieldKeys.reduce(function (result, field) {
-    var fieldConfiguration = this.configuration.fields[field];
-    var isSelect = fieldConfiguration.select != null;
-    var hasPlaceholder = fieldConfiguration.placeholder != null;
-
-    result[field] = {
-      value: '',
-      isFocused: false,
-      isValid: false,
-      isPotentiallyValid: true
-    };
+    result[field] = getInitialFieldAttributes(field, this.configuration.fields[field]);
 
-    if (isSelect && !hasPlaceholder) {
-      if (field === 'expirationMonth') {
-        result[field].value = thisMonth;
-      } else if (field === 'expirationYear') {
-        result[field].value = thisYear;
-      }
+    return result;
+  }.bind(this), {possibleCardTypes: getCardTypes('')});
+};
 
-      if (field === 'expirationMonth' || field === 'expirationYear') {
-        result[field].isValid = true;
-      }
-    }
+CreditCardForm.prototype._addFieldListeners = function (field) {
+  var onFieldChange = onFieldStateChange(this, field);
 
-    result[field].isEmpty = result[field].value === '';
+  // Listeners are kept when a field is removed, so a field that is
+  // added back must not subscribe twice
+  if (this._fieldKeysWithListeners.indexOf(field) !== -1) { return; }
+  this._fieldKeysWithListeners.push(field);
 
-    return result;
-  }.bind(this), {possibleCardTypes: getCardTypes('')});
+  this.on('change:' + field + '.value', onFieldValueChange(this, field));
+  this.on('change:' + field + '.isFocused', onFieldFocusChange(this, field));
+  this.on('change:' + field + '.isEmpty', onEmptyChange(this, field));
+
+  this.on('change:' + field + '.isValid', onFieldChange);
+  this.on('change:' + field + '.isPotentiallyValid', onFieldChange);
+};
+
+CreditCardForm.prototype.addField = function (field, fieldConfiguration) {
+  if (!whitelistedFields.hasOwnProperty(field) || this._fieldKeys.indexOf(field) !== -1) { return; }
+
+  this.configuration.fields[field] = fieldConfiguration || {};
+  this._fieldKeys.push(field);
+  this._attributes[field] = getInitialFieldAttributes(field, this.configuration.fields[field]);
+  this._addFieldListeners(field);
+
+  if (field === 'number') {
+    this._supportedCardBrands = getSupportedCardBrands(this.configuration);
+    this._revalidateCvv();
+  }
+};
+
+CreditCardForm.prototype.removeField = function (field) {
+  var index = this._fieldKeys.indexOf(field);
+
+  if (index === -1) { return; }
+
+  this._fieldKeys.splice(index, 1);
+  delete this.configuration.fields[field];
+  delete this._attributes[field];
+
+  if (field === 'number') {
+    this._supportedCardBrands = null;
+    this._attributes.possibleCardTypes = getCardTypes('');
+    this._revalidateCvv();
+  }
+};
+
+CreditCardForm.prototype._revalidateCvv = function () {
+  // The accepted CVV lengths depend on whether there is a number field
+  if (this._fieldKeys.indexOf('cvv') !== -1 && !this.get('cvv.isEmpty')) {
+    this._validateField('cvv');
+  }
 };
 
 CreditCardForm.prototype.emitEvent = function (fieldKey, eventType) {
-  var cards;
+  var cards, merchantPayload;
   var possibleCardTypes = this.get('possibleCardTypes');
   var fields = this._fieldKeys.reduce(function (result, key) {
     var fieldData = this.get(key);
@@ -81,7 +111,8 @@ CreditCardForm.prototype.emitEvent = function (fieldKey, eventType) {
       isEmpty: fieldData.isEmpty,
       isValid: fieldData.isValid,
       isPotentiallyValid: fieldData.isPotentiallyValid,
-      isFocused: fieldData.isFocused
+      isFocused: fieldData.isFocused,
+      invalidReason: fieldData.invalidReason
     };
     return result;
   }.bind(this), {});
@@ -94,16 +125,41 @@ CreditCardForm.prototype.emitEvent = function (fieldKey, eventType) {
     };
   });
 
+  merchantPayload = {
+    cards: cards,
+    emittedBy: fieldKey,
+    fields: fields
+  };
+
+  if (eventType === externalEvents.INPUT_CHANGE) {
+    merchantPayload.input = this._getInputProgress(fieldKey);
+  }
+
   global.bus.emit(events.INPUT_EVENT, {
-    merchantPayload: {
-      cards: cards,
-      emittedBy: fieldKey,
-      fields: fields
-    },
+    merchantPayload: merchantPayload,
     type: eventType
   });
 };
 
+CreditCardForm.prototype._getInputProgress = function (fieldKey) {
+  var possibleCardTypes;
+  var value = this.get(fieldKey + '.value');
+
+  if (fieldKey === 'number') {
+    // possibleCardTypes is updated after the value change handlers run
+    value = value.replace(/[-\s]/g, '');
+    possibleCardTypes = getCardTypes(value);
+  } else {
+    possibleCardTypes = this.get('possibleCardTypes');
+  }
+
+  return {
+    length: value.length,
+    isPotentiallyValid: this.get(fieldKey + '.isPotentiallyValid'),
+    cardType: possibleCardTypes.length === 1 ? possibleCardTypes[0].type : null
+  };
+};
+
 CreditCardForm.prototype._onSplitDateChange = function () {
   var validationResult;
 
@@ -114,17 +170,13 @@ CreditCardForm.prototype._onSplitDateChange = function () {
   var yearValidation = validator.expirationYear(year);
 
   if (monthValidation.isValid && yearValidation.isValid) {
-    validationResult = validator.expirationDate(month + year);
+    validationResult = withExpiredReason(validator.expirationDate(month + year), month, year);
 
-    this.set('expirationMonth.isValid', validationResult.isValid);
-    this.set('expirationMonth.isPotentiallyValid', validationResult.isPotentiallyValid);
-    this.set('expirationYear.isValid', validationResult.isValid);
-    this.set('expirationYear.isPotentiallyValid', validationResult.isPotentiallyValid);
+    this._setValidity('expirationMonth', validationResult);
+    this._setValidity('expirationYear', validationResult);
   } else {
-    this.set('expirationMonth.isValid', monthValidation.isValid);
-    this.set('expirationMonth.isPotentiallyValid', monthValidation.isPotentiallyValid);
-    this.set('expirationYear.isValid', yearValidation.isValid);
-    this.set('expirationYear.isPotentiallyValid', yearValidation.isPotentiallyValid);
+    this._setValidity('expirationMonth', monthValidation);
+    this._setValidity('expirationYear', withExpiredReason(yearValidation, null, year));
   }
 };
 
@@ -138,14 +190,19 @@ CreditCardForm.prototype._onNumberChange = function (number) {
 };
 
 CreditCardForm.prototype._validateField = function (fieldKey) {
-  var validationResult;
+  var validationResult, date;
   var value = this.get(fieldKey + '.value');
   var validate = validator[fieldKey];
 
   if (fieldKey === 'cvv') {
     validationResult = this._validateCvv(value);
+  } else if (TEXT_FIELDS.indexOf(fieldKey) !== -1) {
+    validationResult = validateText(value, defaultMaxLengths[fieldKey], OPTIONAL_FIELDS.indexOf(fieldKey) === -1);
+  } else if (fieldKey === 'countryCode') {
+    validationResult = validateCountryCode(value);
   } else if (fieldKey === 'expirationDate') {
-    validationResult = validate(splitDate(value));
+    date = splitDate(value);
+    validationResult = withExpiredReason(validate(date), date.month, date.year);
   } else {
     validationResult = validate(value);
   }
@@ -153,11 +210,45 @@ CreditCardForm.prototype._validateField = function (fieldKey) {
   if (fieldKey === 'expirationMonth' || fieldKey === 'expirationYear') {
     this._onSplitDateChange();
   } else {
-    this.set(fieldKey + '.isValid', validationResult.isValid);
-    this.set(fieldKey + '.isPotentiallyValid', validationResult.isPotentiallyValid);
+    this._setValidity(fieldKey, validationResult);
   }
 };
 
+CreditCardForm.prototype._setValidity = function (fieldKey, validationResult) {
+  var rules = this._getRules(fieldKey);
+  var value = this.get(fieldKey + '.value') || '';
+
+  validationResult = assign({}, validationResult, {
+    invalidReason: getInvalidReason(fieldKey, value, validationResult)
+  });
+  validationResult = applyValidationRules(fieldKey, value, validationResult, rules);
+
+  this.set(fieldKey + '.invalidReason', validationResult.invalidReason || null);
+  this.set(fieldKey + '.isValid', validationResult.isValid);
+  this.set(fieldKey + '.isPotentiallyValid', validationResult.isPotentiallyValid);
+};
+
+// supportedCardBrands is applied as an allowedCardTypes rule. When both
+// are passed, only the brands in both lists are accepted.
+CreditCardForm.prototype._getRules = function (fieldKey) {
+  var fieldConfiguration = this.configuration.fields[fieldKey];
+  var rules = fieldConfiguration && fieldConfiguration.rules;
+  var supportedCardBrands = this._supportedCardBrands;
+  var allowedCardTypes = supportedCardBrands;
+
+  if (fieldKey !== 'number' || !supportedCardBrands) {
+    return rules;
+  }
+
+  if (rules && rules.allowedCardTypes) {
+    allowedCardTypes = rules.allowedCardTypes.filter(function (cardType) {
+      return supportedCardBrands.indexOf(cardType) !== -1;
+    });
+  }
+
+  return assign({}, rules, {allowedCardTypes: allowedCardTypes});
+};
+
 function uniq(array) {
   return array.filter(function (item, position, arr) {
     return arr.indexOf(item) === position;
@@ -192,10 +283,16 @@ CreditCardForm.prototype.getCardData = function () {
     keys.push('cvv');
   }
 
-  if (this._fieldKeys.indexOf('postalCode') !== -1) {
-    keys.push('postalCode');
+  if (this._fieldKeys.indexOf('cardholderName') !== -1) {
+    keys.push('cardholderName');
   }
 
+  constants.billingAddressFields.forEach(function (key) {
+    if (this._fieldKeys.indexOf(key) !== -1) {
+      keys.push(key);
+    }
+  }.bind(this));
+
   if (this._fieldKeys.indexOf('expirationMonth') !== -1) {
     keys.push('expirationMonth');
   }
@@ -235,6 +332,7 @@ function onFieldValueChange(form, fieldKey) {
   return function () {
     form.set(fieldKey + '.isEmpty', form.get(fieldKey + '.value') === '');
     form._validateField(fieldKey);
+    form.emitEvent(fieldKey, externalEvents.INPUT_CHANGE);
   };
 }
 
@@ -269,6 +367,116 @@ function onFieldStateChange(form, field) {
   };
 }
 
+function getInitialFieldAttributes(field, fieldConfiguration) {
+  var thisMonth = (new Date().getMonth() + 1).toString();
+  var thisYear = (new Date().getFullYear()).toString();
+  var isSelect = fieldConfiguration.select != null;
+  var hasPlaceholder = fieldConfiguration.placeholder != null;
+  var attributes = {
+    value: '',
+    isFocused: false,
+    isValid: false,
+    isPotentiallyValid: true
+  };
+
+  if (isSelect && !hasPlaceholder) {
+    if (field === 'expirationMonth') {
+      attributes.value = thisMonth;
+    } else if (field === 'expirationYear') {
+      attributes.value = thisYear;
+    }
+
+    if (field === 'expirationMonth' || field === 'expirationYear') {
+      attributes.isValid = true;
+    }
+  }
+
+  if (OPTIONAL_FIELDS.indexOf(field) !== -1) {
+    attributes.isValid = true;
+  }
+
+  attributes.isEmpty = attributes.value === '';
+  // Matches the state of a field after it is cleared
+  attributes.invalidReason = attributes.isValid ? null : invalidReasons.EMPTY;
+
+  return attributes;
+}
+
+function getSupportedCardBrands(configuration) {
+  var creditCards, gatewayCardTypes;
+  var numberConfiguration = configuration.fields.number;
+  var supportedCardBrands = numberConfiguration && numberConfiguration.supportedCardBrands;
+
+  if (supportedCardBrands instanceof Array) {
+    return supportedCardBrands;
+  } else if (supportedCardBrands !== true || !configuration.client) {
+    return null;
+  }
+
+  creditCards = configuration.client.gatewayConfiguration && configuration.client.gatewayConfiguration.creditCards;
+  gatewayCardTypes = creditCards && creditCards.supportedCardTypes;
+
+  if (!gatewayCardTypes) {
+    return null;
+  }
+
+  return gatewayCardTypes.reduce(function (result, gatewayCardType) {
+    if (constants.gatewayCardTypeMap.hasOwnProperty(gatewayCardType)) {
+      result.push(constants.gatewayCardTypeMap[gatewayCardType]);
+    }
+
+    return result;
+  }, []);
+}
+
+function validateText(value, maxLength, isRequired) {
+  var isTooLong = value.length > maxLength;
+  var isBlank = value.replace(/\s/g, '').length === 0;
+
+  return {
+    isValid: !isTooLong && !(isRequired && isBlank),
+    isPotentiallyValid: !isTooLong
+  };
+}
+
+function validateCountryCode(value) {
+  var code = value.toUpperCase();
+
+  return {
+    isValid: countryCodes.indexOf(code) !== -1,
+    isPotentiallyValid: countryCodes.some(function (countryCode) {
+      return countryCode.indexOf(code) === 0;
+    })
+  };
+}
+
+function withExpiredReason(validationResult, month, year) {
+  if (validationResult.isValid || !isExpired(month, year)) {
+    return validationResult;
+  }
+
+  return assign({}, validationResult, {invalidReason: invalidReasons.EXPIRED});
+}
+
+function isExpired(month, year) {
+  var now = new Date();
+  var currentYear = now.getFullYear();
+
+  if (!/^(\d{2}|\d{4})$/.test(year)) {
+    return false;
+  }
+
+  year = Number(year.length === 2 ? String(currentYear).slice(0, 2) + year : year);
+
+  if (year !== currentYear || month == null) {
+    return year < currentYear;
+  }
+
+  month = Number(month);
+
+  return month >= 1 && month <= 12 && month < now.getMonth() + 1;
+}
+
 function splitDate(date) {
   var month, year, leadingDigit;
 
@@ -0,0 +1,75 @@
+'use strict';
+
+var PLACEHOLDER_SELECTOR = '::placeholder';
+var PLACEHOLDER_SELECTORS = [
+  PLACEHOLDER_SELECTOR,
+  '::-webkit-input-placeholder',
+  '::-moz-placeholder',
+  ':-ms-input-placeholder'
+];
+var MEDIA_QUERY_PATTERN = /^@media\s+[a-z0-9\s(),:.\/-]+$/i;
+var UNSAFE_MEDIA_QUERY_PATTERN = /url|expression|javascript|import/i;
+
+function isMediaQuery(selector) {
+  return /^@media\s+/i.test(selector);
+}
+
+function isSafeMediaQuery(selector) {
+  return MEDIA_QUERY_PATTERN.test(selector.trim()) && !UNSAFE_MEDIA_QUERY_PATTERN.test(selector);
+}
+
+function setIfMissing(result, selector, value) {
+  if (!result.hasOwnProperty(selector)) {
+    result[selector] = value;
+  }
+}
+
+// Browsers drop an entire rule when any selector in it is unknown,
+// so each vendor-prefixed placeholder selector gets its own rule.
+function addSelector(result, selector, value) {
+  if (selector.indexOf(PLACEHOLDER_SELECTOR) === -1) {
+    result[selector] = value;
+    return;
+  }
+
+  PLACEHOLDER_SELECTORS.forEach(function (placeholderSelector) {
+    setIfMissing(result, selector.split(PLACEHOLDER_SELECTOR).join(placeholderSelector), value);
+  });
+}
+
+function isStyleObject(value) {
+  return Boolean(value) && typeof value === 'object';
+}
+
+function expandSelectors(styles) {
+  return Object.keys(styles).reduce(function (result, selector) {
+    var value = styles[selector];
+
+    // Nested media queries are not supported
+    if (isStyleObject(value) && !isMediaQuery(selector)) {
+      addSelector(result, selector, value);
+    }
+
+    return result;
+  }, {});
+}
+
+module.exports = function normalizeStyles(styles) {
+  var result = {};
+
+  styles = styles || {};
+
+  Object.keys(styles).forEach(function (selector) {
+    var value = styles[selector];
+
+    if (!isStyleObject(value)) { return; }
+
+    if (!isMediaQuery(selector)) {
+      addSelector(result, selector, value);
+    } else if (isSafeMediaQuery(selector)) {
+      result[selector.trim()] = expandSelectors(value);
+    }
+  });
+
+  return result;
+};
@@ -13,7 +13,8 @@ var constants = {
     EMPTY: 'empty',
     NOT_EMPTY: 'notEmpty',
     VALIDITY_CHANGE: 'validityChange',
-    CARD_TYPE_CHANGE: 'cardTypeChange'
+    CARD_TYPE_CHANGE: 'cardTypeChange',
+    INPUT_CHANGE: 'inputChange'
   },
   defaultMaxLengths: {
     number: 19,
@@ -21,7 +22,13 @@ var constants = {
     expirationDate: 7,
     expirationMonth: 2,
     expirationYear: 4,
-    cvv: 3
+    cvv: 3,
+    cardholderName: 255,
+    streetAddress: 255,
+    extendedAddress: 255,
+    locality: 255,
+    region: 255,
+    countryCode: 2
   },
   externalClasses: {
     FOCUSED: 'braintree-hosted-fields-focused',
@@ -35,13 +42,21 @@ var constants = {
     'float': 'left'
   },
   whitelistedStyles: [
+    '-moz-appearance',
     '-moz-osx-font-smoothing',
     '-moz-tap-highlight-color',
     '-moz-transition',
+    '-webkit-appearance',
     '-webkit-font-smoothing',
     '-webkit-tap-highlight-color',
+    '-webkit-text-fill-color',
     '-webkit-transition',
+    'appearance',
+    'background-color',
+    'box-shadow',
+    'caret-color',
     'color',
+    'direction',
     'font',
     'font-family',
     'font-size',
@@ -59,9 +74,22 @@ var constants = {
     'line-height',
     'opacity',
     'outline',
+    'padding',
+    'padding-bottom',
+    'padding-left',
+    'padding-right',
+    'padding-top',
+    'text-align',
+    'text-decoration',
+    'text-indent',
     'text-shadow',
+    'text-transform',
     'transition'
   ],
+  whitelistedFontOrigins: [
+    'https://fonts.gstatic.com',
+    'https://use.typekit.net'
+  ],
   whitelistedFields: {
     number: {
       name: 'credit-card-number',
@@ -86,8 +114,57 @@ var constants = {
     postalCode: {
       name: 'postal-code',
       label: 'Postal Code'
+    },
+    cardholderName: {
+      name: 'cardholder-name',
+      label: 'Cardholder Name'
+    },
+    streetAddress: {
+      name: 'street-address',
+      label: 'Street Address'
+    },
+    extendedAddress: {
+      name: 'extended-address',
+      label: 'Extended Address'
+    },
+    locality: {
+      name: 'locality',
+      label: 'Locality'
+    },
+    region: {
+      name: 'region',
+      label: 'Region'
+    },
+    countryCode: {
+      name: 'country-code',
+      label: 'Country Code'
     }
   },
+  billingAddressFields: [
+    'postalCode',
+    'streetAddress',
+    'extendedAddress',
+    'locality',
+    'region',
+    'countryCode'
+  ],
+  gatewayCardTypeMap: {
+    Visa: 'visa',
+    MasterCard: 'master-card',
+    'American Express': 'american-express',
+    Discover: 'discover',
+    JCB: 'jcb',
+    Maestro: 'maestro',
+    UnionPay: 'unionpay',
+    'Diners Club': 'diners-club'
+  },
+  whitelistedRules: {
+    minLength: {type: 'number'},
+    maxLength: {type: 'number'},
+    pattern: {type: 'string'},
+    excludedPrefixes: {type: 'array'},
+    allowedCardTypes: {type: 'array', fields: ['number']}
+  },
   whitelistedAttributes: {
     'aria-invalid': 'boolean',
     'aria-required': 'boolean',
@@ -106,7 +183,24 @@ constants.events = enumerate([
   'ADD_CLASS',
   'REMOVE_CLASS',
   'SET_ATTRIBUTE',
-  'CLEAR_FIELD'
+  'CLEAR_FIELD',
+  'SET_STYLES',
+  'FONTS_READY',
+  'ADD_FIELD',
+  'REMOVE_FIELD'
 ], 'hosted-fields:');
 
+constants.invalidReasons = enumerate([
+  'EMPTY',
+  'INCOMPLETE',
+  'INVALID',
+  'LUHN_CHECK_FAILED',
+  'EXPIRED',
+  'CARD_TYPE_NOT_SUPPORTED',
+  'RULE_MIN_LENGTH',
+  'RULE_MAX_LENGTH',
+  'RULE_PATTERN',
+  'RULE_EXCLUDED_PREFIX'
+]);
+
 module.exports = constants;
@@ -25,6 +25,14 @@ module.exports = {
     type: BraintreeError.types.MERCHANT,
     code: 'HOSTED_FIELDS_FIELD_NOT_PRESENT'
   },
+  HOSTED_FIELDS_FIELD_ALREADY_PRESENT: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'HOSTED_FIELDS_FIELD_ALREADY_PRESENT'
+  },
+  HOSTED_FIELDS_FIELD_NOT_REMOVABLE: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'HOSTED_FIELDS_FIELD_NOT_REMOVABLE'
+  },
   HOSTED_FIELDS_TOKENIZATION_NETWORK_ERROR: {
     type: BraintreeError.types.NETWORK,
     code: 'HOSTED_FIELDS_TOKENIZATION_NETWORK_ERROR',
@@ -52,5 +60,17 @@ module.exports = {
   HOSTED_FIELDS_ATTRIBUTE_VALUE_NOT_ALLOWED: {
     type: BraintreeError.types.MERCHANT,
     code: 'HOSTED_FIELDS_ATTRIBUTE_VALUE_NOT_ALLOWED'
+  },
+  HOSTED_FIELDS_RULE_NOT_SUPPORTED: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'HOSTED_FIELDS_RULE_NOT_SUPPORTED'
+  },
+  HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED'
+  },
+  HOSTED_FIELDS_FONT_NOT_ALLOWED: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'HOSTED_FIELDS_FONT_NOT_ALLOWED'
   }
 };
@@ -0,0 +1,48 @@
+'use strict';
+
+var whitelistedFontOrigins = require('./constants').whitelistedFontOrigins;
+
+// Quotes, parentheses, backslashes and whitespace are not allowed so
+// that the source can be safely placed inside a CSS url() function.
+var FONT_SOURCE_PATTERN = /^(https:\/\/[^\/\s'"()\\?#]+)\/[^\s'"()\\]*$/i;
+var FONT_FAMILY_PATTERN = /^[a-z0-9 _-]+$/i;
+var FONT_WEIGHT_PATTERN = /^(normal|bold|[1-9]00)$/;
+var FONT_STYLE_PATTERN = /^(normal|italic|oblique)$/;
+
+function getOrigin(src) {
+  var match = typeof src === 'string' && src.match(FONT_SOURCE_PATTERN);
+
+  return match ? match[1].toLowerCase() : null;
+}
+
+function isValidOptional(value, pattern) {
+  return value == null || pattern.test(String(value));
+}
+
+module.exports = function fontValidationMessage(font) {
+  var origin;
+
+  if (font == null || typeof font !== 'object') {
+    return 'Fonts must be objects.';
+  }
+
+  if (typeof font.family !== 'string' || !FONT_FAMILY_PATTERN.test(font.family)) {
+    return 'Font family "' + font.family + '" is not allowed. Font families may only contain letters, numbers, spaces, hyphens, and underscores.';
+  }
+
+  origin = getOrigin(font.src);
+
+  if (whitelistedFontOrigins.indexOf(origin) === -1) {
+    return 'Font source "' + font.src + '" is not allowed. Font sources must be HTTPS URLs from one of the following origins: ' + whitelistedFontOrigins.join(', ') + '.';
+  }
+
+  if (!isValidOptional(font.weight, FONT_WEIGHT_PATTERN)) {
+    return 'Font weight "' + font.weight + '" is not allowed.';
+  }
+
+  if (!isValidOptional(font.style, FONT_STYLE_PATTERN)) {
+    return 'Font style "' + font.style + '" is not allowed.';
+  }
+
+  return null;
+};
@@ -1,6 +1,16 @@
 'use strict';
 
+var assign = require('./assign').assign;
 var enumerate = require('./enumerate');
+var parseGatewayErrors = require('./parse-gateway-errors');
+
+/**
+ * A field that failed validation on the Braintree gateway, found in the `details.fieldErrors` of a {@link BraintreeError}.
+ * @typedef {object} BraintreeError~fieldError
+ * @property {string} field The path to the field that failed validation, such as `creditCard.number` or `billingAddress.postalCode`.
+ * @property {string} code The gateway's error code for the failure.
+ * @property {string} message A description of the failure.
+ */
 
 /**
  * @class
@@ -10,6 +20,8 @@ var enumerate = require('./enumerate');
  * @description <strong>You cannot use this constructor directly. Interact with instances of this class through {@link callback callbacks}.</strong>
  */
 function BraintreeError(options) {
+  var fieldErrors;
+
   if (!BraintreeError.types.hasOwnProperty(options.type)) {
     throw new Error(options.type + ' is not a valid type.');
   }
@@ -44,9 +56,27 @@ function BraintreeError(options) {
 
   /**
    * @type {object=}
-   * @description Additional information about the error, such as an underlying network error response.
+   * @description Additional information about the error, such as an underlying network error response. When the gateway rejected a request because of invalid fields, `details.fieldErrors` is a list of {@link BraintreeError~fieldError|field errors}.
    */
   this.details = options.details;
+
+  if (this.details && !this.details.fieldErrors) {
+    fieldErrors = getFieldErrors(this.details.originalError);
+
+    // The caller's details object is copied rather than changed, since it
+    // can be shared between errors.
+    if (fieldErrors.length > 0) {
+      this.details = assign({}, this.details, {fieldErrors: fieldErrors});
+    }
+  }
+}
+
+function getFieldErrors(originalError) {
+  if (originalError instanceof BraintreeError) {
+    return originalError.details && originalError.details.fieldErrors || [];
+  }
+
+  return parseGatewayErrors(originalError);
 }
 
 BraintreeError.prototype = Object.create(Error.prototype);
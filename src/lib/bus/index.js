@@ -20,11 +20,11 @@ function BraintreeBus(options) {
   this.merchantUrl = options.merchantUrl;
 
   this._isDestroyed = false;
-  this._isVerbose = false;
+  this._logger = options.logger;
 
   this._listeners = [];
 
-  this._log('new bus on channel ' + this.channel, [location.href]);
+  this._log('created on channel ' + this.channel, [location.href]);
 }
 
 BraintreeBus.prototype.on = function (eventName, originalHandler) {
@@ -34,17 +34,21 @@ BraintreeBus.prototype.on = function (eventName, originalHandler) {
 
   if (this._isDestroyed) { return; }
 
-  if (this.merchantUrl) {
+  namespacedEvent = this._namespaceEvent(eventName);
+
+  if (this.merchantUrl || this._logger) {
     handler = function () {
       /* eslint-disable no-invalid-this */
-      if (checkOrigin(this.origin, self.merchantUrl)) {
-        originalHandler.apply(this, arguments);
+      if (self.merchantUrl && !checkOrigin(this.origin, self.merchantUrl)) {
+        return;
       }
+
+      self._log('receive', [namespacedEvent].concat(Array.prototype.slice.call(arguments)));
+      originalHandler.apply(this, arguments);
       /* eslint-enable no-invalid-this */
     };
   }
 
-  namespacedEvent = this._namespaceEvent(eventName);
   args = Array.prototype.slice.call(arguments);
   args[0] = namespacedEvent;
   args[1] = handler;
@@ -88,7 +92,7 @@ BraintreeBus.prototype.off = function (eventName, originalHandler) {
 
   if (this._isDestroyed) { return; }
 
-  if (this.merchantUrl) {
+  if (this.merchantUrl || this._logger) {
     for (i = 0; i < this._listeners.length; i++) {
       listener = this._listeners[i];
 
@@ -119,8 +123,8 @@ BraintreeBus.prototype.teardown = function () {
 };
 
 BraintreeBus.prototype._log = function (functionName, args) {
-  if (this._isVerbose) {
-    console.log(functionName, args); // eslint-disable-line no-console
+  if (this._logger) {
+    this._logger.log('bus ' + functionName, args);
   }
 };
 
@@ -9,6 +9,7 @@ var uuid = require('../../uuid');
 var iFramer = require('iframer');
 var BraintreeError = require('../../braintree-error');
 var assign = require('../../assign').assign;
+var Logger = require('../../logger');
 
 var REQUIRED_CONFIG_KEYS = [
   'name',
@@ -47,8 +48,12 @@ function FrameService(options) {
     width: options.width
   };
   this._state = options.state;
+  this._logger = options.logger || new Logger(null, 'frame-service');
 
-  this._bus = new Bus({channel: this._serviceId});
+  this._bus = new Bus({
+    channel: this._serviceId,
+    logger: this._logger
+  });
   this._setBusEvents();
 }
 
@@ -79,6 +84,8 @@ FrameService.prototype._writeDispatchFrame = function () {
   });
 
   document.body.appendChild(this._dispatchFrame);
+
+  this._logger.log('frame created', {name: frameName});
 };
 
 FrameService.prototype._setBusEvents = function () {
@@ -128,12 +135,14 @@ FrameService.prototype.open = function (callback) {
   this._onCompleteCallback = callback;
   this._frame = popup.open(this._options);
   if (this.isFrameClosed()) {
+    this._logger.log('popup failed to open');
     this._cleanupFrame();
     if (callback) {
       callback(new BraintreeError(errors.FRAME_SERVICE_FRAME_OPEN_FAILED));
     }
     return;
   }
+  this._logger.log('popup opened', {name: this._options.name});
   this._pollForPopupClose();
 };
 
@@ -190,6 +199,7 @@ FrameService.prototype.createNoopHandler = function () {
 };
 
 FrameService.prototype.teardown = function () {
+  this._logger.log('torn down');
   this.close();
   this._dispatchFrame.parentNode.removeChild(this._dispatchFrame);
   this._dispatchFrame = null;
@@ -209,6 +219,7 @@ FrameService.prototype._cleanupFrame = function () {
 FrameService.prototype._pollForPopupClose = function () {
   this._popupInterval = setInterval(function () {
     if (this.isFrameClosed()) {
+      this._logger.log('popup closed');
       this._cleanupFrame();
       if (this._onCompleteCallback) {
         this._onCompleteCallback(new BraintreeError(errors.FRAME_SERVICE_FRAME_CLOSED));
@@ -0,0 +1,145 @@
+'use strict';
+
+var REDACTED = '[REDACTED]';
+var MAX_DEPTH = 6;
+
+// Compared against keys with underscores removed and lowercased, so that
+// both clientApi (camelCase) and braintreeApi (snake_case) fields match.
+var SENSITIVE_KEYS = [
+  'number',
+  'cvv',
+  'expirationdate',
+  'expirationmonth',
+  'expirationyear',
+  'accountnumber',
+  'routingnumber',
+  'authorization',
+  'authorizationfingerprint',
+  'tokenizationkey',
+  'clienttoken',
+  'accesstoken',
+  'paymentdata',
+  'encpaymentdata',
+  'encryptedpaymentdata',
+  'enckey',
+  'encryptedkey',
+  'password'
+];
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEYS.indexOf(key.replace(/_/g, '').toLowerCase()) !== -1;
+}
+
+function isPlainObject(value) {
+  var prototype;
+
+  if (!value || Object.prototype.toString.call(value) !== '[object Object]') {
+    return false;
+  }
+
+  prototype = Object.getPrototypeOf(value);
+
+  return prototype === Object.prototype || prototype === null;
+}
+
+function redact(value, depth) {
+  var result;
+
+  depth = depth || 0;
+
+  if (typeof value === 'function') {
+    return '[Function]';
+  }
+
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(function (item) {
+      return redact(item, depth + 1);
+    });
+  }
+
+  result = {};
+
+  Object.keys(value).forEach(function (key) {
+    if (isSensitiveKey(key) && value[key] != null) {
+      result[key] = REDACTED;
+    } else {
+      result[key] = redact(value[key], depth + 1);
+    }
+  });
+
+  return result;
+}
+
+function consoleLogger(entry) {
+  /* eslint-disable no-console */
+  if (typeof console === 'undefined' || typeof console.log !== 'function') {
+    return;
+  }
+
+  if (typeof entry.data === 'undefined') {
+    console.log('[braintree-web] ' + entry.namespace + ': ' + entry.message);
+  } else {
+    console.log('[braintree-web] ' + entry.namespace + ': ' + entry.message, entry.data);
+  }
+  /* eslint-enable no-console */
+}
+
+function Logger(write, namespace) {
+  this._write = write;
+  this._namespace = namespace;
+}
+
+Logger.prototype.isEnabled = function () {
+  return typeof this._write === 'function';
+};
+
+Logger.prototype.log = function (message, data) {
+  var entry;
+
+  if (!this.isEnabled()) {
+    return;
+  }
+
+  entry = {
+    namespace: this._namespace,
+    message: message,
+    timestamp: Date.now()
+  };
+
+  if (typeof data !== 'undefined') {
+    entry.data = redact(data);
+  }
+
+  try {
+    this._write(entry);
+  } catch (err) {
+    // a broken logger should never interrupt a checkout
+  }
+};
+
+Logger.prototype.forNamespace = function (namespace) {
+  return new Logger(this._write, namespace);
+};
+
+Logger.fromClient = function (client, namespace) {
+  var clientLogger = client && client._logger;
+
+  if (clientLogger instanceof Logger) {
+    return clientLogger.forNamespace(namespace);
+  }
+
+  return new Logger(null, namespace);
+};
+
+Logger.consoleLogger = consoleLogger;
+Logger.redact = redact;
+
+module.exports = Logger;
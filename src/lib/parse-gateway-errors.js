@@ -0,0 +1,59 @@
+'use strict';
+
+function snakeCaseToCamelCase(str) {
+  return str.replace(/_([a-z])/g, function (match, letter) {
+    return letter.toUpperCase();
+  });
+}
+
+// clientApi nests field errors by object, e.g.
+// {fieldErrors: [{field: 'creditCard', fieldErrors: [{field: 'number', code: '81716', message: '...'}]}]}
+function parseClientApiFieldErrors(fieldErrors, path, result) {
+  fieldErrors.forEach(function (fieldError) {
+    var fieldPath = path.concat(fieldError.field);
+
+    if (fieldError.code) {
+      result.push({
+        field: fieldPath.join('.'),
+        code: fieldError.code,
+        message: fieldError.message
+      });
+    }
+
+    if (Array.isArray(fieldError.fieldErrors)) {
+      parseClientApiFieldErrors(fieldError.fieldErrors, fieldPath, result);
+    }
+  });
+}
+
+// braintreeApi lists errors with a JSON pointer to the snake_cased field, e.g.
+// {error: {details: [{at: '/routing_number', code: 'invalid', developer_message: '...'}]}}
+function parseBraintreeApiErrorDetails(details, result) {
+  details.forEach(function (detail) {
+    var field = (detail.at || '').replace(/^\//, '').split('/').map(snakeCaseToCamelCase).join('.');
+
+    result.push({
+      field: field,
+      code: detail.code,
+      message: detail.developer_message || detail.user_message
+    });
+  });
+}
+
+function parseGatewayErrors(body) {
+  var result = [];
+
+  if (!body || typeof body !== 'object') {
+    return result;
+  }
+
+  if (Array.isArray(body.fieldErrors)) {
+    parseClientApiFieldErrors(body.fieldErrors, [], result);
+  } else if (body.error && Array.isArray(body.error.details)) {
+    parseBraintreeApiErrorDetails(body.error.details, result);
+  }
+
+  return result;
+}
+
+module.exports = parseGatewayErrors;
@@ -0,0 +1,43 @@
+'use strict';
+
+function RequestTracker(client) {
+  this._client = client;
+  this._requests = [];
+}
+
+RequestTracker.prototype.request = function (options, callback) {
+  var request;
+  var isComplete = false;
+  var self = this;
+
+  request = this._client.request(options, function () {
+    isComplete = true;
+    self._remove(request);
+
+    callback.apply(null, arguments);
+  });
+
+  if (!isComplete && request) {
+    this._requests.push(request);
+  }
+};
+
+RequestTracker.prototype.abortAll = function () {
+  var requests = this._requests;
+
+  this._requests = [];
+
+  requests.forEach(function (request) {
+    request.abort();
+  });
+};
+
+RequestTracker.prototype._remove = function (request) {
+  var index = this._requests.indexOf(request);
+
+  if (index !== -1) {
+    this._requests.splice(index, 1);
+  }
+};
+
+module.exports = RequestTracker;
@@ -3,6 +3,7 @@
 var analytics = require('../lib/analytics');
 var Promise = require('../lib/promise');
 var wrapPromise = require('../lib/wrap-promise');
+var Logger = require('../lib/logger');
 var BraintreeError = require('../lib/braintree-error');
 var convertToBraintreeError = require('../lib/convert-to-braintree-error');
 var errors = require('./errors');
@@ -60,6 +61,7 @@ var constants = require('../paypal/shared/constants');
  */
 function PayPalCheckout(options) {
   this._client = options.client;
+  this._logger = Logger.fromClient(options.client, 'paypal-checkout');
 }
 
 /**
@@ -155,6 +157,7 @@ PayPalCheckout.prototype.createPayment = wrapPromise(function (options) {
     endpoint = 'paypal_hermes/' + constants.FLOW_ENDPOINTS[options.flow];
 
     analytics.sendEvent(client, 'paypal-checkout.createPayment');
+    self._logger.log('createPayment', {flow: options.flow});
     if (options.offerCredit === true && options.flow === 'checkout') {
       analytics.sendEvent(client, 'paypal-checkout.credit.offered');
     }
@@ -167,6 +170,8 @@ PayPalCheckout.prototype.createPayment = wrapPromise(function (options) {
       var flowToken;
 
       if (err) {
+        self._logger.log('createPayment failed', {error: err});
+
         if (status === 422) {
           throw new BraintreeError({
             type: errors.PAYPAL_INVALID_PAYMENT_OPTION.type,
@@ -190,6 +195,7 @@ PayPalCheckout.prototype.createPayment = wrapPromise(function (options) {
           flowToken = response.agreementSetup.tokenId;
         }
 
+        self._logger.log('payment created');
         resolve(flowToken);
       }
     });
@@ -239,6 +245,7 @@ PayPalCheckout.prototype.tokenizePayment = wrapPromise(function (tokenizeOptions
     };
 
     analytics.sendEvent(client, 'paypal-checkout.tokenization.started');
+    self._logger.log('tokenizePayment', {flow: options.flow});
 
     client.request({
       endpoint: 'payment_methods/paypal_accounts',
@@ -247,6 +254,7 @@ PayPalCheckout.prototype.tokenizePayment = wrapPromise(function (tokenizeOptions
     }, function (err, response) {
       if (err) {
         analytics.sendEvent(client, 'paypal-checkout.tokenization.failed');
+        self._logger.log('tokenizePayment failed', {error: err});
 
         throw convertToBraintreeError(err, {
           type: errors.PAYPAL_ACCOUNT_TOKENIZATION_FAILED.type,
@@ -257,6 +265,7 @@ PayPalCheckout.prototype.tokenizePayment = wrapPromise(function (tokenizeOptions
         payload = self._formatTokenizePayload(response);
 
         analytics.sendEvent(client, 'paypal-checkout.tokenization.success');
+        self._logger.log('tokenized');
         if (payload.creditFinancingOffered) {
           analytics.sendEvent(client, 'paypal-checkout.credit.accepted');
         }
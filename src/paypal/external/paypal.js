@@ -9,9 +9,12 @@ var VERSION = process.env.npm_package_version;
 var constants = require('../shared/constants');
 var INTEGRATION_TIMEOUT_MS = require('../../lib/constants').INTEGRATION_TIMEOUT_MS;
 var analytics = require('../../lib/analytics');
-var throwIfNoCallback = require('../../lib/throw-if-no-callback');
 var methods = require('../../lib/methods');
 var deferred = require('../../lib/deferred');
+var RequestTracker = require('../../lib/request-tracker');
+var Logger = require('../../lib/logger');
+var Promise = require('../../lib/promise');
+var wrapPromise = require('../../lib/wrap-promise');
 var errors = require('../shared/errors');
 var convertMethodsToError = require('../../lib/convert-methods-to-error');
 var querystring = require('../../lib/querystring');
@@ -74,6 +77,8 @@ var querystring = require('../../lib/querystring');
  */
 function PayPal(options) {
   this._client = options.client;
+  this._requests = new RequestTracker(options.client);
+  this._logger = Logger.fromClient(options.client, 'paypal');
   this._assetsUrl = options.client.getConfiguration().gatewayConfiguration.paypal.assetsUrl + '/web/' + VERSION;
   this._isDebug = options.client.getConfiguration().isDebug;
   this._loadingFrameUrl = this._assetsUrl + '/html/paypal-landing-frame' + useMin(this._isDebug) + '.html';
@@ -89,11 +94,13 @@ PayPal.prototype._initialize = function (callback) {
   frameService.create({
     name: constants.LANDING_FRAME_NAME,
     dispatchFrameUrl: this._assetsUrl + '/html/dispatch-frame' + useMin(this._isDebug) + '.html',
-    openFrameUrl: this._loadingFrameUrl
+    openFrameUrl: this._loadingFrameUrl,
+    logger: this._logger
   }, function (service) {
     this._frameService = service;
     clearTimeout(failureTimeout);
     analytics.sendEvent(client, 'paypal.load.succeeded');
+    this._logger.log('ready');
     callback();
   }.bind(this));
 };
@@ -159,7 +166,7 @@ PayPal.prototype._initialize = function (callback) {
  * @param {string} [options.landingPageType] Use this option to specify the PayPal page to display when a user lands on the PayPal site to complete the payment.
  * * `login` - A non-PayPal account landing page is used.
  * * `billing` - A PayPal account login page is used.
- * @param {callback} callback The second argument, <code>data</code>, is a {@link PayPal~tokenizePayload|tokenizePayload}.
+ * @param {callback} [callback] The second argument, <code>data</code>, is a {@link PayPal~tokenizePayload|tokenizePayload}.
  * @example
  * button.addEventListener('click', function () {
  *   // Disable the button so that we don't attempt to open multiple popups.
@@ -194,18 +201,37 @@ PayPal.prototype._initialize = function (callback) {
  *     }
  *   });
  * });
- * @returns {PayPal~tokenizeReturn} A handle to manage the PayPal checkout frame.
+ * @example <caption>Using a promise</caption>
+ * paypalInstance.tokenize({
+ *   flow: 'vault'
+ * }).then(function (payload) {
+ *   // Submit payload.nonce to your server
+ * }).catch(function (tokenizeErr) {
+ *   // Handle tokenization errors or premature flow closure
+ * });
+ * @returns {PayPal~tokenizeReturn|Promise} A handle to manage the PayPal checkout frame. If no callback is provided, returns a promise that resolves with a {@link PayPal~tokenizePayload|tokenizePayload} instead.
  */
 PayPal.prototype.tokenize = function (options, callback) {
+  var tokenizePromise;
   var client = this._client;
 
-  throwIfNoCallback(callback, 'tokenize');
+  if (typeof callback !== 'function') {
+    tokenizePromise = new Promise(function (resolve, reject) {
+      callback = function (err, payload) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(payload);
+        }
+      };
+    });
+  }
 
   callback = once(deferred(callback));
 
   if (!options || !constants.FLOW_ENDPOINTS.hasOwnProperty(options.flow)) {
     callback(new BraintreeError(errors.PAYPAL_FLOW_OPTION_REQUIRED));
-    return this._frameService.createNoopHandler();
+    return tokenizePromise || this._frameService.createNoopHandler();
   }
 
   if (this._authorizationInProgress) {
@@ -214,6 +240,7 @@ PayPal.prototype.tokenize = function (options, callback) {
     callback(new BraintreeError(errors.PAYPAL_TOKENIZATION_REQUEST_ACTIVE));
   } else {
     this._authorizationInProgress = true;
+    this._logger.log('tokenize', {flow: options.flow});
 
     if (!global.popupBridge) {
       analytics.sendEvent(client, 'paypal.tokenization.opened');
@@ -228,7 +255,7 @@ PayPal.prototype.tokenize = function (options, callback) {
     this._frameService.open(this._createFrameServiceCallback(options, callback));
   }
 
-  return this._frameService.createHandler({
+  return tokenizePromise || this._frameService.createHandler({
     beforeClose: function () {
       analytics.sendEvent(client, 'paypal.tokenization.closed.by-merchant');
     }
@@ -259,6 +286,8 @@ PayPal.prototype._createFrameServiceCallback = function (options, callback) {
     this._authorizationInProgress = false;
 
     if (err) {
+      this._logger.log('tokenize failed', {error: err});
+
       if (err.code === 'FRAME_SERVICE_FRAME_CLOSED') {
         analytics.sendEvent(client, 'paypal.tokenization.closed.by-user');
         callback(new BraintreeError(errors.PAYPAL_POPUP_CLOSED));
@@ -279,7 +308,7 @@ PayPal.prototype._tokenizePayPal = function (options, params, callback) {
     this._frameService.redirect(this._loadingFrameUrl);
   }
 
-  client.request({
+  this._requests.request({
     endpoint: 'payment_methods/paypal_accounts',
     method: 'post',
     data: this._formatTokenizeData(options, params)
@@ -290,6 +319,7 @@ PayPal.prototype._tokenizePayPal = function (options, params, callback) {
       } else {
         analytics.sendEvent(client, 'paypal.tokenization.failed');
       }
+      this._logger.log('tokenize failed', {error: err});
       callback(convertToBraintreeError(err, {
         type: errors.PAYPAL_ACCOUNT_TOKENIZATION_FAILED.type,
         code: errors.PAYPAL_ACCOUNT_TOKENIZATION_FAILED.code,
@@ -308,6 +338,7 @@ PayPal.prototype._tokenizePayPal = function (options, params, callback) {
         analytics.sendEvent(client, 'paypal.credit.accepted');
       }
 
+      this._logger.log('tokenized');
       callback(null, payload);
     }
     this._frameService.close();
@@ -371,7 +402,7 @@ PayPal.prototype._navigateFrameToAuth = function (options, callback) {
   var client = this._client;
   var endpoint = 'paypal_hermes/' + constants.FLOW_ENDPOINTS[options.flow];
 
-  client.request({
+  this._requests.request({
     endpoint: endpoint,
     method: 'post',
     data: this._formatPaymentResourceData(options)
@@ -379,6 +410,8 @@ PayPal.prototype._navigateFrameToAuth = function (options, callback) {
     var redirectUrl;
 
     if (err) {
+      this._logger.log('tokenize failed', {error: err});
+
       if (status === 422) {
         callback(new BraintreeError({
           type: errors.PAYPAL_INVALID_PAYMENT_OPTION.type,
@@ -467,19 +500,22 @@ PayPal.prototype._formatPaymentResourceData = function (options) {
  * Cleanly tear down anything set up by {@link module:braintree-web/paypal.create|create}.
  * @public
  * @param {callback} [callback] Called once teardown is complete. No data is returned if teardown completes successfully.
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves when the teardown is complete if no callback is provided.
  */
-PayPal.prototype.teardown = function (callback) {
-  this._frameService.teardown();
+PayPal.prototype.teardown = wrapPromise(function () {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  convertMethodsToError(this, methods(PayPal.prototype));
+  return new Promise(function (resolve) {
+    self._requests.abortAll();
+    self._frameService.teardown();
 
-  analytics.sendEvent(this._client, 'paypal.teardown-completed');
+    convertMethodsToError(self, methods(PayPal.prototype));
 
-  if (typeof callback === 'function') {
-    callback = deferred(callback);
-    callback();
-  }
-};
+    analytics.sendEvent(self._client, 'paypal.teardown-completed');
+    self._logger.log('torn down');
+
+    resolve();
+  });
+});
 
 module.exports = PayPal;
@@ -4,19 +4,19 @@
 var analytics = require('../lib/analytics');
 var BraintreeError = require('../lib/braintree-error');
 var browserDetection = require('../lib/browser-detection');
-var deferred = require('../lib/deferred');
 var errors = require('./shared/errors');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
 var PayPal = require('./external/paypal');
 var sharedErrors = require('../lib/errors');
 var VERSION = process.env.npm_package_version;
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 
 /**
  * @static
  * @function create
  * @param {object} options Creation options:
  * @param {Client} options.client A {@link Client} instance.
- * @param {callback} callback The second argument, `data`, is the {@link PayPal} instance.
+ * @param {callback} [callback] The second argument, `data`, is the {@link PayPal} instance.
  * @example
  * braintree.paypal.create({
  *   client: clientInstance
@@ -29,56 +29,50 @@ var VERSION = process.env.npm_package_version;
  *     }
  *   }
  * });
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves with the {@link PayPal} instance if no callback is provided.
  */
-function create(options, callback) {
-  var config, pp, clientVersion;
+function create(options) {
+  return new Promise(function (resolve) {
+    var config, pp, clientVersion;
 
-  throwIfNoCallback(callback, 'create');
+    if (options.client == null) {
+      throw new BraintreeError({
+        type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
+        code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
+        message: 'options.client is required when instantiating PayPal.'
+      });
+    }
 
-  callback = deferred(callback);
+    config = options.client.getConfiguration();
+    clientVersion = config.analyticsMetadata.sdkVersion;
 
-  if (options.client == null) {
-    callback(new BraintreeError({
-      type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
-      code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
-      message: 'options.client is required when instantiating PayPal.'
-    }));
-    return;
-  }
+    if (clientVersion !== VERSION) {
+      throw new BraintreeError({
+        type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
+        code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
+        message: 'Client (version ' + clientVersion + ') and PayPal (version ' + VERSION + ') components must be from the same SDK version.'
+      });
+    }
 
-  config = options.client.getConfiguration();
-  clientVersion = config.analyticsMetadata.sdkVersion;
+    if (config.gatewayConfiguration.paypalEnabled !== true) {
+      throw new BraintreeError(errors.PAYPAL_NOT_ENABLED);
+    }
 
-  if (clientVersion !== VERSION) {
-    callback(new BraintreeError({
-      type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
-      code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
-      message: 'Client (version ' + clientVersion + ') and PayPal (version ' + VERSION + ') components must be from the same SDK version.'
-    }));
-    return;
-  }
+    if (!global.popupBridge && !browserDetection.supportsPopups()) {
+      throw new BraintreeError(errors.PAYPAL_BROWSER_NOT_SUPPORTED);
+    }
 
-  if (config.gatewayConfiguration.paypalEnabled !== true) {
-    callback(new BraintreeError(errors.PAYPAL_NOT_ENABLED));
-    return;
-  }
+    analytics.sendEvent(options.client, 'paypal.initialized');
 
-  if (!global.popupBridge && !browserDetection.supportsPopups()) {
-    callback(new BraintreeError(errors.PAYPAL_BROWSER_NOT_SUPPORTED));
-    return;
-  }
-
-  analytics.sendEvent(options.client, 'paypal.initialized');
-
-  pp = new PayPal(options);
-  pp._initialize(function () {
-    callback(null, pp);
+    pp = new PayPal(options);
+    pp._initialize(function () {
+      resolve(pp);
+    });
   });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
@@ -0,0 +1,166 @@
+'use strict';
+
+var assign = require('../../lib/assign').assign;
+
+var ESCAPE_KEY_CODE = 27;
+var DEFAULT_THEME = {
+  overlayColor: 'rgba(0, 0, 0, 0.6)',
+  backgroundColor: '#ffffff',
+  borderRadius: '4px',
+  closeButtonColor: '#333333',
+  maxWidth: '500px',
+  maxHeight: '600px',
+  zIndex: 9999
+};
+
+function applyStyles(element, styles) {
+  var property;
+
+  for (property in styles) {
+    if (styles.hasOwnProperty(property)) {
+      element.style[property] = styles[property];
+    }
+  }
+}
+
+function isEscapeKey(event) {
+  return event.key === 'Escape' || event.key === 'Esc' || event.keyCode === ESCAPE_KEY_CODE;
+}
+
+function createFocusGuard() {
+  var guard = document.createElement('div');
+
+  guard.setAttribute('tabindex', '0');
+  guard.setAttribute('aria-hidden', 'true');
+
+  return guard;
+}
+
+/**
+ * @private
+ * @class
+ * @param {object} options Modal options passed to {@link ThreeDSecure#verifyCard|verifyCard}.
+ * @param {function} onCancel Called when the customer presses Escape or the close button.
+ * @description Presents the bank frame in an accessible overlay.
+ */
+function ChallengeModal(options, onCancel) {
+  this._options = options;
+  this._theme = assign({}, DEFAULT_THEME, options.theme);
+  this._onCancel = onCancel;
+  this._handleKeydown = this._handleKeydown.bind(this);
+}
+
+ChallengeModal.prototype.open = function (iframe) {
+  var theme = this._theme;
+  var dialog = document.createElement('div');
+  var closeButton = document.createElement('button');
+  var startGuard = createFocusGuard();
+  var endGuard = createFocusGuard();
+
+  this._previousActiveElement = document.activeElement;
+  this._previousBodyOverflow = document.body.style.overflow;
+
+  this._container = document.createElement('div');
+  applyStyles(this._container, {
+    position: 'fixed',
+    top: '0',
+    right: '0',
+    bottom: '0',
+    left: '0',
+    zIndex: String(theme.zIndex),
+    background: theme.overlayColor
+  });
+
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-label', this._options.ariaLabel || 'Verify your card');
+  dialog.setAttribute('tabindex', '-1');
+  applyStyles(dialog, {
+    position: 'absolute',
+    top: '50%',
+    left: '50%',
+    width: '100%',
+    height: '100%',
+    maxWidth: theme.maxWidth,
+    maxHeight: theme.maxHeight,
+    transform: 'translate(-50%, -50%)',
+    msTransform: 'translate(-50%, -50%)',
+    WebkitTransform: 'translate(-50%, -50%)',
+    background: theme.backgroundColor,
+    borderRadius: theme.borderRadius,
+    overflow: 'hidden'
+  });
+
+  closeButton.type = 'button';
+  closeButton.innerHTML = '&times;';
+  closeButton.setAttribute('aria-label', this._options.closeButtonLabel || 'Cancel');
+  applyStyles(closeButton, {
+    position: 'absolute',
+    top: '4px',
+    right: '4px',
+    padding: '4px 8px',
+    border: '0',
+    background: 'transparent',
+    color: theme.closeButtonColor,
+    fontSize: '24px',
+    lineHeight: '1',
+    cursor: 'pointer'
+  });
+  closeButton.addEventListener('click', this._onCancel);
+
+  applyStyles(iframe, {
+    display: 'block',
+    width: '100%',
+    height: '100%',
+    border: '0'
+  });
+
+  // Keep focus inside the dialog by sending it back to the other
+  // end whenever it reaches one of the guards.
+  startGuard.addEventListener('focus', function () {
+    iframe.focus();
+  });
+  endGuard.addEventListener('focus', function () {
+    closeButton.focus();
+  });
+
+  dialog.appendChild(closeButton);
+  dialog.appendChild(iframe);
+  this._container.appendChild(startGuard);
+  this._container.appendChild(dialog);
+  this._container.appendChild(endGuard);
+
+  document.body.appendChild(this._container);
+  document.body.style.overflow = 'hidden';
+  document.addEventListener('keydown', this._handleKeydown, true);
+
+  dialog.focus();
+};
+
+ChallengeModal.prototype.close = function () {
+  if (!this._container) {
+    return;
+  }
+
+  document.removeEventListener('keydown', this._handleKeydown, true);
+  document.body.style.overflow = this._previousBodyOverflow;
+
+  if (this._container.parentNode) {
+    this._container.parentNode.removeChild(this._container);
+  }
+
+  this._container = null;
+
+  if (this._previousActiveElement && typeof this._previousActiveElement.focus === 'function') {
+    this._previousActiveElement.focus();
+  }
+};
+
+ChallengeModal.prototype._handleKeydown = function (event) {
+  if (isEscapeKey(event)) {
+    event.preventDefault();
+    this._onCancel();
+  }
+};
+
+module.exports = ChallengeModal;
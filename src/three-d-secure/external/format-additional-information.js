@@ -0,0 +1,159 @@
+'use strict';
+
+var BraintreeError = require('../../lib/braintree-error');
+var errors = require('../shared/errors');
+
+var FIELD_TYPES = {
+  billingGivenName: 'string',
+  billingSurname: 'string',
+  billingPhoneNumber: 'string',
+  billingAddress: 'address',
+  email: 'string',
+  mobilePhoneNumber: 'string',
+  workPhoneNumber: 'string',
+  shippingGivenName: 'string',
+  shippingSurname: 'string',
+  shippingPhone: 'string',
+  shippingMethod: 'string',
+  shippingAddress: 'address',
+  accountId: 'string',
+  accountAgeIndicator: 'string',
+  accountCreateDate: 'string',
+  accountChangeIndicator: 'string',
+  accountChangeDate: 'string',
+  accountPwdChangeIndicator: 'string',
+  accountPwdChangeDate: 'string',
+  shippingAddressUsageIndicator: 'string',
+  shippingAddressUsageDate: 'string',
+  transactionCountDay: 'count',
+  transactionCountYear: 'count',
+  addCardAttempts: 'count',
+  accountPurchases: 'count',
+  fraudActivity: 'string',
+  paymentAccountIndicator: 'string',
+  paymentAccountAge: 'string',
+  ipAddress: 'string',
+  orderDescription: 'string'
+};
+var ADDRESS_FIELDS = [
+  'streetAddress',
+  'extendedAddress',
+  'line3',
+  'locality',
+  'region',
+  'postalCode',
+  'countryCodeAlpha2'
+];
+var TYPE_DESCRIPTIONS = {
+  string: 'a string',
+  count: 'a non-negative integer',
+  address: 'an object'
+};
+
+function isEmpty(value) {
+  return value == null || value === '';
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalidField(name, description) {
+  return new BraintreeError({
+    type: errors.THREEDS_INVALID_ADDITIONAL_INFORMATION.type,
+    code: errors.THREEDS_INVALID_ADDITIONAL_INFORMATION.code,
+    message: name + ' must be ' + description + '.'
+  });
+}
+
+function unsupportedField(name) {
+  return new BraintreeError({
+    type: errors.THREEDS_INVALID_ADDITIONAL_INFORMATION.type,
+    code: errors.THREEDS_INVALID_ADDITIONAL_INFORMATION.code,
+    message: name + ' is not a supported field.'
+  });
+}
+
+function formatAddress(name, address) {
+  var result = {};
+  var hasFields = false;
+
+  Object.keys(address).forEach(function (field) {
+    var value = address[field];
+
+    if (ADDRESS_FIELDS.indexOf(field) === -1) {
+      throw unsupportedField(name + '.' + field);
+    }
+
+    if (isEmpty(value)) {
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      throw invalidField(name + '.' + field, TYPE_DESCRIPTIONS.string);
+    }
+
+    result[field] = value;
+    hasFields = true;
+  });
+
+  return hasFields ? result : null;
+}
+
+function formatValue(name, type, value) {
+  if (type === 'address') {
+    if (!isObject(value)) {
+      throw invalidField(name, TYPE_DESCRIPTIONS.address);
+    }
+
+    return formatAddress(name, value);
+  }
+
+  if (type === 'count') {
+    if (typeof value !== 'number' || value < 0 || Math.floor(value) !== value) {
+      throw invalidField(name, TYPE_DESCRIPTIONS.count);
+    }
+  } else if (typeof value !== 'string') {
+    throw invalidField(name, TYPE_DESCRIPTIONS.string);
+  }
+
+  return value;
+}
+
+// Validates the risk data passed to verifyCard. Fields the gateway does
+// not support are rejected and empty values are left out of the lookup;
+// the names of the fields that are sent are returned in `sent`.
+function formatAdditionalInformation(additionalInformation) {
+  var data = {};
+  var sent = [];
+
+  if (!isObject(additionalInformation)) {
+    throw invalidField('additionalInformation', 'an object');
+  }
+
+  Object.keys(additionalInformation).forEach(function (field) {
+    var value = additionalInformation[field];
+
+    if (!FIELD_TYPES.hasOwnProperty(field)) {
+      throw unsupportedField('additionalInformation.' + field);
+    }
+
+    if (isEmpty(value)) {
+      return;
+    }
+
+    value = formatValue('additionalInformation.' + field, FIELD_TYPES[field], value);
+
+    if (value != null) {
+      data[field] = value;
+      sent.push(field);
+    }
+  });
+
+  return {
+    data: data,
+    sent: sent
+  };
+}
+
+module.exports = formatAdditionalInformation;
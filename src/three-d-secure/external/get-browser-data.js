@@ -0,0 +1,21 @@
+'use strict';
+
+// Browser details required by 3D Secure 2 so the issuer can
+// assess risk without challenging the customer.
+function getBrowserData() {
+  var screen = window.screen || {};
+  var navigator = window.navigator || {};
+
+  return {
+    javaEnabled: typeof navigator.javaEnabled === 'function' ? navigator.javaEnabled() : false,
+    javascriptEnabled: true,
+    language: navigator.language || navigator.userLanguage,
+    colorDepth: screen.colorDepth,
+    screenHeight: screen.height,
+    screenWidth: screen.width,
+    timeZoneOffset: new Date().getTimezoneOffset(),
+    userAgent: navigator.userAgent
+  };
+}
+
+module.exports = getBrowserData;
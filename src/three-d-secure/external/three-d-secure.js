@@ -3,6 +3,8 @@
 var BraintreeError = require('../../lib/braintree-error');
 var analytics = require('../../lib/analytics');
 var methods = require('../../lib/methods');
+var assign = require('../../lib/assign').assign;
+var EventEmitter = require('../../lib/event-emitter');
 var convertMethodsToError = require('../../lib/convert-methods-to-error');
 var constants = require('../shared/constants');
 var useMin = require('../../lib/use-min');
@@ -10,8 +12,14 @@ var Bus = require('../../lib/bus');
 var uuid = require('../../lib/uuid');
 var deferred = require('../../lib/deferred');
 var errors = require('../shared/errors');
-var throwIfNoCallback = require('../../lib/throw-if-no-callback');
+var Promise = require('../../lib/promise');
+var RequestTracker = require('../../lib/request-tracker');
+var Logger = require('../../lib/logger');
+var wrapPromise = require('../../lib/wrap-promise');
 var events = require('../shared/events');
+var getBrowserData = require('./get-browser-data');
+var formatAdditionalInformation = require('./format-additional-information');
+var ChallengeModal = require('./challenge-modal');
 var VERSION = process.env.npm_package_version;
 var iFramer = require('iframer');
 
@@ -27,6 +35,87 @@ var IFRAME_WIDTH = 400;
  * @property {string} description A human-readable description.
  * @property {boolean} liabilityShiftPossible Indicates whether the card was eligible for 3D Secure.
  * @property {boolean} liabilityShifted Indicates whether the liability for fraud has been shifted away from the merchant.
+ * @property {ThreeDSecure~threeDSecureInfo} threeDSecureInfo The details of the 3D Secure verification, as returned by the gateway.
+ * @property {string[]} [sentAdditionalInformation] The names of the `additionalInformation` fields that were sent with the lookup. This lists what was sent, not what the issuer used. Only present when `additionalInformation` was passed to {@link ThreeDSecure#verifyCard|verifyCard}.
+ */
+
+/**
+ * @typedef {object} ThreeDSecure~threeDSecureInfo
+ * @description The details of a 3D Secure verification, included in every {@link ThreeDSecure~verifyPayload|verifyPayload}. Every field returned by the gateway is included; fields that do not apply to the verification may be missing or `null`.
+ * @property {boolean} liabilityShifted Indicates whether the liability for fraud has been shifted away from the merchant.
+ * @property {boolean} liabilityShiftPossible Indicates whether the card was eligible for 3D Secure.
+ * @property {string} status The result of the verification, ex: `authenticate_successful`, `authenticate_attempt_successful`, `authenticate_failed`, `lookup_not_enrolled`.
+ * @property {string} enrolled Whether the card is enrolled in 3D Secure: `Y` (yes), `N` (no), `U` (unavailable), or `B` (bypassed).
+ * @property {string} [cavv] The Cardholder Authentication Verification Value produced by the issuer.
+ * @property {string} [eciFlag] The Electronic Commerce Indicator for the authentication.
+ * @property {string} [xid] The transaction identifier for 3D Secure 1 verifications.
+ * @property {string} [dsTransactionId] The directory server transaction identifier for 3D Secure 2 verifications.
+ * @property {string} [threeDSecureVersion] The version of 3D Secure used for the verification, ex: `1.0.2`, `2.1.0`.
+ * @property {string} [paresStatus] The authentication status returned by the issuer: `Y`, `N`, `U`, or `A`.
+ */
+
+/**
+ * @typedef {object} ThreeDSecure~modalOptions
+ * @description Options for the built-in overlay used by {@link ThreeDSecure#verifyCard|verifyCard}. The bank frame fills the overlay's dialog, which fills the screen up to `theme.maxWidth` and `theme.maxHeight`.
+ * @property {string} [ariaLabel="Verify your card"] The accessible name of the dialog.
+ * @property {string} [closeButtonLabel="Cancel"] The accessible name of the close button.
+ * @property {object} [theme] Colors and sizes of the overlay.
+ * @property {string} [theme.overlayColor="rgba(0, 0, 0, 0.6)"] The color behind the dialog.
+ * @property {string} [theme.backgroundColor="#ffffff"] The background color of the dialog.
+ * @property {string} [theme.borderRadius="4px"] The border radius of the dialog.
+ * @property {string} [theme.closeButtonColor="#333333"] The color of the close button.
+ * @property {string} [theme.maxWidth="500px"] The largest width of the dialog.
+ * @property {string} [theme.maxHeight="600px"] The largest height of the dialog.
+ * @property {number} [theme.zIndex=9999] The z-index of the overlay.
+ */
+
+/**
+ * @typedef {object} ThreeDSecure~additionalInformation
+ * @description Additional risk data sent with the 3D Secure lookup. Issuers are more likely to approve a verification without a challenge when they receive it. An error is returned for fields that are not listed here. Empty values are not sent.
+ * @property {string} [billingGivenName] The first name associated with the billing address.
+ * @property {string} [billingSurname] The last name associated with the billing address.
+ * @property {string} [billingPhoneNumber] The phone number associated with the billing address. Only numbers; remove dashes, parentheses and other characters.
+ * @property {object} [billingAddress] The billing address of the customer.
+ * @property {string} [billingAddress.streetAddress] Line 1 of the billing address (eg. number, street, etc).
+ * @property {string} [billingAddress.extendedAddress] Line 2 of the billing address (eg. suite, apt #, etc.).
+ * @property {string} [billingAddress.line3] Line 3 of the billing address, if needed.
+ * @property {string} [billingAddress.locality] The locality (city) name associated with the billing address.
+ * @property {string} [billingAddress.region] The 2 letter code for US states, or an ISO-3166-2 country subdivision code of up to three letters.
+ * @property {string} [billingAddress.postalCode] The zip code or equivalent for countries that have them.
+ * @property {string} [billingAddress.countryCodeAlpha2] The 2 character country code.
+ * @property {string} [email] The email address of the customer.
+ * @property {string} [mobilePhoneNumber] The mobile phone number of the customer. Only numbers; remove dashes, parentheses and other characters.
+ * @property {string} [workPhoneNumber] The work phone number of the customer. Only numbers; remove dashes, parentheses and other characters.
+ * @property {string} [shippingGivenName] The first name associated with the shipping address.
+ * @property {string} [shippingSurname] The last name associated with the shipping address.
+ * @property {string} [shippingPhone] The phone number associated with the shipping address. Only numbers; remove dashes, parentheses and other characters.
+ * @property {string} [shippingMethod] The 2-digit code for the shipping method, ex: `01` for same day service.
+ * @property {object} [shippingAddress] The shipping address of the order.
+ * @property {string} [shippingAddress.streetAddress] Line 1 of the shipping address (eg. number, street, etc).
+ * @property {string} [shippingAddress.extendedAddress] Line 2 of the shipping address (eg. suite, apt #, etc.).
+ * @property {string} [shippingAddress.line3] Line 3 of the shipping address, if needed.
+ * @property {string} [shippingAddress.locality] The locality (city) name associated with the shipping address.
+ * @property {string} [shippingAddress.region] The 2 letter code for US states, or an ISO-3166-2 country subdivision code of up to three letters.
+ * @property {string} [shippingAddress.postalCode] The zip code or equivalent for countries that have them.
+ * @property {string} [shippingAddress.countryCodeAlpha2] The 2 character country code.
+ * @property {string} [accountId] An identifier for the customer's account with the merchant.
+ * @property {string} [accountAgeIndicator] The 2-digit code for how long the customer has had an account with the merchant, ex: `01` for no account (guest checkout).
+ * @property {string} [accountCreateDate] The date the customer's account was created, formatted as `YYYYMMDD`.
+ * @property {string} [accountChangeIndicator] The 2-digit code for how long ago the customer's account was last changed.
+ * @property {string} [accountChangeDate] The date the customer's account was last changed, formatted as `YYYYMMDD`.
+ * @property {string} [accountPwdChangeIndicator] The 2-digit code for how long ago the customer's password was last changed.
+ * @property {string} [accountPwdChangeDate] The date the customer's password was last changed, formatted as `YYYYMMDD`.
+ * @property {string} [shippingAddressUsageIndicator] The 2-digit code for when the shipping address was first used with the merchant.
+ * @property {string} [shippingAddressUsageDate] The date the shipping address was first used with the merchant, formatted as `YYYYMMDD`.
+ * @property {number} [transactionCountDay] The number of transactions for the customer's account in the last 24 hours.
+ * @property {number} [transactionCountYear] The number of transactions for the customer's account in the last year.
+ * @property {number} [addCardAttempts] The number of attempts to add a card to the customer's account in the last 24 hours.
+ * @property {number} [accountPurchases] The number of purchases with the customer's account in the last 6 months.
+ * @property {string} [fraudActivity] The 2-digit code for whether the merchant has seen suspicious activity on the customer's account.
+ * @property {string} [paymentAccountIndicator] The 2-digit code for how long the card has been stored with the customer's account.
+ * @property {string} [paymentAccountAge] The date the card was added to the customer's account, formatted as `YYYYMMDD`.
+ * @property {string} [ipAddress] The IP address of the customer.
+ * @property {string} [orderDescription] A brief description of the items purchased.
  */
 
 /**
@@ -36,12 +125,57 @@ var IFRAME_WIDTH = 400;
  * @classdesc This class represents a ThreeDSecure component produced by {@link module:braintree-web/three-d-secure.create|braintree.threeDSecure.create}. Instances of this class have a method for launching a 3D Secure authentication flow.
  */
 function ThreeDSecure(options) {
+  EventEmitter.call(this);
+
   this._options = options;
   this._assetsUrl = options.client.getConfiguration().gatewayConfiguration.assetsUrl;
   this._isDebug = options.client.getConfiguration().isDebug;
   this._client = options.client;
+  this._requests = new RequestTracker(options.client);
+  this._logger = Logger.fromClient(options.client, 'three-d-secure');
+  this._version = options.version || 1;
+  this._isDestroyed = false;
 }
 
+ThreeDSecure.prototype = Object.create(EventEmitter.prototype, {
+  constructor: ThreeDSecure
+});
+
+/**
+ * @name ThreeDSecure#on
+ * @function
+ * @param {string} event The name of the event to which you are subscribing.
+ * @param {function} handler A callback to handle the event.
+ * @description Subscribes a handler function to a named event. `event` should be {@link ThreeDSecure#event:lookupComplete|lookupComplete}, {@link ThreeDSecure#event:challengeDisplayed|challengeDisplayed}, or {@link ThreeDSecure#event:challengeLoaded|challengeLoaded}.
+ * @example
+ * <caption>Showing a loading indicator until the bank's page loads</caption>
+ * threeDSecure.on('challengeDisplayed', function () {
+ *   showLoadingIndicator();
+ * });
+ *
+ * threeDSecure.on('challengeLoaded', function () {
+ *   hideLoadingIndicator();
+ * });
+ * @returns {void}
+ */
+
+/**
+ * This event is emitted when the 3D Secure lookup completes.
+ * @event ThreeDSecure#lookupComplete
+ * @type {object}
+ * @property {boolean} challengeRequired Whether the customer must authenticate with their bank. If `false`, {@link ThreeDSecure#verifyCard|verifyCard} completes without displaying the bank frame.
+ */
+
+/**
+ * This event is emitted after the bank frame is passed to the `addFrame` callback of {@link ThreeDSecure#verifyCard|verifyCard}.
+ * @event ThreeDSecure#challengeDisplayed
+ */
+
+/**
+ * This event is emitted when the bank's authentication page has loaded in the bank frame.
+ * @event ThreeDSecure#challengeLoaded
+ */
+
 /**
  * @callback ThreeDSecure~addFrameCallback
  * @param {?BraintreeError} [err] `null` or `undefined` if there was no error.
@@ -62,10 +196,25 @@ function ThreeDSecure(options) {
  * @param {object} options Options for card verification.
  * @param {string} options.nonce A nonce referencing the card to be verified. For example, this can be a nonce that was returned by Hosted Fields.
  * @param {number} options.amount The amount of the transaction in the current merchant account's currency. For example, if you are running a transaction of $123.45 US dollars, `amount` would be 123.45.
- * @param {errback} options.addFrame This {@link ThreeDSecure~addFrameCallback|addFrameCallback} will be called when the bank frame needs to be added to your page.
- * @param {callback} options.removeFrame This {@link ThreeDSecure~removeFrameCallback|removeFrameCallback} will be called when the bank frame needs to be removed from your page.
- * @param {errback} callback The second argument, <code>data</code>, is a {@link ThreeDSecure~verifyPayload|verifyPayload}
- * @returns {void}
+ * @param {errback} [options.addFrame] This {@link ThreeDSecure~addFrameCallback|addFrameCallback} will be called when the bank frame needs to be added to your page. Required unless `modal` is used.
+ * @param {callback} [options.removeFrame] This {@link ThreeDSecure~removeFrameCallback|removeFrameCallback} will be called when the bank frame needs to be removed from your page. It is not called when the verification is cancelled with {@link ThreeDSecure#cancelVerifyCard|cancelVerifyCard}. Required unless `modal` is used.
+ * @param {(boolean|ThreeDSecure~modalOptions)} [options.modal] Pass `true` or a {@link ThreeDSecure~modalOptions|modalOptions} object to display the bank frame in a built-in overlay instead of calling `addFrame` and `removeFrame`. Pressing Escape or the close button calls {@link ThreeDSecure#cancelVerifyCard|cancelVerifyCard} and fails the verification with a `THREEDS_CANCELED` error.
+ * @param {object} [options.billingAddress] The billing address of the customer. Only sent when the instance was created with `version: 2`.
+ * @param {string} [options.billingAddress.givenName] The first name associated with the billing address.
+ * @param {string} [options.billingAddress.surname] The last name associated with the billing address.
+ * @param {string} [options.billingAddress.phoneNumber] The phone number associated with the billing address. Only numbers; remove dashes, parentheses and other characters.
+ * @param {string} [options.billingAddress.streetAddress] Line 1 of the billing address (eg. number, street, etc).
+ * @param {string} [options.billingAddress.extendedAddress] Line 2 of the billing address (eg. suite, apt #, etc.).
+ * @param {string} [options.billingAddress.locality] The locality (city) name associated with the billing address.
+ * @param {string} [options.billingAddress.region] The 2 letter code for US states, or an ISO-3166-2 country subdivision code of up to three letters.
+ * @param {string} [options.billingAddress.postalCode] The zip code or equivalent for countries that have them.
+ * @param {string} [options.billingAddress.countryCodeAlpha2] The 2 character country code.
+ * @param {string} [options.email] The email used for verification. Only sent when the instance was created with `version: 2`.
+ * @param {string} [options.mobilePhoneNumber] The mobile phone number used for verification. Only numbers; remove dashes, parentheses and other characters. Only sent when the instance was created with `version: 2`.
+ * @param {number} [options.challengeTimeout] The number of milliseconds the customer has to complete the bank's authentication after the bank frame is displayed. When it runs out, the bank frame is removed and the verification fails with a `THREEDS_CHALLENGE_TIMEOUT` error. By default, there is no time limit.
+ * @param {ThreeDSecure~additionalInformation} [options.additionalInformation] Additional risk data sent with the lookup. An error is returned if a field is not supported or has the wrong type. The fields that were sent are listed in the payload's `sentAdditionalInformation`.
+ * @param {errback} [callback] The second argument, <code>data</code>, is a {@link ThreeDSecure~verifyPayload|verifyPayload}
+ * @returns {Promise|void} Returns a promise that resolves with a {@link ThreeDSecure~verifyPayload|verifyPayload} if no callback is provided.
  * @example
  * <caption>Verifying an existing nonce with 3DS</caption>
  * var my3DSContainer;
@@ -100,75 +249,192 @@ function ThreeDSecure(options) {
  *     // Decide if you want to submit the nonce
  *   }
  * });
+ * @example
+ * <caption>Sending additional risk data with the lookup</caption>
+ * threeDSecure.verifyCard({
+ *   nonce: existingNonce,
+ *   amount: 123.45,
+ *   additionalInformation: {
+ *     shippingGivenName: 'Jill',
+ *     shippingSurname: 'Doe',
+ *     shippingAddress: {
+ *       streetAddress: '555 Smith St.',
+ *       locality: 'Oakland',
+ *       region: 'CA',
+ *       postalCode: '12345',
+ *       countryCodeAlpha2: 'US'
+ *     },
+ *     accountAgeIndicator: '03',
+ *     transactionCountDay: 1
+ *   },
+ *   addFrame: addFrame,
+ *   removeFrame: removeFrame
+ * }).then(function (payload) {
+ *   payload.sentAdditionalInformation; // ['shippingGivenName', 'shippingSurname', 'shippingAddress', 'accountAgeIndicator', 'transactionCountDay']
+ * });
+ * @example
+ * <caption>Displaying the bank frame in the built-in overlay</caption>
+ * threeDSecure.verifyCard({
+ *   nonce: existingNonce,
+ *   amount: 123.45,
+ *   modal: {
+ *     theme: {
+ *       overlayColor: 'rgba(20, 20, 40, 0.8)',
+ *       borderRadius: '8px'
+ *     }
+ *   }
+ * }).then(function (payload) {
+ *   submitNonceToServer(payload.nonce);
+ * }).catch(function (err) {
+ *   if (err.code === 'THREEDS_CANCELED') {
+ *     // The customer closed the overlay
+ *   }
+ * });
  */
-ThreeDSecure.prototype.verifyCard = function (options, callback) {
-  var url, addFrame, removeFrame, error, errorOption;
-
-  throwIfNoCallback(callback, 'verifyCard');
+ThreeDSecure.prototype.verifyCard = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
   options = options || {};
-  callback = deferred(callback);
-
-  if (this._verifyCardInProgress === true) {
-    error = errors.THREEDS_AUTHENTICATION_IN_PROGRESS;
-  } else if (!options.nonce) {
-    errorOption = 'a nonce';
-  } else if (!options.amount) {
-    errorOption = 'an amount';
-  } else if (typeof options.addFrame !== 'function') {
-    errorOption = 'an addFrame function';
-  } else if (typeof options.removeFrame !== 'function') {
-    errorOption = 'a removeFrame function';
-  }
 
-  if (errorOption) {
-    error = {
-      type: errors.THREEDS_MISSING_VERIFY_CARD_OPTION.type,
-      code: errors.THREEDS_MISSING_VERIFY_CARD_OPTION.code,
-      message: 'verifyCard options must include ' + errorOption + '.'
-    };
-  }
+  return new Promise(function (resolve, reject) {
+    var addFrame, removeFrame, error, errorOption, additionalInformation, frameCallbacks;
+    var useModal = Boolean(options.modal);
+    var verification = {isCanceled: false, reject: reject};
+
+    if (self._verifyCardInProgress === true) {
+      error = errors.THREEDS_AUTHENTICATION_IN_PROGRESS;
+    } else if (!options.nonce) {
+      errorOption = 'a nonce';
+    } else if (!options.amount) {
+      errorOption = 'an amount';
+    } else if (!useModal && typeof options.addFrame !== 'function') {
+      errorOption = 'an addFrame function';
+    } else if (!useModal && typeof options.removeFrame !== 'function') {
+      errorOption = 'a removeFrame function';
+    } else if (useModal && options.modal !== true && typeof options.modal !== 'object') {
+      error = {
+        type: errors.THREEDS_INVALID_VERIFY_CARD_OPTION.type,
+        code: errors.THREEDS_INVALID_VERIFY_CARD_OPTION.code,
+        message: 'verifyCard option modal must be true or an object.'
+      };
+    } else if (options.challengeTimeout != null && !(typeof options.challengeTimeout === 'number' && options.challengeTimeout > 0)) {
+      error = {
+        type: errors.THREEDS_INVALID_VERIFY_CARD_OPTION.type,
+        code: errors.THREEDS_INVALID_VERIFY_CARD_OPTION.code,
+        message: 'verifyCard option challengeTimeout must be a positive number.'
+      };
+    }
 
-  if (error) {
-    callback(new BraintreeError(error));
-    return;
-  }
+    if (errorOption) {
+      error = {
+        type: errors.THREEDS_MISSING_VERIFY_CARD_OPTION.type,
+        code: errors.THREEDS_MISSING_VERIFY_CARD_OPTION.code,
+        message: 'verifyCard options must include ' + errorOption + '.'
+      };
+    }
 
-  this._verifyCardInProgress = true;
+    if (error) {
+      throw new BraintreeError(error);
+    }
 
-  addFrame = deferred(options.addFrame);
-  removeFrame = deferred(options.removeFrame);
+    if (options.additionalInformation != null) {
+      additionalInformation = formatAdditionalInformation(options.additionalInformation);
+    }
 
-  url = 'payment_methods/' + options.nonce + '/three_d_secure/lookup';
+    self._verifyCardInProgress = true;
+    self._verification = verification;
+    self._lookupPaymentMethod = null;
+    self._logger.log('verifyCard', {amount: options.amount});
 
-  this._client.request({
-    endpoint: url,
-    method: 'post',
-    data: {amount: options.amount}
-  }, function (err, response) {
-    if (err) {
-      this._verifyCardInProgress = false;
-      callback(err);
-      return;
+    frameCallbacks = useModal ? self._createModalFrameCallbacks(options.modal) : options;
+
+    addFrame = function (err, iframe) {
+      verification.bus = self._bus;
+
+      // The instance may be torn down, or the verification cancelled,
+      // before the deferred frame is added.
+      deferred(function () {
+        if (self._isDestroyed || verification.isCanceled) {
+          return;
+        }
+
+        frameCallbacks.addFrame(err, iframe);
+        self._logger.log('challenge displayed');
+        self._emit('challengeDisplayed');
+      })();
+    };
+    removeFrame = deferred(frameCallbacks.removeFrame);
+
+    if (self._version === 2) {
+      self._prepareLookup(options.nonce, verification, function (err, deviceData) {
+        if (err) {
+          self._logger.log('prepare lookup failed', {error: err});
+          finish(err);
+          return;
+        }
+
+        lookup(self._formatLookupData(options, deviceData));
+      });
+    } else {
+      lookup({amount: options.amount});
     }
 
-    this._lookupPaymentMethod = response.paymentMethod;
-    this._verifyCardCallback = function () {
-      this._verifyCardInProgress = false;
+    function lookup(data) {
+      if (additionalInformation) {
+        data.additionalInformation = additionalInformation.data;
+      }
+
+      self._requests.request({
+        endpoint: 'payment_methods/' + options.nonce + '/three_d_secure/lookup',
+        method: 'post',
+        data: data
+      }, function (err, response) {
+        if (verification.isCanceled) {
+          self._logger.log('lookup dropped after cancel');
+          return;
+        }
+
+        if (err) {
+          self._logger.log('lookup failed', {error: err});
+          finish(err);
+          return;
+        }
+
+        self._lookupPaymentMethod = response.paymentMethod;
+        self._verifyCardCallback = finish;
+
+        self._handleLookupResponse({
+          lookupResponse: response,
+          addFrame: addFrame,
+          removeFrame: removeFrame,
+          challengeTimeout: options.challengeTimeout
+        });
+      });
+    }
 
-      callback.apply(null, arguments);
-    }.bind(this);
+    function finish(err, payload) {
+      self._verifyCardInProgress = false;
 
-    this._handleLookupResponse({
-      lookupResponse: response,
-      addFrame: addFrame,
-      removeFrame: removeFrame
-    });
-  }.bind(this));
-};
+      if (self._verification === verification) {
+        self._verification = null;
+      }
+
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      if (additionalInformation) {
+        payload.sentAdditionalInformation = additionalInformation.sent;
+      }
+
+      resolve(payload);
+    }
+  });
+});
 
 /**
- * Cancel the 3DS flow and return the verification payload if available.
+ * Cancel the 3DS flow and return the verification payload if available. A {@link ThreeDSecure#verifyCard|verifyCard} call that has not finished yet fails with a `THREEDS_CANCELED` error, whether or not `modal` is used. The built-in overlay is closed for you, but a bank frame passed to `addFrame` is not passed to `removeFrame`; remove it from your page yourself.
  * @public
  * @param {errback} callback The second argument is a {@link ThreeDSecure~verifyPayload|verifyPayload}. If there is no verifyPayload (the initial lookup did not complete), an error will be returned.
  * @returns {void}
@@ -187,8 +453,30 @@ ThreeDSecure.prototype.verifyCard = function (options, callback) {
  */
 ThreeDSecure.prototype.cancelVerifyCard = function (callback) {
   var error;
+  var verification = this._verification;
 
   this._verifyCardInProgress = false;
+  this._cancelPendingVerification();
+  this._clearChallengeTimeout();
+
+  if (verification) {
+    this._logger.log('verification canceled');
+
+    if (verification.bus) {
+      verification.bus.teardown();
+    }
+
+    if (this._modal) {
+      this._modal.close();
+      this._modal = null;
+    }
+
+    // This has to be in a setTimeout so it executes after the built-in
+    // overlay is closed.
+    deferred(function () {
+      verification.reject(new BraintreeError(errors.THREEDS_CANCELED));
+    })();
+  }
 
   if (typeof callback === 'function') {
     if (!this._lookupPaymentMethod) {
@@ -199,30 +487,225 @@ ThreeDSecure.prototype.cancelVerifyCard = function (callback) {
   }
 };
 
+// Stops a verification that has not finished its lookup yet, so that
+// its method frame is removed and its lookup response is ignored.
+ThreeDSecure.prototype._cancelPendingVerification = function () {
+  var verification = this._verification;
+
+  if (!verification) {
+    return;
+  }
+
+  verification.isCanceled = true;
+
+  if (verification.teardownMethodFrame) {
+    verification.teardownMethodFrame();
+  }
+
+  this._verification = null;
+};
+
+ThreeDSecure.prototype._createModalFrameCallbacks = function (modalOptions) {
+  var self = this;
+  var modal = new ChallengeModal(modalOptions === true ? {} : modalOptions, function () {
+    self.cancelVerifyCard();
+  });
+
+  return {
+    addFrame: function (err, iframe) {
+      self._modal = modal;
+      modal.open(iframe);
+    },
+    removeFrame: function () {
+      self._modal = null;
+      modal.close();
+    }
+  };
+};
+
+ThreeDSecure.prototype._formatLookupData = function (options, deviceData) {
+  var data = {
+    amount: options.amount,
+    threeDSecureVersion: '2',
+    browserData: getBrowserData(),
+    threeDSServerTransId: deviceData.threeDSServerTransId,
+    threeDSMethodCompletionIndicator: deviceData.threeDSMethodCompletionIndicator
+  };
+
+  if (options.billingAddress) {
+    data.billingAddress = options.billingAddress;
+  }
+  if (options.email) {
+    data.email = options.email;
+  }
+  if (options.mobilePhoneNumber) {
+    data.mobilePhoneNumber = options.mobilePhoneNumber;
+  }
+
+  return data;
+};
+
+// Starts a 3DS2 transaction and, when the issuer provides a method URL,
+// lets it fingerprint the device in a hidden frame before the lookup.
+// Nothing is called back once `verification` has been canceled.
+ThreeDSecure.prototype._prepareLookup = function (nonce, verification, callback) {
+  var self = this;
+
+  this._requests.request({
+    endpoint: 'payment_methods/' + nonce + '/three_d_secure/prepare_lookup',
+    method: 'post',
+    data: {threeDSecureVersion: '2'}
+  }, function (err, response) {
+    if (verification.isCanceled) {
+      return;
+    }
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (!response.methodUrl) {
+      self._logger.log('device data collection skipped');
+      callback(null, {
+        threeDSServerTransId: response.threeDSServerTransId,
+        threeDSMethodCompletionIndicator: 'U'
+      });
+      return;
+    }
+
+    verification.teardownMethodFrame = self._runMethodFrame(response, function (completed) {
+      callback(null, {
+        threeDSServerTransId: response.threeDSServerTransId,
+        threeDSMethodCompletionIndicator: completed ? 'Y' : 'N'
+      });
+    });
+  });
+};
+
+// Returns a function that removes the frame without calling `callback`.
+ThreeDSecure.prototype._runMethodFrame = function (prepareResponse, callback) {
+  var methodCompleteBaseUrl, methodTimeout, iframe;
+  var self = this;
+  var bus = new Bus({
+    channel: uuid(),
+    merchantUrl: location.href,
+    logger: this._logger
+  });
+
+  methodCompleteBaseUrl = this._assetsUrl + '/web/' + VERSION + '/html/three-d-secure-method-complete-frame.html?channel=' + encodeURIComponent(bus.channel) + '&';
+
+  bus.on(Bus.events.CONFIGURATION_REQUEST, function (reply) {
+    reply({
+      methodUrl: prepareResponse.methodUrl,
+      threeDSServerTransId: prepareResponse.threeDSServerTransId,
+      methodNotificationUrl: prepareResponse.methodNotificationUrl + '&three_d_secure_version=' + VERSION + '&method_complete_base_url=' + encodeURIComponent(methodCompleteBaseUrl)
+    });
+  });
+
+  bus.on(events.METHOD_COMPLETE, function () {
+    finish(true);
+  });
+
+  // The issuer has 10 seconds to respond before the lookup
+  // continues without the device data.
+  methodTimeout = setTimeout(function () {
+    finish(false);
+  }, constants.METHOD_TIMEOUT);
+
+  iframe = iFramer({
+    src: this._assetsUrl + '/web/' + VERSION + '/html/three-d-secure-method-frame' + useMin(this._isDebug) + '.html',
+    name: constants.METHOD_FRAME_NAME + '_' + bus.channel,
+    height: 0,
+    width: 0,
+    style: {
+      position: 'absolute',
+      left: '-9999px'
+    }
+  });
+
+  document.body.appendChild(iframe);
+
+  this._logger.log('frame created', {name: iframe.name});
+
+  function teardownFrame() {
+    clearTimeout(methodTimeout);
+    bus.teardown();
+
+    if (iframe.parentNode) {
+      iframe.parentNode.removeChild(iframe);
+    }
+  }
+
+  function finish(completed) {
+    teardownFrame();
+    self._logger.log('device data collection complete', {completed: completed});
+    callback(completed);
+  }
+
+  return teardownFrame;
+};
+
 ThreeDSecure.prototype._handleLookupResponse = function (options) {
+  var payload;
   var lookupResponse = options.lookupResponse;
 
   if (lookupResponse.lookup && lookupResponse.lookup.acsUrl && lookupResponse.lookup.acsUrl.length > 0) {
+    this._logger.log('lookup complete', {challengeRequired: true});
+    this._emit('lookupComplete', {challengeRequired: true});
     options.addFrame(null, this._createIframe({
       response: lookupResponse.lookup,
       removeFrame: options.removeFrame
     }));
+
+    if (options.challengeTimeout) {
+      this._startChallengeTimeout(options);
+    }
   } else {
-    this._verifyCardCallback(null, {
-      nonce: lookupResponse.paymentMethod.nonce,
-      verificationDetails: lookupResponse.threeDSecureInfo
-    });
+    this._logger.log('lookup complete', {challengeRequired: false});
+    this._emit('lookupComplete', {challengeRequired: false});
+    payload = this._formatAuthResponse(lookupResponse.paymentMethod, lookupResponse.threeDSecureInfo);
+    // Frictionless payloads used to include the gateway's threeDSecureInfo as
+    // verificationDetails; it is kept for integrations that still read it.
+    payload.verificationDetails = lookupResponse.threeDSecureInfo;
+
+    this._verifyCardCallback(null, payload);
   }
 };
 
+ThreeDSecure.prototype._startChallengeTimeout = function (options) {
+  var self = this;
+
+  this._challengeTimeout = setTimeout(function () {
+    self._challengeTimeout = null;
+    self._logger.log('challenge timed out', {challengeTimeout: options.challengeTimeout});
+    self._bus.teardown();
+
+    options.removeFrame();
+
+    // This also has to be in a setTimeout so it executes after the `removeFrame`.
+    deferred(function () {
+      self._verifyCardCallback(new BraintreeError(errors.THREEDS_CHALLENGE_TIMEOUT));
+    })();
+  }, options.challengeTimeout);
+};
+
+ThreeDSecure.prototype._clearChallengeTimeout = function () {
+  clearTimeout(this._challengeTimeout);
+  this._challengeTimeout = null;
+};
+
 ThreeDSecure.prototype._createIframe = function (options) {
   var url, authenticationCompleteBaseUrl;
+  var self = this;
+  var loadCount = 0;
   var parentURL = window.location.href;
   var response = options.response;
 
   this._bus = new Bus({
     channel: uuid(),
-    merchantUrl: location.href
+    merchantUrl: location.href,
+    logger: this._logger
   });
 
   authenticationCompleteBaseUrl = this._assetsUrl + '/web/' + VERSION + '/html/three-d-secure-authentication-complete-frame.html?channel=' + encodeURIComponent(this._bus.channel) + '&';
@@ -254,12 +737,27 @@ ThreeDSecure.prototype._createIframe = function (options) {
     name: constants.LANDING_FRAME_NAME + '_' + this._bus.channel
   });
 
+  // The first load is the bank frame itself, which posts to the
+  // ACS. The next one is the bank's authentication page.
+  this._bankIframe.addEventListener('load', function () {
+    loadCount++;
+
+    if (loadCount === 2) {
+      self._logger.log('challenge loaded');
+      self._emit('challengeLoaded');
+    }
+  });
+
+  this._logger.log('frame created', {name: this._bankIframe.name});
+
   return this._bankIframe;
 };
 
 ThreeDSecure.prototype._handleAuthResponse = function (data, options) {
   var authResponse = JSON.parse(data.auth_response);
 
+  this._clearChallengeTimeout();
+  this._logger.log('authentication complete', {success: Boolean(authResponse.success)});
   this._bus.teardown();
 
   options.removeFrame();
@@ -281,12 +779,15 @@ ThreeDSecure.prototype._handleAuthResponse = function (data, options) {
 };
 
 ThreeDSecure.prototype._formatAuthResponse = function (paymentMethod, threeDSecureInfo) {
+  threeDSecureInfo = assign({}, threeDSecureInfo);
+
   return {
     nonce: paymentMethod.nonce,
     details: paymentMethod.details,
     description: paymentMethod.description,
     liabilityShifted: threeDSecureInfo.liabilityShifted,
-    liabilityShiftPossible: threeDSecureInfo.liabilityShiftPossible
+    liabilityShiftPossible: threeDSecureInfo.liabilityShiftPossible,
+    threeDSecureInfo: threeDSecureInfo
   };
 };
 
@@ -294,31 +795,43 @@ ThreeDSecure.prototype._formatAuthResponse = function (paymentMethod, threeDSecu
  * Cleanly tear down anything set up by {@link module:braintree-web/three-d-secure.create|create}
  * @public
  * @param {errback} [callback] Called once teardown is complete. No data is returned if teardown completes successfully.
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves when the teardown is complete if no callback is provided.
  */
-ThreeDSecure.prototype.teardown = function (callback) {
-  var iframeParent;
+ThreeDSecure.prototype.teardown = wrapPromise(function () {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  convertMethodsToError(this, methods(ThreeDSecure.prototype));
+  return new Promise(function (resolve) {
+    var iframeParent;
 
-  analytics.sendEvent(this._options.client, 'threedsecure.teardown-completed');
+    self._isDestroyed = true;
+    self._requests.abortAll();
+    self._cancelPendingVerification();
+    self._clearChallengeTimeout();
 
-  if (this._bus) {
-    this._bus.teardown();
-  }
+    if (self._modal) {
+      self._modal.close();
+      self._modal = null;
+    }
+
+    convertMethodsToError(self, methods(ThreeDSecure.prototype).concat(methods(EventEmitter.prototype)));
 
-  if (this._bankIframe) {
-    iframeParent = this._bankIframe.parentNode;
+    analytics.sendEvent(self._options.client, 'threedsecure.teardown-completed');
+    self._logger.log('torn down');
 
-    if (iframeParent) {
-      iframeParent.removeChild(this._bankIframe);
+    if (self._bus) {
+      self._bus.teardown();
     }
-  }
 
-  if (typeof callback === 'function') {
-    callback = deferred(callback);
-    callback();
-  }
-};
+    if (self._bankIframe) {
+      iframeParent = self._bankIframe.parentNode;
+
+      if (iframeParent) {
+        iframeParent.removeChild(self._bankIframe);
+      }
+    }
+
+    resolve();
+  });
+});
 
 module.exports = ThreeDSecure;
@@ -5,78 +5,76 @@ var ThreeDSecure = require('./external/three-d-secure');
 var browserDetection = require('../lib/browser-detection');
 var BraintreeError = require('../lib/braintree-error');
 var analytics = require('../lib/analytics');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
-var deferred = require('../lib/deferred');
 var errors = require('./shared/errors');
 var sharedErrors = require('../lib/errors');
 var VERSION = process.env.npm_package_version;
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 
 /**
  * @static
  * @function create
  * @param {object} options Creation options:
  * @param {Client} options.client A {@link Client} instance.
- * @param {callback} callback The second argument, `data`, is the {@link ThreeDSecure} instance.
- * @returns {void}
+ * @param {number} [options.version=1] The version of 3D Secure to use. Pass `2` to collect browser and device data for 3D Secure 2, which lets issuers approve the verification without a challenge. If a challenge is required, the 3D Secure 1 bank frame is used.
+ * @param {callback} [callback] The second argument, `data`, is the {@link ThreeDSecure} instance.
+ * @returns {Promise|void} Returns a promise that resolves with the {@link ThreeDSecure} instance if no callback is provided.
  * @example
  * braintree.threeDSecure.create({
  *   client: client
  * }, callback);
+ * @example
+ * <caption>Creating a 3D Secure 2 component</caption>
+ * braintree.threeDSecure.create({
+ *   client: client,
+ *   version: 2
+ * }, callback);
  */
-function create(options, callback) {
-  var config, threeDSecure, error, clientVersion, isProduction;
-
-  throwIfNoCallback(callback, 'create');
-
-  callback = deferred(callback);
-
-  if (options.client == null) {
-    callback(new BraintreeError({
-      type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
-      code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
-      message: 'options.client is required when instantiating 3D Secure.'
-    }));
-    return;
-  }
+function create(options) {
+  return new Promise(function (resolve) {
+    var config, error, clientVersion, isProduction;
 
-  config = options.client.getConfiguration();
-  clientVersion = config.analyticsMetadata.sdkVersion;
+    if (options.client == null) {
+      throw new BraintreeError({
+        type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
+        code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
+        message: 'options.client is required when instantiating 3D Secure.'
+      });
+    }
 
-  if (!config.gatewayConfiguration.threeDSecureEnabled) {
-    error = errors.THREEDS_NOT_ENABLED;
-  } else if (config.analyticsMetadata.sdkVersion !== VERSION) {
-    error = {
-      type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
-      code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
-      message: 'Client (version ' + clientVersion + ') and 3D Secure (version ' + VERSION + ') components must be from the same SDK version.'
-    };
-  }
+    config = options.client.getConfiguration();
+    clientVersion = config.analyticsMetadata.sdkVersion;
 
-  isProduction = config.gatewayConfiguration.environment === 'production';
+    if (options.version != null && options.version !== 1 && options.version !== 2) {
+      error = errors.THREEDS_UNSUPPORTED_VERSION;
+    } else if (!config.gatewayConfiguration.threeDSecureEnabled) {
+      error = errors.THREEDS_NOT_ENABLED;
+    } else if (config.analyticsMetadata.sdkVersion !== VERSION) {
+      error = {
+        type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
+        code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
+        message: 'Client (version ' + clientVersion + ') and 3D Secure (version ' + VERSION + ') components must be from the same SDK version.'
+      };
+    }
 
-  if (isProduction && !browserDetection.isHTTPS()) {
-    error = errors.THREEDS_HTTPS_REQUIRED;
-  }
+    isProduction = config.gatewayConfiguration.environment === 'production';
 
-  if (error) {
-    callback(new BraintreeError(error));
-    return;
-  }
+    if (isProduction && !browserDetection.isHTTPS()) {
+      error = errors.THREEDS_HTTPS_REQUIRED;
+    }
 
-  analytics.sendEvent(options.client, 'threedsecure.initialized');
+    if (error) {
+      throw new BraintreeError(error);
+    }
 
-  try {
-    threeDSecure = new ThreeDSecure(options);
-  } catch (err) {
-    callback(err);
-    return;
-  }
+    analytics.sendEvent(options.client, 'threedsecure.initialized');
 
-  callback(null, threeDSecure);
+    resolve(new ThreeDSecure(options));
+  });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
@@ -2,5 +2,7 @@
 
 module.exports = {
   initializeBankFrame: require('./bank-frame'),
-  initializeAuthenticationCompleteFrame: require('./authentication-complete-frame')
+  initializeAuthenticationCompleteFrame: require('./authentication-complete-frame'),
+  initializeMethodFrame: require('./method-frame'),
+  initializeMethodCompleteFrame: require('./method-complete-frame')
 };
@@ -0,0 +1,12 @@
+'use strict';
+
+var querystring = require('../../lib/querystring');
+var Bus = require('../../lib/bus');
+var events = require('../shared/events');
+
+module.exports = function (currentURL) {
+  var params = querystring.parse(currentURL);
+  var bus = new Bus({channel: params.channel});
+
+  bus.emit(events.METHOD_COMPLETE, params);
+};
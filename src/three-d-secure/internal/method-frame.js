@@ -0,0 +1,46 @@
+'use strict';
+
+var Bus = require('../../lib/bus');
+var isWhitelistedDomain = require('../../lib/is-whitelisted-domain');
+var BraintreeError = require('../../lib/braintree-error');
+var errors = require('../shared/errors');
+
+module.exports = function () {
+  var bus = new Bus({
+    channel: window.name.split('_')[1]
+  });
+
+  bus.emit(Bus.events.CONFIGURATION_REQUEST, handleConfiguration);
+};
+
+// The issuer expects threeDSMethodData as base64url encoded JSON
+function encodeMethodData(data) {
+  return window.btoa(JSON.stringify(data))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/[=]+$/, '');
+}
+
+function handleConfiguration(configuration) {
+  var form = document.createElement('form');
+  var input = document.createElement('input');
+
+  if (!isWhitelistedDomain(configuration.methodNotificationUrl)) {
+    throw new BraintreeError(errors.THREEDS_METHOD_NOTIFICATION_URL_REQUIRES_BRAINTREE_DOMAIN);
+  }
+
+  form.action = configuration.methodUrl;
+  form.method = 'POST';
+
+  input.name = 'threeDSMethodData';
+  input.type = 'hidden';
+  input.setAttribute('value', encodeMethodData({
+    threeDSServerTransID: configuration.threeDSServerTransId,
+    threeDSMethodNotificationURL: configuration.methodNotificationUrl
+  }));
+  form.appendChild(input);
+
+  document.body.appendChild(form);
+
+  form.submit();
+}
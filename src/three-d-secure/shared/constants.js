@@ -1,5 +1,7 @@
 'use strict';
 
 module.exports = {
-  LANDING_FRAME_NAME: 'braintreethreedsecurelanding'
+  LANDING_FRAME_NAME: 'braintreethreedsecurelanding',
+  METHOD_FRAME_NAME: 'braintreethreedsecuremethod',
+  METHOD_TIMEOUT: 10000
 };
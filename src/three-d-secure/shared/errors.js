@@ -12,6 +12,24 @@ module.exports = {
     type: BraintreeError.types.MERCHANT,
     code: 'THREEDS_MISSING_VERIFY_CARD_OPTION'
   },
+  THREEDS_INVALID_VERIFY_CARD_OPTION: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'THREEDS_INVALID_VERIFY_CARD_OPTION'
+  },
+  THREEDS_INVALID_ADDITIONAL_INFORMATION: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'THREEDS_INVALID_ADDITIONAL_INFORMATION'
+  },
+  THREEDS_CHALLENGE_TIMEOUT: {
+    type: BraintreeError.types.CUSTOMER,
+    code: 'THREEDS_CHALLENGE_TIMEOUT',
+    message: 'The 3D Secure challenge was not completed in time.'
+  },
+  THREEDS_CANCELED: {
+    type: BraintreeError.types.CUSTOMER,
+    code: 'THREEDS_CANCELED',
+    message: '3D Secure authentication was canceled by the customer.'
+  },
   THREEDS_NO_VERIFICATION_PAYLOAD: {
     type: BraintreeError.types.MERCHANT,
     code: 'THREEDS_NO_VERIFICATION_PAYLOAD',
@@ -27,9 +45,19 @@ module.exports = {
     code: 'THREEDS_HTTPS_REQUIRED',
     message: '3D Secure requires HTTPS.'
   },
+  THREEDS_UNSUPPORTED_VERSION: {
+    type: BraintreeError.types.MERCHANT,
+    code: 'THREEDS_UNSUPPORTED_VERSION',
+    message: 'options.version must be 1 or 2.'
+  },
   THREEDS_TERM_URL_REQUIRES_BRAINTREE_DOMAIN: {
     type: BraintreeError.types.INTERNAL,
     code: 'THREEDS_TERM_URL_REQUIRES_BRAINTREE_DOMAIN',
     message: 'Term Url must be on a Braintree domain.'
+  },
+  THREEDS_METHOD_NOTIFICATION_URL_REQUIRES_BRAINTREE_DOMAIN: {
+    type: BraintreeError.types.INTERNAL,
+    code: 'THREEDS_METHOD_NOTIFICATION_URL_REQUIRES_BRAINTREE_DOMAIN',
+    message: 'Method notification Url must be on a Braintree domain.'
   }
 };
@@ -3,5 +3,6 @@
 var enumerate = require('../../lib/enumerate');
 
 module.exports = enumerate([
-  'AUTHENTICATION_COMPLETE'
+  'AUTHENTICATION_COMPLETE',
+  'METHOD_COMPLETE'
 ], 'threedsecure:');
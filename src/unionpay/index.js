@@ -7,19 +7,19 @@
 var UnionPay = require('./shared/unionpay');
 var BraintreeError = require('../lib/braintree-error');
 var analytics = require('../lib/analytics');
-var deferred = require('../lib/deferred');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
 var errors = require('./shared/errors');
 var sharedErrors = require('../lib/errors');
 var VERSION = process.env.npm_package_version;
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 
 /**
 * @static
 * @function create
 * @param {object} options Creation options:
 * @param {Client} options.client A {@link Client} instance.
-* @param {callback} callback The second argument, `data`, is the {@link UnionPay} instance.
-* @returns {void}
+* @param {callback} [callback] The second argument, `data`, is the {@link UnionPay} instance.
+* @returns {Promise|void} Returns a promise that resolves with the {@link UnionPay} instance if no callback is provided.
 * @example
 * braintree.unionpay.create({ client: clientInstance }, function (createErr, unionpayInstance) {
 *   if (createErr) {
@@ -29,46 +29,41 @@ var VERSION = process.env.npm_package_version;
 *   // ...
 * });
 */
-function create(options, callback) {
-  var config, clientVersion;
+function create(options) {
+  return new Promise(function (resolve) {
+    var config, clientVersion;
 
-  throwIfNoCallback(callback, 'create');
+    if (options.client == null) {
+      throw new BraintreeError({
+        type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
+        code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
+        message: 'options.client is required when instantiating UnionPay.'
+      });
+    }
 
-  callback = deferred(callback);
+    config = options.client.getConfiguration();
+    clientVersion = config.analyticsMetadata.sdkVersion;
 
-  if (options.client == null) {
-    callback(new BraintreeError({
-      type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
-      code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
-      message: 'options.client is required when instantiating UnionPay.'
-    }));
-    return;
-  }
+    if (clientVersion !== VERSION) {
+      throw new BraintreeError({
+        type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
+        code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
+        message: 'Client (version ' + clientVersion + ') and UnionPay (version ' + VERSION + ') components must be from the same SDK version.'
+      });
+    }
 
-  config = options.client.getConfiguration();
-  clientVersion = config.analyticsMetadata.sdkVersion;
+    if (!config.gatewayConfiguration.unionPay || config.gatewayConfiguration.unionPay.enabled !== true) {
+      throw new BraintreeError(errors.UNIONPAY_NOT_ENABLED);
+    }
 
-  if (clientVersion !== VERSION) {
-    callback(new BraintreeError({
-      type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
-      code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
-      message: 'Client (version ' + clientVersion + ') and UnionPay (version ' + VERSION + ') components must be from the same SDK version.'
-    }));
-    return;
-  }
+    analytics.sendEvent(options.client, 'unionpay.initialized');
 
-  if (!config.gatewayConfiguration.unionPay || config.gatewayConfiguration.unionPay.enabled !== true) {
-    callback(new BraintreeError(errors.UNIONPAY_NOT_ENABLED));
-    return;
-  }
-
-  analytics.sendEvent(options.client, 'unionpay.initialized');
-
-  callback(null, new UnionPay(options));
+    resolve(new UnionPay(options));
+  });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
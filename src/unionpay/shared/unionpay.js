@@ -6,14 +6,16 @@ var Bus = require('../../lib/bus');
 var constants = require('./constants');
 var useMin = require('../../lib/use-min');
 var convertMethodsToError = require('../../lib/convert-methods-to-error');
-var deferred = require('../../lib/deferred');
 var errors = require('./errors');
 var events = constants.events;
 var iFramer = require('iframer');
 var methods = require('../../lib/methods');
 var VERSION = process.env.npm_package_version;
 var uuid = require('../../lib/uuid');
-var throwIfNoCallback = require('../../lib/throw-if-no-callback');
+var Promise = require('../../lib/promise');
+var RequestTracker = require('../../lib/request-tracker');
+var Logger = require('../../lib/logger');
+var wrapPromise = require('../../lib/wrap-promise');
 
 /**
  * @class
@@ -23,6 +25,8 @@ var throwIfNoCallback = require('../../lib/throw-if-no-callback');
  */
 function UnionPay(options) {
   this._options = options;
+  this._requests = new RequestTracker(options.client);
+  this._logger = Logger.fromClient(options.client, 'unionpay');
 }
 
 /**
@@ -41,7 +45,7 @@ function UnionPay(options) {
  * @param {object} [options.card] The card from which to fetch capabilities. Note that this will only have one property, `number`. Required if you are not using the `hostedFields` option.
  * @param {string} options.card.number Card number.
  * @param {HostedFields} [options.hostedFields] The Hosted Fields instance used to collect card data. Required if you are not using the `card` option.
- * @param {callback} callback The second argument, <code>data</code>, is a {@link UnionPay#fetchCapabilitiesPayload fetchCapabilitiesPayload}.
+ * @param {callback} [callback] The second argument, <code>data</code>, is a {@link UnionPay#fetchCapabilitiesPayload fetchCapabilitiesPayload}.
  * @example <caption>With raw card data</caption>
  * unionpayInstance.fetchCapabilities({
  *   card: {
@@ -103,73 +107,75 @@ function UnionPay(options) {
  *     });
  *   });
  * });
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves with a {@link UnionPay~fetchCapabilitiesPayload|fetchCapabilitiesPayload} if no callback is provided.
  */
-UnionPay.prototype.fetchCapabilities = function (options, callback) {
-  var client = this._options.client;
-  var cardNumber = options.card ? options.card.number : null;
-  var hostedFields = options.hostedFields;
+UnionPay.prototype.fetchCapabilities = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  throwIfNoCallback(callback, 'fetchCapabilities');
+  return new Promise(function (resolve, reject) {
+    var client = self._options.client;
+    var cardNumber = options.card ? options.card.number : null;
+    var hostedFields = options.hostedFields;
 
-  callback = deferred(callback);
+    self._logger.log('fetchCapabilities', {hostedFields: Boolean(hostedFields)});
 
-  if (cardNumber && hostedFields) {
-    callback(new BraintreeError(errors.UNIONPAY_CARD_AND_HOSTED_FIELDS_INSTANCES));
-    return;
-  } else if (cardNumber) {
-    client.request({
-      method: 'get',
-      endpoint: 'payment_methods/credit_cards/capabilities',
-      data: {
-        _meta: {source: 'unionpay'},
-        creditCard: {
-          number: cardNumber
+    if (cardNumber && hostedFields) {
+      reject(new BraintreeError(errors.UNIONPAY_CARD_AND_HOSTED_FIELDS_INSTANCES));
+      return;
+    } else if (cardNumber) {
+      self._requests.request({
+        method: 'get',
+        endpoint: 'payment_methods/credit_cards/capabilities',
+        data: {
+          _meta: {source: 'unionpay'},
+          creditCard: {
+            number: cardNumber
+          }
         }
-      }
-    }, function (err, response, status) {
-      if (err) {
-        if (status === 403) {
-          callback(err);
-        } else {
-          callback(new BraintreeError({
-            type: errors.UNIONPAY_FETCH_CAPABILITIES_NETWORK_ERROR.type,
-            code: errors.UNIONPAY_FETCH_CAPABILITIES_NETWORK_ERROR.code,
-            message: errors.UNIONPAY_FETCH_CAPABILITIES_NETWORK_ERROR.message,
-            details: {
-              originalError: err
-            }
-          }));
+      }, function (err, response, status) {
+        if (err) {
+          if (status === 403) {
+            reject(err);
+          } else {
+            reject(new BraintreeError({
+              type: errors.UNIONPAY_FETCH_CAPABILITIES_NETWORK_ERROR.type,
+              code: errors.UNIONPAY_FETCH_CAPABILITIES_NETWORK_ERROR.code,
+              message: errors.UNIONPAY_FETCH_CAPABILITIES_NETWORK_ERROR.message,
+              details: {
+                originalError: err
+              }
+            }));
+          }
+
+          analytics.sendEvent(client, 'unionpay.capabilities-failed');
+          return;
         }
 
-        analytics.sendEvent(client, 'unionpay.capabilities-failed');
+        analytics.sendEvent(client, 'unionpay.capabilities-received');
+        resolve(response);
+      });
+    } else if (hostedFields) {
+      if (!hostedFields._bus) {
+        reject(new BraintreeError(errors.UNIONPAY_HOSTED_FIELDS_INSTANCE_INVALID));
         return;
       }
 
-      analytics.sendEvent(client, 'unionpay.capabilities-received');
-      callback(null, response);
-    });
-  } else if (hostedFields) {
-    if (!hostedFields._bus) {
-      callback(new BraintreeError(errors.UNIONPAY_HOSTED_FIELDS_INSTANCE_INVALID));
-      return;
-    }
-
-    this._initializeHostedFields(function () {
-      this._bus.emit(events.HOSTED_FIELDS_FETCH_CAPABILITIES, {hostedFields: hostedFields}, function (response) {
-        if (response.err) {
-          callback(new BraintreeError(response.err));
-          return;
-        }
+      self._initializeHostedFields(function () {
+        self._bus.emit(events.HOSTED_FIELDS_FETCH_CAPABILITIES, {hostedFields: hostedFields}, function (response) {
+          if (response.err) {
+            reject(new BraintreeError(response.err));
+            return;
+          }
 
-        callback(null, response.payload);
+          resolve(response.payload);
+        });
       });
-    }.bind(this));
-  } else {
-    callback(new BraintreeError(errors.UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED));
-    return;
-  }
-};
+    } else {
+      reject(new BraintreeError(errors.UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED));
+      return;
+    }
+  });
+});
 
 /**
  * @typedef {object} UnionPay~enrollPayload
@@ -192,7 +198,7 @@ UnionPay.prototype.fetchCapabilities = function (options, callback) {
  * @param {object} options.mobile The mobile information collected from the customer.
  * @param {string} options.mobile.countryCode The country code of the customer's mobile phone number.
  * @param {string} options.mobile.number The customer's mobile phone number.
- * @param {callback} callback The second argument, <code>data</code>, is a {@link UnionPay~enrollPayload|enrollPayload}.
+ * @param {callback} [callback] The second argument, <code>data</code>, is a {@link UnionPay~enrollPayload|enrollPayload}.
  * @example <caption>With raw card data</caption>
  * unionpayInstance.enroll({
  *   card: {
@@ -238,99 +244,109 @@ UnionPay.prototype.fetchCapabilities = function (options, callback) {
  *     // {@link UnionPay#tokenize} can be called immediately
  *   }
  * });
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves with a {@link UnionPay~enrollPayload|enrollPayload} if no callback is provided.
  */
-UnionPay.prototype.enroll = function (options, callback) {
-  var client = this._options.client;
-  var card = options.card;
-  var mobile = options.mobile;
-  var hostedFields = options.hostedFields;
-  var data;
-
-  throwIfNoCallback(callback, 'enroll');
+UnionPay.prototype.enroll = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  callback = deferred(callback);
+  return new Promise(function (resolve, reject) {
+    var client = self._options.client;
+    var card = options.card;
+    var mobile = options.mobile;
+    var hostedFields = options.hostedFields;
+    var data;
 
-  if (!mobile) {
-    callback(new BraintreeError(errors.UNIONPAY_MISSING_MOBILE_PHONE_DATA));
-    return;
-  }
+    self._logger.log('enroll', {hostedFields: Boolean(hostedFields)});
 
-  if (hostedFields) {
-    if (!hostedFields._bus) {
-      callback(new BraintreeError(errors.UNIONPAY_HOSTED_FIELDS_INSTANCE_INVALID));
-      return;
-    } else if (card) {
-      callback(new BraintreeError(errors.UNIONPAY_CARD_AND_HOSTED_FIELDS_INSTANCES));
+    if (!mobile) {
+      reject(new BraintreeError(errors.UNIONPAY_MISSING_MOBILE_PHONE_DATA));
       return;
     }
 
-    this._initializeHostedFields(function () {
-      this._bus.emit(events.HOSTED_FIELDS_ENROLL, {hostedFields: hostedFields, mobile: mobile}, function (response) {
-        if (response.err) {
-          callback(new BraintreeError(response.err));
-          return;
-        }
-
-        callback(null, response.payload);
-      });
-    }.bind(this));
-  } else if (card && card.number) {
-    data = {
-      _meta: {source: 'unionpay'},
-      unionPayEnrollment: {
-        number: card.number,
-        mobileCountryCode: mobile.countryCode,
-        mobileNumber: mobile.number
-      }
-    };
-
-    if (card.expirationDate) {
-      data.unionPayEnrollment.expirationDate = card.expirationDate;
-    } else if (card.expirationMonth || card.expirationYear) {
-      if (card.expirationMonth && card.expirationYear) {
-        data.unionPayEnrollment.expirationYear = card.expirationYear;
-        data.unionPayEnrollment.expirationMonth = card.expirationMonth;
-      } else {
-        callback(new BraintreeError(errors.UNIONPAY_EXPIRATION_DATE_INCOMPLETE));
+    if (hostedFields) {
+      if (!hostedFields._bus) {
+        reject(new BraintreeError(errors.UNIONPAY_HOSTED_FIELDS_INSTANCE_INVALID));
+        return;
+      } else if (card) {
+        reject(new BraintreeError(errors.UNIONPAY_CARD_AND_HOSTED_FIELDS_INSTANCES));
         return;
       }
-    }
 
-    client.request({
-      method: 'post',
-      endpoint: 'union_pay_enrollments',
-      data: data
-    }, function (err, response, status) {
-      var error;
-
-      if (err) {
-        if (status === 403) {
-          error = err;
-        } else if (status < 500) {
-          error = new BraintreeError(errors.UNIONPAY_ENROLLMENT_CUSTOMER_INPUT_INVALID);
-          error.details = {originalError: err};
+      self._initializeHostedFields(function () {
+        self._bus.emit(events.HOSTED_FIELDS_ENROLL, {hostedFields: hostedFields, mobile: mobile}, function (response) {
+          if (response.err) {
+            reject(new BraintreeError(response.err));
+            return;
+          }
+
+          resolve(response.payload);
+        });
+      });
+    } else if (card && card.number) {
+      data = {
+        _meta: {source: 'unionpay'},
+        unionPayEnrollment: {
+          number: card.number,
+          mobileCountryCode: mobile.countryCode,
+          mobileNumber: mobile.number
+        }
+      };
+
+      if (card.expirationDate) {
+        data.unionPayEnrollment.expirationDate = card.expirationDate;
+      } else if (card.expirationMonth || card.expirationYear) {
+        if (card.expirationMonth && card.expirationYear) {
+          data.unionPayEnrollment.expirationYear = card.expirationYear;
+          data.unionPayEnrollment.expirationMonth = card.expirationMonth;
         } else {
-          error = new BraintreeError(errors.UNIONPAY_ENROLLMENT_NETWORK_ERROR);
-          error.details = {originalError: err};
+          reject(new BraintreeError(errors.UNIONPAY_EXPIRATION_DATE_INCOMPLETE));
+          return;
         }
-
-        analytics.sendEvent(client, 'unionpay.enrollment-failed');
-        callback(error);
-        return;
       }
 
-      analytics.sendEvent(client, 'unionpay.enrollment-succeeded');
-      callback(null, {
-        enrollmentId: response.unionPayEnrollmentId,
-        smsCodeRequired: response.smsCodeRequired
+      self._requests.request({
+        method: 'post',
+        endpoint: 'union_pay_enrollments',
+        data: data
+      }, function (err, response, status) {
+        var error;
+
+        if (err) {
+          if (status === 403) {
+            error = err;
+          } else if (status < 500) {
+            error = new BraintreeError({
+              type: errors.UNIONPAY_ENROLLMENT_CUSTOMER_INPUT_INVALID.type,
+              code: errors.UNIONPAY_ENROLLMENT_CUSTOMER_INPUT_INVALID.code,
+              message: errors.UNIONPAY_ENROLLMENT_CUSTOMER_INPUT_INVALID.message,
+              details: {originalError: err}
+            });
+          } else {
+            error = new BraintreeError({
+              type: errors.UNIONPAY_ENROLLMENT_NETWORK_ERROR.type,
+              code: errors.UNIONPAY_ENROLLMENT_NETWORK_ERROR.code,
+              message: errors.UNIONPAY_ENROLLMENT_NETWORK_ERROR.message,
+              details: {originalError: err}
+            });
+          }
+
+          analytics.sendEvent(client, 'unionpay.enrollment-failed');
+          reject(error);
+          return;
+        }
+
+        analytics.sendEvent(client, 'unionpay.enrollment-succeeded');
+        resolve({
+          enrollmentId: response.unionPayEnrollmentId,
+          smsCodeRequired: response.smsCodeRequired
+        });
       });
-    });
-  } else {
-    callback(new BraintreeError(errors.UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED));
-    return;
-  }
-};
+    } else {
+      reject(new BraintreeError(errors.UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED));
+      return;
+    }
+  });
+});
 
 /**
  * @typedef {object} UnionPay~tokenizePayload
@@ -355,7 +371,7 @@ UnionPay.prototype.enroll = function (options, callback) {
  * @param {HostedFields} [options.hostedFields] The Hosted Fields instance used to collect card data. Required if you are not using the `card` option.
  * @param {string} options.enrollmentId The enrollment ID from {@link UnionPay#enroll}.
  * @param {string} [options.smsCode] The SMS code received from the user if {@link UnionPay#enroll} payload have `smsCodeRequired`. if `smsCodeRequired` is false, smsCode should not be passed.
- * @param {callback} callback The second argument, <code>data</code>, is a {@link UnionPay~tokenizePayload|tokenizePayload}.
+ * @param {callback} [callback] The second argument, <code>data</code>, is a {@link UnionPay~tokenizePayload|tokenizePayload}.
  * @example <caption>With raw card data</caption>
  * unionpayInstance.tokenize({
  *   card: {
@@ -387,99 +403,109 @@ UnionPay.prototype.enroll = function (options, callback) {
  *
  *   // Send response.nonce to your server
  * });
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves with a {@link UnionPay~tokenizePayload|tokenizePayload} if no callback is provided.
  */
-UnionPay.prototype.tokenize = function (options, callback) {
-  var data, tokenizedCard, error;
-  var client = this._options.client;
-  var card = options.card;
-  var hostedFields = options.hostedFields;
+UnionPay.prototype.tokenize = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  throwIfNoCallback(callback, 'tokenize');
+  return new Promise(function (resolve, reject) {
+    var data, tokenizedCard, error;
+    var client = self._options.client;
+    var card = options.card;
+    var hostedFields = options.hostedFields;
 
-  callback = deferred(callback);
+    self._logger.log('tokenize', {hostedFields: Boolean(hostedFields)});
 
-  if (card && hostedFields) {
-    callback(new BraintreeError(errors.UNIONPAY_CARD_AND_HOSTED_FIELDS_INSTANCES));
-    return;
-  } else if (card) {
-    data = {
-      _meta: {source: 'unionpay'},
-      creditCard: {
-        number: options.card.number,
-        options: {
-          unionPayEnrollment: {
-            id: options.enrollmentId
+    if (card && hostedFields) {
+      reject(new BraintreeError(errors.UNIONPAY_CARD_AND_HOSTED_FIELDS_INSTANCES));
+      return;
+    } else if (card) {
+      data = {
+        _meta: {source: 'unionpay'},
+        creditCard: {
+          number: options.card.number,
+          options: {
+            unionPayEnrollment: {
+              id: options.enrollmentId
+            }
           }
         }
+      };
+
+      if (options.smsCode) {
+        data.creditCard.options.unionPayEnrollment.smsCode = options.smsCode;
       }
-    };
 
-    if (options.smsCode) {
-      data.creditCard.options.unionPayEnrollment.smsCode = options.smsCode;
-    }
+      if (card.expirationDate) {
+        data.creditCard.expirationDate = card.expirationDate;
+      } else if (card.expirationMonth && card.expirationYear) {
+        data.creditCard.expirationYear = card.expirationYear;
+        data.creditCard.expirationMonth = card.expirationMonth;
+      }
 
-    if (card.expirationDate) {
-      data.creditCard.expirationDate = card.expirationDate;
-    } else if (card.expirationMonth && card.expirationYear) {
-      data.creditCard.expirationYear = card.expirationYear;
-      data.creditCard.expirationMonth = card.expirationMonth;
-    }
+      if (options.card.cvv) {
+        data.creditCard.cvv = options.card.cvv;
+      }
 
-    if (options.card.cvv) {
-      data.creditCard.cvv = options.card.cvv;
-    }
+      self._requests.request({
+        method: 'post',
+        endpoint: 'payment_methods/credit_cards',
+        data: data
+      }, function (err, response, status) {
+        if (err) {
+          analytics.sendEvent(client, 'unionpay.nonce-failed');
+
+          if (status === 403) {
+            error = err;
+          } else if (status < 500) {
+            error = new BraintreeError({
+              type: errors.UNIONPAY_FAILED_TOKENIZATION.type,
+              code: errors.UNIONPAY_FAILED_TOKENIZATION.code,
+              message: errors.UNIONPAY_FAILED_TOKENIZATION.message,
+              details: {originalError: err}
+            });
+          } else {
+            error = new BraintreeError({
+              type: errors.UNIONPAY_TOKENIZATION_NETWORK_ERROR.type,
+              code: errors.UNIONPAY_TOKENIZATION_NETWORK_ERROR.code,
+              message: errors.UNIONPAY_TOKENIZATION_NETWORK_ERROR.message,
+              details: {originalError: err}
+            });
+          }
 
-    client.request({
-      method: 'post',
-      endpoint: 'payment_methods/credit_cards',
-      data: data
-    }, function (err, response, status) {
-      if (err) {
-        analytics.sendEvent(client, 'unionpay.nonce-failed');
-
-        if (status === 403) {
-          error = err;
-        } else if (status < 500) {
-          error = new BraintreeError(errors.UNIONPAY_FAILED_TOKENIZATION);
-          error.details = {originalError: err};
-        } else {
-          error = new BraintreeError(errors.UNIONPAY_TOKENIZATION_NETWORK_ERROR);
-          error.details = {originalError: err};
+          reject(error);
+          return;
         }
 
-        callback(error);
+        tokenizedCard = response.creditCards[0];
+        delete tokenizedCard.consumed;
+        delete tokenizedCard.threeDSecureInfo;
+
+        analytics.sendEvent(client, 'unionpay.nonce-received');
+        resolve(tokenizedCard);
+      });
+    } else if (hostedFields) {
+      if (!hostedFields._bus) {
+        reject(new BraintreeError(errors.UNIONPAY_HOSTED_FIELDS_INSTANCE_INVALID));
         return;
       }
 
-      tokenizedCard = response.creditCards[0];
-      delete tokenizedCard.consumed;
-      delete tokenizedCard.threeDSecureInfo;
+      self._initializeHostedFields(function () {
+        self._bus.emit(events.HOSTED_FIELDS_TOKENIZE, options, function (response) {
+          if (response.err) {
+            reject(new BraintreeError(response.err));
+            return;
+          }
 
-      analytics.sendEvent(client, 'unionpay.nonce-received');
-      callback(null, tokenizedCard);
-    });
-  } else if (hostedFields) {
-    if (!hostedFields._bus) {
-      callback(new BraintreeError(errors.UNIONPAY_HOSTED_FIELDS_INSTANCE_INVALID));
+          resolve(response.payload);
+        });
+      });
+    } else {
+      reject(new BraintreeError(errors.UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED));
       return;
     }
-
-    this._initializeHostedFields(function () {
-      this._bus.emit(events.HOSTED_FIELDS_TOKENIZE, options, function (response) {
-        if (response.err) {
-          callback(new BraintreeError(response.err));
-          return;
-        }
-
-        callback(null, response.payload);
-      });
-    }.bind(this));
-  } else {
-    callback(new BraintreeError(errors.UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED));
-    return;
-  }
-};
+  });
+});
 
 /**
  * Cleanly tear down anything set up by {@link module:braintree-web/unionpay.create|create}. This only needs to be called when using UnionPay with Hosted Fields.
@@ -493,21 +519,25 @@ UnionPay.prototype.tokenize = function (options, callback) {
  *     console.log('UnionPay has been torn down.');
  *   }
  * });
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves when the teardown is complete if no callback is provided.
  */
-UnionPay.prototype.teardown = function (callback) {
-  if (this._bus) {
-    this._hostedFieldsFrame.parentNode.removeChild(this._hostedFieldsFrame);
-    this._bus.teardown();
-  }
+UnionPay.prototype.teardown = wrapPromise(function () {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  convertMethodsToError(this, methods(UnionPay.prototype));
+  return new Promise(function (resolve) {
+    self._requests.abortAll();
 
-  if (typeof callback === 'function') {
-    callback = deferred(callback);
-    callback();
-  }
-};
+    if (self._bus) {
+      self._hostedFieldsFrame.parentNode.removeChild(self._hostedFieldsFrame);
+      self._bus.teardown();
+    }
+
+    convertMethodsToError(self, methods(UnionPay.prototype));
+
+    self._logger.log('torn down');
+    resolve();
+  });
+});
 
 UnionPay.prototype._initializeHostedFields = function (callback) {
   var assetsUrl, isDebug;
@@ -523,7 +553,8 @@ UnionPay.prototype._initializeHostedFields = function (callback) {
 
   this._bus = new Bus({
     channel: componentId,
-    merchantUrl: location.href
+    merchantUrl: location.href,
+    logger: this._logger
   });
   this._hostedFieldsFrame = iFramer({
     name: constants.HOSTED_FIELDS_FRAME_NAME + '_' + componentId,
@@ -531,6 +562,7 @@ UnionPay.prototype._initializeHostedFields = function (callback) {
     height: 0,
     width: 0
   });
+  this._logger.log('frame created', {name: this._hostedFieldsFrame.name});
 
   this._bus.on(Bus.events.CONFIGURATION_REQUEST, function (reply) {
     reply(this._options.client);
@@ -7,62 +7,56 @@
 var BraintreeError = require('../lib/braintree-error');
 var errors = require('./errors');
 var USBankAccount = require('./us-bank-account');
-var deferred = require('../lib/deferred');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
 var VERSION = process.env.npm_package_version;
 var sharedErrors = require('../lib/errors');
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
 
 /**
  * @static
  * @function create
  * @param {object} options Creation options:
  * @param {Client} options.client A {@link Client} instance.
- * @param {callback} callback The second argument, `data`, is the {@link USBankAccount} instance.
- * @returns {void}
+ * @param {callback} [callback] The second argument, `data`, is the {@link USBankAccount} instance.
+ * @returns {Promise|void} Returns a promise that resolves with the {@link USBankAccount} instance if no callback is provided.
  */
-function create(options, callback) {
-  var clientVersion, braintreeApi, usBankAccount;
+function create(options) {
+  return new Promise(function (resolve) {
+    var clientVersion, braintreeApi, usBankAccount;
 
-  throwIfNoCallback(callback, 'create');
+    if (options.client == null) {
+      throw new BraintreeError({
+        type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
+        code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
+        message: 'options.client is required when instantiating US Bank Account.'
+      });
+    }
 
-  callback = deferred(callback);
+    clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
+    if (clientVersion !== VERSION) {
+      throw new BraintreeError({
+        type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
+        code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
+        message: 'Client (version ' + clientVersion + ') and US Bank Account (version ' + VERSION + ') components must be from the same SDK version.'
+      });
+    }
 
-  if (options.client == null) {
-    callback(new BraintreeError({
-      type: sharedErrors.INSTANTIATION_OPTION_REQUIRED.type,
-      code: sharedErrors.INSTANTIATION_OPTION_REQUIRED.code,
-      message: 'options.client is required when instantiating US Bank Account.'
-    }));
-    return;
-  }
+    braintreeApi = options.client.getConfiguration().gatewayConfiguration.braintreeApi;
+    if (!braintreeApi) {
+      throw new BraintreeError(sharedErrors.BRAINTREE_API_ACCESS_RESTRICTED);
+    }
 
-  clientVersion = options.client.getConfiguration().analyticsMetadata.sdkVersion;
-  if (clientVersion !== VERSION) {
-    callback(new BraintreeError({
-      type: sharedErrors.INCOMPATIBLE_VERSIONS.type,
-      code: sharedErrors.INCOMPATIBLE_VERSIONS.code,
-      message: 'Client (version ' + clientVersion + ') and US Bank Account (version ' + VERSION + ') components must be from the same SDK version.'
-    }));
-    return;
-  }
+    usBankAccount = options.client.getConfiguration().gatewayConfiguration.usBankAccount;
+    if (!usBankAccount) {
+      throw new BraintreeError(errors.US_BANK_ACCOUNT_NOT_ENABLED);
+    }
 
-  braintreeApi = options.client.getConfiguration().gatewayConfiguration.braintreeApi;
-  if (!braintreeApi) {
-    callback(new BraintreeError(sharedErrors.BRAINTREE_API_ACCESS_RESTRICTED));
-    return;
-  }
-
-  usBankAccount = options.client.getConfiguration().gatewayConfiguration.usBankAccount;
-  if (!usBankAccount) {
-    callback(new BraintreeError(errors.US_BANK_ACCOUNT_NOT_ENABLED));
-    return;
-  }
-
-  callback(null, new USBankAccount(options));
+    resolve(new USBankAccount(options));
+  });
 }
 
 module.exports = {
-  create: create,
+  create: wrapPromise(create),
   /**
    * @description The current version of the SDK, i.e. `{@pkg version}`.
    * @type {string}
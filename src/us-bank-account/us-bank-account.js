@@ -5,11 +5,13 @@ var constants = require('./constants');
 var errors = require('./errors');
 var sharedErrors = require('../lib/errors');
 var analytics = require('../lib/analytics');
-var deferred = require('../lib/deferred');
 var once = require('../lib/once');
 var convertMethodsToError = require('../lib/convert-methods-to-error');
 var methods = require('../lib/methods');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
+var Promise = require('../lib/promise');
+var RequestTracker = require('../lib/request-tracker');
+var Logger = require('../lib/logger');
+var wrapPromise = require('../lib/wrap-promise');
 var camelCaseToSnakeCase = require('../lib/camel-case-to-snake-case');
 
 /**
@@ -26,6 +28,8 @@ var camelCaseToSnakeCase = require('../lib/camel-case-to-snake-case');
  */
 function USBankAccount(options) {
   this._client = options.client;
+  this._requests = new RequestTracker(options.client);
+  this._logger = Logger.fromClient(options.client, 'us-bank-account');
 
   this._isTokenizingBankLogin = false;
 
@@ -50,8 +54,8 @@ function USBankAccount(options) {
  * @param {string} options.bankDetails.billingAddress.postalCode The postal code for the customer's billing address. This is typically a ZIP code, such as `'94119'`.
  * @param {object} [options.bankLogin] Bank login information. `bankLogin` or `bankDetails` option must be provided.
  * @param {string} options.bankLogin.displayName Display name for the bank login UI, such as `'My Store'`.
- * @param {callback} callback The second argument, <code>data</code>, is a {@link USBankAccount~tokenizePayload|tokenizePayload}.
- * @returns {void}
+ * @param {callback} [callback] The second argument, <code>data</code>, is a {@link USBankAccount~tokenizePayload|tokenizePayload}.
+ * @returns {Promise|void} Returns a promise that resolves with a {@link USBankAccount~tokenizePayload|tokenizePayload} if no callback is provided.
  * @example
  * <caption>Tokenizing raw bank details</caption>
  * submitButton.addEventListener('click', function (event) {
@@ -111,39 +115,51 @@ function USBankAccount(options) {
  *   });
  * });
  */
-USBankAccount.prototype.tokenize = function (options, callback) {
-  throwIfNoCallback(callback, 'tokenize');
+USBankAccount.prototype.tokenize = wrapPromise(function (options) {
+  var self = this; // eslint-disable-line no-invalid-this
 
   options = options || {};
-  callback = deferred(callback);
 
-  if (!options.mandateText) {
-    callback(new BraintreeError({
-      type: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.type,
-      code: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.code,
-      message: 'mandateText property is required.'
-    }));
-    return;
-  }
+  return new Promise(function (resolve, reject) {
+    function callback(err, payload) {
+      if (err) {
+        self._logger.log('tokenize failed', {error: err});
+        reject(err);
+      } else {
+        self._logger.log('tokenized');
+        resolve(payload);
+      }
+    }
 
-  if (options.bankDetails && options.bankLogin) {
-    callback(new BraintreeError({
-      type: errors.US_BANK_ACCOUNT_MUTUALLY_EXCLUSIVE_OPTIONS.type,
-      code: errors.US_BANK_ACCOUNT_MUTUALLY_EXCLUSIVE_OPTIONS.code,
-      message: 'tokenize must be called with bankDetails or bankLogin, not both.'
-    }));
-  } else if (options.bankDetails) {
-    this._tokenizeBankDetails(options, callback);
-  } else if (options.bankLogin) {
-    this._tokenizeBankLogin(options, callback);
-  } else {
-    callback(new BraintreeError({
-      type: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.type,
-      code: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.code,
-      message: 'tokenize must be called with bankDetails or bankLogin.'
-    }));
-  }
-};
+    if (!options.mandateText) {
+      throw new BraintreeError({
+        type: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.type,
+        code: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.code,
+        message: 'mandateText property is required.'
+      });
+    }
+
+    if (options.bankDetails && options.bankLogin) {
+      throw new BraintreeError({
+        type: errors.US_BANK_ACCOUNT_MUTUALLY_EXCLUSIVE_OPTIONS.type,
+        code: errors.US_BANK_ACCOUNT_MUTUALLY_EXCLUSIVE_OPTIONS.code,
+        message: 'tokenize must be called with bankDetails or bankLogin, not both.'
+      });
+    } else if (options.bankDetails) {
+      self._logger.log('tokenize', {method: 'bankDetails'});
+      self._tokenizeBankDetails(options, callback);
+    } else if (options.bankLogin) {
+      self._logger.log('tokenize', {method: 'bankLogin'});
+      self._tokenizeBankLogin(options, callback);
+    } else {
+      throw new BraintreeError({
+        type: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.type,
+        code: errors.US_BANK_ACCOUNT_OPTION_REQUIRED.code,
+        message: 'tokenize must be called with bankDetails or bankLogin.'
+      });
+    }
+  });
+});
 
 USBankAccount.prototype._tokenizeBankDetails = function (options, callback) {
   var i, key;
@@ -162,7 +178,7 @@ USBankAccount.prototype._tokenizeBankDetails = function (options, callback) {
     }
   }
 
-  client.request({
+  this._requests.request({
     method: 'POST',
     endpoint: 'tokens',
     api: 'braintreeApi',
@@ -240,7 +256,7 @@ USBankAccount.prototype._tokenizeBankLogin = function (options, callback) {
         callback(new BraintreeError(errors.US_BANK_ACCOUNT_LOGIN_CLOSED));
       },
       onSuccess: function (publicToken, metadata) {
-        client.request({
+        self._requests.request({
           method: 'POST',
           endpoint: 'tokens',
           api: 'braintreeApi',
@@ -277,17 +293,22 @@ USBankAccount.prototype._tokenizeBankLogin = function (options, callback) {
 };
 
 function errorFrom(err, status) {
-  var error;
+  var errorTemplate;
 
   if (status === 401) {
-    error = new BraintreeError(sharedErrors.BRAINTREE_API_ACCESS_RESTRICTED);
+    errorTemplate = sharedErrors.BRAINTREE_API_ACCESS_RESTRICTED;
   } else if (status < 500) {
-    error = new BraintreeError(errors.US_BANK_ACCOUNT_FAILED_TOKENIZATION);
+    errorTemplate = errors.US_BANK_ACCOUNT_FAILED_TOKENIZATION;
   } else {
-    error = new BraintreeError(errors.US_BANK_ACCOUNT_TOKENIZATION_NETWORK_ERROR);
+    errorTemplate = errors.US_BANK_ACCOUNT_TOKENIZATION_NETWORK_ERROR;
   }
-  error.details = {originalError: err};
-  return error;
+
+  return new BraintreeError({
+    type: errorTemplate.type,
+    code: errorTemplate.code,
+    message: errorTemplate.message,
+    details: {originalError: err}
+  });
 }
 
 function formatTokenizeResponse(response) {
@@ -358,19 +379,23 @@ function addLoadListeners(script, callback) {
  * Cleanly tear down anything set up by {@link module:braintree-web/us-bank-account.create|create}.
  * @public
  * @param {callback} [callback] Called once teardown is complete. No data is returned if teardown completes successfully.
- * @returns {void}
+ * @returns {Promise|void} Returns a promise that resolves when the teardown is complete if no callback is provided.
  */
-USBankAccount.prototype.teardown = function (callback) {
-  if (this._plaidScript) {
-    document.body.removeChild(this._plaidScript);
-  }
+USBankAccount.prototype.teardown = wrapPromise(function () {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  convertMethodsToError(this, methods(USBankAccount.prototype));
+  return new Promise(function (resolve) {
+    self._requests.abortAll();
 
-  if (callback) {
-    callback = deferred(callback);
-    callback();
-  }
-};
+    if (self._plaidScript) {
+      document.body.removeChild(self._plaidScript);
+    }
+
+    convertMethodsToError(self, methods(USBankAccount.prototype));
+
+    self._logger.log('torn down');
+    resolve();
+  });
+});
 
 module.exports = USBankAccount;
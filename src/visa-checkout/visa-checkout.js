@@ -2,10 +2,11 @@
 
 var BraintreeError = require('../lib/braintree-error');
 var analytics = require('../lib/analytics');
-var deferred = require('../lib/deferred');
 var errors = require('./errors');
 var jsonClone = require('../lib/json-clone');
-var throwIfNoCallback = require('../lib/throw-if-no-callback');
+var Promise = require('../lib/promise');
+var wrapPromise = require('../lib/wrap-promise');
+var Logger = require('../lib/logger');
 var cardTypeTransformMap = {
   Visa: 'VISA',
   MasterCard: 'MASTERCARD',
@@ -58,6 +59,7 @@ var cardTypeTransformMap = {
  */
 function VisaCheckout(options) {
   this._client = options.client;
+  this._logger = Logger.fromClient(options.client, 'visa-checkout');
 }
 
 function transformCardTypes(cardTypes) {
@@ -134,8 +136,8 @@ VisaCheckout.prototype.createInitOptions = function (options) {
  * @param {string} payment.callid Visa Checkout transaction ID associated with this payment.
  * @param {string} payment.encKey The encrypted key used to decrypt the payment data.
  * @param {string} payment.encPaymentData The encrypted payment data.
- * @param {callback} callback The second argument, <code>tokenizePayload</code> is a {@link VisaCheckout~tokenizePayload|tokenizePayload}.
- * @returns {void}
+ * @param {callback} [callback] The second argument, <code>tokenizePayload</code> is a {@link VisaCheckout~tokenizePayload|tokenizePayload}.
+ * @returns {Promise|void} Returns a promise that resolves with a {@link VisaCheckout~tokenizePayload|tokenizePayload} if no callback is provided.
  * @example
  * V.on('payment.success', function (payment) {
  *   visaCheckoutInstance.tokenize(payment, function (err, tokenizePayload) {
@@ -147,45 +149,48 @@ VisaCheckout.prototype.createInitOptions = function (options) {
  *   });
  * });
  */
-VisaCheckout.prototype.tokenize = function (payment, callback) {
-  throwIfNoCallback(callback, 'tokenize');
+VisaCheckout.prototype.tokenize = wrapPromise(function (payment) {
+  var self = this; // eslint-disable-line no-invalid-this
 
-  callback = deferred(callback);
-
-  if (!payment.callid || !payment.encKey || !payment.encPaymentData) {
-    callback(new BraintreeError(errors.VISA_CHECKOUT_PAYMENT_REQUIRED));
-    return;
-  }
-
-  this._client.request({
-    method: 'post',
-    endpoint: 'payment_methods/visa_checkout_cards',
-    data: {
-      _meta: {
-        source: 'visa-checkout'
-      },
-      visaCheckoutCard: {
-        callId: payment.callid,
-        encryptedPaymentData: payment.encPaymentData,
-        encryptedKey: payment.encKey
-      }
+  return new Promise(function (resolve, reject) {
+    if (!payment.callid || !payment.encKey || !payment.encPaymentData) {
+      throw new BraintreeError(errors.VISA_CHECKOUT_PAYMENT_REQUIRED);
     }
-  }, function (err, response) {
-    if (err) {
-      callback(new BraintreeError({
-        type: errors.VISA_CHECKOUT_TOKENIZATION.type,
-        code: errors.VISA_CHECKOUT_TOKENIZATION.code,
-        message: errors.VISA_CHECKOUT_TOKENIZATION.message,
-        details: {
-          originalError: err
+
+    self._logger.log('tokenize');
+
+    self._client.request({
+      method: 'post',
+      endpoint: 'payment_methods/visa_checkout_cards',
+      data: {
+        _meta: {
+          source: 'visa-checkout'
+        },
+        visaCheckoutCard: {
+          callId: payment.callid,
+          encryptedPaymentData: payment.encPaymentData,
+          encryptedKey: payment.encKey
         }
-      }));
-      analytics.sendEvent(this._client, 'web.visacheckout.tokenize.failed');
-    } else {
-      callback(null, response.visaCheckoutCards[0]);
-      analytics.sendEvent(this._client, 'web.visacheckout.tokenize.succeeded');
-    }
-  }.bind(this));
-};
+      }
+    }, function (err, response) {
+      if (err) {
+        reject(new BraintreeError({
+          type: errors.VISA_CHECKOUT_TOKENIZATION.type,
+          code: errors.VISA_CHECKOUT_TOKENIZATION.code,
+          message: errors.VISA_CHECKOUT_TOKENIZATION.message,
+          details: {
+            originalError: err
+          }
+        }));
+        analytics.sendEvent(self._client, 'web.visacheckout.tokenize.failed');
+        self._logger.log('tokenize failed', {error: err});
+      } else {
+        resolve(response.visaCheckoutCards[0]);
+        analytics.sendEvent(self._client, 'web.visacheckout.tokenize.succeeded');
+        self._logger.log('tokenized');
+      }
+    });
+  });
+});
 
 module.exports = VisaCheckout;
@@ -8,7 +8,7 @@ var minifyHTML = require('gulp-minifier');
 var VERSION = require('../package.json').version;
 
 var DIST_DIR = 'dist/hosted/web/' + VERSION + '/';
-var FRAMES = ['bank', 'authentication-complete'];
+var FRAMES = ['bank', 'authentication-complete', 'method', 'method-complete'];
 
 var HTML_TASKS = FRAMES.map(function (frame) {
   var htmlTaskName = 'build:three-d-secure:html:' + frame + '-frame';
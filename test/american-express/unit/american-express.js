@@ -2,6 +2,7 @@
 
 var AmericanExpress = require('../../../src/american-express/american-express');
 var BraintreeError = require('../../../src/lib/braintree-error');
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 var NONCE = 'ed1704dc-e98c-427f-9836-0f1933755b6a';
 
@@ -14,18 +15,22 @@ describe('AmericanExpress', function () {
   });
 
   describe('getRewardsBalance', function () {
-    it('throws an error when called without a callback', function (done) {
-      try {
-        this.amex.getRewardsBalance({});
-      } catch (err) {
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.equal(BraintreeError.types.MERCHANT);
-        expect(err.code).to.equal('CALLBACK_REQUIRED');
-        expect(err.message).to.equal('getRewardsBalance must include a callback function.');
+    it('returns a promise when called without a callback', function () {
+      this.client.request = function (options, callback) {
+        callback(null, {rewardsAmount: '100'});
+      };
+
+      return this.amex.getRewardsBalance({nonce: NONCE}).then(function (response) {
+        expect(response).to.deep.equal({rewardsAmount: '100'});
+      });
+    });
 
+    it('rejects the promise when called without a nonce', function () {
+      return this.amex.getRewardsBalance({}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('AMEX_NONCE_REQUIRED');
         expect(this.client.request).not.to.have.beenCalled;
-        done();
-      }
+      }.bind(this));
     });
 
     it('calls the callback with an error if called without a nonce', function (done) {
@@ -133,21 +138,25 @@ describe('AmericanExpress', function () {
   });
 
   describe('getExpressCheckoutProfile', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
+    it('returns a promise when called without a callback', function () {
+      this.client.request = function (options, callback) {
+        callback(null, {amexExpressCheckoutCards: []});
+      };
 
-      try {
-        this.amex.getExpressCheckoutProfile({nonce: NONCE});
-      } catch (e) {
-        err = e;
-      }
+      return this.amex.getExpressCheckoutProfile({nonce: NONCE}).then(function (response) {
+        expect(response).to.deep.equal({amexExpressCheckoutCards: []});
+      });
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('getExpressCheckoutProfile must include a callback function.');
+    it('rejects the promise when the request fails', function () {
+      this.client.request = function (options, callback) {
+        callback(new Error('network error'));
+      };
 
-      expect(this.client.request).not.to.have.beenCalled;
+      return this.amex.getExpressCheckoutProfile({nonce: NONCE}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('AMEX_NETWORK_ERROR');
+      });
     });
 
     it('calls the callback with an error if called without a nonce', function (done) {
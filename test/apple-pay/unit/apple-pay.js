@@ -3,7 +3,9 @@
 var ApplePay = require('../../../src/apple-pay/apple-pay');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var analytics = require('../../../src/lib/analytics');
+var Logger = require('../../../src/lib/logger');
 var fake = require('../../helpers/fake');
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('ApplePay', function () {
   beforeEach(function () {
@@ -114,19 +116,21 @@ describe('ApplePay', function () {
   });
 
   describe('performValidation', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
-
-      try {
-        this.applePay.performValidation();
-      } catch (e) {
-        err = e;
-      }
-
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.message).to.equal('performValidation requires a callback.');
+    it('returns a promise that rejects when called without options', function () {
+      return this.applePay.performValidation().then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('APPLE_PAY_VALIDATION_URL_REQUIRED');
+      });
+    });
+
+    it('returns a promise that resolves with the merchant session', function () {
+      this.client.request = function (options, callback) {
+        callback(null, {merchantSession: 'session'});
+      };
+
+      return this.applePay.performValidation({validationURL: 'https://example.com'}).then(function (response) {
+        expect(response).to.deep.equal({merchantSession: 'session'});
+      });
     });
 
     it('calls callback with error when event is undefined', function (done) {
@@ -274,19 +278,21 @@ describe('ApplePay', function () {
   });
 
   describe('tokenize', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
-
-      try {
-        this.applePay.tokenize({});
-      } catch (e) {
-        err = e;
-      }
-
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.message).to.equal('tokenize requires a callback.');
+    it('returns a promise that rejects when called without a token', function () {
+      return this.applePay.tokenize({}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('APPLE_PAY_PAYMENT_TOKEN_REQUIRED');
+      });
+    });
+
+    it('returns a promise that resolves with the tokenized payload', function () {
+      this.client.request = function (options, callback) {
+        callback(null, {applePayCards: [{nonce: 'fake-nonce'}]});
+      };
+
+      return this.applePay.tokenize({token: {paymentData: {}}}).then(function (payload) {
+        expect(payload).to.deep.equal({nonce: 'fake-nonce'});
+      });
     });
 
     it('calls callback with error when token is undefined', function (done) {
@@ -400,6 +406,7 @@ describe('ApplePay', function () {
         };
 
         ApplePay.prototype.performValidation.call({
+          _logger: new Logger(null, 'apple-pay'),
           _client: this.client
         }, {
           validationURL: 'validationURL',
@@ -415,6 +422,7 @@ describe('ApplePay', function () {
         };
 
         ApplePay.prototype.performValidation.call({
+          _logger: new Logger(null, 'apple-pay'),
           _client: this.client
         }, {
           validationURL: 'validationURL',
@@ -434,6 +442,7 @@ describe('ApplePay', function () {
         };
 
         ApplePay.prototype.tokenize.call({
+          _logger: new Logger(null, 'apple-pay'),
           _client: this.client
         }, {
           token: 'token'
@@ -448,6 +457,7 @@ describe('ApplePay', function () {
         };
 
         ApplePay.prototype.tokenize.call({
+          _logger: new Logger(null, 'apple-pay'),
           _client: this.client
         }, {
           token: 'token'
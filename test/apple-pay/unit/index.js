@@ -5,6 +5,7 @@ var create = require('../../../src/apple-pay').create;
 var analytics = require('../../../src/lib/analytics');
 var fake = require('../../helpers/fake');
 var version = require('../../../package.json').version;
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('applePay.create', function () {
   beforeEach(function () {
@@ -20,19 +21,19 @@ describe('applePay.create', function () {
     };
   });
 
-  it('throws an error when called without a callback', function () {
-    var err;
+  it('returns a promise when called without a callback', function () {
+    this.sandbox.stub(analytics, 'sendEvent');
 
-    try {
-      create({});
-    } catch (e) {
-      err = e;
-    }
+    return create({client: this.client}).then(function (applePayInstance) {
+      expect(applePayInstance).to.exist;
+    });
+  });
 
-    expect(err).to.be.an.instanceOf(BraintreeError);
-    expect(err.code).to.equal('CALLBACK_REQUIRED');
-    expect(err.type).to.equal('MERCHANT');
-    expect(err.message).to.equal('create must include a callback function.');
+  it('rejects the promise when missing client', function () {
+    return create({}).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceOf(BraintreeError);
+      expect(err.code).to.equal('INSTANTIATION_OPTION_REQUIRED');
+    });
   });
 
   it('calls callback with an error when missing client', function (done) {
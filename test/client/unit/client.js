@@ -4,6 +4,8 @@ var Client = require('../../../src/client/client');
 var VERSION = process.env.npm_package_version;
 var fake = require('../../helpers/fake');
 var BraintreeError = require('../../../src/lib/braintree-error');
+var Promise = require('../../../src/lib/promise');
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('Client', function () {
   describe('bad instantiation', function () {
@@ -118,6 +120,558 @@ describe('Client', function () {
     });
   });
 
+  describe('transport', function () {
+    it('sends requests through the transport from the configuration', function () {
+      var callback = this.sandbox.spy();
+      var configuration = fake.configuration();
+      var client;
+
+      configuration.transport = this.sandbox.stub().yields(null, {foo: 'bar'}, 200);
+      client = new Client(configuration);
+
+      client._request({url: 'https://example.com', method: 'get'}, callback);
+
+      expect(configuration.transport).to.have.been.calledWith(this.sandbox.match({
+        url: 'https://example.com',
+        method: 'GET'
+      }));
+      expect(callback).to.have.been.calledWith(null, {foo: 'bar'}, 200);
+    });
+
+    it('does not include the transport in the configuration', function () {
+      var configuration = fake.configuration();
+
+      configuration.transport = function () {};
+
+      expect(new Client(configuration).getConfiguration()).not.to.have.property('transport');
+    });
+  });
+
+  describe('debug logging', function () {
+    beforeEach(function () {
+      this.configuration = fake.configuration();
+      this.configuration.logger = this.sandbox.stub();
+      this.configuration.transport = this.sandbox.stub().yields(null, {foo: 'bar'}, 200);
+    });
+
+    it('logs when the client is created', function () {
+      new Client(this.configuration); // eslint-disable-line no-new
+
+      expect(this.configuration.logger).to.have.been.calledWithMatch({
+        namespace: 'client',
+        message: 'created'
+      });
+    });
+
+    it('logs requests with sensitive fields redacted', function () {
+      var client = new Client(this.configuration);
+
+      client._request({
+        url: 'https://example.com/payment_methods/credit_cards',
+        method: 'POST',
+        data: {creditCard: {number: '4111111111111111', cvv: '123'}}
+      }, function () {});
+
+      expect(this.configuration.logger).to.have.been.calledWithMatch({
+        namespace: 'client',
+        message: 'request',
+        data: {
+          method: 'POST',
+          url: 'https://example.com/payment_methods/credit_cards',
+          data: {creditCard: {number: '[REDACTED]', cvv: '[REDACTED]'}}
+        }
+      });
+    });
+
+    it('logs responses', function () {
+      var client = new Client(this.configuration);
+
+      client._request({url: 'https://example.com', method: 'GET'}, function () {});
+
+      expect(this.configuration.logger).to.have.been.calledWithMatch({
+        message: 'response',
+        data: {method: 'GET', url: 'https://example.com', status: 200}
+      });
+    });
+
+    it('logs failed requests', function () {
+      var client;
+
+      this.configuration.transport = this.sandbox.stub().yields({error: 'message'}, null, 422);
+      client = new Client(this.configuration);
+
+      client._request({url: 'https://example.com', method: 'GET'}, function () {});
+
+      expect(this.configuration.logger).to.have.been.calledWithMatch({
+        message: 'request failed',
+        data: {status: 422, error: {error: 'message'}}
+      });
+    });
+  });
+
+  describe('interceptors', function () {
+    beforeEach(function () {
+      this.configuration = fake.configuration();
+      this.configuration.transport = this.sandbox.stub().yields(null, {foo: 'bar'}, 200);
+      this.client = new Client(this.configuration);
+    });
+
+    it('throws an error if the interceptor has no functions', function () {
+      var client = this.client;
+
+      [null, {}, {request: 'foo'}].forEach(function (interceptor) {
+        expect(function () {
+          client.addInterceptor(interceptor);
+        }).to.throw(BraintreeError, 'interceptor must have a request, response, or error function.');
+      });
+    });
+
+    it('calls request interceptors with the request options before sending', function () {
+      var interceptor = {request: this.sandbox.spy()};
+
+      this.client.addInterceptor(interceptor);
+      this.client._request({url: 'https://example.com', method: 'get'}, function () {});
+
+      expect(interceptor.request).to.have.been.calledWith(this.sandbox.match({url: 'https://example.com'}));
+      expect(interceptor.request).to.have.been.calledBefore(this.configuration.transport);
+    });
+
+    it('sends the options returned by a request interceptor', function () {
+      this.client.addInterceptor({
+        request: function (options) {
+          return {url: options.url, method: options.method, headers: {'X-Correlation-Id': 'abc'}};
+        }
+      });
+      this.client._request({url: 'https://example.com', method: 'get'}, function () {});
+
+      expect(this.configuration.transport).to.have.been.calledWith(this.sandbox.match({
+        url: 'https://example.com',
+        headers: {'X-Correlation-Id': 'abc'}
+      }));
+    });
+
+    it('keeps changes made in place by a request interceptor', function () {
+      this.client.addInterceptor({
+        request: function (options) {
+          options.data.secret = '[redacted]';
+        }
+      });
+      this.client._request({url: 'https://example.com', method: 'post', data: {secret: 'abc'}}, function () {});
+
+      expect(this.configuration.transport.firstCall.args[0].data).to.deep.equal({secret: '[redacted]'});
+    });
+
+    it('calls response interceptors with the data and request context', function () {
+      var callback = this.sandbox.spy();
+      var interceptor = {response: this.sandbox.stub().returns({foo: 'baz'})};
+
+      this.client.addInterceptor(interceptor);
+      this.client._request({url: 'https://example.com', method: 'get'}, callback);
+
+      expect(interceptor.response).to.have.been.calledWith({foo: 'bar'}, this.sandbox.match({
+        options: this.sandbox.match({url: 'https://example.com', method: 'GET'}),
+        status: 200,
+        duration: this.sandbox.match.number,
+        attempts: 1
+      }));
+      expect(callback).to.have.been.calledWith(null, {foo: 'baz'}, 200);
+    });
+
+    it('calls error interceptors when a request fails', function () {
+      var callback = this.sandbox.spy();
+      var interceptor = {
+        response: this.sandbox.spy(),
+        error: this.sandbox.stub().returns('replaced error')
+      };
+
+      this.configuration.transport.yields('error', null, 422);
+      this.client.addInterceptor(interceptor);
+      this.client._request({url: 'https://example.com', method: 'get'}, callback);
+
+      expect(interceptor.response).not.to.have.been.called;
+      expect(interceptor.error).to.have.been.calledWith('error', this.sandbox.match({status: 422}));
+      expect(callback).to.have.been.calledWith('replaced error', null, 422);
+    });
+
+    it('calls back with an error instead of sending when a request interceptor throws', function (done) {
+      var transport = this.configuration.transport;
+      var interceptorErr = new Error('bad interceptor');
+
+      this.client.addInterceptor({
+        request: function () {
+          throw interceptorErr;
+        }
+      });
+
+      this.client._request({url: 'https://example.com', method: 'get'}, function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('CLIENT_INTERCEPTOR_ERROR');
+        expect(err.message).to.equal('An interceptor threw an error in its request function.');
+        expect(err.details.originalError).to.equal(interceptorErr);
+        expect(transport).not.to.have.been.called;
+        done();
+      });
+    });
+
+    it('calls back with an error when a response interceptor throws', function () {
+      var callback = this.sandbox.spy();
+      var err;
+
+      this.client.addInterceptor({
+        response: function () {
+          throw new Error('bad interceptor');
+        }
+      });
+      this.client._request({url: 'https://example.com', method: 'get'}, callback);
+
+      err = callback.firstCall.args[0];
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('CLIENT_INTERCEPTOR_ERROR');
+      expect(err.message).to.equal('An interceptor threw an error in its response function.');
+      expect(callback.firstCall.args[1]).to.equal(null);
+    });
+
+    it('does not throw when an interceptor throws and no callback is given', function (done) {
+      this.client.addInterceptor({
+        request: function () {
+          throw new Error('bad interceptor');
+        }
+      });
+
+      expect(function () {
+        this.client._request({url: 'https://example.com', method: 'post'});
+      }.bind(this)).not.to.throw();
+
+      setTimeout(done, 10);
+    });
+
+    it('rejects request with the interceptor error', function () {
+      this.client.addInterceptor({
+        error: function () {
+          throw new Error('bad interceptor');
+        }
+      });
+      this.configuration.transport.yields('error', null, 422);
+
+      return this.client.request({endpoint: 'payment_methods', method: 'get'}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('CLIENT_INTERCEPTOR_ERROR');
+        expect(err.message).to.equal('An interceptor threw an error in its error function.');
+      });
+    });
+
+    it('runs interceptors in the order they were added', function () {
+      var callback = this.sandbox.spy();
+
+      this.client.addInterceptor({
+        response: function (data) {
+          return data + 'b';
+        }
+      });
+      this.client.addInterceptor({
+        response: function (data) {
+          return data + 'c';
+        }
+      });
+      this.configuration.transport.yields(null, 'a', 200);
+      this.client._request({url: 'https://example.com', method: 'get'}, callback);
+
+      expect(callback).to.have.been.calledWith(null, 'abc', 200);
+    });
+
+    it('runs interceptors for requests made with request', function () {
+      var interceptor = {request: this.sandbox.spy()};
+
+      this.client.addInterceptor(interceptor);
+
+      return this.client.request({endpoint: 'payment_methods', method: 'get'}).then(function () {
+        expect(interceptor.request).to.have.been.calledWith(this.sandbox.match({
+          url: this.sandbox.match(/\/v1\/payment_methods$/)
+        }));
+      }.bind(this));
+    });
+
+    it('stops running an interceptor once it is removed', function () {
+      var interceptor = {request: this.sandbox.spy()};
+
+      this.client.addInterceptor(interceptor);
+      this.client.removeInterceptor(interceptor);
+      this.client._request({url: 'https://example.com', method: 'get'}, function () {});
+
+      expect(interceptor.request).not.to.have.been.called;
+    });
+  });
+
+  describe('refreshAuthorization', function () {
+    beforeEach(function () {
+      var newClientToken = fake.configuration().gatewayConfiguration;
+
+      newClientToken.authorizationFingerprint = 'new_auth_fingerprint';
+      this.newClientToken = btoa(JSON.stringify(newClientToken));
+
+      this.configuration = fake.configuration();
+      this.configuration.authorization = fake.clientToken;
+      this.configuration.authorizationType = 'CLIENT_TOKEN';
+      this.configuration.transport = this.sandbox.stub();
+      this.configuration.transport.onFirstCall().yields('expired', null, 401);
+      this.configuration.transport.onSecondCall().yields(null, fake.configuration().gatewayConfiguration, 200);
+      this.configuration.transport.onThirdCall().yields(null, {foo: 'bar'}, 200);
+    });
+
+    it('gets a new authorization and replays the request when authorization fails', function (done) {
+      var configuration = this.configuration;
+      var client;
+
+      configuration.refreshAuthorization = this.sandbox.stub().yields(null, this.newClientToken);
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        var replayedRequest = configuration.transport.thirdCall.args[0];
+
+        expect(err).not.to.exist;
+        expect(data).to.deep.equal({foo: 'bar'});
+        expect(status).to.equal(200);
+        expect(configuration.refreshAuthorization).to.have.been.calledOnce;
+        expect(configuration.transport.secondCall.args[0].data.authorizationFingerprint).to.equal('new_auth_fingerprint');
+        expect(replayedRequest.url).to.match(/\/v1\/payment_methods$/);
+        expect(replayedRequest.data._meta.sessionId).to.equal(configuration.analyticsMetadata.sessionId);
+        expect(client.getConfiguration().authorization).to.equal(this.newClientToken);
+
+        done();
+      }.bind(this));
+    });
+
+    it('uses the authorization from a returned promise', function () {
+      var configuration = this.configuration;
+      var newClientToken = this.newClientToken;
+      var client;
+
+      configuration.refreshAuthorization = function () {
+        return Promise.resolve(newClientToken);
+      };
+      client = new Client(configuration);
+
+      return client.request({endpoint: 'payment_methods', method: 'get'}).then(function (data) {
+        expect(data).to.deep.equal({foo: 'bar'});
+        expect(client.getConfiguration().authorization).to.equal(newClientToken);
+      });
+    });
+
+    it('returns the original error if refreshing fails', function (done) {
+      var configuration = this.configuration;
+      var client;
+
+      configuration.refreshAuthorization = this.sandbox.stub().yields(new Error('no token'));
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('CLIENT_REQUEST_ERROR');
+        expect(status).to.equal(401);
+        expect(configuration.transport).to.have.been.calledOnce;
+        expect(client.getConfiguration().authorization).to.equal(fake.clientToken);
+
+        done();
+      });
+    });
+
+    it('returns the original error if no authorization is provided', function (done) {
+      var configuration = this.configuration;
+      var client;
+
+      configuration.logger = this.sandbox.stub();
+      configuration.refreshAuthorization = this.sandbox.stub().yields(null, null);
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        var refreshError = configuration.logger.withArgs(this.sandbox.match({message: 'authorization refresh failed'})).firstCall.args[0].data.error;
+
+        expect(err.code).to.equal('CLIENT_REQUEST_ERROR');
+        expect(status).to.equal(401);
+        expect(configuration.transport).to.have.been.calledOnce;
+        expect(refreshError).to.be.an.instanceof(BraintreeError);
+        expect(refreshError.code).to.equal('CLIENT_INVALID_AUTHORIZATION');
+        expect(refreshError.message).to.equal('refreshAuthorization did not provide an authorization.');
+
+        done();
+      }.bind(this));
+    });
+
+    it('returns the original error if the refreshed configuration is invalid', function (done) {
+      var configuration = this.configuration;
+      var invalidGatewayConfiguration = fake.configuration().gatewayConfiguration;
+      var client;
+
+      invalidGatewayConfiguration.clientApiUrl = 'https://example.com';
+      configuration.transport.onSecondCall().yields(null, invalidGatewayConfiguration, 200);
+      configuration.refreshAuthorization = this.sandbox.stub().yields(null, this.newClientToken);
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        expect(err.code).to.equal('CLIENT_REQUEST_ERROR');
+        expect(status).to.equal(401);
+        expect(client._clientApiBaseUrl).to.equal(fake.configuration().gatewayConfiguration.clientApiUrl + '/v1/');
+
+        done();
+      });
+    });
+
+    it('only replays a request once', function (done) {
+      var configuration = this.configuration;
+      var client;
+
+      configuration.transport.onThirdCall().yields('still expired', null, 403);
+      configuration.refreshAuthorization = this.sandbox.stub().yields(null, this.newClientToken);
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        expect(err.code).to.equal('CLIENT_AUTHORIZATION_INSUFFICIENT');
+        expect(status).to.equal(403);
+        expect(configuration.refreshAuthorization).to.have.been.calledOnce;
+        expect(configuration.transport).to.have.been.calledThrice;
+
+        done();
+      });
+    });
+
+    it('shares a single refresh between requests that fail at the same time', function () {
+      var refreshCallback, client;
+      var configuration = this.configuration;
+      var firstCallback = this.sandbox.spy();
+      var secondCallback = this.sandbox.spy();
+
+      configuration.transport = this.sandbox.spy(function (options, cb) {
+        if (/configuration$/.test(options.url)) {
+          cb(null, fake.configuration().gatewayConfiguration, 200);
+        } else if (options.data.authorizationFingerprint === 'new_auth_fingerprint') {
+          cb(null, {foo: 'bar'}, 200);
+        } else {
+          cb('expired', null, 401);
+        }
+      });
+      configuration.refreshAuthorization = this.sandbox.spy(function (callback) {
+        refreshCallback = callback;
+      });
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, firstCallback);
+      client.request({endpoint: 'payment_methods', method: 'get'}, secondCallback);
+
+      expect(configuration.refreshAuthorization).to.have.been.calledOnce;
+
+      refreshCallback(null, this.newClientToken);
+
+      expect(firstCallback).to.have.been.calledWith(null, {foo: 'bar'}, 200);
+      expect(secondCallback).to.have.been.calledWith(null, {foo: 'bar'}, 200);
+    });
+
+    it('does not refresh authorization for a tokenization key', function (done) {
+      var configuration = this.configuration;
+      var client;
+
+      configuration.authorization = fake.tokenizationKey;
+      configuration.authorizationType = 'TOKENIZATION_KEY';
+      configuration.refreshAuthorization = this.sandbox.stub().yields(null, this.newClientToken);
+      client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        expect(err.code).to.equal('CLIENT_REQUEST_ERROR');
+        expect(status).to.equal(401);
+        expect(configuration.refreshAuthorization).not.to.have.been.called;
+        expect(configuration.transport).to.have.been.calledOnce;
+
+        done();
+      });
+    });
+
+    it('does not refresh authorization without a refreshAuthorization function', function (done) {
+      var configuration = this.configuration;
+      var client = new Client(configuration);
+
+      client.request({endpoint: 'payment_methods', method: 'get'}, function (err, data, status) {
+        expect(err.code).to.equal('CLIENT_REQUEST_ERROR');
+        expect(status).to.equal(401);
+        expect(configuration.transport).to.have.been.calledOnce;
+
+        done();
+      });
+    });
+  });
+
+  describe('abort', function () {
+    beforeEach(function () {
+      this.driverRequest = {abort: this.sandbox.spy()};
+      this.client = new Client(fake.configuration());
+      this.sandbox.stub(this.client, '_request').returns(this.driverRequest);
+    });
+
+    it('returns a handle that aborts the request when a callback is provided', function () {
+      var callback = this.sandbox.spy();
+      var handle = this.client.request({endpoint: 'payment_methods', method: 'get'}, callback);
+
+      handle.abort();
+      this.client._request.firstCall.args[1](null, {}, 200);
+
+      expect(this.driverRequest.abort).to.have.been.calledOnce;
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('aborts the request when the signal is aborted', function () {
+      var abortListener;
+      var callback = this.sandbox.spy();
+      var signal = {
+        aborted: false,
+        addEventListener: function (event, listener) {
+          abortListener = listener;
+        },
+        removeEventListener: this.sandbox.spy()
+      };
+
+      this.client.request({endpoint: 'payment_methods', method: 'get', signal: signal}, callback);
+      abortListener();
+
+      expect(this.driverRequest.abort).to.have.been.calledOnce;
+      this.client._request.firstCall.args[1](null, {}, 200);
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('does not send the request if the signal is already aborted', function () {
+      var callback = this.sandbox.spy();
+
+      this.client.request({endpoint: 'payment_methods', method: 'get', signal: {aborted: true}}, callback);
+
+      expect(this.client._request).not.to.have.been.called;
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('rejects the promise with a CLIENT_REQUEST_ABORTED error when aborted', function () {
+      return this.client.request({
+        endpoint: 'payment_methods',
+        method: 'get',
+        signal: {aborted: true}
+      }).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('CLIENT_REQUEST_ABORTED');
+        expect(err.message).to.equal('The request was aborted.');
+      });
+    });
+
+    it('removes the abort listener once the request completes', function () {
+      var signal = {
+        aborted: false,
+        addEventListener: this.sandbox.spy(),
+        removeEventListener: this.sandbox.spy()
+      };
+
+      this.client.request({endpoint: 'payment_methods', method: 'get', signal: signal}, function () {});
+      this.client._request.firstCall.args[1](null, {}, 200);
+
+      expect(signal.removeEventListener).to.have.been.calledWith('abort', signal.addEventListener.firstCall.args[1]);
+    });
+  });
+
   describe('toJSON', function () {
     it('returns the same object as getConfiguration', function () {
       var client = new Client(fake.configuration());
@@ -141,6 +695,44 @@ describe('Client', function () {
   });
 
   describe('request', function () {
+    it('returns a promise that resolves with the response data when no callback is provided', function () {
+      var client = new Client(fake.configuration());
+
+      this.sandbox.stub(client, '_request').yields(null, {foo: 'bar'}, 200);
+
+      return client.request({
+        method: 'get',
+        endpoint: 'payment_methods'
+      }).then(function (data) {
+        expect(data).to.deep.equal({foo: 'bar'});
+      });
+    });
+
+    it('returns a promise that rejects when no callback is provided and the request fails', function () {
+      var client = new Client(fake.configuration());
+
+      this.sandbox.stub(client, '_request').yields(null, null, 500);
+
+      return client.request({
+        method: 'get',
+        endpoint: 'payment_methods'
+      }).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('CLIENT_GATEWAY_NETWORK');
+      });
+    });
+
+    it('returns a promise that rejects when no callback is provided and options are invalid', function () {
+      var client = new Client(fake.configuration());
+
+      return client.request({
+        endpoint: 'payment_methods'
+      }).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('CLIENT_OPTION_REQUIRED');
+      });
+    });
+
     it('calls callback with an error when passed no HTTP method', function (done) {
       var client = new Client(fake.configuration());
 
@@ -523,6 +1115,22 @@ describe('Client', function () {
       }));
     });
 
+    it('passes through retry policy to driver', function () {
+      var client = new Client(fake.configuration());
+
+      this.sandbox.stub(client, '_request', function () {});
+
+      client.request({
+        endpoint: 'payment_methods',
+        retry: {maxAttempts: 5},
+        method: 'get'
+      }, function () {});
+
+      expect(client._request).to.have.been.calledWith(this.sandbox.match({
+        retry: {maxAttempts: 5}
+      }));
+    });
+
     it('passes through data to driver when API is unspecified', function () {
       var client = new Client(fake.configuration());
 
@@ -633,6 +1241,23 @@ describe('Client', function () {
       });
     });
 
+    it('includes the number of attempts in the error details if the request was retried', function (done) {
+      var client = new Client(fake.configuration());
+
+      this.sandbox.stub(client, '_request').yields('timeout', null, -1, 3);
+
+      client.request({
+        endpoint: 'payment_methods',
+        method: 'get',
+        retry: true
+      }, function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('CLIENT_REQUEST_TIMEOUT');
+        expect(err.details.attempts).to.equal(3);
+        done();
+      });
+    });
+
     it('returns BraintreeError if driver has a 4xx', function (done) {
       var errorDetails = {error: 'message'};
       var client = new Client(fake.configuration());
@@ -654,6 +1279,30 @@ describe('Client', function () {
       });
     });
 
+    it('includes field errors from a 4xx response', function (done) {
+      var client = new Client(fake.configuration());
+
+      this.sandbox.stub(client, '_request').yields({
+        error: {message: 'Credit card is invalid'},
+        fieldErrors: [{
+          field: 'creditCard',
+          fieldErrors: [{field: 'number', code: '81716', message: 'Credit card number must be 12-19 digits'}]
+        }]
+      }, null, 422);
+
+      client.request({
+        endpoint: 'payment_methods',
+        method: 'post'
+      }, function (err) {
+        expect(err.details.fieldErrors).to.deep.equal([{
+          field: 'creditCard.number',
+          code: '81716',
+          message: 'Credit card number must be 12-19 digits'
+        }]);
+        done();
+      });
+    });
+
     it('returns BraintreeError if driver has a 5xx', function (done) {
       var client = new Client(fake.configuration());
 
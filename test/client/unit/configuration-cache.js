@@ -0,0 +1,119 @@
+'use strict';
+
+var configurationCache = require('../../../src/client/configuration-cache');
+
+var STORAGE_KEY = 'braintree-web-configuration:6815c86c841536a6';
+
+describe('configurationCache', function () {
+  beforeEach(function () {
+    this.clock = this.sandbox.useFakeTimers();
+  });
+
+  afterEach(function () {
+    configurationCache.clear();
+  });
+
+  it('returns null when nothing is cached', function () {
+    expect(configurationCache.get('key')).to.be.null;
+  });
+
+  it('returns a copy of the cached gateway configuration', function () {
+    var gatewayConfiguration = {foo: 'bar'};
+    var cached;
+
+    configurationCache.set('key', gatewayConfiguration);
+    cached = configurationCache.get('key');
+
+    expect(cached).to.deep.equal({foo: 'bar'});
+    expect(cached).not.to.equal(gatewayConfiguration);
+  });
+
+  it('keeps entries separate by key', function () {
+    configurationCache.set('key', {foo: 'bar'});
+
+    expect(configurationCache.get('other-key')).to.be.null;
+  });
+
+  it('expires entries after 5 minutes by default', function () {
+    configurationCache.set('key', {foo: 'bar'});
+
+    this.clock.tick(299999);
+    expect(configurationCache.get('key')).to.deep.equal({foo: 'bar'});
+
+    this.clock.tick(1);
+    expect(configurationCache.get('key')).to.be.null;
+  });
+
+  it('expires entries after the given ttl', function () {
+    configurationCache.set('key', {foo: 'bar'}, {ttl: 1000});
+
+    this.clock.tick(1000);
+    expect(configurationCache.get('key')).to.be.null;
+  });
+
+  it('does not write to sessionStorage by default', function () {
+    configurationCache.set('key', {foo: 'bar'});
+
+    expect(global.sessionStorage.getItem(STORAGE_KEY)).to.be.null;
+  });
+
+  it('writes entries to sessionStorage when enabled', function () {
+    var entry;
+
+    configurationCache.set('key', {foo: 'bar'}, {sessionStorage: true, ttl: 1000});
+    entry = JSON.parse(global.sessionStorage.getItem(STORAGE_KEY));
+
+    expect(entry.gatewayConfiguration).to.deep.equal({foo: 'bar'});
+    expect(entry.expiresAt).to.equal(Date.now() + 1000);
+  });
+
+  it('does not write the key itself to sessionStorage', function () {
+    var i;
+
+    configurationCache.set('authorization-fingerprint', {foo: 'bar'}, {sessionStorage: true});
+
+    for (i = 0; i < global.sessionStorage.length; i++) {
+      expect(global.sessionStorage.key(i)).not.to.contain('authorization-fingerprint');
+    }
+    expect(configurationCache.get('authorization-fingerprint', {sessionStorage: true})).to.deep.equal({foo: 'bar'});
+  });
+
+  it('reads entries from sessionStorage when enabled', function () {
+    global.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+      gatewayConfiguration: {foo: 'bar'},
+      expiresAt: Date.now() + 1000
+    }));
+
+    expect(configurationCache.get('key')).to.be.null;
+    expect(configurationCache.get('key', {sessionStorage: true})).to.deep.equal({foo: 'bar'});
+  });
+
+  it('ignores expired entries in sessionStorage', function () {
+    global.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+      gatewayConfiguration: {foo: 'bar'},
+      expiresAt: Date.now() - 1
+    }));
+
+    expect(configurationCache.get('key', {sessionStorage: true})).to.be.null;
+  });
+
+  it('ignores invalid entries in sessionStorage', function () {
+    global.sessionStorage.setItem(STORAGE_KEY, '{');
+
+    expect(configurationCache.get('key', {sessionStorage: true})).to.be.null;
+  });
+
+  it('clears entries from memory and sessionStorage', function () {
+    global.sessionStorage.setItem('unrelated', 'value');
+    configurationCache.set('key', {foo: 'bar'}, {sessionStorage: true});
+    configurationCache.set('other-key', {foo: 'bar'}, {sessionStorage: true});
+
+    configurationCache.clear();
+
+    expect(configurationCache.get('key', {sessionStorage: true})).to.be.null;
+    expect(configurationCache.get('other-key', {sessionStorage: true})).to.be.null;
+    expect(global.sessionStorage.getItem('unrelated')).to.equal('value');
+
+    global.sessionStorage.removeItem('unrelated');
+  });
+});
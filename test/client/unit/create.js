@@ -19,6 +19,10 @@ describe('client.create', function () {
     });
   });
 
+  afterEach(function () {
+    client.clearConfigurationCache();
+  });
+
   it('supports a callback', function (done) {
     var self = this;
 
@@ -86,6 +90,27 @@ describe('client.create', function () {
     });
   });
 
+  it('rejects with the number of attempts when every configuration request fails', function () {
+    var clock = this.sandbox.useFakeTimers();
+    var transport = this.sandbox.spy(function (options, cb) {
+      cb('error', null, 0);
+    });
+    var promise = client.create({
+      authorization: fake.tokenizationKey,
+      transport: transport
+    });
+
+    clock.tick(10000);
+    clock.restore();
+
+    return promise.then(rejectIfResolves).catch(function (err) {
+      expect(transport).to.have.been.calledThrice;
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('CLIENT_GATEWAY_NETWORK');
+      expect(err.details.attempts).to.equal(3);
+    });
+  });
+
   it('errors out when the Client fails to initialize', function () {
     this.getSpy.restore();
     this.getSpy = this.sandbox.stub(AJAXDriver, 'request', function (options, cb) {
@@ -101,9 +126,158 @@ describe('client.create', function () {
   });
 
   it('can pass debug: true onto configuration', function () {
+    this.sandbox.stub(console, 'log');
+
     return client.create({authorization: fake.clientToken, debug: true}).then(function (thingy) {
       expect(thingy).to.be.an.instanceof(Client);
       expect(thingy.getConfiguration().isDebug).to.be.true;
     });
   });
+
+  it('logs to the console when debug is true', function () {
+    this.sandbox.stub(console, 'log');
+
+    return client.create({authorization: fake.clientToken, debug: true}).then(function () {
+      expect(console.log).to.have.been.calledWith('[braintree-web] client: created'); // eslint-disable-line no-console
+    });
+  });
+
+  it('logs to debug.logger when provided without setting isDebug', function () {
+    var logger = this.sandbox.stub();
+
+    this.sandbox.stub(console, 'log');
+
+    return client.create({
+      authorization: fake.clientToken,
+      debug: {logger: logger}
+    }).then(function (thingy) {
+      expect(thingy.getConfiguration().isDebug).not.to.exist;
+      expect(logger).to.have.been.calledWithMatch({
+        namespace: 'client',
+        message: 'created'
+      });
+      expect(console.log).not.to.have.been.called; // eslint-disable-line no-console
+    });
+  });
+
+  it('rejects if debug.logger is not a function', function () {
+    return client.create({
+      authorization: fake.tokenizationKey,
+      debug: {logger: 'console'}
+    }).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal('MERCHANT');
+      expect(err.code).to.equal('INVALID_OPTION');
+      expect(err.message).to.equal('options.debug.logger must be a function.');
+    });
+  });
+
+  it('rejects if transport is not a function', function () {
+    return client.create({
+      authorization: fake.tokenizationKey,
+      transport: 'fetch'
+    }).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal('MERCHANT');
+      expect(err.code).to.equal('INVALID_OPTION');
+      expect(err.message).to.equal('options.transport must be a function.');
+    });
+  });
+
+  it('fetches the configuration and makes requests with the transport', function () {
+    var transport = this.sandbox.spy(function (options, cb) {
+      cb(null, fake.configuration().gatewayConfiguration, 200);
+    });
+
+    return client.create({
+      authorization: fake.tokenizationKey,
+      transport: transport
+    }).then(function (thingy) {
+      expect(this.getSpy).not.to.have.been.called;
+      expect(transport).to.have.been.calledOnce;
+      expect(transport).to.have.been.calledWith(this.sandbox.match({
+        url: this.sandbox.match(/client_api\/v1\/configuration$/)
+      }));
+
+      return thingy.request({method: 'get', endpoint: 'foo'});
+    }.bind(this)).then(function () {
+      expect(transport).to.have.been.calledTwice;
+      expect(transport.secondCall.args[0].url).to.match(/\/v1\/foo$/);
+    });
+  });
+
+  it('uses a provided gatewayConfiguration instead of fetching one', function () {
+    var gatewayConfiguration = fake.configuration().gatewayConfiguration;
+
+    return client.create({
+      authorization: fake.tokenizationKey,
+      gatewayConfiguration: gatewayConfiguration
+    }).then(function (thingy) {
+      expect(thingy).to.be.an.instanceof(Client);
+      expect(this.getSpy).not.to.have.been.called;
+      expect(thingy.getConfiguration().gatewayConfiguration).to.deep.equal(gatewayConfiguration);
+      expect(thingy.getConfiguration().authorizationType).to.equal('TOKENIZATION_KEY');
+    }.bind(this));
+  });
+
+  it('rejects if gatewayConfiguration is not an object', function () {
+    return client.create({
+      authorization: fake.tokenizationKey,
+      gatewayConfiguration: 'config'
+    }).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal('MERCHANT');
+      expect(err.code).to.equal('INVALID_OPTION');
+      expect(err.message).to.equal('options.gatewayConfiguration must be an object.');
+    });
+  });
+
+  it('rejects if a provided gatewayConfiguration is on an invalid domain', function () {
+    var gatewayConfiguration = fake.configuration().gatewayConfiguration;
+
+    gatewayConfiguration.clientApiUrl = 'https://example.com';
+
+    return client.create({
+      authorization: fake.tokenizationKey,
+      gatewayConfiguration: gatewayConfiguration
+    }).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('CLIENT_GATEWAY_CONFIGURATION_INVALID_DOMAIN');
+      expect(err.message).to.equal('clientApiUrl property is on an invalid domain.');
+    });
+  });
+
+  it('rejects if a provided gatewayConfiguration is used with invalid authorization', function () {
+    return client.create({
+      authorization: 'invalid',
+      gatewayConfiguration: fake.configuration().gatewayConfiguration
+    }).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('CLIENT_INVALID_AUTHORIZATION');
+    });
+  });
+
+  it('rejects if refreshAuthorization is not a function', function () {
+    return client.create({
+      authorization: fake.clientToken,
+      refreshAuthorization: 'token'
+    }).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal('MERCHANT');
+      expect(err.code).to.equal('INVALID_OPTION');
+      expect(err.message).to.equal('options.refreshAuthorization must be a function.');
+    });
+  });
+
+  it('passes refreshAuthorization to the client', function () {
+    function refreshAuthorization() {}
+
+    return client.create({
+      authorization: fake.clientToken,
+      refreshAuthorization: refreshAuthorization
+    }).then(function (thingy) {
+      expect(thingy._refreshAuthorizationHandler).to.equal(refreshAuthorization);
+      expect(thingy.getConfiguration()).not.to.have.property('refreshAuthorization');
+    });
+  });
 });
@@ -8,6 +8,10 @@ describe('export', function () {
     expect(client.create).to.be.a('function');
   });
 
+  it('contains clearConfigurationCache', function () {
+    expect(client.clearConfigurationCache).to.be.a('function');
+  });
+
   it('sets the version', function () {
     expect(client.VERSION).to.equal(packageVersion);
   });
@@ -2,10 +2,15 @@
 
 var BraintreeError = require('../../../src/lib/braintree-error');
 var getConfiguration = require('../../../src/client/get-configuration').getConfiguration;
+var clearConfigurationCache = require('../../../src/client/get-configuration').clearConfigurationCache;
 var AJAXDriver = require('../../../src/client/request/ajax-driver');
 var fake = require('../../helpers/fake');
 
 describe('getConfiguration', function () {
+  afterEach(function () {
+    clearConfigurationCache();
+  });
+
   describe('tokenization key', function () {
     it('uses a production config endpoint with a production tokenization key', function () {
       var options = {authorization: 'production_abc123_prod_merchant_id'};
@@ -87,6 +92,217 @@ describe('getConfiguration', function () {
     });
   });
 
+  describe('gatewayConfiguration', function () {
+    it('passes back a provided gatewayConfiguration without making a request', function () {
+      var callback = this.sandbox.spy();
+      var gatewayConfiguration = {foo: 'bar'};
+
+      this.sandbox.stub(AJAXDriver, 'request');
+
+      getConfiguration({
+        authorization: fake.clientToken,
+        gatewayConfiguration: gatewayConfiguration
+      }, callback);
+
+      expect(AJAXDriver.request).not.to.have.been.called;
+      expect(callback).to.have.been.calledWith(null, this.sandbox.match({
+        authorization: fake.clientToken,
+        authorizationType: 'CLIENT_TOKEN',
+        gatewayConfiguration: {foo: 'bar'}
+      }));
+      expect(callback.firstCall.args[1].gatewayConfiguration).not.to.equal(gatewayConfiguration);
+    });
+  });
+
+  describe('caching', function () {
+    it('reuses a cached configuration for the same authorization', function (done) {
+      var payload = {foo: 'bar'};
+
+      this.sandbox.stub(AJAXDriver, 'request').yields(null, payload, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function (firstErr, firstConfiguration) {
+        getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function (err, configuration) {
+          expect(err).not.to.exist;
+          expect(AJAXDriver.request).to.have.been.calledOnce;
+          expect(configuration.gatewayConfiguration).to.deep.equal(payload);
+          expect(configuration.authorization).to.equal(fake.tokenizationKey);
+          expect(configuration.analyticsMetadata.sessionId).not.to.equal(firstConfiguration.analyticsMetadata.sessionId);
+
+          done();
+        });
+      });
+    });
+
+    it('does not reuse a configuration for a different authorization', function (done) {
+      this.sandbox.stub(AJAXDriver, 'request').yields(null, {foo: 'bar'}, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function () {
+        getConfiguration({authorization: fake.clientToken, configurationCache: true}, function () {
+          expect(AJAXDriver.request).to.have.been.calledTwice;
+
+          done();
+        });
+      });
+    });
+
+    it('does not use the cache by default', function (done) {
+      this.sandbox.stub(AJAXDriver, 'request').yields(null, {foo: 'bar'}, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey}, function () {
+        getConfiguration({authorization: fake.tokenizationKey}, function () {
+          expect(AJAXDriver.request).to.have.been.calledTwice;
+
+          done();
+        });
+      });
+    });
+
+    it('does not use the cache when configurationCache is false', function (done) {
+      this.sandbox.stub(AJAXDriver, 'request').yields(null, {foo: 'bar'}, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function () {
+        getConfiguration({authorization: fake.tokenizationKey, configurationCache: false}, function () {
+          expect(AJAXDriver.request).to.have.been.calledTwice;
+
+          done();
+        });
+      });
+    });
+
+    it('does not cache failed requests', function (done) {
+      var stub = this.sandbox.stub(AJAXDriver, 'request');
+
+      stub.onFirstCall().yields('error', null, 403);
+      stub.onSecondCall().yields(null, {foo: 'bar'}, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function (firstErr) {
+        expect(firstErr).to.exist;
+
+        getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function (err, configuration) {
+          expect(err).not.to.exist;
+          expect(configuration.gatewayConfiguration).to.deep.equal({foo: 'bar'});
+          expect(AJAXDriver.request).to.have.been.calledTwice;
+
+          done();
+        });
+      });
+    });
+
+    it('shares a single request between concurrent calls', function () {
+      var firstCallback = this.sandbox.spy();
+      var secondCallback = this.sandbox.spy();
+
+      this.sandbox.stub(AJAXDriver, 'request');
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, firstCallback);
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, secondCallback);
+
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+
+      AJAXDriver.request.yield(null, {foo: 'bar'}, 200);
+
+      expect(firstCallback).to.have.been.calledWith(null, this.sandbox.match({gatewayConfiguration: {foo: 'bar'}}));
+      expect(secondCallback).to.have.been.calledWith(null, this.sandbox.match({gatewayConfiguration: {foo: 'bar'}}));
+      expect(firstCallback.firstCall.args[1].gatewayConfiguration).not.to.equal(secondCallback.firstCall.args[1].gatewayConfiguration);
+    });
+
+    it('passes errors to every concurrent call', function () {
+      var firstCallback = this.sandbox.spy();
+      var secondCallback = this.sandbox.spy();
+
+      this.sandbox.stub(AJAXDriver, 'request');
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, firstCallback);
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, secondCallback);
+
+      AJAXDriver.request.yield('error', null, 403);
+
+      expect(firstCallback.firstCall.args[0].code).to.equal('CLIENT_AUTHORIZATION_INSUFFICIENT');
+      expect(secondCallback.firstCall.args[0].code).to.equal('CLIENT_AUTHORIZATION_INSUFFICIENT');
+      expect(firstCallback.firstCall.args[0]).not.to.equal(secondCallback.firstCall.args[0]);
+      expect(firstCallback.firstCall.args[0].details).not.to.equal(secondCallback.firstCall.args[0].details);
+    });
+
+    it('does not share requests sent with a custom transport', function () {
+      var firstTransport = this.sandbox.stub();
+      var secondTransport = this.sandbox.stub();
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true, transport: firstTransport}, function () {});
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true, transport: secondTransport}, function () {});
+
+      expect(firstTransport).to.have.been.calledOnce;
+      expect(secondTransport).to.have.been.calledOnce;
+    });
+
+    it('makes a new request after the cache is cleared', function (done) {
+      this.sandbox.stub(AJAXDriver, 'request').yields(null, {foo: 'bar'}, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function () {
+        clearConfigurationCache();
+
+        getConfiguration({authorization: fake.tokenizationKey, configurationCache: true}, function () {
+          expect(AJAXDriver.request).to.have.been.calledTwice;
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('retries', function () {
+    beforeEach(function () {
+      this.clock = this.sandbox.useFakeTimers();
+    });
+
+    it('retries the configuration request when the network fails', function () {
+      var callback = this.sandbox.spy();
+      var payload = {foo: 'bar'};
+
+      this.sandbox.stub(AJAXDriver, 'request');
+      AJAXDriver.request.onFirstCall().yields('error', null, 0);
+      AJAXDriver.request.onSecondCall().yields(null, payload, 200);
+
+      getConfiguration({authorization: fake.tokenizationKey}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledTwice;
+      expect(callback).to.have.been.calledWith(null, this.sandbox.match({
+        gatewayConfiguration: payload
+      }));
+    });
+
+    it('reports the number of attempts when every retry fails', function () {
+      var callback = this.sandbox.spy();
+      var err;
+
+      this.sandbox.stub(AJAXDriver, 'request').yields('timeout', null, -1);
+
+      getConfiguration({authorization: fake.tokenizationKey}, callback);
+      this.clock.tick(10000);
+
+      err = callback.firstCall.args[0];
+      expect(AJAXDriver.request).to.have.been.calledThrice;
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('CLIENT_GATEWAY_NETWORK');
+      expect(err.details.originalError).to.equal('timeout');
+      expect(err.details.attempts).to.equal(3);
+    });
+
+    it('does not report attempts when the request was only sent once', function () {
+      var callback = this.sandbox.spy();
+      var err;
+
+      this.sandbox.stub(AJAXDriver, 'request').yields('error', null, 403);
+
+      getConfiguration({authorization: fake.tokenizationKey}, callback);
+
+      err = callback.firstCall.args[0];
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+      expect(err.code).to.equal('CLIENT_AUTHORIZATION_INSUFFICIENT');
+      expect(err.details).to.deep.equal({originalError: 'error'});
+    });
+  });
+
   describe('client token', function () {
     it('uses the config endpoint from the client token', function () {
       var options = {authorization: fake.clientToken};
@@ -138,4 +138,27 @@ describe('AJAXDriver', function () {
       });
     });
   });
+
+  describe('abort', function () {
+    it('aborts the request without calling the callback', function () {
+      var handle;
+      var callback = this.sandbox.spy();
+
+      this.server.restore();
+      this.server = sinon.fakeServer.create();
+      this.server.respondWith([200, {}, JSON.stringify({marco: 'polo'})]);
+      this.sandbox.spy(XMLHttpRequest.prototype, 'abort');
+
+      handle = AJAXDriver.request({
+        url: TEST_SERVER_URL,
+        method: 'GET'
+      }, callback);
+
+      handle.abort();
+      this.server.respond();
+
+      expect(XMLHttpRequest.prototype.abort).to.have.been.calledOnce;
+      expect(callback).not.to.have.been.called;
+    });
+  });
 });
@@ -65,4 +65,204 @@ describe('Client request driver', function () {
 
     expect(count).to.equal(1);
   });
+
+  it('sends requests through a transport instead of the built-in drivers when given', function () {
+    var callback = this.sandbox.spy();
+    var transport = this.sandbox.stub().yields(null, {foo: 'bar'}, 200);
+
+    request({
+      url: 'https://example.com',
+      method: 'post'
+    }, callback, transport);
+
+    expect(AJAXDriver.request).not.to.have.been.called;
+    expect(transport).to.have.been.calledWith({
+      url: 'https://example.com',
+      method: 'POST',
+      timeout: 60000,
+      data: {}
+    }, this.sandbox.match.func);
+    expect(callback).to.have.been.calledWith(null, {foo: 'bar'}, 200);
+  });
+
+  it('prevents a transport from invoking the callback multiple times', function () {
+    var callback = this.sandbox.spy();
+
+    request({}, callback, function (options, cb) {
+      cb();
+      cb();
+    });
+
+    expect(callback).to.have.been.calledOnce;
+  });
+
+  describe('retry', function () {
+    beforeEach(function () {
+      this.clock = this.sandbox.useFakeTimers();
+      this.sandbox.stub(Math, 'random').returns(0.5);
+    });
+
+    it('does not retry failed requests by default', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.yields('error', null, 0);
+
+      request({method: 'get'}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWith('error', null, 500, 1);
+    });
+
+    it('does not pass the retry policy to the transport', function () {
+      request({method: 'get', retry: true}, function () {});
+
+      expect(AJAXDriver.request.firstCall.args[0]).not.to.have.property('retry');
+    });
+
+    it('retries network failures with exponential backoff until the maximum attempts are reached', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.yields('error', null, 0);
+
+      request({method: 'post', retry: true}, callback);
+
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+
+      this.clock.tick(124);
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+      this.clock.tick(1);
+      expect(AJAXDriver.request).to.have.been.calledTwice;
+
+      this.clock.tick(249);
+      expect(AJAXDriver.request).to.have.been.calledTwice;
+      this.clock.tick(1);
+      expect(AJAXDriver.request).to.have.been.calledThrice;
+
+      this.clock.tick(10000);
+      expect(AJAXDriver.request).to.have.been.calledThrice;
+      expect(callback).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWith('error', null, 500, 3);
+    });
+
+    it('retries timeouts', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.yields('timeout', null, -1);
+
+      request({method: 'post', retry: {maxAttempts: 2}}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledTwice;
+      expect(callback).to.have.been.calledWith('timeout', null, -1, 2);
+    });
+
+    it('retries server errors for GET requests', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.yields('error', null, 503);
+
+      request({method: 'get', retry: true}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledThrice;
+      expect(callback).to.have.been.calledWith('error', null, 503, 3);
+    });
+
+    it('does not retry server errors for other requests', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.yields('error', null, 503);
+
+      request({method: 'post', retry: true}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWith('error', null, 503, 1);
+    });
+
+    it('does not retry client errors', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.yields('error', null, 422);
+
+      request({method: 'get', retry: true}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWith('error', null, 422, 1);
+    });
+
+    it('stops retrying once a request succeeds', function () {
+      var callback = this.sandbox.spy();
+
+      AJAXDriver.request.onFirstCall().yields('error', null, 0);
+      AJAXDriver.request.onSecondCall().yields(null, {foo: 'bar'}, 200);
+
+      request({method: 'get', retry: true}, callback);
+      this.clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledTwice;
+      expect(callback).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWith(null, {foo: 'bar'}, 200, 2);
+    });
+
+    it('caps the backoff delay at maxDelay', function () {
+      AJAXDriver.request.yields('error', null, 0);
+      Math.random.returns(0.99);
+
+      request({method: 'get', retry: {maxAttempts: 5, baseDelay: 1000, maxDelay: 1500}}, function () {});
+
+      this.clock.tick(990);
+      expect(AJAXDriver.request).to.have.been.calledTwice;
+      this.clock.tick(1485);
+      expect(AJAXDriver.request).to.have.been.calledThrice;
+      this.clock.tick(1485);
+      expect(AJAXDriver.request.callCount).to.equal(4);
+    });
+  });
+
+  describe('abort', function () {
+    it('returns a handle that aborts the request', function () {
+      var callback = this.sandbox.spy();
+      var driverRequest = {abort: this.sandbox.spy()};
+      var handle;
+
+      AJAXDriver.request.returns(driverRequest);
+
+      handle = request({method: 'get'}, callback);
+      handle.abort();
+
+      expect(driverRequest.abort).to.have.been.calledOnce;
+      AJAXDriver.request.firstCall.args[1](null, {}, 200);
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('does not retry an aborted request', function () {
+      var clock = this.sandbox.useFakeTimers();
+      var callback = this.sandbox.spy();
+      var handle;
+
+      AJAXDriver.request.yields('error', null, 0);
+
+      handle = request({method: 'get', retry: true}, callback);
+      handle.abort();
+      clock.tick(10000);
+
+      expect(AJAXDriver.request).to.have.been.calledOnce;
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('can abort requests sent with a transport that does not return a handle', function () {
+      var callback = this.sandbox.spy();
+      var transport = this.sandbox.stub();
+      var handle = request({method: 'get'}, callback, transport);
+
+      handle.abort();
+      transport.firstCall.args[1](null, {}, 200);
+
+      expect(callback).not.to.have.been.called;
+    });
+  });
 });
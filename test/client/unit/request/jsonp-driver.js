@@ -181,4 +181,31 @@ describe('JSONPDriver', function () {
       });
     });
   });
+
+  describe('abort', function () {
+    it('removes the script and does not call the callback', function () {
+      var handle, script, callbackName;
+      var callback = this.sandbox.spy();
+
+      document.head.appendChild = function (node) {
+        script = node;
+        return Node.prototype.appendChild.call(document.head, node);
+      };
+
+      handle = JSONPDriver.request({
+        url: TEST_SERVER_URL + 'marco',
+        data: {marco: 'polo'},
+        method: 'GET',
+        timeout: 50
+      }, callback);
+      callbackName = querystring.parse(script.src).callback;
+
+      handle.abort();
+
+      expect(script.parentNode).not.to.exist;
+      global[callbackName]({status: 200});
+      expect(callback).not.to.have.been.called;
+      expect(global[callbackName]).not.to.exist;
+    });
+  });
 });
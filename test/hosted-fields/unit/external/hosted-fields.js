@@ -7,8 +7,10 @@ var events = constants.events;
 var Destructor = require('../../../../src/lib/destructor');
 var EventEmitter = require('../../../../src/lib/event-emitter');
 var BraintreeError = require('../../../../src/lib/braintree-error');
+var rejectIfResolves = require('../../../helpers/promise-helper').rejectIfResolves;
 var fake = require('../../../helpers/fake');
 var analytics = require('../../../../src/lib/analytics');
+var Logger = require('../../../../src/lib/logger');
 var methods = require('../../../../src/lib/methods');
 var version = require('../../../../package.json').version;
 var getCardTypes = require('credit-card-type');
@@ -43,6 +45,29 @@ describe('HostedFields', function () {
       expect(instance._bus).to.be.an.instanceof(Bus);
     });
 
+    it('logs frame creation to the client logger', function () {
+      var write = this.sandbox.stub();
+      var numberNode = document.createElement('div');
+      var instance;
+
+      numberNode.id = 'number';
+      document.body.appendChild(numberNode);
+
+      this.defaultConfiguration.client._logger = new Logger(write, 'client');
+      this.defaultConfiguration.fields.number = {selector: '#number'};
+
+      instance = new HostedFields(this.defaultConfiguration);
+
+      expect(instance._bus._logger).to.equal(instance._logger);
+      expect(write).to.have.been.calledWithMatch({
+        namespace: 'hosted-fields',
+        message: 'frame created',
+        data: {field: 'number'}
+      });
+
+      document.body.removeChild(numberNode);
+    });
+
     it('sends an analytics event', function () {
       var client = this.defaultConfiguration.client;
 
@@ -142,6 +167,76 @@ describe('HostedFields', function () {
         }
       });
 
+      it('throws an error if supportedCardBrands is invalid', function () {
+        var configuration = this.defaultConfiguration;
+
+        configuration.fields.number = {
+          selector: 'body',
+          supportedCardBrands: 'visa'
+        };
+
+        try {
+          new HostedFields(configuration);  // eslint-disable-line no-new
+          throw new Error('we should never reach this point');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal('MERCHANT');
+          expect(err.code).to.equal('INVALID_OPTION');
+          expect(err.message).to.equal('options.fields.number.supportedCardBrands must be true or an array of card types.');
+        }
+      });
+
+      it('throws an error if passed invalid validation rules', function () {
+        var configuration = this.defaultConfiguration;
+
+        configuration.fields.cvv = {
+          selector: 'body',
+          rules: {allowedCardTypes: ['visa']}
+        };
+
+        try {
+          new HostedFields(configuration);  // eslint-disable-line no-new
+          throw new Error('we should never reach this point');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal('MERCHANT');
+          expect(err.code).to.equal('HOSTED_FIELDS_RULE_NOT_SUPPORTED');
+          expect(err.message).to.equal('The "allowedCardTypes" rule is not supported for "cvv" field.');
+        }
+      });
+
+      it('throws an error if fonts is not an array', function () {
+        var configuration = this.defaultConfiguration;
+
+        configuration.fonts = {family: 'Brand Sans', src: 'https://fonts.gstatic.com/brand-sans.woff2'};
+
+        try {
+          new HostedFields(configuration);  // eslint-disable-line no-new
+          throw new Error('we should never reach this point');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal('MERCHANT');
+          expect(err.code).to.equal('INVALID_OPTION');
+          expect(err.message).to.equal('options.fonts must be an array.');
+        }
+      });
+
+      it('throws an error if a font is not allowed', function () {
+        var configuration = this.defaultConfiguration;
+
+        configuration.fonts = [{family: 'Brand Sans', src: 'https://example.com/brand-sans.woff2'}];
+
+        try {
+          new HostedFields(configuration);  // eslint-disable-line no-new
+          throw new Error('we should never reach this point');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal('MERCHANT');
+          expect(err.code).to.equal('HOSTED_FIELDS_FONT_NOT_ALLOWED');
+          expect(err.message).to.contain('Font source "https://example.com/brand-sans.woff2" is not allowed.');
+        }
+      });
+
       it('throws an error if field container does not exist', function () {
         var configuration = this.defaultConfiguration;
 
@@ -234,16 +329,45 @@ describe('HostedFields', function () {
         }
       }
 
-      frameReadyHandler(replyStub);
+      frameReadyHandler({field: 'number'}, replyStub);
       expect(replyStub).not.to.have.beenCalled;
 
-      frameReadyHandler(replyStub);
+      frameReadyHandler({field: 'cvv'}, replyStub);
       expect(replyStub).not.to.have.beenCalled;
 
-      frameReadyHandler(replyStub);
+      frameReadyHandler({field: 'expirationDate'}, replyStub);
       expect(replyStub).to.have.been.calledWith(configuration);
     });
 
+    it('replies to the frame of the first field', function () {
+      var instance, frameReadyHandler;
+      var configuration = this.defaultConfiguration;
+      var numberReply = this.sandbox.stub();
+      var cvvReply = this.sandbox.stub();
+      var numberNode = document.createElement('div');
+      var cvvNode = document.createElement('div');
+
+      numberNode.id = 'number';
+      cvvNode.id = 'cvv';
+
+      document.body.appendChild(numberNode);
+      document.body.appendChild(cvvNode);
+
+      configuration.fields = {
+        number: {selector: '#number'},
+        cvv: {selector: '#cvv'}
+      };
+
+      instance = new HostedFields(configuration);
+      frameReadyHandler = instance._bus.on.withArgs(events.FRAME_READY).getCall(0).args[1];
+
+      frameReadyHandler({field: 'number'}, numberReply);
+      frameReadyHandler({field: 'cvv'}, cvvReply);
+
+      expect(numberReply).to.have.been.calledWith(configuration);
+      expect(cvvReply).not.to.have.been.called;
+    });
+
     it('emits "ready" when the final FRAME_READY is emitted', function (done) {
       var instance, i, frameReadyHandler;
       var configuration = this.defaultConfiguration;
@@ -278,9 +402,46 @@ describe('HostedFields', function () {
 
       instance.on('ready', done);
 
-      frameReadyHandler(noop);
-      frameReadyHandler(noop);
-      frameReadyHandler(noop);
+      frameReadyHandler({field: 'number'}, noop);
+      frameReadyHandler({field: 'cvv'}, noop);
+      frameReadyHandler({field: 'expirationDate'}, noop);
+    });
+
+    it('emits "fontsReady" when every frame has loaded its fonts', function () {
+      var instance, fontsReadyHandler;
+      var configuration = this.defaultConfiguration;
+      var numberNode = document.createElement('div');
+      var cvvNode = document.createElement('div');
+      var handler = this.sandbox.spy();
+
+      numberNode.id = 'number';
+      cvvNode.id = 'cvv';
+
+      document.body.appendChild(numberNode);
+      document.body.appendChild(cvvNode);
+
+      configuration.fonts = [{family: 'Brand Sans', src: 'https://fonts.gstatic.com/brand-sans.woff2'}];
+      configuration.fields = {
+        number: {selector: '#number'},
+        cvv: {selector: '#cvv'}
+      };
+
+      instance = new HostedFields(configuration);
+      fontsReadyHandler = instance._bus.on.withArgs(events.FONTS_READY).getCall(0).args[1];
+
+      instance.on('fontsReady', handler);
+
+      fontsReadyHandler({field: 'number'});
+      expect(handler).not.to.have.been.called;
+
+      fontsReadyHandler({field: 'cvv'});
+      expect(handler).to.have.been.calledOnce;
+    });
+
+    it('does not subscribe to FONTS_READY when no fonts are provided', function () {
+      var instance = new HostedFields(this.defaultConfiguration);
+
+      expect(instance._bus.on).not.to.have.been.calledWith(events.FONTS_READY);
     });
 
     it('subscribes to INPUT_EVENT', function () {
@@ -351,6 +512,7 @@ describe('HostedFields', function () {
           isValid: false,
           isPotentiallyValid: true,
           isFocused: false,
+          invalidReason: 'EMPTY',
           container: document.querySelector('#' + key)
         });
       });
@@ -406,6 +568,34 @@ describe('HostedFields', function () {
       document.body.removeChild(this.fakeContainer);
     });
 
+    it('ignores events emitted by a field that has been removed', function () {
+      delete this.instance._fields.number;
+      this.inputEventHandler(this.eventData);
+
+      expect(this.instance._emit).not.to.have.been.called;
+    });
+
+    it('drops fields that have been removed from the state', function () {
+      this.eventData.merchantPayload.fields.cvv = {
+        isFocused: false,
+        isValid: false,
+        isPotentiallyValid: true
+      };
+      this.inputEventHandler(this.eventData);
+
+      expect(this.instance.getState().fields).to.have.all.keys('number');
+    });
+
+    it('keeps the state of fields that the frames do not know about yet', function () {
+      var cvvState = {isEmpty: true};
+
+      this.instance._fields.cvv = {containerElement: document.createElement('div')};
+      this.instance._state.fields.cvv = cvvState;
+      this.inputEventHandler(this.eventData);
+
+      expect(this.instance.getState().fields.cvv).to.equal(cvvState);
+    });
+
     it('applies no focused class if the field is not focused', function () {
       this.eventData.merchantPayload.fields.number.isFocused = false;
       this.inputEventHandler(this.eventData);
@@ -461,13 +651,34 @@ describe('HostedFields', function () {
       expect(this.instance._emit).to.have.been.calledOnce;
       expect(this.instance._emit).to.have.been.calledWith('foo', this.eventData.merchantPayload);
     });
+
+    it('emits inputChange events with input progress', function () {
+      this.eventData.type = 'inputChange';
+      this.eventData.merchantPayload.input = {
+        length: 4,
+        isPotentiallyValid: true,
+        cardType: 'visa'
+      };
+
+      this.inputEventHandler(this.eventData);
+
+      expect(this.instance._emit).to.have.been.calledWith('inputChange', this.sandbox.match({
+        emittedBy: 'number',
+        input: {
+          length: 4,
+          isPotentiallyValid: true,
+          cardType: 'visa'
+        }
+      }));
+      expect(this.instance.getState()).not.to.have.property('input');
+    });
   });
 
   describe('tokenize', function () {
     it('does not require options', function (done) {
       var instance = new HostedFields(this.defaultConfiguration);
 
-      instance._bus.emit.yields();
+      instance._bus.emit.yields([null, {nonce: 'fake-nonce'}]);
 
       instance.tokenize(function (err) {
         expect(err).to.not.exist;
@@ -512,22 +723,42 @@ describe('HostedFields', function () {
       });
     });
 
-    it('requires a callback', function () {
-      var err;
+    it('calls the callback with the tokenize payload', function (done) {
       var instance = new HostedFields(this.defaultConfiguration);
 
-      instance._bus.emit.yields(['foo']);
+      instance._bus.emit.yields([null, {nonce: 'fake-nonce'}]);
 
-      try {
-        instance.tokenize();
-      } catch (e) {
-        err = e;
-      }
+      instance.tokenize(function (err, payload) {
+        expect(err).to.not.exist;
+        expect(payload).to.deep.equal({nonce: 'fake-nonce'});
+        done();
+      });
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('tokenize must include a callback function.');
+    it('returns a promise that resolves with the tokenize payload', function () {
+      var instance = new HostedFields(this.defaultConfiguration);
+
+      instance._bus.emit.yields([null, {nonce: 'fake-nonce'}]);
+
+      return instance.tokenize().then(function (payload) {
+        expect(instance._bus.emit).to.be.calledWith(events.TOKENIZATION_REQUEST, {}, this.sandbox.match.func);
+        expect(payload).to.deep.equal({nonce: 'fake-nonce'});
+      }.bind(this));
+    });
+
+    it('returns a promise that rejects with the tokenize error', function () {
+      var instance = new HostedFields(this.defaultConfiguration);
+      var tokenizeError = new BraintreeError({
+        type: 'CUSTOMER',
+        code: 'HOSTED_FIELDS_FIELDS_EMPTY',
+        message: 'All fields are empty. Cannot tokenize empty card fields.'
+      });
+
+      instance._bus.emit.yields([tokenizeError]);
+
+      return instance.tokenize({vault: true}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.equal(tokenizeError);
+      });
     });
   });
 
@@ -541,6 +772,7 @@ describe('HostedFields', function () {
       function callback() {}
 
       HostedFields.prototype.teardown.call({
+        _logger: new Logger(null, 'hosted-fields'),
         _destructor: teardownStub,
         _client: function () {}
       }, callback);
@@ -555,6 +787,7 @@ describe('HostedFields', function () {
       this.sandbox.stub(analytics, 'sendEvent');
 
       HostedFields.prototype.teardown.call({
+        _logger: new Logger(null, 'hosted-fields'),
         _client: client,
         _destructor: {
           teardown: function (callback) {
@@ -576,12 +809,49 @@ describe('HostedFields', function () {
 
       expect(function () {
         HostedFields.prototype.teardown.call({
+          _logger: new Logger(null, 'hosted-fields'),
           _destructor: {teardown: function () {}},
           _client: client
         });
       }).to.not.throw();
     });
 
+    it('returns a promise if no callback is provided', function () {
+      var client = this.defaultConfiguration.client;
+
+      this.sandbox.stub(analytics, 'sendEvent');
+
+      return HostedFields.prototype.teardown.call({
+        _logger: new Logger(null, 'hosted-fields'),
+        _client: client,
+        _destructor: {
+          teardown: function (callback) {
+            callback();
+          }
+        }
+      }).then(function () {
+        expect(analytics.sendEvent).to.have.been.calledWith(client, 'custom.hosted-fields.teardown-completed');
+      });
+    });
+
+    it('rejects the promise if teardown fails', function () {
+      var fakeErr = new Error('teardown failed');
+
+      this.sandbox.stub(analytics, 'sendEvent');
+
+      return HostedFields.prototype.teardown.call({
+        _logger: new Logger(null, 'hosted-fields'),
+        _client: this.defaultConfiguration.client,
+        _destructor: {
+          teardown: function (callback) {
+            callback(fakeErr);
+          }
+        }
+      }).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.equal(fakeErr);
+      });
+    });
+
     it('replaces all methods so error is thrown when methods are invoked', function (done) {
       var configuration = this.defaultConfiguration;
       var numberNode = document.createElement('div');
@@ -966,6 +1236,320 @@ describe('HostedFields', function () {
     });
   });
 
+  describe('addField', function () {
+    beforeEach(function () {
+      var configuration = this.defaultConfiguration;
+
+      this.numberNode = document.createElement('div');
+      this.numberNode.id = 'number';
+      this.cvvNode = document.createElement('div');
+      this.cvvNode.id = 'cvv';
+
+      document.body.appendChild(this.numberNode);
+      document.body.appendChild(this.cvvNode);
+
+      configuration.fields.number = {selector: '#number'};
+
+      this.instance = new HostedFields(configuration);
+      this.frameReadyHandler = this.instance._bus.on.withArgs(events.FRAME_READY).getCall(0).args[1];
+    });
+
+    afterEach(function () {
+      document.body.removeChild(this.numberNode);
+      document.body.removeChild(this.cvvNode);
+    });
+
+    it('injects an iframe into the container', function () {
+      this.instance.addField('cvv', {selector: '#cvv'});
+
+      expect(this.cvvNode.querySelector('iframe[name="braintree-hosted-field-cvv"]')).to.exist;
+      expect(this.instance._fields.cvv.containerElement).to.equal(this.cvvNode);
+    });
+
+    it('adds the field to the state', function () {
+      this.instance.addField('cvv', {selector: '#cvv'});
+
+      expect(this.instance.getState().fields.cvv).to.deep.equal({
+        isEmpty: true,
+        isValid: false,
+        isPotentiallyValid: true,
+        isFocused: false,
+        invalidReason: 'EMPTY',
+        container: this.cvvNode
+      });
+    });
+
+    it('emits ADD_FIELD when the new frame is ready and does not reply to it', function () {
+      var reply = this.sandbox.stub();
+      var fieldOptions = {selector: '#cvv'};
+
+      this.frameReadyHandler({field: 'number'}, function () {});
+      this.instance.addField('cvv', fieldOptions);
+      this.frameReadyHandler({field: 'cvv'}, reply);
+
+      expect(reply).not.to.have.been.called;
+      expect(this.instance._bus.emit).to.have.been.calledWith(events.ADD_FIELD, {
+        field: 'cvv',
+        options: fieldOptions
+      }, this.sandbox.match.func);
+    });
+
+    it('calls the callback once the frames have added the field', function (done) {
+      var instance = this.instance;
+
+      this.frameReadyHandler({field: 'number'}, function () {});
+      instance.addField('cvv', {selector: '#cvv'}, function (err) {
+        expect(err).not.to.exist;
+        done();
+      });
+      this.frameReadyHandler({field: 'cvv'}, function () {});
+
+      instance._bus.emit.withArgs(events.ADD_FIELD).getCall(0).args[2]();
+    });
+
+    it('waits for the added field before emitting fontsReady', function () {
+      var instance, fontsReadyHandler;
+      var configuration = this.defaultConfiguration;
+      var handler = this.sandbox.spy();
+
+      configuration.fonts = [{family: 'Brand Sans', src: 'https://fonts.gstatic.com/brand-sans.woff2'}];
+
+      this.instance.teardown();
+      instance = new HostedFields(configuration);
+      fontsReadyHandler = instance._bus.on.withArgs(events.FONTS_READY).getCall(0).args[1];
+      instance.on('fontsReady', handler);
+
+      instance.addField('cvv', {selector: '#cvv'});
+
+      fontsReadyHandler({field: 'number'});
+      expect(handler).not.to.have.been.called;
+
+      fontsReadyHandler({field: 'cvv'});
+      expect(handler).to.have.been.calledOnce;
+    });
+
+    it('calls errback when given non-whitelisted field', function (done) {
+      var instance = this.instance;
+
+      instance.addField('rogue-field', {selector: '#cvv'}, function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('HOSTED_FIELDS_FIELD_INVALID');
+        expect(err.message).to.equal('"rogue-field" is not a valid field. You must use a valid field option when adding a field.');
+        expect(instance._fields['rogue-field']).not.to.exist;
+        done();
+      });
+    });
+
+    it('calls errback when the field is already present', function (done) {
+      this.instance.addField('number', {selector: '#cvv'}, function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('HOSTED_FIELDS_FIELD_ALREADY_PRESENT');
+        expect(err.message).to.equal('Cannot add "number" field because it is already part of the current Hosted Fields options.');
+        done();
+      });
+    });
+
+    it('calls errback when the container does not exist', function (done) {
+      var instance = this.instance;
+
+      instance.addField('cvv', {selector: '#not-there'}, function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('HOSTED_FIELDS_INVALID_FIELD_SELECTOR');
+        expect(instance._fields.cvv).not.to.exist;
+        expect(instance.getState().fields.cvv).not.to.exist;
+        done();
+      });
+    });
+  });
+
+  describe('removeField', function () {
+    beforeEach(function () {
+      var configuration = this.defaultConfiguration;
+
+      this.numberNode = document.createElement('div');
+      this.numberNode.id = 'number';
+      this.cvvNode = document.createElement('div');
+      this.cvvNode.id = 'cvv';
+
+      document.body.appendChild(this.numberNode);
+      document.body.appendChild(this.cvvNode);
+
+      configuration.fields = {
+        number: {selector: '#number'},
+        cvv: {selector: '#cvv'}
+      };
+
+      this.instance = new HostedFields(configuration);
+    });
+
+    afterEach(function () {
+      document.body.removeChild(this.numberNode);
+      document.body.removeChild(this.cvvNode);
+    });
+
+    it('removes the iframe from the container', function () {
+      this.cvvNode.className = 'braintree-hosted-fields-focused';
+
+      this.instance.removeField('cvv');
+
+      expect(this.cvvNode.childNodes).to.have.length(0);
+      expect(this.cvvNode.className).not.to.contain('braintree-hosted-fields-focused');
+      expect(this.numberNode.querySelector('iframe')).to.exist;
+    });
+
+    it('removes the field from the state', function () {
+      this.instance.removeField('cvv');
+
+      expect(this.instance._fields.cvv).not.to.exist;
+      expect(this.instance.getState().fields).to.have.all.keys('number');
+    });
+
+    it('emits REMOVE_FIELD', function () {
+      this.instance.removeField('cvv');
+
+      expect(this.instance._bus.emit).to.have.been.calledWith(events.REMOVE_FIELD, 'cvv');
+    });
+
+    it('does not wait for the frame of a field removed before it was ready', function () {
+      var instance = this.instance;
+      var frameReadyHandler = instance._bus.on.withArgs(events.FRAME_READY).getCall(0).args[1];
+      var readyHandler = this.sandbox.spy();
+
+      instance.on('ready', readyHandler);
+      frameReadyHandler({field: 'number'}, function () {});
+      instance.removeField('cvv');
+
+      expect(readyHandler).to.have.been.calledOnce;
+
+      frameReadyHandler({field: 'cvv'}, function () {});
+
+      expect(readyHandler).to.have.been.calledOnce;
+    });
+
+    it('ignores the frame of an added field that was removed before it was ready', function () {
+      var instance = this.instance;
+      var frameReadyHandler = instance._bus.on.withArgs(events.FRAME_READY).getCall(0).args[1];
+      var readyHandler = this.sandbox.spy();
+      var postalCodeNode = document.createElement('div');
+
+      postalCodeNode.id = 'postal-code';
+      document.body.appendChild(postalCodeNode);
+
+      instance.on('ready', readyHandler);
+      instance.addField('postalCode', {selector: '#postal-code'});
+      instance.removeField('postalCode');
+      frameReadyHandler({field: 'postalCode'}, function () {});
+      frameReadyHandler({field: 'number'}, function () {});
+
+      expect(readyHandler).not.to.have.been.called;
+      expect(instance._bus.emit).not.to.have.been.calledWith(events.ADD_FIELD);
+
+      frameReadyHandler({field: 'cvv'}, function () {});
+
+      expect(readyHandler).to.have.been.calledOnce;
+
+      document.body.removeChild(postalCodeNode);
+    });
+
+    it('emits fontsReady when the removed field was the last one loading fonts', function () {
+      var instance, fontsReadyHandler;
+      var configuration = this.defaultConfiguration;
+      var handler = this.sandbox.spy();
+
+      configuration.fonts = [{family: 'Brand Sans', src: 'https://fonts.gstatic.com/brand-sans.woff2'}];
+
+      this.instance.teardown();
+      instance = new HostedFields(configuration);
+      fontsReadyHandler = instance._bus.on.withArgs(events.FONTS_READY).getCall(0).args[1];
+      instance.on('fontsReady', handler);
+
+      fontsReadyHandler({field: 'number'});
+      expect(handler).not.to.have.been.called;
+
+      instance.removeField('cvv');
+      expect(handler).to.have.been.calledOnce;
+    });
+
+    it('can tear down after a field is removed', function (done) {
+      this.instance.removeField('cvv');
+
+      this.instance.teardown(done);
+    });
+
+    it('calls callback if provided', function (done) {
+      this.instance.removeField('cvv', done);
+    });
+
+    it('calls errback when given non-whitelisted field', function (done) {
+      var instance = this.instance;
+
+      instance.removeField('rogue-field', function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('HOSTED_FIELDS_FIELD_INVALID');
+        expect(err.message).to.equal('"rogue-field" is not a valid field. You must use a valid field option when removing a field.');
+        expect(instance._bus.emit).not.to.have.been.calledWith(events.REMOVE_FIELD);
+        done();
+      });
+    });
+
+    it('calls errback when given field not supplied by merchant', function (done) {
+      this.instance.removeField('postalCode', function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('HOSTED_FIELDS_FIELD_NOT_PRESENT');
+        expect(err.message).to.equal('Cannot remove "postalCode" field because it is not part of the current Hosted Fields options.');
+        done();
+      });
+    });
+
+    it('calls errback when removing the first field', function (done) {
+      var instance = this.instance;
+
+      instance.removeField('number', function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('HOSTED_FIELDS_FIELD_NOT_REMOVABLE');
+        expect(err.message).to.equal('Cannot remove "number" field because it was the first field passed to hostedFields.create.');
+        expect(instance._fields.number).to.exist;
+        done();
+      });
+    });
+  });
+
+  describe('setStyles', function () {
+    it('emits SET_STYLES event with the styles', function () {
+      var instance = new HostedFields(this.defaultConfiguration);
+      var styles = {input: {color: 'white'}};
+
+      instance.setStyles(styles);
+
+      expect(instance._bus.emit).to.be.calledWith(events.SET_STYLES, styles);
+    });
+
+    it('calls callback if provided', function (done) {
+      var instance = new HostedFields(this.defaultConfiguration);
+
+      instance.setStyles({input: {color: 'white'}}, done);
+    });
+
+    it('calls errback when styles are not an object', function (done) {
+      var self = this;
+      var instance = new HostedFields(this.defaultConfiguration);
+
+      instance.setStyles(['input'], function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.equal('MERCHANT');
+        expect(err.code).to.equal('INVALID_OPTION');
+        expect(err.message).to.equal('Styles must be an object.');
+        expect(instance._bus.emit).to.not.be.calledWith(events.SET_STYLES, self.sandbox.match.any);
+        done();
+      });
+    });
+  });
+
   describe('getState', function () {
     it('returns the field state', function () {
       var instance = new HostedFields(this.defaultConfiguration);
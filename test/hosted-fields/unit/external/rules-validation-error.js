@@ -0,0 +1,73 @@
+'use strict';
+
+var BraintreeError = require('../../../../src/lib/braintree-error');
+var rulesValidationError = require('../../../../src/hosted-fields/external/rules-validation-error');
+
+describe('rulesValidationError', function () {
+  it('returns null for valid rules', function () {
+    var err = rulesValidationError('number', {
+      minLength: 16,
+      maxLength: 16,
+      pattern: '^4',
+      excludedPrefixes: ['411111'],
+      allowedCardTypes: ['visa']
+    });
+
+    expect(err).to.equal(null);
+  });
+
+  it('returns null for empty rules', function () {
+    expect(rulesValidationError('cvv', {})).to.equal(null);
+  });
+
+  it('returns an error if rules are not an object', function () {
+    var err = rulesValidationError('cvv', ['minLength']);
+
+    expect(err).to.be.an.instanceof(BraintreeError);
+    expect(err.type).to.equal('MERCHANT');
+    expect(err.code).to.equal('HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED');
+    expect(err.message).to.equal('Rules for "cvv" field must be an object.');
+  });
+
+  it('returns an error for rules not in whitelist', function () {
+    var err = rulesValidationError('cvv', {luhn: true});
+
+    expect(err).to.be.an.instanceof(BraintreeError);
+    expect(err.type).to.equal('MERCHANT');
+    expect(err.code).to.equal('HOSTED_FIELDS_RULE_NOT_SUPPORTED');
+    expect(err.message).to.equal('The "luhn" rule is not supported for "cvv" field.');
+  });
+
+  it('returns an error for rules not supported by the field', function () {
+    var err = rulesValidationError('postalCode', {allowedCardTypes: ['visa']});
+
+    expect(err).to.be.an.instanceof(BraintreeError);
+    expect(err.code).to.equal('HOSTED_FIELDS_RULE_NOT_SUPPORTED');
+  });
+
+  [
+    ['minLength', '5'],
+    ['minLength', -1],
+    ['maxLength', 2.5],
+    ['pattern', 5],
+    ['pattern', '[unclosed'],
+    ['excludedPrefixes', '4111'],
+    ['excludedPrefixes', [4111]],
+    ['allowedCardTypes', {visa: true}]
+  ].forEach(function (testCase) {
+    var rule = testCase[0];
+    var value = testCase[1];
+
+    it('returns an error for ' + rule + ' with value ' + JSON.stringify(value), function () {
+      var rules = {};
+      var err;
+
+      rules[rule] = value;
+      err = rulesValidationError('number', rules);
+
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal('MERCHANT');
+      expect(err.code).to.equal('HOSTED_FIELDS_RULE_VALUE_NOT_ALLOWED');
+    });
+  });
+});
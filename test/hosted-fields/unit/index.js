@@ -6,6 +6,7 @@ var hostedFields = require('../../../src/hosted-fields');
 var HostedFields = require('../../../src/hosted-fields/external/hosted-fields');
 var fake = require('../../helpers/fake');
 var BraintreeError = require('../../../src/lib/braintree-error');
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('hostedFields', function () {
   describe('create', function () {
@@ -38,7 +39,7 @@ describe('hostedFields', function () {
         }
       }
 
-      frameReadyHandler(function () {});
+      frameReadyHandler({field: 'cvv'}, function () {});
     });
 
     it('instantiates a Hosted Fields integration with "field" set to instance of Element', function (done) {
@@ -70,34 +71,48 @@ describe('hostedFields', function () {
         }
       }
 
-      frameReadyHandler(function () {});
+      frameReadyHandler({field: 'cvv'}, function () {});
     });
 
-    it('throws an error if called without a callback', function () {
-      var err;
+    it('returns a promise if called without a callback', function () {
+      var i, frameReadyHandler, promise;
       var cvvNode = document.createElement('div');
 
       cvvNode.id = 'cvv';
       document.body.appendChild(cvvNode);
 
-      try {
-        hostedFields.create({
-          client: {
-            getConfiguration: fake.configuration,
-            _request: function () {}
-          },
-          fields: {
-            cvv: {selector: '#cvv'}
-          }
-        });
-      } catch (e) {
-        err = e;
+      promise = hostedFields.create({
+        client: {
+          getConfiguration: fake.configuration,
+          _request: function () {}
+        },
+        fields: {
+          cvv: {selector: '#cvv'}
+        }
+      });
+
+      for (i = 0; i < Bus.prototype.on.callCount; i++) {
+        if (Bus.prototype.on.getCall(0).args[0] === events.FRAME_READY) {
+          frameReadyHandler = Bus.prototype.on.getCall(0).args[1];
+          break;
+        }
       }
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('create must include a callback function.');
+      frameReadyHandler({field: 'cvv'}, function () {});
+
+      return promise.then(function (instance) {
+        expect(instance).to.be.an.instanceof(HostedFields);
+      });
+    });
+
+    it('rejects the promise if hosted fields integration throws an error', function () {
+      return hostedFields.create({
+        fields: {
+          cvv: {selector: '#cvv'}
+        }
+      }).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+      });
     });
 
     it('returns error if hosted fields integration throws an error', function (done) {
@@ -0,0 +1,121 @@
+'use strict';
+
+var applyValidationRules = require('../../../../src/hosted-fields/internal/apply-validation-rules');
+
+describe('applyValidationRules', function () {
+  beforeEach(function () {
+    this.valid = {isValid: true, isPotentiallyValid: true};
+  });
+
+  it('returns the original result when there are no rules', function () {
+    expect(applyValidationRules('cvv', '123', this.valid)).to.equal(this.valid);
+  });
+
+  it('does not apply rules to an empty optional field', function () {
+    var result = applyValidationRules('extendedAddress', '', this.valid, {minLength: 2, pattern: '^\\d+$', excludedPrefixes: ['']});
+
+    expect(result).to.equal(this.valid);
+  });
+
+  it('does not make an invalid result valid', function () {
+    var result = applyValidationRules('cvv', '12', {isValid: false, isPotentiallyValid: true}, {minLength: 1});
+
+    expect(result).to.deep.equal({isValid: false, isPotentiallyValid: true});
+  });
+
+  describe('invalidReason', function () {
+    it('keeps the original reason when the field was already invalid', function () {
+      var result = applyValidationRules('postalCode', '12', {isValid: false, isPotentiallyValid: true, invalidReason: 'INCOMPLETE'}, {pattern: '^\\d{5}$'});
+
+      expect(result.invalidReason).to.equal('INCOMPLETE');
+    });
+
+    it('uses the rule reason when the rule makes the field no longer potentially valid', function () {
+      var result = applyValidationRules('number', '4111', {isValid: false, isPotentiallyValid: true, invalidReason: 'INCOMPLETE'}, {excludedPrefixes: ['4111']});
+
+      expect(result.invalidReason).to.equal('RULE_EXCLUDED_PREFIX');
+    });
+  });
+
+  describe('minLength', function () {
+    it('is invalid but potentially valid when too short', function () {
+      var result = applyValidationRules('postalCode', '1234', this.valid, {minLength: 5});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: true, invalidReason: 'RULE_MIN_LENGTH'});
+    });
+
+    it('is valid when long enough', function () {
+      var result = applyValidationRules('postalCode', '12345', this.valid, {minLength: 5});
+
+      expect(result).to.deep.equal({isValid: true, isPotentiallyValid: true});
+    });
+  });
+
+  describe('maxLength', function () {
+    it('is not potentially valid when too long', function () {
+      var result = applyValidationRules('postalCode', '123456', this.valid, {maxLength: 5});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: false, invalidReason: 'RULE_MAX_LENGTH'});
+    });
+
+    it('ignores spaces and dashes in card numbers', function () {
+      var result = applyValidationRules('number', '4111 1111-1111 1111', this.valid, {maxLength: 16});
+
+      expect(result).to.deep.equal({isValid: true, isPotentiallyValid: true});
+    });
+  });
+
+  describe('pattern', function () {
+    it('is invalid when the value does not match', function () {
+      var result = applyValidationRules('postalCode', '1234A', this.valid, {pattern: '^\\d{5}$'});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: true, invalidReason: 'RULE_PATTERN'});
+    });
+
+    it('is valid when the value matches', function () {
+      var result = applyValidationRules('postalCode', '12345', this.valid, {pattern: '^\\d{5}$'});
+
+      expect(result).to.deep.equal({isValid: true, isPotentiallyValid: true});
+    });
+  });
+
+  describe('excludedPrefixes', function () {
+    it('is not potentially valid when the value starts with an excluded prefix', function () {
+      var result = applyValidationRules('number', '4111 1111 1111 1111', this.valid, {excludedPrefixes: ['411111']});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: false, invalidReason: 'RULE_EXCLUDED_PREFIX'});
+    });
+
+    it('is potentially valid while the value is shorter than an excluded prefix', function () {
+      var result = applyValidationRules('number', '4111', {isValid: false, isPotentiallyValid: true}, {excludedPrefixes: ['411111']});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: true});
+    });
+  });
+
+  describe('allowedCardTypes', function () {
+    it('is not potentially valid when the card type is not allowed', function () {
+      var result = applyValidationRules('number', '6011111111111117', this.valid, {allowedCardTypes: ['visa', 'master-card']});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: false, invalidReason: 'CARD_TYPE_NOT_SUPPORTED'});
+    });
+
+    it('is valid when the card type is allowed', function () {
+      var result = applyValidationRules('number', '4111111111111111', this.valid, {allowedCardTypes: ['visa', 'master-card']});
+
+      expect(result).to.deep.equal({isValid: true, isPotentiallyValid: true});
+    });
+
+    it('is potentially valid when an allowed card type is still possible', function () {
+      var result = applyValidationRules('number', '5', {isValid: false, isPotentiallyValid: true}, {allowedCardTypes: ['master-card']});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: true});
+    });
+
+    it('ignores empty values', function () {
+      var result = applyValidationRules('number', '', {isValid: false, isPotentiallyValid: true}, {allowedCardTypes: ['visa']});
+
+      expect(result).to.deep.equal({isValid: false, isPotentiallyValid: true});
+    });
+  });
+});
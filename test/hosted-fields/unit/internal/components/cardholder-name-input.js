@@ -0,0 +1,59 @@
+'use strict';
+
+var CreditCardForm = require('../../../../../src/hosted-fields/internal/models/credit-card-form').CreditCardForm;
+var BaseInput = require('../../../../../src/hosted-fields/internal/components/base-input').BaseInput;
+var CardholderNameInput = require('../../../../../src/hosted-fields/internal/components/cardholder-name-input').CardholderNameInput;
+var RestrictedInput = require('restricted-input');
+
+describe('Cardholder Name Input', function () {
+  beforeEach(function () {
+    this.input = helpers.createInput('cardholderName');
+  });
+
+  describe('inheritance', function () {
+    it('extends BaseInput', function () {
+      expect(this.input).to.be.an.instanceof(BaseInput);
+    });
+  });
+
+  describe('element', function () {
+    it('has type="text"', function () {
+      expect(this.input.element.getAttribute('type')).to.equal('text');
+    });
+
+    it('handles a specific type being set', function () {
+      var config = helpers.getModelConfig('cardholderName');
+
+      config.fields.cardholderName = {type: 'search'};
+
+      this.input = new CardholderNameInput({
+        model: new CreditCardForm(config),
+        type: 'cardholderName'
+      });
+      expect(this.input.element.getAttribute('type')).to.equal('search');
+    });
+
+    it('sets the maxLength to 255', function () {
+      expect(this.input.element.getAttribute('maxlength')).to.equal('255');
+    });
+
+    it('sets the name to cardholder-name', function () {
+      expect(this.input.element.getAttribute('name')).to.equal('cardholder-name');
+    });
+  });
+
+  describe('formatter', function () {
+    it('sets the pattern to a 255-character wildcard pattern', function () {
+      var pattern;
+
+      this.sandbox.spy(RestrictedInput.prototype, 'setPattern');
+
+      helpers.createInput('cardholderName');
+
+      pattern = RestrictedInput.prototype.setPattern.lastCall.args[0];
+
+      expect(pattern).to.match(/^{{\*+}}$/);
+      expect(pattern.length).to.equal(259);
+    });
+  });
+});
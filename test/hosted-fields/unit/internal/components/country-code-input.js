@@ -0,0 +1,50 @@
+'use strict';
+
+var CreditCardForm = require('../../../../../src/hosted-fields/internal/models/credit-card-form').CreditCardForm;
+var BaseInput = require('../../../../../src/hosted-fields/internal/components/base-input').BaseInput;
+var CountryCodeInput = require('../../../../../src/hosted-fields/internal/components/country-code-input').CountryCodeInput;
+var RestrictedInput = require('restricted-input');
+
+describe('Country Code Input', function () {
+  beforeEach(function () {
+    this.input = helpers.createInput('countryCode');
+  });
+
+  describe('inheritance', function () {
+    it('extends BaseInput', function () {
+      expect(this.input).to.be.an.instanceof(BaseInput);
+    });
+  });
+
+  describe('element', function () {
+    it('has type="text"', function () {
+      expect(this.input.element.getAttribute('type')).to.equal('text');
+    });
+
+    it('handles a specific type being set', function () {
+      var config = helpers.getModelConfig('countryCode');
+
+      config.fields.countryCode = {type: 'search'};
+
+      this.input = new CountryCodeInput({
+        model: new CreditCardForm(config),
+        type: 'countryCode'
+      });
+      expect(this.input.element.getAttribute('type')).to.equal('search');
+    });
+
+    it('sets the maxLength to 2', function () {
+      expect(this.input.element.getAttribute('maxlength')).to.equal('2');
+    });
+  });
+
+  describe('formatter', function () {
+    it('sets the pattern to a 2-letter pattern', function () {
+      this.sandbox.spy(RestrictedInput.prototype, 'setPattern');
+
+      helpers.createInput('countryCode');
+
+      expect(RestrictedInput.prototype.setPattern).to.be.calledWith('{{AA}}');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+var CreditCardForm = require('../../../../../src/hosted-fields/internal/models/credit-card-form').CreditCardForm;
+var BaseInput = require('../../../../../src/hosted-fields/internal/components/base-input').BaseInput;
+var TextInput = require('../../../../../src/hosted-fields/internal/components/text-input').TextInput;
+var InputComponents = require('../../../../../src/hosted-fields/internal/components');
+var RestrictedInput = require('restricted-input');
+
+describe('Text Input', function () {
+  beforeEach(function () {
+    this.input = helpers.createInput('streetAddress');
+  });
+
+  describe('inheritance', function () {
+    it('extends BaseInput', function () {
+      expect(this.input).to.be.an.instanceof(BaseInput);
+    });
+
+    ['streetAddress', 'extendedAddress', 'locality', 'region'].forEach(function (key) {
+      it('is used for the ' + key + ' field', function () {
+        expect(InputComponents[key]).to.equal(TextInput);
+      });
+    });
+  });
+
+  describe('element', function () {
+    it('has type="text"', function () {
+      expect(this.input.element.getAttribute('type')).to.equal('text');
+    });
+
+    it('handles a specific type being set', function () {
+      var config = helpers.getModelConfig('locality');
+
+      config.fields.locality = {type: 'search'};
+
+      this.input = new TextInput({
+        model: new CreditCardForm(config),
+        type: 'locality'
+      });
+      expect(this.input.element.getAttribute('type')).to.equal('search');
+    });
+
+    it('uses the default max length for the field', function () {
+      expect(this.input.element.getAttribute('maxlength')).to.equal('255');
+    });
+  });
+
+  describe('formatter', function () {
+    it('sets the pattern to a wildcard pattern of the max length', function () {
+      this.sandbox.spy(RestrictedInput.prototype, 'setPattern');
+
+      helpers.createInput('region');
+
+      expect(RestrictedInput.prototype.setPattern.lastCall.args[0]).to.match(/^{{\*{255}}}$/);
+    });
+  });
+});
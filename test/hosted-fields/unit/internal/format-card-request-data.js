@@ -57,12 +57,41 @@ describe('formatCardRequestData', function () {
     });
   });
 
+  it('includes cardholder name', function () {
+    var result = formatCardRequestData({cardholderName: 'First Last'});
+
+    expect(result).to.deep.equal({cardholder_name: 'First Last'});
+  });
+
+  it('includes billing address fields', function () {
+    var result = formatCardRequestData({
+      streetAddress: '123 Main St',
+      extendedAddress: 'Apt 4',
+      locality: 'Chicago',
+      region: 'IL',
+      countryCode: 'us',
+      postalCode: '60606'
+    });
+
+    expect(result).to.deep.equal({
+      billing_address: {
+        street_address: '123 Main St',
+        extended_address: 'Apt 4',
+        locality: 'Chicago',
+        region: 'IL',
+        country_code_alpha2: 'US',
+        postal_code: '60606'
+      }
+    });
+  });
+
   it('includes all data', function () {
     var result = formatCardRequestData({
       number: '4111111111111111',
       expirationMonth: '04',
       expirationYear: '21',
       cvv: '123',
+      cardholderName: 'First Last',
       postalCode: '12345'
     });
 
@@ -71,6 +100,7 @@ describe('formatCardRequestData', function () {
       expiration_month: '04',
       expiration_year: '2021',
       cvv: '123',
+      cardholder_name: 'First Last',
       billing_address: {
         postal_code: '12345'
       }
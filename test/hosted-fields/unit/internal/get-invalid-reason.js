@@ -0,0 +1,36 @@
+'use strict';
+
+var getInvalidReason = require('../../../../src/hosted-fields/internal/get-invalid-reason');
+var validator = require('card-validator');
+
+describe('getInvalidReason', function () {
+  it('returns null when the field is valid', function () {
+    expect(getInvalidReason('cvv', '123', {isValid: true, isPotentiallyValid: true})).to.equal(null);
+  });
+
+  it('returns an existing reason', function () {
+    var result = {isValid: false, isPotentiallyValid: false, invalidReason: 'EXPIRED'};
+
+    expect(getInvalidReason('expirationDate', '0110', result)).to.equal('EXPIRED');
+  });
+
+  it('returns EMPTY when the value is empty', function () {
+    expect(getInvalidReason('cvv', '', validator.cvv(''))).to.equal('EMPTY');
+    expect(getInvalidReason('cardholderName', '  ', {isValid: false, isPotentiallyValid: true})).to.equal('EMPTY');
+  });
+
+  it('returns LUHN_CHECK_FAILED when a complete card number fails the Luhn check', function () {
+    expect(getInvalidReason('number', '4111111111111112', validator.number('4111111111111112'))).to.equal('LUHN_CHECK_FAILED');
+    expect(getInvalidReason('number', '4111 1111 1111 1112', validator.number('4111 1111 1111 1112'))).to.equal('LUHN_CHECK_FAILED');
+  });
+
+  it('returns INCOMPLETE when the value is potentially valid', function () {
+    expect(getInvalidReason('number', '4111', validator.number('4111'))).to.equal('INCOMPLETE');
+    expect(getInvalidReason('cvv', '123', validator.cvv('123', [4]))).to.equal('INCOMPLETE');
+  });
+
+  it('returns INVALID when the value can never become valid', function () {
+    expect(getInvalidReason('number', '4x', validator.number('4x'))).to.equal('INVALID');
+    expect(getInvalidReason('cvv', '12345', validator.cvv('12345', [3]))).to.equal('INVALID');
+  });
+});
@@ -67,6 +67,29 @@ describe('internal', function () {
       expect(CreditCardForm.prototype.emitEvent).not.to.have.been.calledWith('number', 'click');
       expect(CreditCardForm.prototype.emitEvent).not.to.have.been.calledWith('number', 'keyup');
     });
+
+    it('emits FONTS_READY once fonts are injected', function (done) {
+      global.bus.emit = function (event, data) {
+        expect(event).to.equal(events.FONTS_READY);
+        expect(data).to.deep.equal({field: 'number'});
+        done();
+      };
+
+      internal.initialize(this.cardForm);
+    });
+
+    it('replaces the injected stylesheet when styles are set', function () {
+      var setStylesHandler, stylesheets;
+      var stylesheetCount = document.querySelectorAll('style').length;
+
+      setStylesHandler = global.bus.on.withArgs(events.SET_STYLES).getCall(0).args[1];
+      setStylesHandler({input: {color: 'red'}});
+
+      stylesheets = document.querySelectorAll('style');
+
+      expect(stylesheets).to.have.length(stylesheetCount);
+      expect(stylesheets[stylesheets.length - 1].sheet.cssRules[0].cssText).to.contain('color: red');
+    });
   });
 
   describe('create', function () {
@@ -79,6 +102,12 @@ describe('internal', function () {
 
       location.hash = originalLocationHash;
     });
+
+    it('emits FRAME_READY with the name of the field', function () {
+      internal.create();
+
+      expect(Bus.prototype.emit).to.have.been.calledWith(events.FRAME_READY, {field: 'number'}, this.sandbox.match.func);
+    });
   });
 
   describe('orchestrate', function () {
@@ -90,7 +119,7 @@ describe('internal', function () {
       for (i = 0; i < Bus.prototype.emit.callCount; i++) {
         args = Bus.prototype.emit.getCall(i).args;
         if (args[0] === events.FRAME_READY) {
-          this.orchestrate = args[1];
+          this.orchestrate = args[2];
           break;
         }
       }
@@ -111,6 +140,60 @@ describe('internal', function () {
 
       expect(analytics.sendEvent).to.have.been.calledWith(this.sandbox.match.object, 'custom.hosted-fields.load.succeeded');
     });
+
+    describe('added and removed fields', function () {
+      beforeEach(function () {
+        this.cvvFrame = {
+          name: 'braintree-hosted-field-cvv',
+          braintree: {hostedFields: {initialize: this.sandbox.stub()}}
+        };
+        this.numberFrame = {
+          name: 'braintree-hosted-field-number',
+          braintree: {hostedFields: {initialize: this.sandbox.stub()}}
+        };
+        this.sandbox.stub(analytics, 'sendEvent');
+        this.sandbox.stub(assembleIFrames, 'assembleIFrames').returns([]);
+
+        this.orchestrate({
+          client: fake.configuration(),
+          fields: {
+            number: {selector: '#foo'}
+          }
+        });
+
+        assembleIFrames.assembleIFrames.returns([this.numberFrame, this.cvvFrame]);
+
+        this.getHandler = function (event) {
+          return global.bus.on.withArgs(event).getCall(0).args[1];
+        };
+      });
+
+      it('adds the field to the card form and initializes its frame', function () {
+        var reply = this.sandbox.stub();
+
+        this.getHandler(events.ADD_FIELD)({field: 'cvv', options: {selector: '#cvv'}}, reply);
+
+        expect(global.cardForm._fieldKeys).to.contain('cvv');
+        expect(this.cvvFrame.braintree.hostedFields.initialize).to.have.been.calledWith(global.cardForm);
+        expect(this.numberFrame.braintree.hostedFields.initialize).not.to.have.been.called;
+        expect(reply).to.have.been.called;
+      });
+
+      it('removes the field from the card form', function () {
+        this.getHandler(events.ADD_FIELD)({field: 'cvv', options: {selector: '#cvv'}}, function () {});
+        this.getHandler(events.REMOVE_FIELD)('cvv');
+
+        expect(global.cardForm._fieldKeys).not.to.contain('cvv');
+      });
+
+      it('keeps the latest styles for fields that are added later', function () {
+        var styles = {input: {color: 'red'}};
+
+        this.getHandler(events.SET_STYLES)(styles);
+
+        expect(global.cardForm.configuration.styles).to.equal(styles);
+      });
+    });
   });
 
   describe('createTokenizationHandler', function () {
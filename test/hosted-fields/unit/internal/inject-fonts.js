@@ -0,0 +1,71 @@
+'use strict';
+
+var injectFonts = require('../../../../src/hosted-fields/internal/inject-fonts');
+var Promise = require('../../../../src/lib/promise');
+
+function stubFontFaceSet(fontFaceSet) {
+  Object.defineProperty(document, 'fonts', {
+    value: fontFaceSet,
+    configurable: true
+  });
+}
+
+describe('injectFonts', function () {
+  beforeEach(function () {
+    this.font = {
+      family: 'Brand Sans',
+      src: 'https://fonts.gstatic.com/brand-sans.woff2',
+      weight: 'bold'
+    };
+    this.styleCount = document.querySelectorAll('style').length;
+  });
+
+  afterEach(function () {
+    delete document.fonts;
+  });
+
+  it('resolves without injecting a stylesheet when there are no fonts', function () {
+    return injectFonts().then(function () {
+      expect(document.querySelectorAll('style')).to.have.length(this.styleCount);
+    }.bind(this));
+  });
+
+  it('injects a @font-face rule for each font', function () {
+    var styles;
+
+    return injectFonts([this.font]).then(function () {
+      styles = document.querySelectorAll('style');
+
+      expect(styles).to.have.length(this.styleCount + 1);
+      expect(styles[styles.length - 1].textContent).to.equal('@font-face{font-family:"Brand Sans";src:url("https://fonts.gstatic.com/brand-sans.woff2");font-weight:bold;}');
+    }.bind(this));
+  });
+
+  it('skips fonts that are not allowed', function () {
+    var styles;
+
+    return injectFonts([this.font, {family: 'Evil', src: 'https://example.com/evil.woff2'}]).then(function () {
+      styles = document.querySelectorAll('style');
+
+      expect(styles[styles.length - 1].textContent).not.to.contain('Evil');
+    });
+  });
+
+  it('waits for the fonts to load when the browser supports it', function () {
+    stubFontFaceSet({
+      load: this.sandbox.stub().returns(Promise.resolve())
+    });
+
+    return injectFonts([this.font]).then(function () {
+      expect(document.fonts.load).to.have.been.calledWith('bold 1em "Brand Sans"');
+    });
+  });
+
+  it('resolves when a font fails to load', function () {
+    stubFontFaceSet({
+      load: this.sandbox.stub().returns(Promise.reject(new Error('failed')))
+    });
+
+    return injectFonts([this.font]);
+  });
+});
@@ -149,6 +149,7 @@ describe('credit card model', function () {
         isFocused: false,
         isValid: false,
         isPotentiallyValid: true,
+        invalidReason: 'EMPTY',
         isEmpty: true
       };
     });
@@ -173,6 +174,7 @@ describe('credit card model', function () {
         isFocused: false,
         isValid: true,
         isPotentiallyValid: true,
+        invalidReason: null,
         isEmpty: false
       });
     });
@@ -187,6 +189,7 @@ describe('credit card model', function () {
         isFocused: false,
         isValid: true,
         isPotentiallyValid: true,
+        invalidReason: null,
         isEmpty: false
       });
     });
@@ -553,6 +556,545 @@ describe('credit card model', function () {
     });
   });
 
+  describe('cardholderName', function () {
+    beforeEach(function () {
+      this.card = new CreditCardForm(helpers.getModelConfig([
+        'number',
+        'cardholderName'
+      ]));
+    });
+
+    it('gets cardholder name if present', function () {
+      this.card.set('cardholderName.value', 'First Last');
+      expect(this.card.getCardData().cardholderName).to.equal('First Last');
+
+      this.card.set('cardholderName.value', '');
+      expect(this.card.getCardData().cardholderName).to.equal('');
+    });
+
+    it('skips cardholder name if not present in the configuration', function () {
+      var card = new CreditCardForm(helpers.getModelConfig([
+        'number',
+        'cvv'
+      ]));
+
+      card.set('cardholderName.value', 'First Last');
+      expect(card.getCardData().cardholderName).to.be.undefined;
+    });
+
+    it('is valid when a name is entered', function () {
+      this.card.set('cardholderName.value', 'First Last');
+
+      expect(this.card.get('cardholderName.isValid')).to.equal(true);
+      expect(this.card.get('cardholderName.isPotentiallyValid')).to.equal(true);
+    });
+
+    it('is invalid but potentially valid when only whitespace is entered', function () {
+      this.card.set('cardholderName.value', '   ');
+
+      expect(this.card.get('cardholderName.isValid')).to.equal(false);
+      expect(this.card.get('cardholderName.isPotentiallyValid')).to.equal(true);
+    });
+
+    it('is not potentially valid when the name is longer than 255 characters', function () {
+      this.card.set('cardholderName.value', new Array(257).join('a'));
+
+      expect(this.card.get('cardholderName.isValid')).to.equal(false);
+      expect(this.card.get('cardholderName.isPotentiallyValid')).to.equal(false);
+    });
+  });
+
+  describe('billing address fields', function () {
+    beforeEach(function () {
+      this.card = new CreditCardForm(helpers.getModelConfig([
+        'number',
+        'streetAddress',
+        'extendedAddress',
+        'locality',
+        'region',
+        'countryCode'
+      ]));
+    });
+
+    it('gets billing address fields if present', function () {
+      var cardData;
+
+      this.card.set('streetAddress.value', '123 Main St');
+      this.card.set('extendedAddress.value', 'Apt 4');
+      this.card.set('locality.value', 'Chicago');
+      this.card.set('region.value', 'IL');
+      this.card.set('countryCode.value', 'US');
+
+      cardData = this.card.getCardData();
+
+      expect(cardData.streetAddress).to.equal('123 Main St');
+      expect(cardData.extendedAddress).to.equal('Apt 4');
+      expect(cardData.locality).to.equal('Chicago');
+      expect(cardData.region).to.equal('IL');
+      expect(cardData.countryCode).to.equal('US');
+    });
+
+    it('skips billing address fields if not present in the configuration', function () {
+      var cardData = this.card.getCardData();
+
+      expect(cardData).to.not.have.property('postalCode');
+      expect(cardData).to.not.have.property('cardholderName');
+    });
+
+    ['streetAddress', 'locality', 'region'].forEach(function (key) {
+      it('requires a value for ' + key, function () {
+        this.card.set(key + '.value', 'value');
+        expect(this.card.get(key + '.isValid')).to.equal(true);
+
+        this.card.set(key + '.value', ' ');
+        expect(this.card.get(key + '.isValid')).to.equal(false);
+        expect(this.card.get(key + '.isPotentiallyValid')).to.equal(true);
+      });
+
+      it('is not potentially valid when ' + key + ' is too long', function () {
+        this.card.set(key + '.value', new Array(257).join('a'));
+
+        expect(this.card.get(key + '.isValid')).to.equal(false);
+        expect(this.card.get(key + '.isPotentiallyValid')).to.equal(false);
+      });
+    });
+
+    it('starts with a valid extendedAddress', function () {
+      expect(this.card.get('extendedAddress.isValid')).to.equal(true);
+      expect(this.card.invalidFieldKeys()).to.not.include('extendedAddress');
+    });
+
+    it('considers an empty extendedAddress valid', function () {
+      this.card.set('extendedAddress.value', 'Apt 4');
+      this.card.set('extendedAddress.value', '');
+
+      expect(this.card.get('extendedAddress.isValid')).to.equal(true);
+    });
+
+    it('validates a two-letter countryCode', function () {
+      this.card.set('countryCode.value', 'U');
+      expect(this.card.get('countryCode.isValid')).to.equal(false);
+      expect(this.card.get('countryCode.isPotentiallyValid')).to.equal(true);
+
+      this.card.set('countryCode.value', 'us');
+      expect(this.card.get('countryCode.isValid')).to.equal(true);
+
+      this.card.set('countryCode.value', 'U1');
+      expect(this.card.get('countryCode.isValid')).to.equal(false);
+      expect(this.card.get('countryCode.isPotentiallyValid')).to.equal(false);
+    });
+
+    it('only accepts ISO 3166-1 alpha-2 country codes', function () {
+      this.card.set('countryCode.value', 'ZZ');
+      expect(this.card.get('countryCode.isValid')).to.equal(false);
+      expect(this.card.get('countryCode.isPotentiallyValid')).to.equal(false);
+
+      this.card.set('countryCode.value', 'X');
+      expect(this.card.get('countryCode.isValid')).to.equal(false);
+      expect(this.card.get('countryCode.isPotentiallyValid')).to.equal(false);
+
+      this.card.set('countryCode.value', 'GB');
+      expect(this.card.get('countryCode.isValid')).to.equal(true);
+      expect(this.card.get('countryCode.isPotentiallyValid')).to.equal(true);
+    });
+
+    it('emits a VALIDITY_CHANGE event when a billing address field changes validity', function () {
+      this.sandbox.stub(this.card, 'emitEvent');
+
+      this.card.set('locality.value', 'Chicago');
+
+      expect(this.card.emitEvent).to.have.been.calledWith('locality', externalEvents.VALIDITY_CHANGE);
+    });
+  });
+
+  describe('invalidReason', function () {
+    it('is null for valid fields', function () {
+      this.card.set('number.value', '4111111111111111');
+
+      expect(this.card.get('number.invalidReason')).to.equal(null);
+    });
+
+    it('reports LUHN_CHECK_FAILED for card numbers that fail the Luhn check', function () {
+      this.card.set('number.value', '4111111111111112');
+
+      expect(this.card.get('number.invalidReason')).to.equal('LUHN_CHECK_FAILED');
+    });
+
+    it('reports EMPTY before any input', function () {
+      expect(this.card.get('cvv.invalidReason')).to.equal('EMPTY');
+    });
+
+    it('is null before any input for fields that start valid', function () {
+      var configuration = helpers.getModelConfig(['number', 'extendedAddress']);
+      var card = new CreditCardForm(configuration);
+
+      expect(card.get('extendedAddress.invalidReason')).to.equal(null);
+    });
+
+    it('reports EMPTY when a field is cleared', function () {
+      this.card.set('cvv.value', '1');
+      this.card.set('cvv.value', '');
+
+      expect(this.card.get('cvv.invalidReason')).to.equal('EMPTY');
+    });
+
+    it('reports INCOMPLETE for a CVV that is too short for the card type', function () {
+      this.card.set('number.value', '378282246310005');
+      this.card.set('cvv.value', '123');
+
+      expect(this.card.get('cvv.invalidReason')).to.equal('INCOMPLETE');
+    });
+
+    it('reports EXPIRED for an expiration date in the past', function () {
+      this.card.set('expirationDate.value', '01/2001');
+
+      expect(this.card.get('expirationDate.isValid')).to.equal(false);
+      expect(this.card.get('expirationDate.invalidReason')).to.equal('EXPIRED');
+    });
+
+    it('reports EXPIRED for an earlier month of the current year', function () {
+      var clock = this.sandbox.useFakeTimers(new Date(2020, 5, 15).getTime());
+
+      this.card.set('expirationDate.value', '05/2020');
+
+      expect(this.card.get('expirationDate.invalidReason')).to.equal('EXPIRED');
+
+      clock.restore();
+    });
+
+    it('reports EXPIRED for split expiration fields in the past', function () {
+      var card = new CreditCardForm(helpers.getModelConfig(['expirationMonth', 'expirationYear']));
+
+      card.set('expirationMonth.value', '01');
+      card.set('expirationYear.value', '2001');
+
+      expect(card.get('expirationMonth.invalidReason')).to.equal(null);
+      expect(card.get('expirationYear.invalidReason')).to.equal('EXPIRED');
+    });
+
+    it('reports INVALID for an expiration date that can never be valid', function () {
+      this.card.set('expirationDate.value', '13');
+
+      expect(this.card.get('expirationDate.invalidReason')).to.equal('INVALID');
+    });
+
+    it('reports the reason of a failed rule', function () {
+      var configuration = helpers.getModelConfig(['postalCode']);
+      var card;
+
+      configuration.fields.postalCode.rules = {pattern: '^\\d{5}$'};
+      card = new CreditCardForm(configuration);
+
+      card.set('postalCode.value', '1234A');
+
+      expect(card.get('postalCode.invalidReason')).to.equal('RULE_PATTERN');
+    });
+  });
+
+  describe('supportedCardBrands', function () {
+    it('does not restrict card brands by default', function () {
+      this.card.set('number.value', '6011111111111117');
+
+      expect(this.card.get('number.isValid')).to.equal(true);
+      expect(this.card.get('number.invalidReason')).to.equal(null);
+    });
+
+    it('marks numbers from unsupported brands as invalid', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.supportedCardBrands = ['visa', 'master-card'];
+      card = new CreditCardForm(configuration);
+
+      card.set('number.value', '6011111111111117');
+
+      expect(card.get('number.isValid')).to.equal(false);
+      expect(card.get('number.isPotentiallyValid')).to.equal(false);
+      expect(card.get('number.invalidReason')).to.equal('CARD_TYPE_NOT_SUPPORTED');
+    });
+
+    it('accepts numbers from supported brands', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.supportedCardBrands = ['visa', 'master-card'];
+      card = new CreditCardForm(configuration);
+
+      card.set('number.value', '6011111111111117');
+      card.set('number.value', '4111111111111111');
+
+      expect(card.get('number.isValid')).to.equal(true);
+      expect(card.get('number.invalidReason')).to.equal(null);
+    });
+
+    it('remains potentially valid while a supported brand is possible', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.supportedCardBrands = ['master-card'];
+      card = new CreditCardForm(configuration);
+
+      card.set('number.value', '5');
+
+      expect(card.get('number.isPotentiallyValid')).to.equal(true);
+      expect(card.get('number.invalidReason')).to.equal('INCOMPLETE');
+    });
+
+    it('derives supported brands from the gateway configuration when true', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.supportedCardBrands = true;
+      configuration.client = {
+        gatewayConfiguration: {
+          creditCards: {
+            supportedCardTypes: ['Visa', 'MasterCard', 'American Express']
+          }
+        }
+      };
+      card = new CreditCardForm(configuration);
+
+      expect(card._supportedCardBrands).to.deep.equal(['visa', 'master-card', 'american-express']);
+
+      card.set('number.value', '3530111333300000');
+
+      expect(card.get('number.isValid')).to.equal(false);
+      expect(card.get('number.invalidReason')).to.equal('CARD_TYPE_NOT_SUPPORTED');
+    });
+
+    it('does not restrict card brands when the gateway configuration has no credit card settings', function () {
+      var configuration = helpers.getModelConfig(['number']);
+
+      configuration.fields.number.supportedCardBrands = true;
+      configuration.client = {
+        gatewayConfiguration: {}
+      };
+
+      expect(new CreditCardForm(configuration)._supportedCardBrands).to.equal(null);
+    });
+
+    it('only accepts brands in both supportedCardBrands and the allowedCardTypes rule', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.supportedCardBrands = ['visa', 'master-card'];
+      configuration.fields.number.rules = {allowedCardTypes: ['master-card', 'discover']};
+      card = new CreditCardForm(configuration);
+
+      card.set('number.value', '4111111111111111');
+      expect(card.get('number.isValid')).to.equal(false);
+      expect(card.get('number.invalidReason')).to.equal('CARD_TYPE_NOT_SUPPORTED');
+
+      card.set('number.value', '6011111111111117');
+      expect(card.get('number.isValid')).to.equal(false);
+      expect(card.get('number.invalidReason')).to.equal('CARD_TYPE_NOT_SUPPORTED');
+
+      card.set('number.value', '5555555555554444');
+      expect(card.get('number.isValid')).to.equal(true);
+    });
+
+    it('does not restrict card brands when the gateway configuration has no supported card types', function () {
+      var configuration = helpers.getModelConfig(['number']);
+
+      configuration.fields.number.supportedCardBrands = true;
+      configuration.client = {
+        gatewayConfiguration: {
+          creditCards: {}
+        }
+      };
+
+      expect(new CreditCardForm(configuration)._supportedCardBrands).to.equal(null);
+    });
+
+    it('includes the invalidReason in emitted events', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.supportedCardBrands = ['visa'];
+      card = new CreditCardForm(configuration);
+
+      card.set('number.value', '6011111111111117');
+
+      expect(global.bus.emit).to.have.been.calledWith(events.INPUT_EVENT, this.sandbox.match({
+        merchantPayload: {
+          emittedBy: 'number',
+          fields: {
+            number: {
+              isValid: false,
+              invalidReason: 'CARD_TYPE_NOT_SUPPORTED'
+            }
+          }
+        },
+        type: externalEvents.VALIDITY_CHANGE
+      }));
+    });
+  });
+
+  describe('validation rules', function () {
+    it('applies rules when validating a field', function () {
+      var configuration = helpers.getModelConfig(['number', 'postalCode']);
+      var card;
+
+      configuration.fields.postalCode.rules = {pattern: '^\\d{5}$'};
+      card = new CreditCardForm(configuration);
+
+      card.set('postalCode.value', '1234A');
+      expect(card.get('postalCode.isValid')).to.equal(false);
+
+      card.set('postalCode.value', '12345');
+      expect(card.get('postalCode.isValid')).to.equal(true);
+    });
+
+    it('reports fields that fail rules as invalid', function () {
+      var configuration = helpers.getModelConfig(['number']);
+      var card;
+
+      configuration.fields.number.rules = {allowedCardTypes: ['visa']};
+      card = new CreditCardForm(configuration);
+
+      card.set('number.value', '6011111111111117');
+
+      expect(card.get('number.isValid')).to.equal(false);
+      expect(card.get('number.isPotentiallyValid')).to.equal(false);
+      expect(card.invalidFieldKeys()).to.include('number');
+    });
+
+    it('does not apply rules to an empty optional field', function () {
+      var configuration = helpers.getModelConfig(['number', 'extendedAddress']);
+      var card;
+
+      configuration.fields.extendedAddress.rules = {minLength: 2};
+      card = new CreditCardForm(configuration);
+
+      card.set('extendedAddress.value', '1');
+      expect(card.get('extendedAddress.isValid')).to.equal(false);
+
+      card.set('extendedAddress.value', '');
+      expect(card.get('extendedAddress.isValid')).to.equal(true);
+      expect(card.get('extendedAddress.invalidReason')).to.equal(null);
+    });
+
+    it('applies rules to split expiration fields', function () {
+      var configuration = helpers.getModelConfig(['expirationMonth', 'expirationYear']);
+      var card;
+
+      configuration.fields.expirationYear.rules = {maxLength: 2};
+      card = new CreditCardForm(configuration);
+
+      card.set('expirationMonth.value', '10');
+      card.set('expirationYear.value', nextYear);
+
+      expect(card.get('expirationMonth.isValid')).to.equal(true);
+      expect(card.get('expirationYear.isValid')).to.equal(false);
+    });
+  });
+
+  describe('addField', function () {
+    beforeEach(function () {
+      this.card = new CreditCardForm(helpers.getModelConfig(['number']));
+      this.sandbox.stub(this.card, 'emitEvent');
+    });
+
+    it('adds the field with its initial attributes', function () {
+      this.card.addField('cvv', {selector: '#cvv'});
+
+      expect(this.card._fieldKeys).to.deep.equal(['number', 'cvv']);
+      expect(this.card.configuration.fields.cvv).to.deep.equal({selector: '#cvv'});
+      expect(this.card.get('cvv')).to.deep.equal({
+        value: '',
+        isFocused: false,
+        isValid: false,
+        isPotentiallyValid: true,
+        isEmpty: true,
+        invalidReason: 'EMPTY'
+      });
+    });
+
+    it('validates and emits events for the added field', function () {
+      this.card.addField('cvv', {selector: '#cvv'});
+      this.card.set('cvv.value', '123');
+
+      expect(this.card.get('cvv.isValid')).to.equal(true);
+      expect(this.card.emitEvent).to.have.been.calledWith('cvv', externalEvents.INPUT_CHANGE);
+    });
+
+    it('includes the added field in card data', function () {
+      this.card.addField('cvv', {selector: '#cvv'});
+      this.card.set('cvv.value', '123');
+
+      expect(this.card.getCardData().cvv).to.equal('123');
+    });
+
+    it('ignores fields that are already present', function () {
+      this.card.addField('number', {selector: '#other'});
+
+      expect(this.card._fieldKeys).to.deep.equal(['number']);
+    });
+
+    it('ignores fields that are not whitelisted', function () {
+      this.card.addField('foo', {});
+
+      expect(this.card._fieldKeys).to.deep.equal(['number']);
+    });
+
+    it('validates the CVV against the card type once a number field is added', function () {
+      var card = new CreditCardForm(helpers.getModelConfig(['cvv']));
+
+      card.set('cvv.value', '1234');
+      card.addField('number', {selector: '#number'});
+      expect(card.get('cvv.isValid')).to.equal(true);
+
+      card.set('number.value', '4111111111111111');
+
+      expect(card.get('cvv.isValid')).to.equal(false);
+    });
+
+    it('does not subscribe twice when a field is added back', function () {
+      this.card.addField('cvv', {selector: '#cvv'});
+      this.card.removeField('cvv');
+      this.card.addField('cvv', {selector: '#cvv'});
+      this.card.emitEvent.reset();
+
+      this.card.set('cvv.value', '1');
+
+      expect(this.card.emitEvent.withArgs('cvv', externalEvents.INPUT_CHANGE)).to.have.been.calledOnce;
+    });
+  });
+
+  describe('removeField', function () {
+    it('removes the field', function () {
+      this.card.removeField('postalCode');
+
+      expect(this.card._fieldKeys).to.deep.equal(['number', 'cvv', 'expirationDate']);
+      expect(this.card.get('postalCode')).not.to.exist;
+      expect(this.card.configuration.fields.postalCode).not.to.exist;
+    });
+
+    it('excludes the removed field from validity and card data', function () {
+      this.card.removeField('postalCode');
+
+      expect(this.card.invalidFieldKeys()).not.to.contain('postalCode');
+      expect(this.card.getCardData()).not.to.have.property('postalCode');
+    });
+
+    it('ignores fields that are not present', function () {
+      this.card.removeField('cardholderName');
+
+      expect(this.card._fieldKeys).to.deep.equal(['number', 'cvv', 'expirationDate', 'postalCode']);
+    });
+
+    it('resets the possible card types and revalidates the CVV when the number field is removed', function () {
+      this.card.set('number.value', '4111111111111111');
+      this.card.set('cvv.value', '1234');
+      expect(this.card.get('cvv.isValid')).to.equal(false);
+
+      this.card.removeField('number');
+
+      expect(this.card.get('possibleCardTypes')).to.deep.equal(getCardTypes(''));
+      expect(this.card.get('cvv.isValid')).to.equal(true);
+    });
+  });
+
   describe('isEmpty', function () {
     it('returns true when fields are empty', function () {
       expect(this.card.isEmpty()).to.equal(true);
@@ -724,6 +1266,68 @@ describe('credit card model', function () {
     });
   });
 
+  describe('inputChange', function () {
+    it('emits an INPUT_CHANGE event when a value changes', function () {
+      this.card.set('cvv.value', '1');
+
+      expect(global.bus.emit).to.have.been.calledWith(events.INPUT_EVENT, this.sandbox.match({
+        merchantPayload: {
+          emittedBy: 'cvv',
+          input: {
+            length: 1,
+            isPotentiallyValid: true,
+            cardType: null
+          }
+        },
+        type: externalEvents.INPUT_CHANGE
+      }));
+    });
+
+    it('reports the unformatted length and detected brand of the number', function () {
+      this.card.set('number.value', '4111 1111');
+
+      expect(global.bus.emit).to.have.been.calledWith(events.INPUT_EVENT, this.sandbox.match({
+        merchantPayload: {
+          emittedBy: 'number',
+          input: {
+            length: 8,
+            isPotentiallyValid: true,
+            cardType: 'visa'
+          }
+        },
+        type: externalEvents.INPUT_CHANGE
+      }));
+    });
+
+    it('reports when the value is not potentially valid', function () {
+      this.card.set('number.value', '4x');
+
+      expect(global.bus.emit).to.have.been.calledWith(events.INPUT_EVENT, this.sandbox.match({
+        merchantPayload: {
+          emittedBy: 'number',
+          input: {isPotentiallyValid: false}
+        },
+        type: externalEvents.INPUT_CHANGE
+      }));
+    });
+
+    it('does not include the value of the field', function () {
+      var payload;
+
+      this.card.set('number.value', '4111111111111111');
+
+      payload = global.bus.emit.lastCall.args[1].merchantPayload;
+
+      expect(JSON.stringify(payload)).not.to.contain('4111111111111111');
+    });
+
+    it('does not include input progress in other events', function () {
+      this.card.emitEvent('number', externalEvents.FOCUS);
+
+      expect(global.bus.emit.lastCall.args[1].merchantPayload).not.to.have.property('input');
+    });
+  });
+
   describe('field empty change', function () {
     beforeEach(function () {
       this.sandbox.stub(this.card, 'emitEvent');
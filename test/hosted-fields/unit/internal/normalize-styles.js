@@ -0,0 +1,101 @@
+'use strict';
+
+var normalizeStyles = require('../../../../src/hosted-fields/internal/normalize-styles');
+
+describe('normalizeStyles', function () {
+  it('returns an empty object when no styles are passed', function () {
+    expect(normalizeStyles()).to.deep.equal({});
+  });
+
+  it('passes through plain selectors', function () {
+    var styles = {
+      input: {color: 'black'},
+      ':focus': {color: 'blue'},
+      '.valid': {color: 'green'},
+      '.invalid': {color: 'red'}
+    };
+
+    expect(normalizeStyles(styles)).to.deep.equal(styles);
+  });
+
+  it('ignores selectors whose styles are not objects', function () {
+    expect(normalizeStyles({
+      input: 'color: red',
+      '.valid': null
+    })).to.deep.equal({});
+  });
+
+  it('expands ::placeholder into vendor-prefixed selectors', function () {
+    var placeholderStyles = {color: 'gray'};
+
+    expect(normalizeStyles({
+      'input::placeholder': placeholderStyles
+    })).to.deep.equal({
+      'input::placeholder': placeholderStyles,
+      'input::-webkit-input-placeholder': placeholderStyles,
+      'input::-moz-placeholder': placeholderStyles,
+      'input:-ms-input-placeholder': placeholderStyles
+    });
+  });
+
+  it('does not override an explicitly provided vendor-prefixed placeholder selector', function () {
+    var result = normalizeStyles({
+      '::-moz-placeholder': {color: 'red'},
+      '::placeholder': {color: 'gray'}
+    });
+
+    expect(result['::-moz-placeholder']).to.deep.equal({color: 'red'});
+    expect(result['::-webkit-input-placeholder']).to.deep.equal({color: 'gray'});
+  });
+
+  it('passes through media queries and normalizes their selectors', function () {
+    var result = normalizeStyles({
+      '@media screen and (max-width: 700px)': {
+        input: {'font-size': '14px'},
+        '::placeholder': {color: 'gray'}
+      }
+    });
+
+    expect(result).to.deep.equal({
+      '@media screen and (max-width: 700px)': {
+        input: {'font-size': '14px'},
+        '::placeholder': {color: 'gray'},
+        '::-webkit-input-placeholder': {color: 'gray'},
+        '::-moz-placeholder': {color: 'gray'},
+        ':-ms-input-placeholder': {color: 'gray'}
+      }
+    });
+  });
+
+  it('allows media queries with ratios and resolutions', function () {
+    var styles = {
+      '@media (min-aspect-ratio: 16/9) and (min-resolution: 1.5dppx)': {
+        input: {color: 'black'}
+      }
+    };
+
+    expect(normalizeStyles(styles)).to.deep.equal(styles);
+  });
+
+  it('drops nested media queries', function () {
+    expect(normalizeStyles({
+      '@media screen': {
+        '@media print': {input: {color: 'black'}},
+        input: {color: 'blue'}
+      }
+    })).to.deep.equal({
+      '@media screen': {
+        input: {color: 'blue'}
+      }
+    });
+  });
+
+  it('drops media queries with unsafe content', function () {
+    expect(normalizeStyles({
+      '@media screen and (max-width: url(http://example.com))': {input: {color: 'black'}},
+      '@media screen; @import "evil.css"': {input: {color: 'black'}},
+      '@media screen and (max-width: expression(alert(1)))': {input: {color: 'black'}},
+      '@media screen { input': {color: 'black'}
+    })).to.deep.equal({});
+  });
+});
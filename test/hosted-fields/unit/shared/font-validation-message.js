@@ -0,0 +1,67 @@
+'use strict';
+
+var fontValidationMessage = require('../../../../src/hosted-fields/shared/font-validation-message');
+
+describe('fontValidationMessage', function () {
+  beforeEach(function () {
+    this.font = {
+      family: 'Brand Sans',
+      src: 'https://fonts.gstatic.com/s/brandsans/v1/brand-sans.woff2'
+    };
+  });
+
+  it('returns null for an allowed font', function () {
+    expect(fontValidationMessage(this.font)).to.equal(null);
+  });
+
+  it('returns null for an allowed font with a weight and style', function () {
+    this.font.weight = 700;
+    this.font.style = 'italic';
+
+    expect(fontValidationMessage(this.font)).to.equal(null);
+  });
+
+  it('allows origins regardless of case', function () {
+    this.font.src = 'HTTPS://USE.TYPEKIT.NET/af/brand-sans.woff2';
+
+    expect(fontValidationMessage(this.font)).to.equal(null);
+  });
+
+  it('rejects fonts that are not objects', function () {
+    expect(fontValidationMessage('Brand Sans')).to.equal('Fonts must be objects.');
+    expect(fontValidationMessage(null)).to.equal('Fonts must be objects.');
+  });
+
+  it('rejects font families with unsafe characters', function () {
+    this.font.family = 'Brand"; } input { color: red';
+
+    expect(fontValidationMessage(this.font)).to.contain('is not allowed. Font families may only contain');
+  });
+
+  it('rejects sources that are not HTTPS', function () {
+    this.font.src = 'http://fonts.gstatic.com/brand-sans.woff2';
+
+    expect(fontValidationMessage(this.font)).to.contain('Font source "http://fonts.gstatic.com/brand-sans.woff2" is not allowed.');
+  });
+
+  it('rejects sources from origins that are not allowed', function () {
+    this.font.src = 'https://fonts.gstatic.com.example.com/brand-sans.woff2';
+
+    expect(fontValidationMessage(this.font)).to.contain('is not allowed');
+  });
+
+  it('rejects sources that could break out of a CSS url', function () {
+    this.font.src = 'https://fonts.gstatic.com/brand-sans.woff2") format("woff2';
+
+    expect(fontValidationMessage(this.font)).to.contain('is not allowed');
+  });
+
+  it('rejects unsupported weights and styles', function () {
+    this.font.weight = 'heavy';
+    expect(fontValidationMessage(this.font)).to.equal('Font weight "heavy" is not allowed.');
+
+    this.font.weight = 'bold';
+    this.font.style = 'slanted';
+    expect(fontValidationMessage(this.font)).to.equal('Font style "slanted" is not allowed.');
+  });
+});
@@ -3,6 +3,7 @@
 var framebus = require('framebus');
 var Bus = require('../../../../src/lib/bus');
 var BraintreeError = require('../../../../src/lib/braintree-error');
+var Logger = require('../../../../src/lib/logger');
 
 describe('braintree bus', function () {
   beforeEach(function () {
@@ -157,4 +158,68 @@ describe('braintree bus', function () {
       expect(framebus.emit).not.to.have.been.called;
     });
   });
+
+  describe('logging', function () {
+    it('logs messages to the logger', function () {
+      var write = this.sandbox.stub();
+      var bus = new Bus({channel: 'foo', logger: new Logger(write, 'hosted-fields')});
+
+      bus.emit(this.event, {field: 'number'});
+
+      expect(write).to.have.been.calledWithMatch({
+        namespace: 'hosted-fields',
+        message: 'bus emit',
+        data: ['braintree:foo:' + this.event, {field: 'number'}]
+      });
+    });
+
+    it('logs messages received from frames', function () {
+      var handler = this.sandbox.spy();
+      var write = this.sandbox.stub();
+      var bus = new Bus({channel: 'foo', logger: new Logger(write, 'hosted-fields')});
+
+      bus.on(this.event, handler);
+      framebus.on.getCall(0).args[1]({field: 'number'});
+
+      expect(write).to.have.been.calledWithMatch({
+        namespace: 'hosted-fields',
+        message: 'bus receive',
+        data: ['braintree:foo:' + this.event, {field: 'number'}]
+      });
+      expect(handler).to.have.been.calledWith({field: 'number'});
+    });
+
+    it('does not log messages rejected by the origin check', function () {
+      var handler = this.sandbox.spy();
+      var write = this.sandbox.stub();
+      var bus = new Bus({
+        channel: 'foo',
+        merchantUrl: 'https://example.com',
+        logger: new Logger(write, 'hosted-fields')
+      });
+
+      bus.on(this.event, handler);
+      framebus.on.getCall(0).args[1].call({origin: 'https://evil.example'}, {field: 'number'});
+
+      expect(write).not.to.have.been.calledWithMatch({message: 'bus receive'});
+      expect(handler).not.to.have.been.called;
+    });
+
+    it('removes wrapped handlers with off', function () {
+      var bus = new Bus({channel: 'foo', logger: new Logger(this.sandbox.stub(), 'hosted-fields')});
+
+      bus.on(this.event, this.handler);
+      bus.off(this.event, this.handler);
+
+      expect(framebus.off).to.have.been.calledWith('braintree:foo:' + this.event, framebus.on.getCall(0).args[1]);
+    });
+
+    it('does not log without a logger', function () {
+      this.sandbox.spy(Logger.prototype, 'log');
+
+      this.bus.emit(this.event, this.payload);
+
+      expect(Logger.prototype.log).not.to.have.been.called;
+    });
+  });
 });
@@ -145,4 +145,76 @@ describe('BraintreeError', function () {
       UNKNOWN: 'UNKNOWN'
     });
   });
+
+  it('adds field errors from a gateway response in details.originalError', function () {
+    var e = new BraintreeError({
+      type: BraintreeError.types.CUSTOMER,
+      code: 'TOKENIZATION_FAILED',
+      message: 'Tokenization failed.',
+      details: {
+        originalError: {
+          fieldErrors: [{
+            field: 'creditCard',
+            fieldErrors: [{field: 'cvv', code: '81707', message: 'CVV must be 4 digits for American Express and 3 digits for other card types'}]
+          }]
+        }
+      }
+    });
+
+    expect(e.details.fieldErrors).to.deep.equal([{
+      field: 'creditCard.cvv',
+      code: '81707',
+      message: 'CVV must be 4 digits for American Express and 3 digits for other card types'
+    }]);
+  });
+
+  it('copies field errors from a BraintreeError in details.originalError', function () {
+    var fieldErrors = [{field: 'creditCard.number', code: '81716', message: 'Credit card number must be 12-19 digits'}];
+    var originalError = new BraintreeError({
+      type: BraintreeError.types.NETWORK,
+      code: 'CLIENT_REQUEST_ERROR',
+      message: 'There was a problem with your request.',
+      details: {fieldErrors: fieldErrors}
+    });
+    var e = new BraintreeError({
+      type: BraintreeError.types.CUSTOMER,
+      code: 'TOKENIZATION_FAILED',
+      message: 'Tokenization failed.',
+      details: {originalError: originalError}
+    });
+
+    expect(e.details.fieldErrors).to.equal(fieldErrors);
+  });
+
+  it('does not add field errors to the details object that was passed in', function () {
+    var details = {
+      originalError: {
+        fieldErrors: [{
+          field: 'creditCard',
+          fieldErrors: [{field: 'number', code: '81716', message: 'Credit card number must be 12-19 digits'}]
+        }]
+      }
+    };
+    var e = new BraintreeError({
+      type: BraintreeError.types.CUSTOMER,
+      code: 'TOKENIZATION_FAILED',
+      message: 'Tokenization failed.',
+      details: details
+    });
+
+    expect(e.details.fieldErrors).to.have.lengthOf(1);
+    expect(e.details.originalError).to.equal(details.originalError);
+    expect(details).to.not.have.property('fieldErrors');
+  });
+
+  it('does not add field errors when the original error has none', function () {
+    var e = new BraintreeError({
+      type: BraintreeError.types.NETWORK,
+      code: 'NETWORK_ERROR',
+      message: 'Network error.',
+      details: {originalError: new Error('Network failure')}
+    });
+
+    expect(e.details).to.not.have.property('fieldErrors');
+  });
 });
@@ -6,6 +6,7 @@ var events = require('../../../../../src/lib/frame-service/shared/events');
 var popup = require('../../../../../src/lib/frame-service/external/popup');
 var BraintreeBus = require('../../../../../src/lib/bus');
 var BraintreeError = require('../../../../../src/lib/braintree-error');
+var Logger = require('../../../../../src/lib/logger');
 
 function noop() {}
 
@@ -714,6 +715,7 @@ describe('FrameService', function () {
     it('makes a call to close', function () {
       var closeStub = this.sandbox.stub();
       var context = {
+        _logger: new Logger(null, 'frame-service'),
         close: closeStub,
         _cleanupFrame: this.sandbox.stub(),
         _onCompleteCallback: this.sandbox.stub(),
@@ -732,6 +734,7 @@ describe('FrameService', function () {
     it('removes the _dispatchFrame from the DOM', function () {
       var removeChildStub = this.sandbox.stub();
       var context = {
+        _logger: new Logger(null, 'frame-service'),
         close: noop,
         _cleanupFrame: this.sandbox.stub(),
         _onCompleteCallback: this.sandbox.stub(),
@@ -821,6 +824,7 @@ describe('FrameService', function () {
 
     it('creates a timer', function () {
       var context = {
+        _logger: new Logger(null, 'frame-service'),
         isFrameClosed: function () {
           return false;
         },
@@ -837,6 +841,7 @@ describe('FrameService', function () {
       var frameClosed = false;
       var cleanupFrameStub = this.sandbox.stub();
       var context = {
+        _logger: new Logger(null, 'frame-service'),
         isFrameClosed: function () {
           return frameClosed;
         },
@@ -857,6 +862,7 @@ describe('FrameService', function () {
       var frameClosed = false;
       var onCompleteCallbackStub = this.sandbox.stub();
       var context = {
+        _logger: new Logger(null, 'frame-service'),
         isFrameClosed: function () {
           return frameClosed;
         },
@@ -0,0 +1,172 @@
+'use strict';
+/* eslint-disable camelcase */
+
+var Logger = require('../../../src/lib/logger');
+
+describe('Logger', function () {
+  describe('log', function () {
+    it('does nothing without a write function', function () {
+      var logger = new Logger(null, 'client');
+
+      expect(logger.isEnabled()).to.equal(false);
+      expect(function () {
+        logger.log('request', {foo: 'bar'});
+      }).not.to.throw();
+    });
+
+    it('writes an entry with the namespace, message, and data', function () {
+      var write = this.sandbox.stub();
+      var logger = new Logger(write, 'hosted-fields');
+
+      this.sandbox.stub(Date, 'now').returns(1234);
+
+      logger.log('frame created', {field: 'number'});
+
+      expect(write).to.have.been.calledOnce;
+      expect(write).to.have.been.calledWith({
+        namespace: 'hosted-fields',
+        message: 'frame created',
+        timestamp: 1234,
+        data: {field: 'number'}
+      });
+    });
+
+    it('leaves out data when none is provided', function () {
+      var write = this.sandbox.stub();
+
+      new Logger(write, 'paypal').log('ready');
+
+      expect(write.firstCall.args[0]).not.to.have.property('data');
+    });
+
+    it('redacts sensitive fields in data', function () {
+      var write = this.sandbox.stub();
+
+      new Logger(write, 'client').log('request', {
+        data: {
+          creditCard: {
+            number: '4111111111111111',
+            cvv: '123',
+            expirationDate: '12/2020',
+            billingAddress: {postalCode: '60606'}
+          },
+          _meta: {source: 'client'},
+          authorizationFingerprint: 'fingerprint'
+        },
+        headers: {Authorization: 'Bearer token'}
+      });
+
+      expect(write.firstCall.args[0].data).to.deep.equal({
+        data: {
+          creditCard: {
+            number: '[REDACTED]',
+            cvv: '[REDACTED]',
+            expirationDate: '[REDACTED]',
+            billingAddress: {postalCode: '60606'}
+          },
+          _meta: {source: 'client'},
+          authorizationFingerprint: '[REDACTED]'
+        },
+        headers: {Authorization: '[REDACTED]'}
+      });
+    });
+
+    it('does not modify the logged data', function () {
+      var data = {creditCard: {number: '4111111111111111'}};
+
+      new Logger(this.sandbox.stub(), 'client').log('request', data);
+
+      expect(data.creditCard.number).to.equal('4111111111111111');
+    });
+
+    it('does not throw when the write function throws', function () {
+      var logger = new Logger(function () {
+        throw new Error('logger failed');
+      }, 'client');
+
+      expect(function () {
+        logger.log('request');
+      }).not.to.throw();
+    });
+  });
+
+  describe('redact', function () {
+    it('redacts snake_cased fields', function () {
+      expect(Logger.redact({
+        routing_number: '123456789',
+        account_number: '1000000000',
+        account_type: 'checking'
+      })).to.deep.equal({
+        routing_number: '[REDACTED]',
+        account_number: '[REDACTED]',
+        account_type: 'checking'
+      });
+    });
+
+    it('redacts fields inside arrays', function () {
+      expect(Logger.redact(['emit', {cvv: '123'}])).to.deep.equal(['emit', {cvv: '[REDACTED]'}]);
+    });
+
+    it('replaces functions', function () {
+      expect(Logger.redact(['emit', function () {}])).to.deep.equal(['emit', '[Function]']);
+    });
+
+    it('keeps values that are not plain objects', function () {
+      var err = new Error('failed');
+
+      expect(Logger.redact({error: err}).error).to.equal(err);
+      expect(Logger.redact('value')).to.equal('value');
+    });
+
+    it('does not redact empty sensitive fields', function () {
+      expect(Logger.redact({number: null})).to.deep.equal({number: null});
+    });
+
+    it('stops at deeply nested objects', function () {
+      var data = {a: {b: {c: {d: {e: {f: {g: 'deep'}}}}}}};
+
+      expect(Logger.redact(data).a.b.c.d.e.f).to.equal('[Object]');
+    });
+  });
+
+  describe('forNamespace', function () {
+    it('returns a logger with the same write function', function () {
+      var write = this.sandbox.stub();
+
+      new Logger(write, 'client').forNamespace('paypal').log('ready');
+
+      expect(write.firstCall.args[0].namespace).to.equal('paypal');
+    });
+  });
+
+  describe('fromClient', function () {
+    it('uses the write function of the client logger', function () {
+      var write = this.sandbox.stub();
+      var client = {_logger: new Logger(write, 'client')};
+
+      Logger.fromClient(client, 'three-d-secure').log('verifyCard');
+
+      expect(write).to.have.been.calledWithMatch({
+        namespace: 'three-d-secure',
+        message: 'verifyCard'
+      });
+    });
+
+    it('returns a disabled logger when the client has no logger', function () {
+      expect(Logger.fromClient({}, 'paypal').isEnabled()).to.equal(false);
+      expect(Logger.fromClient(null, 'paypal').isEnabled()).to.equal(false);
+    });
+  });
+
+  describe('consoleLogger', function () {
+    it('logs entries to the console', function () {
+      this.sandbox.stub(console, 'log');
+
+      Logger.consoleLogger({namespace: 'client', message: 'request', data: {method: 'GET'}});
+      Logger.consoleLogger({namespace: 'paypal', message: 'ready'});
+
+      expect(console.log).to.have.been.calledWith('[braintree-web] client: request', {method: 'GET'}); // eslint-disable-line no-console
+      expect(console.log).to.have.been.calledWith('[braintree-web] paypal: ready'); // eslint-disable-line no-console
+    });
+  });
+});
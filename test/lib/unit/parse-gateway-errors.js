@@ -0,0 +1,73 @@
+'use strict';
+/* eslint-disable camelcase */
+
+var parseGatewayErrors = require('../../../src/lib/parse-gateway-errors');
+
+describe('parseGatewayErrors', function () {
+  it('returns an empty list for bodies without field errors', function () {
+    expect(parseGatewayErrors()).to.deep.equal([]);
+    expect(parseGatewayErrors(null)).to.deep.equal([]);
+    expect(parseGatewayErrors('error')).to.deep.equal([]);
+    expect(parseGatewayErrors({error: {message: 'Something went wrong'}})).to.deep.equal([]);
+  });
+
+  it('flattens nested clientApi field errors into paths', function () {
+    var body = {
+      error: {message: 'Credit card is invalid'},
+      fieldErrors: [{
+        field: 'creditCard',
+        fieldErrors: [{
+          field: 'number',
+          code: '81716',
+          message: 'Credit card number must be 12-19 digits'
+        }, {
+          field: 'billingAddress',
+          fieldErrors: [{
+            field: 'postalCode',
+            code: '81813',
+            message: 'Postal code can only contain letters, numbers, spaces, and hyphens'
+          }]
+        }]
+      }]
+    };
+
+    expect(parseGatewayErrors(body)).to.deep.equal([{
+      field: 'creditCard.number',
+      code: '81716',
+      message: 'Credit card number must be 12-19 digits'
+    }, {
+      field: 'creditCard.billingAddress.postalCode',
+      code: '81813',
+      message: 'Postal code can only contain letters, numbers, spaces, and hyphens'
+    }]);
+  });
+
+  it('converts braintreeApi error details into camelCased paths', function () {
+    var body = {
+      error: {
+        developer_message: 'The request contains invalid fields.',
+        details: [{
+          at: '/routing_number',
+          code: 'invalid_routing_number',
+          developer_message: 'Routing number is invalid.',
+          'in': 'body'
+        }, {
+          at: '/billing_address/postal_code',
+          code: 'required_value',
+          user_message: 'Postal code is required.',
+          'in': 'body'
+        }]
+      }
+    };
+
+    expect(parseGatewayErrors(body)).to.deep.equal([{
+      field: 'routingNumber',
+      code: 'invalid_routing_number',
+      message: 'Routing number is invalid.'
+    }, {
+      field: 'billingAddress.postalCode',
+      code: 'required_value',
+      message: 'Postal code is required.'
+    }]);
+  });
+});
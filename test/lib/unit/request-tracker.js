@@ -0,0 +1,85 @@
+'use strict';
+
+var RequestTracker = require('../../../src/lib/request-tracker');
+
+describe('RequestTracker', function () {
+  beforeEach(function () {
+    var self = this;
+
+    this.handles = [];
+    this.client = {
+      request: this.sandbox.spy(function () {
+        var handle = {abort: self.sandbox.spy()};
+
+        self.handles.push(handle);
+
+        return handle;
+      })
+    };
+  });
+
+  describe('request', function () {
+    it('sends the request through the client', function () {
+      var tracker = new RequestTracker(this.client);
+      var callback = this.sandbox.spy();
+      var options = {endpoint: 'foo', method: 'get'};
+
+      tracker.request(options, callback);
+
+      expect(this.client.request).to.have.been.calledWith(options);
+
+      this.client.request.firstCall.args[1](null, {foo: 'bar'}, 200);
+
+      expect(callback).to.have.been.calledWith(null, {foo: 'bar'}, 200);
+    });
+
+    it('stops tracking requests once they complete', function () {
+      var tracker = new RequestTracker(this.client);
+
+      tracker.request({}, function () {});
+      tracker.request({}, function () {});
+
+      this.client.request.firstCall.args[1](null, {}, 200);
+
+      expect(tracker._requests).to.deep.equal([this.handles[1]]);
+    });
+
+    it('does not track requests that complete synchronously', function () {
+      var tracker = new RequestTracker({
+        request: function (options, callback) {
+          callback(new Error('sync error'));
+
+          return {abort: function () {}};
+        }
+      });
+
+      tracker.request({}, function () {});
+
+      expect(tracker._requests).to.deep.equal([]);
+    });
+  });
+
+  describe('abortAll', function () {
+    it('aborts every in-flight request', function () {
+      var tracker = new RequestTracker(this.client);
+
+      tracker.request({}, function () {});
+      tracker.request({}, function () {});
+      tracker.abortAll();
+
+      expect(this.handles[0].abort).to.have.been.calledOnce;
+      expect(this.handles[1].abort).to.have.been.calledOnce;
+      expect(tracker._requests).to.deep.equal([]);
+    });
+
+    it('does not abort completed requests', function () {
+      var tracker = new RequestTracker(this.client);
+
+      tracker.request({}, function () {});
+      this.client.request.firstCall.args[1](null, {}, 200);
+      tracker.abortAll();
+
+      expect(this.handles[0].abort).not.to.have.been.called;
+    });
+  });
+});
@@ -4,9 +4,12 @@ var frameService = require('../../../../src/lib/frame-service/external');
 var frameServiceErrors = require('../../../../src/lib/frame-service/shared/errors');
 var VERSION = require('../../../../package.json').version;
 var PayPal = require('../../../../src/paypal/external/paypal');
+var RequestTracker = require('../../../../src/lib/request-tracker');
+var Logger = require('../../../../src/lib/logger');
 var analytics = require('../../../../src/lib/analytics');
 var methods = require('../../../../src/lib/methods');
 var BraintreeError = require('../../../../src/lib/braintree-error');
+var rejectIfResolves = require('../../../helpers/promise-helper').rejectIfResolves;
 
 function noop() {}
 
@@ -60,6 +63,7 @@ describe('PayPal', function () {
   describe('_initialize', function () {
     it('instantiates FrameService', function () {
       var context = {
+        _logger: new Logger(null, 'paypal'),
         _assetsUrl: 'foo/bar',
         _loadingFrameUrl: 'fake-loading-frame-url'
       };
@@ -72,12 +76,14 @@ describe('PayPal', function () {
       expect(frameService.create).to.have.been.calledWith({
         name: sinon.match.string,
         dispatchFrameUrl: context._assetsUrl + '/html/dispatch-frame.min.html',
-        openFrameUrl: context._loadingFrameUrl
+        openFrameUrl: context._loadingFrameUrl,
+        logger: context._logger
       }, sinon.match.func);
     });
 
     it('instantiates FrameService with unminified assets in debug mode', function () {
       var context = {
+        _logger: new Logger(null, 'paypal'),
         _assetsUrl: 'foo/bar',
         _isDebug: true
       };
@@ -90,7 +96,8 @@ describe('PayPal', function () {
       expect(frameService.create).to.have.been.calledWith({
         name: sinon.match.string,
         dispatchFrameUrl: context._assetsUrl + '/html/dispatch-frame.html',
-        openFrameUrl: context._loadingFrameUrl
+        openFrameUrl: context._loadingFrameUrl,
+        logger: context._logger
       }, sinon.match.func);
     });
 
@@ -427,6 +434,7 @@ describe('PayPal', function () {
         flow: 'checkout'
       };
       this.context = {
+        _logger: new Logger(null, 'paypal'),
         _client: {request: this.sandbox.stub()},
         _formatPaymentResourceData: function () {
           return {};
@@ -436,6 +444,7 @@ describe('PayPal', function () {
           close: this.sandbox.stub()
         }
       };
+      this.context._requests = new RequestTracker(this.context._client);
     });
 
     it('makes an api request for a paypal payment resource', function () {
@@ -638,6 +647,19 @@ describe('PayPal', function () {
       });
     });
 
+    it('aborts in-flight requests', function (done) {
+      var pp = this.pp;
+
+      this.sandbox.stub(pp._requests, 'abortAll');
+
+      pp._initialize(function () {
+        pp.teardown(function () {
+          expect(pp._requests.abortAll).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
     it('calls teardown analytic', function (done) {
       var pp = this.pp;
 
@@ -660,6 +682,18 @@ describe('PayPal', function () {
       });
     });
 
+    it('returns a promise if no callback is provided', function (done) {
+      var pp = this.pp;
+      var frameServiceInstance = this.frameServiceInstance;
+
+      pp._initialize(function () {
+        pp.teardown().then(function () {
+          expect(frameServiceInstance.teardown).to.have.been.called;
+          done();
+        });
+      });
+    });
+
     it('replaces all methods so error is thrown when methods are invoked', function (done) {
       var pp = this.pp;
 
@@ -685,6 +719,7 @@ describe('PayPal', function () {
   describe('tokenize', function () {
     beforeEach(function () {
       this.context = {
+        _logger: new Logger(null, 'paypal'),
         _client: this.client,
         _authorizationInProgress: false,
         _navigateFrameToAuth: this.sandbox.stub(),
@@ -714,19 +749,26 @@ describe('PayPal', function () {
       });
     });
 
-    it('requires an errback', function () {
-      var err;
+    it('returns a promise instead of a handle if no errback is provided', function () {
+      this.context._createFrameServiceCallback = function (options, callback) {
+        return function () { callback(null, {nonce: 'fake-nonce'}); };
+      };
+      this.context._frameService.open = function (callback) {
+        callback();
+      };
 
-      try {
-        PayPal.prototype.tokenize.call(this.context, this.tokenizeOptions);
-      } catch (e) {
-        err = e;
-      }
+      return PayPal.prototype.tokenize.call(this.context, this.tokenizeOptions).then(function (payload) {
+        expect(payload).to.deep.equal({nonce: 'fake-nonce'});
+        expect(this.context._frameService.createHandler).not.to.have.been.called;
+      }.bind(this));
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('tokenize must include a callback function.');
+    it('rejects the promise if no options are provided', function () {
+      return PayPal.prototype.tokenize.call(this.context, {}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('PAYPAL_FLOW_OPTION_REQUIRED');
+        expect(this.context._frameService.createNoopHandler).not.to.have.been.called;
+      }.bind(this));
     });
 
     it('calls errback with error if no options are provided', function (done) {
@@ -803,7 +845,9 @@ describe('PayPal', function () {
     describe('analytics', function () {
       beforeEach(function () {
         this.context = {
+          _logger: new Logger(null, 'paypal'),
           _client: this.client,
+          _requests: new RequestTracker(this.client),
           _navigateFrameToAuth: this.sandbox.stub(),
           _createFrameServiceCallback: function (options, callback) {
             return function () { callback(); };
@@ -923,6 +967,7 @@ describe('PayPal', function () {
     beforeEach(function () {
       this.callback = this.sandbox.stub();
       this.context = {
+        _logger: new Logger(null, 'paypal'),
         _client: {request: this.sandbox.stub()},
         _authorizationInProgress: true,
         _tokenizePayPal: this.sandbox.stub()
@@ -1073,6 +1118,7 @@ describe('PayPal', function () {
       this.requestPayload = {};
       this.responsePayload = {};
       this.context = {
+        _logger: new Logger(null, 'paypal'),
         _client: this.client,
         _formatTokenizeData: function () { return this.requestPayload; }.bind(this),
         _formatTokenizePayload: function () { return this.responsePayload; }.bind(this),
@@ -1080,7 +1126,8 @@ describe('PayPal', function () {
           close: this.sandbox.stub(),
           redirect: this.sandbox.stub()
         },
-        _loadingFrameUrl: 'fake-loading-frame-url'
+        _loadingFrameUrl: 'fake-loading-frame-url',
+        _requests: new RequestTracker(this.client)
       };
     });
 
@@ -7,6 +7,7 @@ var fake = require('../../helpers/fake');
 var PayPal = require('../../../src/paypal/external/paypal');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var version = require('../../../package.json').version;
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('paypal.create', function () {
   beforeEach(function () {
@@ -23,17 +24,22 @@ describe('paypal.create', function () {
     };
   });
 
-  it('errors out if no callback is given', function (done) {
-    try {
-      create({client: this.client});
-    } catch (err) {
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('create must include a callback function.');
+  it('returns a promise if no callback is given', function () {
+    this.sandbox.stub(analytics, 'sendEvent');
+    this.sandbox.stub(PayPal.prototype, '_initialize', function (callback) {
+      callback();
+    });
 
-      done();
-    }
+    return create({client: this.client}).then(function (pp) {
+      expect(pp).to.be.an.instanceof(PayPal);
+    });
+  });
+
+  it('rejects the promise if no client given', function () {
+    return create({}).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('INSTANTIATION_OPTION_REQUIRED');
+    });
   });
 
   it('errors out if no client given', function (done) {
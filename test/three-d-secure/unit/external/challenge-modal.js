@@ -0,0 +1,171 @@
+'use strict';
+
+var ChallengeModal = require('../../../../src/three-d-secure/external/challenge-modal');
+
+function pressKey(key, keyCode) {
+  var event = document.createEvent('Event');
+
+  event.initEvent('keydown', true, true);
+  event.key = key;
+  event.keyCode = keyCode;
+  document.body.dispatchEvent(event);
+
+  return event;
+}
+
+describe('ChallengeModal', function () {
+  beforeEach(function () {
+    this.iframe = document.createElement('iframe');
+    this.onCancel = this.sandbox.stub();
+    this.modal = new ChallengeModal({}, this.onCancel);
+  });
+
+  afterEach(function () {
+    this.modal.close();
+  });
+
+  describe('open', function () {
+    it('adds an accessible dialog containing the iframe to the page', function () {
+      var dialog;
+
+      this.modal.open(this.iframe);
+
+      dialog = document.querySelector('[role="dialog"]');
+
+      expect(dialog).to.exist;
+      expect(dialog.getAttribute('aria-modal')).to.equal('true');
+      expect(dialog.getAttribute('aria-label')).to.equal('Verify your card');
+      expect(dialog.contains(this.iframe)).to.equal(true);
+      expect(document.activeElement).to.equal(dialog);
+    });
+
+    it('sizes the iframe to fill the dialog', function () {
+      var dialog;
+
+      this.modal.open(this.iframe);
+
+      dialog = this.iframe.parentNode;
+
+      expect(this.iframe.style.width).to.equal('100%');
+      expect(this.iframe.style.height).to.equal('100%');
+      expect(dialog.style.width).to.equal('100%');
+      expect(dialog.style.maxWidth).to.equal('500px');
+      expect(dialog.style.maxHeight).to.equal('600px');
+    });
+
+    it('applies labels and theme options', function () {
+      var dialog, button;
+      var modal = new ChallengeModal({
+        ariaLabel: 'Authenticate with your bank',
+        closeButtonLabel: 'Close',
+        theme: {
+          overlayColor: 'red',
+          backgroundColor: 'blue',
+          maxWidth: '390px',
+          zIndex: 100
+        }
+      }, this.onCancel);
+
+      modal.open(this.iframe);
+
+      dialog = this.iframe.parentNode;
+      button = dialog.querySelector('button');
+
+      expect(dialog.getAttribute('aria-label')).to.equal('Authenticate with your bank');
+      expect(button.getAttribute('aria-label')).to.equal('Close');
+      expect(dialog.style.background).to.equal('blue');
+      expect(dialog.style.maxWidth).to.equal('390px');
+      expect(dialog.parentNode.style.background).to.equal('red');
+      expect(dialog.parentNode.style.zIndex).to.equal('100');
+
+      modal.close();
+    });
+
+    it('prevents the page from scrolling', function () {
+      this.modal.open(this.iframe);
+
+      expect(document.body.style.overflow).to.equal('hidden');
+    });
+
+    it('keeps focus inside the dialog', function () {
+      var guards, button;
+
+      this.modal.open(this.iframe);
+
+      guards = this.iframe.parentNode.parentNode.querySelectorAll('[aria-hidden="true"]');
+      button = this.iframe.parentNode.querySelector('button');
+
+      guards[1].focus();
+      expect(document.activeElement).to.equal(button);
+
+      guards[0].focus();
+      expect(document.activeElement).to.equal(this.iframe);
+    });
+  });
+
+  describe('cancelling', function () {
+    it('calls onCancel when Escape is pressed', function () {
+      var event;
+
+      this.modal.open(this.iframe);
+
+      event = pressKey('Escape', 27);
+
+      expect(this.onCancel).to.be.calledOnce;
+      expect(event.defaultPrevented).to.equal(true);
+    });
+
+    it('does not call onCancel for other keys', function () {
+      this.modal.open(this.iframe);
+
+      pressKey('Enter', 13);
+
+      expect(this.onCancel).not.to.be.called;
+    });
+
+    it('calls onCancel when the close button is clicked', function () {
+      this.modal.open(this.iframe);
+
+      this.iframe.parentNode.querySelector('button').click();
+
+      expect(this.onCancel).to.be.calledOnce;
+    });
+
+    it('stops listening for Escape once closed', function () {
+      this.modal.open(this.iframe);
+      this.modal.close();
+
+      pressKey('Escape', 27);
+
+      expect(this.onCancel).not.to.be.called;
+    });
+  });
+
+  describe('close', function () {
+    it('removes the dialog and restores the page', function () {
+      var button = document.createElement('button');
+
+      document.body.appendChild(button);
+      button.focus();
+      document.body.style.overflow = 'auto';
+
+      this.modal.open(this.iframe);
+      this.modal.close();
+
+      expect(document.querySelector('[role="dialog"]')).not.to.exist;
+      expect(document.body.style.overflow).to.equal('auto');
+      expect(document.activeElement).to.equal(button);
+
+      document.body.removeChild(button);
+      document.body.style.overflow = '';
+    });
+
+    it('does nothing if the modal is not open', function () {
+      var modal = this.modal;
+
+      expect(function () {
+        modal.close();
+      }).not.to.throw();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+var formatAdditionalInformation = require('../../../../src/three-d-secure/external/format-additional-information');
+var BraintreeError = require('../../../../src/lib/braintree-error');
+
+describe('formatAdditionalInformation', function () {
+  it('returns supported fields and their names', function () {
+    var result = formatAdditionalInformation({
+      shippingGivenName: 'Jill',
+      accountAgeIndicator: '03',
+      transactionCountDay: 2
+    });
+
+    expect(result.data).to.deep.equal({
+      shippingGivenName: 'Jill',
+      accountAgeIndicator: '03',
+      transactionCountDay: 2
+    });
+    expect(result.sent).to.deep.equal(['shippingGivenName', 'accountAgeIndicator', 'transactionCountDay']);
+  });
+
+  it('throws an error for an unsupported field', function () {
+    expect(function () {
+      formatAdditionalInformation({
+        shippingSurname: 'Doe',
+        favoriteColor: 'blue'
+      });
+    }).to.throw(BraintreeError, 'additionalInformation.favoriteColor is not a supported field.');
+  });
+
+  it('leaves out empty values', function () {
+    var result = formatAdditionalInformation({
+      shippingSurname: '',
+      shippingPhone: null,
+      transactionCountYear: 0
+    });
+
+    expect(result.data).to.deep.equal({transactionCountYear: 0});
+    expect(result.sent).to.deep.equal(['transactionCountYear']);
+  });
+
+  it('keeps supported shipping address fields', function () {
+    var result = formatAdditionalInformation({
+      shippingAddress: {
+        streetAddress: '555 Smith St.',
+        locality: 'Oakland',
+        countryCodeAlpha2: 'US',
+        postalCode: ''
+      }
+    });
+
+    expect(result.data).to.deep.equal({
+      shippingAddress: {
+        streetAddress: '555 Smith St.',
+        locality: 'Oakland',
+        countryCodeAlpha2: 'US'
+      }
+    });
+    expect(result.sent).to.deep.equal(['shippingAddress']);
+  });
+
+  it('keeps billing and contact fields', function () {
+    var result = formatAdditionalInformation({
+      billingGivenName: 'Jill',
+      billingPhoneNumber: '5555555555',
+      billingAddress: {
+        postalCode: '12345',
+        countryCodeAlpha2: 'US'
+      },
+      email: 'jill@example.com',
+      mobilePhoneNumber: '5551234567'
+    });
+
+    expect(result.data).to.deep.equal({
+      billingGivenName: 'Jill',
+      billingPhoneNumber: '5555555555',
+      billingAddress: {
+        postalCode: '12345',
+        countryCodeAlpha2: 'US'
+      },
+      email: 'jill@example.com',
+      mobilePhoneNumber: '5551234567'
+    });
+    expect(result.sent).to.deep.equal(['billingGivenName', 'billingPhoneNumber', 'billingAddress', 'email', 'mobilePhoneNumber']);
+  });
+
+  it('throws an error if a billing address field is not a string', function () {
+    expect(function () {
+      formatAdditionalInformation({billingAddress: {postalCode: 12345}});
+    }).to.throw(BraintreeError, 'additionalInformation.billingAddress.postalCode must be a string.');
+  });
+
+  it('throws an error for an unsupported address field', function () {
+    expect(function () {
+      formatAdditionalInformation({shippingAddress: {planet: 'Earth'}});
+    }).to.throw(BraintreeError, 'additionalInformation.shippingAddress.planet is not a supported field.');
+  });
+
+  it('leaves out a shipping address without any values', function () {
+    var result = formatAdditionalInformation({
+      shippingAddress: {streetAddress: '', locality: null}
+    });
+
+    expect(result.data).to.deep.equal({});
+    expect(result.sent).to.deep.equal([]);
+  });
+
+  it('throws an error if additionalInformation is not an object', function () {
+    expect(function () {
+      formatAdditionalInformation('shipping');
+    }).to.throw(BraintreeError, 'additionalInformation must be an object.');
+  });
+
+  it('throws an error if a string field is not a string', function () {
+    try {
+      formatAdditionalInformation({shippingPhone: 5555555555});
+    } catch (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal(BraintreeError.types.MERCHANT);
+      expect(err.code).to.equal('THREEDS_INVALID_ADDITIONAL_INFORMATION');
+      expect(err.message).to.equal('additionalInformation.shippingPhone must be a string.');
+      return;
+    }
+
+    throw new Error('expected an error to be thrown');
+  });
+
+  it('throws an error if a count field is not a non-negative integer', function () {
+    expect(function () {
+      formatAdditionalInformation({addCardAttempts: '2'});
+    }).to.throw(BraintreeError, 'additionalInformation.addCardAttempts must be a non-negative integer.');
+    expect(function () {
+      formatAdditionalInformation({addCardAttempts: -1});
+    }).to.throw(BraintreeError, 'additionalInformation.addCardAttempts must be a non-negative integer.');
+    expect(function () {
+      formatAdditionalInformation({addCardAttempts: 1.5});
+    }).to.throw(BraintreeError, 'additionalInformation.addCardAttempts must be a non-negative integer.');
+  });
+
+  it('throws an error if the shipping address is not an object', function () {
+    expect(function () {
+      formatAdditionalInformation({shippingAddress: '555 Smith St.'});
+    }).to.throw(BraintreeError, 'additionalInformation.shippingAddress must be an object.');
+  });
+
+  it('throws an error if a shipping address field is not a string', function () {
+    expect(function () {
+      formatAdditionalInformation({shippingAddress: {postalCode: 12345}});
+    }).to.throw(BraintreeError, 'additionalInformation.shippingAddress.postalCode must be a string.');
+  });
+});
@@ -9,6 +9,7 @@ var Bus = require('../../../../src/lib/bus');
 var deferred = require('../../../../src/lib/deferred');
 var VERSION = require('../../../../package.json').version;
 var events = require('../../../../src/three-d-secure/shared/events');
+var rejectIfResolves = require('../../../helpers/promise-helper').rejectIfResolves;
 
 function noop() {}
 
@@ -48,17 +49,29 @@ describe('ThreeDSecure', function () {
       });
     });
 
-    it('requires an errback', function (done) {
-      try {
-        this.instance.verifyCard({});
-      } catch (err) {
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.eql('MERCHANT');
-        expect(err.code).to.eql('CALLBACK_REQUIRED');
-        expect(err.message).to.eql('verifyCard must include a callback function.');
+    it('returns a promise if no errback is provided', function () {
+      this.client.request.yields(null, {
+        paymentMethod: {nonce: 'upgraded-nonce'},
+        threeDSecureInfo: {liabilityShiftPossible: true, liabilityShifted: true}
+      });
 
-        done();
-      }
+      return this.instance.verifyCard({
+        nonce: 'fake-nonce',
+        amount: 100,
+        addFrame: noop,
+        removeFrame: noop
+      }).then(function (data) {
+        expect(data.nonce).to.equal('upgraded-nonce');
+        expect(this.instance._verifyCardInProgress).to.equal(false);
+      }.bind(this));
+    });
+
+    it('rejects the promise if required options are missing', function () {
+      return this.instance.verifyCard({}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
+        expect(this.client.request).not.to.have.been.called;
+      }.bind(this));
     });
 
     it('can be called multiple times if cancelled in between', function (done) {
@@ -146,154 +159,1144 @@ describe('ThreeDSecure', function () {
         client: this.client
       });
 
-      var options = {
-        nonce: 'abc123',
-        amount: 100,
-        addFrame: function (err, iframe) {
-          expect(err).not.to.exist;
-          expect(iframe).to.exist;
+      var options = {
+        nonce: 'abc123',
+        amount: 100,
+        addFrame: function (err, iframe) {
+          expect(err).not.to.exist;
+          expect(iframe).to.exist;
+
+          deferred(function () {
+            threeDSecure._handleAuthResponse({
+              channel: 'some-channel',
+              auth_response: '{"paymentMethod":{"type":"CreditCard","nonce":"some-fake-nonce","description":"ending+in+00","consumed":false,"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true,"status":"authenticate_successful","enrolled":"Y"},"details":{"lastTwo":"00","cardType":"Visa"}},"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true},"success":true}' // eslint-disable-line
+            }, options);
+          })();
+        },
+        removeFrame: noop
+      };
+
+      this.client.request.callsArgWith(1, null, {
+        paymentMethod: {},
+        lookup: {
+          acsUrl: 'http://example.com/acs',
+          pareq: 'pareq',
+          termUrl: 'http://example.com/term',
+          md: 'md'
+        }
+      });
+
+      threeDSecure.verifyCard(options, function (err, data) {
+        expect(err).not.to.exist;
+        expect(data.nonce).to.equal('some-fake-nonce');
+        expect(data.liabilityShifted).to.equal(true);
+        expect(data.liabilityShiftPossible).to.equal(true);
+
+        threeDSecure.verifyCard(options, function (err2, data2) {
+          expect(err2).not.to.exist;
+          expect(data2.nonce).to.equal('some-fake-nonce');
+          expect(data2.liabilityShifted).to.equal(true);
+          expect(data2.liabilityShiftPossible).to.equal(true);
+
+          done();
+        });
+      });
+    });
+
+    it('requires a nonce', function (done) {
+      this.instance.verifyCard({
+        amount: 100,
+        addFrame: noop,
+        removeFrame: noop
+      }, function (err, data) {
+        expect(data).not.to.exist;
+
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.eql('MERCHANT');
+        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
+        expect(err.message).to.eql('verifyCard options must include a nonce.');
+
+        done();
+      });
+    });
+
+    it('requires an amount', function (done) {
+      this.instance.verifyCard({
+        nonce: 'abcdef',
+        addFrame: noop,
+        removeFrame: noop
+      }, function (err, data) {
+        expect(data).not.to.exist;
+
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.eql('MERCHANT');
+        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
+        expect(err.message).to.eql('verifyCard options must include an amount.');
+
+        done();
+      });
+    });
+
+    it('requires addFrame', function (done) {
+      this.instance.verifyCard({
+        nonce: 'abcdef',
+        amount: 100,
+        removeFrame: noop
+      }, function (err, data) {
+        expect(data).not.to.exist;
+
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.eql('MERCHANT');
+        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
+        expect(err.message).to.eql('verifyCard options must include an addFrame function.');
+
+        done();
+      });
+    });
+
+    it('requires removeFrame', function (done) {
+      this.instance.verifyCard({
+        nonce: 'abcdef',
+        amount: 100,
+        addFrame: noop
+      }, function (err, data) {
+        expect(data).not.to.exist;
+
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.type).to.eql('MERCHANT');
+        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
+        expect(err.message).to.eql('verifyCard options must include a removeFrame function.');
+
+        done();
+      });
+    });
+
+    it('makes a request to the 3DS lookup endpoint', function (done) {
+      var self = this;
+
+      this.client.request.yields(null, {paymentMethod: {}});
+
+      this.instance.verifyCard({
+        nonce: 'abcdef',
+        amount: 100,
+        addFrame: noop,
+        removeFrame: noop
+      }, function () {
+        expect(self.client.request).to.be.calledOnce;
+        expect(self.client.request).to.be.calledWithMatch({
+          endpoint: 'payment_methods/abcdef/three_d_secure/lookup',
+          method: 'post',
+          data: {amount: 100}
+        }, self.sandbox.match.func);
+
+        done();
+      });
+    });
+
+    it('handles errors when hitting the 3DS lookup endpoint', function (done) {
+      var error = new Error('network error');
+
+      this.client.request.yields(error);
+
+      this.instance.verifyCard({
+        nonce: 'abcdef',
+        amount: 100,
+        addFrame: noop,
+        removeFrame: noop
+      }, function (err) {
+        expect(err).to.eql(error);
+
+        done();
+      });
+    });
+
+    context('lifecycle events', function () {
+      beforeEach(function () {
+        this.challengeResponse = {
+          paymentMethod: {nonce: 'lookup-nonce'},
+          lookup: {
+            acsUrl: 'http://example.com/acs',
+            pareq: 'pareq',
+            termUrl: 'http://example.com/term',
+            md: 'md'
+          }
+        };
+      });
+
+      it('emits lookupComplete when no challenge is required', function () {
+        var handler = this.sandbox.stub();
+
+        this.client.request.yields(null, {paymentMethod: {nonce: 'upgraded-nonce'}});
+        this.instance.on('lookupComplete', handler);
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          expect(handler).to.be.calledOnce;
+          expect(handler).to.be.calledWith({challengeRequired: false});
+        });
+      });
+
+      it('emits lookupComplete and challengeDisplayed when a challenge is required', function (done) {
+        var lookupComplete = this.sandbox.stub();
+        var addFrame = this.sandbox.stub();
+
+        this.client.request.yields(null, this.challengeResponse);
+        this.instance.on('lookupComplete', lookupComplete);
+        this.instance.on('challengeDisplayed', function () {
+          expect(lookupComplete).to.be.calledWith({challengeRequired: true});
+          expect(addFrame).to.be.calledOnce;
+
+          done();
+        });
+
+        this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: addFrame,
+          removeFrame: noop
+        });
+      });
+
+      it('does not add the frame or emit challengeDisplayed after teardown', function (done) {
+        var instance = this.instance;
+        var addFrame = this.sandbox.stub();
+
+        this.client.request.yields(null, this.challengeResponse);
+
+        instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: addFrame,
+          removeFrame: noop
+        });
+        instance.teardown();
+
+        setTimeout(function () {
+          expect(addFrame).not.to.be.called;
+
+          done();
+        }, 10);
+      });
+
+      it('rejects without adding the frame when cancelled before it is displayed', function () {
+        var instance = this.instance;
+        var addFrame = this.sandbox.stub();
+        var challengeDisplayed = this.sandbox.stub();
+        var promise;
+
+        this.client.request.yields(null, this.challengeResponse);
+        instance.on('challengeDisplayed', challengeDisplayed);
+
+        promise = instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: addFrame,
+          removeFrame: noop
+        });
+        instance.cancelVerifyCard();
+
+        return promise.then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_CANCELED');
+          expect(addFrame).not.to.be.called;
+          expect(challengeDisplayed).not.to.be.called;
+          expect(Bus.prototype.teardown).to.be.calledOnce;
+        });
+      });
+
+      it('rejects when cancelled while the bank frame is displayed', function (done) {
+        var instance = this.instance;
+        var removeFrame = this.sandbox.stub();
+
+        this.client.request.yields(null, this.challengeResponse);
+
+        instance.on('challengeDisplayed', function () {
+          instance.cancelVerifyCard();
+        });
+
+        instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: removeFrame
+        }).then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_CANCELED');
+          expect(removeFrame).not.to.be.called;
+          expect(Bus.prototype.teardown).to.be.calledOnce;
+          expect(instance._verifyCardInProgress).to.equal(false);
+
+          done();
+        }).catch(done);
+      });
+
+      it('emits challengeLoaded when the bank page loads in the bank frame', function (done) {
+        var instance = this.instance;
+        var challengeLoaded = this.sandbox.stub();
+
+        this.client.request.yields(null, this.challengeResponse);
+        instance.on('challengeLoaded', challengeLoaded);
+
+        instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: function (err, iframe) {
+            iframe.dispatchEvent(new Event('load'));
+            expect(challengeLoaded).not.to.be.called;
+
+            iframe.dispatchEvent(new Event('load'));
+            expect(challengeLoaded).to.be.calledOnce;
+
+            iframe.dispatchEvent(new Event('load'));
+            expect(challengeLoaded).to.be.calledOnce;
+
+            done();
+          },
+          removeFrame: noop
+        });
+      });
+    });
+
+    context('challengeTimeout', function () {
+      beforeEach(function () {
+        this.client.request.yields(null, {
+          paymentMethod: {nonce: 'lookup-nonce'},
+          lookup: {
+            acsUrl: 'http://example.com/acs',
+            pareq: 'pareq',
+            termUrl: 'http://example.com/term',
+            md: 'md'
+          }
+        });
+      });
+
+      it('rejects if challengeTimeout is not a positive number', function () {
+        var client = this.client;
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          challengeTimeout: '300',
+          addFrame: noop,
+          removeFrame: noop
+        }).then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal(BraintreeError.types.MERCHANT);
+          expect(err.code).to.equal('THREEDS_INVALID_VERIFY_CARD_OPTION');
+          expect(err.message).to.equal('verifyCard option challengeTimeout must be a positive number.');
+          expect(client.request).not.to.be.called;
+        });
+      });
+
+      it('cancels the verification when the challenge is not completed in time', function () {
+        var clock = this.sandbox.useFakeTimers();
+        var instance = this.instance;
+        var removeFrame = this.sandbox.stub();
+        var promise = instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          challengeTimeout: 5000,
+          addFrame: noop,
+          removeFrame: removeFrame
+        });
+
+        clock.tick(4999);
+        expect(removeFrame).not.to.be.called;
+
+        clock.tick(1);
+        clock.tick(1);
+        clock.restore();
+
+        return promise.then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal(BraintreeError.types.CUSTOMER);
+          expect(err.code).to.equal('THREEDS_CHALLENGE_TIMEOUT');
+          expect(err.message).to.equal('The 3D Secure challenge was not completed in time.');
+          expect(removeFrame).to.be.calledOnce;
+          expect(Bus.prototype.teardown).to.be.calledOnce;
+          expect(instance._verifyCardInProgress).to.equal(false);
+        });
+      });
+
+      it('does not time out once authentication completes', function () {
+        var i, authenticationCompleteHandler;
+        var clock = this.sandbox.useFakeTimers();
+        var removeFrame = this.sandbox.stub();
+        var promise = this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          challengeTimeout: 5000,
+          addFrame: noop,
+          removeFrame: removeFrame
+        });
+
+        for (i = 0; i < Bus.prototype.on.callCount; i++) {
+          if (Bus.prototype.on.getCall(i).args[0] === events.AUTHENTICATION_COMPLETE) {
+            authenticationCompleteHandler = Bus.prototype.on.getCall(i).args[1];
+          }
+        }
+
+        authenticationCompleteHandler({
+          auth_response: '{"paymentMethod":{"nonce":"auth-nonce"},"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true},"success":true}' // eslint-disable-line camelcase
+        });
+
+        clock.tick(10000);
+        clock.restore();
+
+        return promise.then(function (payload) {
+          expect(payload.nonce).to.equal('auth-nonce');
+          expect(removeFrame).to.be.calledOnce;
+        });
+      });
+
+      it('does not time out after the verification is cancelled', function () {
+        var instance = this.instance;
+        var clock = this.sandbox.useFakeTimers();
+        var removeFrame = this.sandbox.stub();
+        var promise = instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          challengeTimeout: 5000,
+          addFrame: noop,
+          removeFrame: removeFrame
+        });
+
+        instance.cancelVerifyCard();
+
+        clock.tick(10000);
+        clock.restore();
+
+        return promise.then(rejectIfResolves).catch(function (err) {
+          expect(err.code).to.equal('THREEDS_CANCELED');
+          expect(removeFrame).not.to.be.called;
+          expect(instance._challengeTimeout).to.equal(null);
+        });
+      });
+    });
+
+    context('with modal', function () {
+      beforeEach(function () {
+        this.client.request.yields(null, {
+          paymentMethod: {nonce: 'lookup-nonce'},
+          lookup: {
+            acsUrl: 'http://example.com/acs',
+            pareq: 'pareq',
+            termUrl: 'http://example.com/term',
+            md: 'md'
+          }
+        });
+      });
+
+      afterEach(function () {
+        if (this.instance._modal) {
+          this.instance._modal.close();
+        }
+      });
+
+      it('rejects if modal is not true or an object', function () {
+        var client = this.client;
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: 'yes'
+        }).then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_INVALID_VERIFY_CARD_OPTION');
+          expect(err.message).to.equal('verifyCard option modal must be true or an object.');
+          expect(client.request).not.to.be.called;
+        });
+      });
+
+      it('displays the bank frame in an overlay without addFrame and removeFrame', function (done) {
+        var instance = this.instance;
+
+        instance.on('challengeDisplayed', function () {
+          var dialog = document.querySelector('[role="dialog"]');
+
+          expect(dialog).to.exist;
+          expect(dialog.contains(instance._bankIframe)).to.equal(true);
+
+          done();
+        });
+
+        instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: true
+        });
+      });
+
+      it('uses the modal options', function (done) {
+        this.instance.on('challengeDisplayed', function () {
+          expect(document.querySelector('[role="dialog"]').getAttribute('aria-label')).to.equal('Check with your bank');
+
+          done();
+        });
+
+        this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: {ariaLabel: 'Check with your bank'}
+        });
+      });
+
+      it('removes the overlay when authentication completes', function () {
+        var instance = this.instance;
+        var promise = instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: true
+        });
+
+        instance.on('challengeDisplayed', function () {
+          var i;
+
+          for (i = 0; i < Bus.prototype.on.callCount; i++) {
+            if (Bus.prototype.on.getCall(i).args[0] === events.AUTHENTICATION_COMPLETE) {
+              Bus.prototype.on.getCall(i).args[1]({
+                auth_response: '{"paymentMethod":{"nonce":"auth-nonce"},"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true},"success":true}' // eslint-disable-line camelcase
+              });
+            }
+          }
+        });
+
+        return promise.then(function (payload) {
+          expect(payload.nonce).to.equal('auth-nonce');
+          expect(document.querySelector('[role="dialog"]')).not.to.exist;
+          expect(instance._modal).to.equal(null);
+        });
+      });
+
+      it('cancels the verification when Escape is pressed', function () {
+        var instance = this.instance;
+        var promise = instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: true
+        });
+
+        this.sandbox.spy(instance, 'cancelVerifyCard');
+
+        instance.on('challengeDisplayed', function () {
+          var event = document.createEvent('Event');
+
+          event.initEvent('keydown', true, true);
+          event.key = 'Escape';
+          document.body.dispatchEvent(event);
+        });
+
+        return promise.then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.type).to.equal(BraintreeError.types.CUSTOMER);
+          expect(err.code).to.equal('THREEDS_CANCELED');
+          expect(err.message).to.equal('3D Secure authentication was canceled by the customer.');
+          expect(instance.cancelVerifyCard).to.be.calledOnce;
+          expect(Bus.prototype.teardown).to.be.calledOnce;
+          expect(document.querySelector('[role="dialog"]')).not.to.exist;
+          expect(instance._verifyCardInProgress).to.equal(false);
+        });
+      });
+
+      it('does not open the overlay when cancelled before it is displayed', function () {
+        var instance = this.instance;
+        var challengeDisplayed = this.sandbox.spy();
+        var promise = instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: true
+        });
+
+        instance.on('challengeDisplayed', challengeDisplayed);
+        instance.cancelVerifyCard();
+
+        return promise.then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_CANCELED');
+          expect(challengeDisplayed).not.to.be.called;
+          expect(Bus.prototype.teardown).to.be.calledOnce;
+          expect(document.querySelector('[role="dialog"]')).not.to.exist;
+        });
+      });
+
+      it('still passes back the lookup payload from cancelVerifyCard', function (done) {
+        var instance = this.instance;
+
+        instance.on('challengeDisplayed', function () {
+          instance.cancelVerifyCard(function (err, payload) {
+            expect(err).not.to.exist;
+            expect(payload.nonce).to.equal('lookup-nonce');
+          });
+        });
+
+        instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          modal: true
+        }).catch(function (err) {
+          expect(err.code).to.equal('THREEDS_CANCELED');
+
+          done();
+        });
+      });
+    });
+
+    context('with additionalInformation', function () {
+      it('sends the additional information with the lookup', function () {
+        var client = this.client;
+
+        client.request.yields(null, {paymentMethod: {nonce: 'upgraded-nonce'}});
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          additionalInformation: {
+            shippingGivenName: 'Jill',
+            transactionCountDay: 1
+          },
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          expect(client.request).to.be.calledWithMatch({
+            endpoint: 'payment_methods/abcdef/three_d_secure/lookup',
+            data: {
+              amount: 100,
+              additionalInformation: {
+                shippingGivenName: 'Jill',
+                transactionCountDay: 1
+              }
+            }
+          });
+        });
+      });
+
+      it('sends billing and contact information with a 3D Secure 1 lookup', function () {
+        var client = this.client;
+
+        client.request.yields(null, {paymentMethod: {nonce: 'upgraded-nonce'}});
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          additionalInformation: {
+            billingAddress: {postalCode: '12345'},
+            email: 'jill@example.com',
+            mobilePhoneNumber: '5551234567'
+          },
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          expect(client.request.firstCall.args[0].data).to.deep.equal({
+            amount: 100,
+            additionalInformation: {
+              billingAddress: {postalCode: '12345'},
+              email: 'jill@example.com',
+              mobilePhoneNumber: '5551234567'
+            }
+          });
+        });
+      });
+
+      it('reports the sent fields on a frictionless payload', function () {
+        this.client.request.yields(null, {paymentMethod: {nonce: 'upgraded-nonce'}});
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          additionalInformation: {
+            shippingSurname: 'Doe',
+            shippingPhone: ''
+          },
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function (payload) {
+          expect(payload.sentAdditionalInformation).to.deep.equal(['shippingSurname']);
+        });
+      });
+
+      it('reports the sent fields on a payload after authentication', function (done) {
+        this.client.request.yields(null, {
+          paymentMethod: {nonce: 'lookup-nonce'},
+          lookup: {
+            acsUrl: 'http://example.com/acs',
+            pareq: 'pareq',
+            termUrl: 'http://example.com/term',
+            md: 'md'
+          }
+        });
+
+        this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          additionalInformation: {accountAgeIndicator: '02'},
+          addFrame: function () {
+            var i, authenticationCompleteHandler;
+
+            for (i = 0; i < Bus.prototype.on.callCount; i++) {
+              if (Bus.prototype.on.getCall(i).args[0] === events.AUTHENTICATION_COMPLETE) {
+                authenticationCompleteHandler = Bus.prototype.on.getCall(i).args[1];
+              }
+            }
+
+            authenticationCompleteHandler({
+              auth_response: '{"paymentMethod":{"nonce":"auth-nonce"},"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true},"success":true}' // eslint-disable-line camelcase
+            });
+          },
+          removeFrame: noop
+        }, function (err, payload) {
+          expect(err).not.to.exist;
+          expect(payload.nonce).to.equal('auth-nonce');
+          expect(payload.sentAdditionalInformation).to.deep.equal(['accountAgeIndicator']);
+
+          done();
+        });
+      });
+
+      it('does not report sent fields without additionalInformation', function () {
+        this.client.request.yields(null, {paymentMethod: {nonce: 'upgraded-nonce'}});
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function (payload) {
+          expect(payload).not.to.have.property('sentAdditionalInformation');
+        });
+      });
+
+      it('rejects without making a request when the additional information is invalid', function () {
+        var client = this.client;
+        var instance = this.instance;
+
+        return instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          additionalInformation: {transactionCountDay: 'many'},
+          addFrame: noop,
+          removeFrame: noop
+        }).then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_INVALID_ADDITIONAL_INFORMATION');
+          expect(client.request).not.to.be.called;
+          expect(instance._verifyCardInProgress).not.to.equal(true);
+        });
+      });
+
+      it('rejects without making a request when the additional information has an unsupported field', function () {
+        var client = this.client;
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          additionalInformation: {favoriteColor: 'blue'},
+          addFrame: noop,
+          removeFrame: noop
+        }).then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_INVALID_ADDITIONAL_INFORMATION');
+          expect(err.message).to.equal('additionalInformation.favoriteColor is not a supported field.');
+          expect(client.request).not.to.be.called;
+        });
+      });
+    });
+
+    context('with 3D Secure 2', function () {
+      beforeEach(function () {
+        this.instance = new ThreeDSecure({
+          client: this.client,
+          version: 2
+        });
+        this.lookupResponse = {
+          paymentMethod: {nonce: 'upgraded-nonce'},
+          threeDSecureInfo: {liabilityShiftPossible: true, liabilityShifted: true}
+        };
+      });
+
+      afterEach(function () {
+        this.instance.cancelVerifyCard();
+      });
+
+      function findMethodFrame() {
+        return document.querySelector('iframe[name^="braintreethreedsecuremethod_"]');
+      }
+
+      function findBusHandler(eventName) {
+        var i;
+
+        for (i = 0; i < Bus.prototype.on.callCount; i++) {
+          if (Bus.prototype.on.getCall(i).args[0] === eventName) {
+            return Bus.prototype.on.getCall(i).args[1];
+          }
+        }
+
+        return null;
+      }
+
+      it('prepares the lookup before making the lookup request', function () {
+        var client = this.client;
+
+        client.request.onFirstCall().yields(null, {threeDSServerTransId: 'trans-id'});
+        client.request.onSecondCall().yields(null, this.lookupResponse);
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          expect(client.request).to.be.calledTwice;
+          expect(client.request.firstCall).to.be.calledWithMatch({
+            endpoint: 'payment_methods/abcdef/three_d_secure/prepare_lookup',
+            method: 'post'
+          });
+          expect(client.request.secondCall).to.be.calledWithMatch({
+            endpoint: 'payment_methods/abcdef/three_d_secure/lookup',
+            method: 'post',
+            data: {
+              amount: 100,
+              threeDSecureVersion: '2',
+              threeDSServerTransId: 'trans-id',
+              threeDSMethodCompletionIndicator: 'U'
+            }
+          });
+        });
+      });
+
+      it('sends browser data with the lookup', function () {
+        var client = this.client;
+
+        client.request.onFirstCall().yields(null, {threeDSServerTransId: 'trans-id'});
+        client.request.onSecondCall().yields(null, this.lookupResponse);
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          var browserData = client.request.secondCall.args[0].data.browserData;
+
+          expect(browserData.javascriptEnabled).to.equal(true);
+          expect(browserData.javaEnabled).to.be.a('boolean');
+          expect(browserData.userAgent).to.equal(window.navigator.userAgent);
+          expect(browserData.timeZoneOffset).to.equal(new Date().getTimezoneOffset());
+          expect(browserData).to.have.property('language');
+          expect(browserData).to.have.property('colorDepth');
+          expect(browserData).to.have.property('screenHeight');
+          expect(browserData).to.have.property('screenWidth');
+        });
+      });
+
+      it('sends cardholder data with the lookup', function () {
+        var client = this.client;
+        var billingAddress = {
+          givenName: 'Jill',
+          surname: 'Doe',
+          streetAddress: '555 Smith St.',
+          locality: 'Oakland',
+          region: 'CA',
+          postalCode: '12345',
+          countryCodeAlpha2: 'US'
+        };
+
+        client.request.onFirstCall().yields(null, {threeDSServerTransId: 'trans-id'});
+        client.request.onSecondCall().yields(null, this.lookupResponse);
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          billingAddress: billingAddress,
+          email: 'test@example.com',
+          mobilePhoneNumber: '8101234567',
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          var data = client.request.secondCall.args[0].data;
+
+          expect(data.billingAddress).to.deep.equal(billingAddress);
+          expect(data.email).to.equal('test@example.com');
+          expect(data.mobilePhoneNumber).to.equal('8101234567');
+        });
+      });
+
+      it('does not send cardholder data with a 3D Secure 1 lookup', function () {
+        var client = this.client;
+        var instance = new ThreeDSecure({client: client});
+
+        client.request.yields(null, this.lookupResponse);
+
+        return instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          email: 'test@example.com',
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function () {
+          expect(client.request).to.be.calledOnce;
+          expect(client.request.firstCall.args[0].data).to.deep.equal({amount: 100});
+        });
+      });
+
+      it('rejects when preparing the lookup fails', function () {
+        var client = this.client;
+        var instance = this.instance;
+        var error = new Error('network error');
+
+        client.request.onFirstCall().yields(error);
+
+        return instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(rejectIfResolves).catch(function (err) {
+          expect(err).to.equal(error);
+          expect(client.request).to.be.calledOnce;
+          expect(instance._verifyCardInProgress).to.equal(false);
+        });
+      });
+
+      it('completes without a challenge when the lookup is frictionless', function () {
+        var addFrame = this.sandbox.spy();
+
+        this.client.request.onFirstCall().yields(null, {threeDSServerTransId: 'trans-id'});
+        this.client.request.onSecondCall().yields(null, this.lookupResponse);
+
+        return this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: addFrame,
+          removeFrame: noop
+        }).then(function (data) {
+          expect(data.nonce).to.equal('upgraded-nonce');
+          expect(addFrame).not.to.be.called;
+        });
+      });
+
+      it('falls back to the bank frame when a challenge is required', function (done) {
+        this.client.request.onFirstCall().yields(null, {threeDSServerTransId: 'trans-id'});
+        this.client.request.onSecondCall().yields(null, {
+          paymentMethod: {},
+          lookup: {
+            acsUrl: 'http://example.com/acs',
+            pareq: 'pareq',
+            termUrl: 'http://example.com/term?foo=boo',
+            md: 'md'
+          }
+        });
+
+        this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: function (err, iframe) {
+            expect(err).not.to.exist;
+            expect(iframe.src).to.contain('three-d-secure-bank-frame');
+
+            done();
+          },
+          removeFrame: noop
+        }, function (err) {
+          // The pending verification is cancelled after each test
+          if (!err || err.code !== 'THREEDS_CANCELED') {
+            done(new Error('This should never be called'));
+          }
+        });
+      });
+
+      context('when the issuer provides a method url', function () {
+        beforeEach(function () {
+          this.client.request.onFirstCall().yields(null, {
+            threeDSServerTransId: 'trans-id',
+            methodUrl: 'https://issuer.example.com/method',
+            methodNotificationUrl: 'https://api.braintreegateway.com/method_notification?foo=bar'
+          });
+          this.client.request.onSecondCall().yields(null, this.lookupResponse);
+        });
+
+        it('adds a hidden method frame to the page', function () {
+          var iframe;
+
+          this.instance.verifyCard({
+            nonce: 'abcdef',
+            amount: 100,
+            addFrame: noop,
+            removeFrame: noop
+          }).catch(noop);
+
+          iframe = findMethodFrame();
+
+          expect(document.body.contains(iframe)).to.equal(true);
+          expect(iframe.src).to.contain('three-d-secure-method-frame');
+          expect(iframe.name).to.match(/^braintreethreedsecuremethod_[a-f0-9-]{36}$/);
+          expect(iframe.style.left).to.equal('-9999px');
+          expect(this.client.request).to.be.calledOnce;
+        });
+
+        it('responds to a CONFIGURATION_REQUEST with the method data', function (done) {
+          var instance = this.instance;
+
+          instance.verifyCard({
+            nonce: 'abcdef',
+            amount: 100,
+            addFrame: noop,
+            removeFrame: noop
+          }).catch(noop);
 
-          deferred(function () {
-            threeDSecure._handleAuthResponse({
-              channel: 'some-channel',
-              auth_response: '{"paymentMethod":{"type":"CreditCard","nonce":"some-fake-nonce","description":"ending+in+00","consumed":false,"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true,"status":"authenticate_successful","enrolled":"Y"},"details":{"lastTwo":"00","cardType":"Visa"}},"threeDSecureInfo":{"liabilityShifted":true,"liabilityShiftPossible":true},"success":true}' // eslint-disable-line
-            }, options);
-          })();
-        },
-        removeFrame: noop
-      };
+          findBusHandler(Bus.events.CONFIGURATION_REQUEST)(function (data) {
+            var channel = findMethodFrame().name.split('_')[1];
+            var methodCompleteBaseUrl = instance._assetsUrl + '/web/' + VERSION + '/html/three-d-secure-method-complete-frame.html?channel=' + encodeURIComponent(channel) + '&';
 
-      this.client.request.callsArgWith(1, null, {
-        paymentMethod: {},
-        lookup: {
-          acsUrl: 'http://example.com/acs',
-          pareq: 'pareq',
-          termUrl: 'http://example.com/term',
-          md: 'md'
-        }
-      });
+            expect(data.methodUrl).to.equal('https://issuer.example.com/method');
+            expect(data.threeDSServerTransId).to.equal('trans-id');
+            expect(data.methodNotificationUrl).to.equal('https://api.braintreegateway.com/method_notification?foo=bar&three_d_secure_version=' + VERSION + '&method_complete_base_url=' + encodeURIComponent(methodCompleteBaseUrl));
 
-      threeDSecure.verifyCard(options, function (err, data) {
-        expect(err).not.to.exist;
-        expect(data.nonce).to.equal('some-fake-nonce');
-        expect(data.liabilityShifted).to.equal(true);
-        expect(data.liabilityShiftPossible).to.equal(true);
+            done();
+          });
+        });
 
-        threeDSecure.verifyCard(options, function (err2, data2) {
-          expect(err2).not.to.exist;
-          expect(data2.nonce).to.equal('some-fake-nonce');
-          expect(data2.liabilityShifted).to.equal(true);
-          expect(data2.liabilityShiftPossible).to.equal(true);
+        it('makes the lookup once the method frame completes', function () {
+          var client = this.client;
+          var instance = this.instance;
+          var promise = instance.verifyCard({
+            nonce: 'abcdef',
+            amount: 100,
+            addFrame: noop,
+            removeFrame: noop
+          });
+          var iframe = findMethodFrame();
 
-          done();
+          findBusHandler(events.METHOD_COMPLETE)({});
+
+          return promise.then(function () {
+            expect(client.request).to.be.calledTwice;
+            expect(client.request.secondCall.args[0].data.threeDSMethodCompletionIndicator).to.equal('Y');
+            expect(document.body.contains(iframe)).to.equal(false);
+            expect(Bus.prototype.teardown).to.be.calledOnce;
+          });
         });
-      });
-    });
 
-    it('requires a nonce', function (done) {
-      this.instance.verifyCard({
-        amount: 100,
-        addFrame: noop,
-        removeFrame: noop
-      }, function (err, data) {
-        expect(data).not.to.exist;
+        it('makes the lookup without device data when the method frame times out', function () {
+          var client = this.client;
+          var clock = this.sandbox.useFakeTimers();
+          var promise = this.instance.verifyCard({
+            nonce: 'abcdef',
+            amount: 100,
+            addFrame: noop,
+            removeFrame: noop
+          });
 
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.eql('MERCHANT');
-        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
-        expect(err.message).to.eql('verifyCard options must include a nonce.');
+          clock.tick(9999);
+          expect(client.request).to.be.calledOnce;
 
-        done();
-      });
-    });
+          clock.tick(1);
+          clock.restore();
 
-    it('requires an amount', function (done) {
-      this.instance.verifyCard({
-        nonce: 'abcdef',
-        addFrame: noop,
-        removeFrame: noop
-      }, function (err, data) {
-        expect(data).not.to.exist;
+          return promise.then(function () {
+            expect(client.request).to.be.calledTwice;
+            expect(client.request.secondCall.args[0].data.threeDSMethodCompletionIndicator).to.equal('N');
+          });
+        });
 
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.eql('MERCHANT');
-        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
-        expect(err.message).to.eql('verifyCard options must include an amount.');
+        it('removes the method frame and rejects when cancelled', function () {
+          var client = this.client;
+          var clock = this.sandbox.useFakeTimers();
+          var iframe;
+          var promise = this.instance.verifyCard({
+            nonce: 'abcdef',
+            amount: 100,
+            addFrame: noop,
+            removeFrame: noop
+          });
 
-        done();
-      });
-    });
+          iframe = findMethodFrame();
+          this.instance.cancelVerifyCard();
 
-    it('requires addFrame', function (done) {
-      this.instance.verifyCard({
-        nonce: 'abcdef',
-        amount: 100,
-        removeFrame: noop
-      }, function (err, data) {
-        expect(data).not.to.exist;
+          expect(document.body.contains(iframe)).to.equal(false);
+          expect(Bus.prototype.teardown).to.be.calledOnce;
 
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.eql('MERCHANT');
-        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
-        expect(err.message).to.eql('verifyCard options must include an addFrame function.');
+          clock.tick(10000);
+          clock.restore();
 
-        done();
-      });
-    });
+          return promise.then(rejectIfResolves).catch(function (err) {
+            expect(err).to.be.an.instanceof(BraintreeError);
+            expect(err.code).to.equal('THREEDS_CANCELED');
+            expect(client.request).to.be.calledOnce;
+          });
+        });
 
-    it('requires removeFrame', function (done) {
-      this.instance.verifyCard({
-        nonce: 'abcdef',
-        amount: 100,
-        addFrame: noop
-      }, function (err, data) {
-        expect(data).not.to.exist;
+        it('does not let a cancelled verification remove the method frame of the next one', function () {
+          var clock = this.sandbox.useFakeTimers();
+          var options = {
+            nonce: 'abcdef',
+            amount: 100,
+            addFrame: noop,
+            removeFrame: noop
+          };
+          var secondIframe;
 
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.eql('MERCHANT');
-        expect(err.code).to.eql('THREEDS_MISSING_VERIFY_CARD_OPTION');
-        expect(err.message).to.eql('verifyCard options must include a removeFrame function.');
+          this.client.request.onSecondCall().yields(null, {
+            threeDSServerTransId: 'trans-id',
+            methodUrl: 'https://issuer.example.com/method',
+            methodNotificationUrl: 'https://api.braintreegateway.com/method_notification?foo=bar'
+          });
 
-        done();
-      });
-    });
+          this.instance.verifyCard(options).catch(noop);
+          clock.tick(5000);
+          this.instance.cancelVerifyCard();
 
-    it('makes a request to the 3DS lookup endpoint', function (done) {
-      var self = this;
+          this.instance.verifyCard(options).catch(noop);
+          secondIframe = findMethodFrame();
 
-      this.client.request.yields(null, {paymentMethod: {}});
+          clock.tick(5000);
 
-      this.instance.verifyCard({
-        nonce: 'abcdef',
-        amount: 100,
-        addFrame: noop,
-        removeFrame: noop
-      }, function () {
-        expect(self.client.request).to.be.calledOnce;
-        expect(self.client.request).to.be.calledWithMatch({
-          endpoint: 'payment_methods/abcdef/three_d_secure/lookup',
-          method: 'post',
-          data: {amount: 100}
-        }, self.sandbox.match.func);
+          expect(document.body.contains(secondIframe)).to.equal(true);
+          clock.restore();
+        });
+      });
 
-        done();
+      it('rejects without a lookup when cancelled while the lookup is being prepared', function () {
+        var client = this.client;
+        var promise = this.instance.verifyCard({
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        });
+
+        this.instance.cancelVerifyCard();
+        client.request.firstCall.args[1](null, {threeDSServerTransId: 'trans-id'});
+
+        return promise.then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_CANCELED');
+          expect(client.request).to.be.calledOnce;
+        });
       });
-    });
 
-    it('handles errors when hitting the 3DS lookup endpoint', function (done) {
-      var error = new Error('network error');
+      it('does not pass back the payload of an earlier verification when cancelled before the lookup', function (done) {
+        var instance = this.instance;
+        var options = {
+          nonce: 'abcdef',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        };
 
-      this.client.request.yields(error);
+        instance._lookupPaymentMethod = {nonce: 'earlier-nonce'};
 
-      this.instance.verifyCard({
-        nonce: 'abcdef',
-        amount: 100,
-        addFrame: noop,
-        removeFrame: noop
-      }, function (err) {
-        expect(err).to.eql(error);
+        instance.verifyCard(options).catch(noop);
+        instance.cancelVerifyCard(function (err, payload) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('THREEDS_NO_VERIFICATION_PAYLOAD');
+          expect(payload).not.to.exist;
 
-        done();
+          done();
+        });
       });
     });
 
@@ -320,6 +1323,59 @@ describe('ThreeDSecure', function () {
         });
       });
 
+      it('calls the callback with the full verify payload', function () {
+        var threeDSecureInfo = {
+          liabilityShiftPossible: true,
+          liabilityShifted: true,
+          status: 'authenticate_successful',
+          enrolled: 'Y',
+          cavv: 'cavv-value',
+          eciFlag: '05',
+          dsTransactionId: 'ds-trans-id',
+          threeDSecureVersion: '2.1.0'
+        };
+
+        this.client.request.yields(null, {
+          paymentMethod: {
+            nonce: 'upgraded-nonce',
+            details: {cardType: 'Visa', lastTwo: '11'},
+            description: 'ending in 11'
+          },
+          threeDSecureInfo: threeDSecureInfo
+        });
+
+        return this.instance.verifyCard({
+          nonce: 'nonce-that-does-not-require-authentication',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function (data) {
+          expect(data.nonce).to.equal('upgraded-nonce');
+          expect(data.details).to.deep.equal({cardType: 'Visa', lastTwo: '11'});
+          expect(data.description).to.equal('ending in 11');
+          expect(data.liabilityShifted).to.equal(true);
+          expect(data.liabilityShiftPossible).to.equal(true);
+          expect(data.threeDSecureInfo).to.deep.equal(threeDSecureInfo);
+          expect(data.threeDSecureInfo).not.to.equal(threeDSecureInfo);
+        });
+      });
+
+      it('includes an empty threeDSecureInfo when the gateway does not return one', function () {
+        this.client.request.yields(null, {
+          paymentMethod: {nonce: 'upgraded-nonce'}
+        });
+
+        return this.instance.verifyCard({
+          nonce: 'nonce-that-does-not-require-authentication',
+          amount: 100,
+          addFrame: noop,
+          removeFrame: noop
+        }).then(function (data) {
+          expect(data.nonce).to.equal('upgraded-nonce');
+          expect(data.threeDSecureInfo).to.deep.equal({});
+        });
+      });
+
       it('does not call iframe-related callbacks', function (done) {
         var threeDSecureInfo = {liabilityShiftPossible: true, liabilityShifted: true};
         var addFrame = this.sandbox.spy();
@@ -569,13 +1625,77 @@ describe('ThreeDSecure', function () {
               },
               description: 'a description',
               liabilityShiftPossible: true,
-              liabilityShifted: true
+              liabilityShifted: true,
+              threeDSecureInfo: {
+                liabilityShiftPossible: true,
+                liabilityShifted: true
+              }
+            });
+
+            done();
+          });
+        });
+
+        it('sends back the full threeDSecureInfo', function (done) {
+          this.authResponse.threeDSecureInfo = {
+            liabilityShiftPossible: true,
+            liabilityShifted: true,
+            status: 'authenticate_successful',
+            enrolled: 'Y',
+            cavv: 'cavv-value',
+            eciFlag: '05',
+            xid: 'xid-value',
+            threeDSecureVersion: '1.0.2',
+            paresStatus: 'Y'
+          };
+
+          this.threeDSecure.verifyCard({
+            nonce: 'abc123',
+            amount: 100,
+            addFrame: this.makeAddFrameFunction(this.authResponse),
+            removeFrame: noop
+          }, function (err, data) {
+            expect(err).not.to.exist;
+            expect(data.threeDSecureInfo).to.deep.equal({
+              liabilityShiftPossible: true,
+              liabilityShifted: true,
+              status: 'authenticate_successful',
+              enrolled: 'Y',
+              cavv: 'cavv-value',
+              eciFlag: '05',
+              xid: 'xid-value',
+              threeDSecureVersion: '1.0.2',
+              paresStatus: 'Y'
             });
 
             done();
           });
         });
 
+        it('sends back the threeDSecureInfo from the authentication when liability shift is possible but auth failed', function (done) {
+          this.authResponse.success = false;
+          this.authResponse.threeDSecureInfo = {
+            liabilityShiftPossible: true,
+            liabilityShifted: false,
+            status: 'authenticate_failed',
+            enrolled: 'Y'
+          };
+
+          this.threeDSecure.verifyCard({
+            nonce: 'abc123',
+            amount: 100,
+            addFrame: this.makeAddFrameFunction(this.authResponse),
+            removeFrame: noop
+          }, function (err, data) {
+            expect(err).not.to.exist;
+            expect(data.nonce).to.equal('lookup-nonce');
+            expect(data.threeDSecureInfo.status).to.equal('authenticate_failed');
+            expect(data.threeDSecureInfo.enrolled).to.equal('Y');
+
+            done();
+          });
+        });
+
         it('sends back the new nonce if auth is succesful', function (done) {
           this.threeDSecure.verifyCard({
             nonce: 'abc123',
@@ -700,6 +1820,16 @@ describe('ThreeDSecure', function () {
       });
     });
 
+    it('aborts in-flight requests', function () {
+      var threeDS = this.threeDS;
+
+      this.sandbox.stub(threeDS._requests, 'abortAll');
+
+      return threeDS.teardown().then(function () {
+        expect(threeDS._requests.abortAll).to.have.been.calledOnce;
+      });
+    });
+
     it('does not require a callback', function () {
       var threeDS = this.threeDS;
 
@@ -708,6 +1838,14 @@ describe('ThreeDSecure', function () {
       }).to.not.throw();
     });
 
+    it('returns a promise if no callback is provided', function () {
+      var threeDS = this.threeDS;
+
+      return threeDS.teardown().then(function () {
+        expect(analytics.sendEvent).to.be.calledWith(threeDS._options.client, 'threedsecure.teardown-completed');
+      });
+    });
+
     it('replaces all methods so error is thrown when methods are invoked', function (done) {
       var threeDS = this.threeDS;
 
@@ -773,6 +1911,59 @@ describe('ThreeDSecure', function () {
       });
     });
 
+    it('replaces event emitter methods so error is thrown when they are invoked', function () {
+      var threeDS = this.threeDS;
+
+      return threeDS.teardown().then(function () {
+        expect(function () {
+          threeDS.on('lookupComplete', noop);
+        }).to.throw('on cannot be called after teardown.');
+      });
+    });
+
+    it('clears a pending challenge timeout', function () {
+      var threeDS = this.threeDS;
+      var onTimeout = this.sandbox.stub();
+      var clock = this.sandbox.useFakeTimers();
+
+      threeDS._challengeTimeout = setTimeout(onTimeout, 100);
+      threeDS.teardown();
+
+      clock.tick(100);
+      clock.restore();
+
+      expect(onTimeout).not.to.be.called;
+      expect(threeDS._challengeTimeout).to.equal(null);
+    });
+
+    it('closes the built-in overlay', function () {
+      var threeDS = this.threeDS;
+      var modal = {close: this.sandbox.stub()};
+
+      threeDS._modal = modal;
+
+      return threeDS.teardown().then(function () {
+        expect(modal.close).to.be.calledOnce;
+        expect(threeDS._modal).to.equal(null);
+      });
+    });
+
+    it('removes the method frame of a pending verification', function () {
+      var threeDS = this.threeDS;
+      var teardownMethodFrame = this.sandbox.spy();
+      var verification = {
+        isCanceled: false,
+        teardownMethodFrame: teardownMethodFrame
+      };
+
+      threeDS._verification = verification;
+
+      return threeDS.teardown().then(function () {
+        expect(teardownMethodFrame).to.be.calledOnce;
+        expect(verification.isCanceled).to.equal(true);
+      });
+    });
+
     it('removes bank iframe', function (done) {
       var iframe = document.createElement('iframe');
 
@@ -7,6 +7,7 @@ var threeDSecure = require('../../../src/three-d-secure');
 var ThreeDSecure = require('../../../src/three-d-secure/external/three-d-secure');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var version = require('../../../package.json').version;
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('three-d-secure.create', function () {
   beforeEach(function () {
@@ -24,17 +25,19 @@ describe('three-d-secure.create', function () {
     this.sandbox.stub(browserDetection, 'isHTTPS', function () { return true; });
   });
 
-  it('throws an error if a callback parameter is not provided', function (done) {
-    try {
-      threeDSecure.create({client: this.client});
-    } catch (err) {
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.eql('MERCHANT');
-      expect(err.code).to.eql('CALLBACK_REQUIRED');
-      expect(err.message).to.eql('create must include a callback function.');
+  it('returns a promise if a callback parameter is not provided', function () {
+    this.sandbox.stub(analytics, 'sendEvent');
 
-      done();
-    }
+    return threeDSecure.create({client: this.client}).then(function (instance) {
+      expect(instance).to.be.an.instanceof(ThreeDSecure);
+    });
+  });
+
+  it('rejects the promise if no client given', function () {
+    return threeDSecure.create({}).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.eql('INSTANTIATION_OPTION_REQUIRED');
+    });
   });
 
   it('errors out if no client given', function (done) {
@@ -74,6 +77,25 @@ describe('three-d-secure.create', function () {
     });
   });
 
+  it('errors out if an unsupported version is given', function (done) {
+    threeDSecure.create({client: this.client, version: 3}, function (err, thingy) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal('MERCHANT');
+      expect(err.code).to.eql('THREEDS_UNSUPPORTED_VERSION');
+      expect(err.message).to.equal('options.version must be 1 or 2.');
+      expect(thingy).not.to.exist;
+      done();
+    });
+  });
+
+  it('allows version 2', function () {
+    this.sandbox.stub(analytics, 'sendEvent');
+
+    return threeDSecure.create({client: this.client, version: 2}).then(function (instance) {
+      expect(instance._version).to.equal(2);
+    });
+  });
+
   it('errors out if browser is not https and environment is production', function (done) {
     browserDetection.isHTTPS.restore();
     this.configuration.gatewayConfiguration.environment = 'production';
@@ -0,0 +1,17 @@
+'use strict';
+
+var initializeMethodCompleteFrame = require('../../../../src/three-d-secure/internal/method-complete-frame');
+var Bus = require('../../../../src/lib/bus');
+var events = require('../../../../src/three-d-secure/shared/events');
+var querystring = require('../../../../src/lib/querystring');
+
+describe('initializeMethodCompleteFrame', function () {
+  it('emits a METHOD_COMPLETE event on the bus with the parsed parameters', function () {
+    var url = 'http://example.com/foo?boo=bar&baz=123&channel=abc123';
+    var params = querystring.parse(url);
+
+    initializeMethodCompleteFrame(url);
+
+    expect(Bus.prototype.emit).to.have.been.calledWith(events.METHOD_COMPLETE, this.sandbox.match(params));
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+var initializeMethodFrame = require('../../../../src/three-d-secure/internal/method-frame');
+var Bus = require('../../../../src/lib/bus');
+var BraintreeError = require('../../../../src/lib/braintree-error');
+
+describe('initializeMethodFrame', function () {
+  beforeEach(function () {
+    this.oldWindowName = window.name;
+    window.name = 'abc_123';
+
+    this.oldFormSubmit = HTMLFormElement.prototype.submit;
+  });
+
+  afterEach(function () {
+    var form = document.body.querySelector('form');
+
+    window.name = this.oldWindowName;
+
+    if (form) {
+      document.body.removeChild(form);
+    }
+
+    HTMLFormElement.prototype.submit = this.oldFormSubmit;
+  });
+
+  it('emits a CONFIGURATION_REQUEST on the bus', function () {
+    initializeMethodFrame();
+
+    expect(Bus.prototype.emit).to.have.been.calledWith(Bus.events.CONFIGURATION_REQUEST, this.sandbox.match.func);
+  });
+
+  it('throws an error if the method notification url is not a valid domain', function (done) {
+    var handleConfiguration;
+
+    initializeMethodFrame();
+
+    handleConfiguration = Bus.prototype.emit.getCall(0).args[1];
+
+    try {
+      handleConfiguration({
+        methodUrl: 'https://issuer.example.com/method',
+        threeDSServerTransId: 'trans-id',
+        methodNotificationUrl: 'https://malicious.domain.com'
+      });
+    } catch (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.type).to.equal(BraintreeError.types.INTERNAL);
+      expect(err.code).to.equal('THREEDS_METHOD_NOTIFICATION_URL_REQUIRES_BRAINTREE_DOMAIN');
+      expect(err.message).to.equal('Method notification Url must be on a Braintree domain.');
+
+      done();
+    }
+  });
+
+  it('submits the encoded method data to the method url', function (done) {
+    var handleConfiguration;
+
+    initializeMethodFrame();
+
+    handleConfiguration = Bus.prototype.emit.getCall(0).args[1];
+
+    HTMLFormElement.prototype.submit = function () {
+      var encoded, methodData;
+      var form = document.body.querySelector('form');
+      var input = form.querySelector('input[name="threeDSMethodData"]');
+
+      expect(form.getAttribute('action')).to.equal('https://issuer.example.com/method');
+      expect(form.getAttribute('method')).to.equal('POST');
+      expect(form.querySelectorAll('input')).to.have.lengthOf(1);
+      expect(input.type).to.equal('hidden');
+
+      encoded = input.value;
+      expect(encoded).not.to.match(/[+/=]/);
+
+      methodData = JSON.parse(window.atob(encoded.replace(/-/g, '+').replace(/_/g, '/')));
+      expect(methodData).to.deep.equal({
+        threeDSServerTransID: 'trans-id',
+        threeDSMethodNotificationURL: 'https://api.braintreegateway.com/method_notification'
+      });
+
+      done();
+    };
+
+    handleConfiguration({
+      methodUrl: 'https://issuer.example.com/method',
+      threeDSServerTransId: 'trans-id',
+      methodNotificationUrl: 'https://api.braintreegateway.com/method_notification'
+    });
+  });
+});
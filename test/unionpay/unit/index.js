@@ -6,6 +6,7 @@ var fake = require('../../helpers/fake');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var UnionPay = require('../../../src/unionpay/shared/unionpay');
 var version = require('../../../package.json').version;
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('unionPay.create', function () {
   beforeEach(function () {
@@ -46,30 +47,21 @@ describe('unionPay.create', function () {
     });
   });
 
-  it('throws error if callback was not defined', function (done) {
-    try {
-      create({client: this.client}, null);
-    } catch (err) {
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('create must include a callback function.');
+  it('returns a promise if callback was not defined', function () {
+    this.sandbox.stub(analytics, 'sendEvent');
 
-      done();
-    }
+    return create({client: this.client}).then(function (unionpay) {
+      expect(unionpay).to.be.an.instanceof(UnionPay);
+    });
   });
 
-  it('throws error if callback was not a function', function (done) {
-    try {
-      create({client: this.client}, 'callback');
-    } catch (err) {
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('create must include a callback function.');
+  it('rejects the promise if client version does not match', function () {
+    this.configuration.analyticsMetadata.sdkVersion = '1.2.3';
 
-      done();
-    }
+    return create({client: this.client}).then(rejectIfResolves).catch(function (err) {
+      expect(err).to.be.an.instanceof(BraintreeError);
+      expect(err.code).to.equal('INCOMPATIBLE_VERSIONS');
+    });
   });
 
   it('errors out if unionpay is not enabled for the merchant', function (done) {
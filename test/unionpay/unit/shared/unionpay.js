@@ -2,9 +2,12 @@
 
 var analytics = require('../../../../src/lib/analytics');
 var UnionPay = require('../../../../src/unionpay/shared/unionpay');
+var RequestTracker = require('../../../../src/lib/request-tracker');
+var Logger = require('../../../../src/lib/logger');
 var BraintreeError = require('../../../../src/lib/braintree-error');
 var events = require('../../../../src/unionpay/shared/constants').events;
 var methods = require('../../../../src/lib/methods');
+var rejectIfResolves = require('../../../helpers/promise-helper').rejectIfResolves;
 
 function noop() {}
 
@@ -38,29 +41,39 @@ describe('UnionPay', function () {
   });
 
   describe('fetchCapabilities', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
+    it('returns a promise when called without a callback', function () {
+      var client = {
+        request: this.sandbox.stub().yields(null, {isUnionPay: true})
+      };
 
-      try {
-        UnionPay.prototype.fetchCapabilities.call({
-          _options: {}
-        }, {
-          card: {number: '1234'}
-        });
-      } catch (e) {
-        err = e;
-      }
+      return UnionPay.prototype.fetchCapabilities.call({
+        _options: {client: client},
+        _requests: new RequestTracker(client),
+        _logger: new Logger(null, 'unionpay')
+      }, {
+        card: {number: '1234'}
+      }).then(function (data) {
+        expect(data).to.deep.equal({isUnionPay: true});
+      });
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('fetchCapabilities must include a callback function.');
+    it('rejects the promise when neither card number nor Hosted Fields are present', function () {
+      return UnionPay.prototype.fetchCapabilities.call({
+        _options: {client: this.client},
+        _requests: new RequestTracker(this.client),
+        _logger: new Logger(null, 'unionpay')
+      }, {}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('UNIONPAY_CARD_OR_HOSTED_FIELDS_INSTANCE_REQUIRED');
+      });
     });
 
     describe('when neither card number nor Hosted Fields are present', function () {
       it('calls the errback with an err', function (done) {
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: this.client}
+          _options: {client: this.client},
+          _requests: new RequestTracker(this.client),
+          _logger: new Logger(null, 'unionpay')
         }, '', function (err, data) {
           expect(data).not.to.exist;
           expect(err).to.be.an.instanceof(BraintreeError);
@@ -85,7 +98,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: client}
+          _options: {client: client},
+          _requests: new RequestTracker(client),
+          _logger: new Logger(null, 'unionpay')
         }, options, errback);
 
         expect(client.request).to.be.calledWith(this.sandbox.match({
@@ -114,7 +129,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: client}
+          _options: {client: client},
+          _requests: new RequestTracker(client),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err, data) {
           expect(data).not.to.exist;
           expect(err).to.be.an.instanceof(BraintreeError);
@@ -142,7 +159,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: client}
+          _options: {client: client},
+          _requests: new RequestTracker(client),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err, data) {
           expect(data).not.to.exist;
           expect(err).to.equal(clientErr);
@@ -169,7 +188,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: client}
+          _options: {client: client},
+          _requests: new RequestTracker(client),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err, data) {
           expect(err).to.equal(null);
           expect(data).to.equal(unionPayCapabilities);
@@ -197,7 +218,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: client}
+          _options: {client: client},
+          _requests: new RequestTracker(client),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(analytics.sendEvent).to.have.been.calledWith(client, 'unionpay.capabilities-received');
@@ -213,7 +236,9 @@ describe('UnionPay', function () {
         var options = {hostedFields: hostedFieldsInstance};
 
         UnionPay.prototype.fetchCapabilities.call({
+          _logger: new Logger(null, 'unionpay'),
           _options: {client: {}},
+          _requests: new RequestTracker({}),
           _bus: {
             emit: function (eventName, emitOptions, callback) {
               expect(eventName).to.equal(events.HOSTED_FIELDS_FETCH_CAPABILITIES);
@@ -234,7 +259,9 @@ describe('UnionPay', function () {
         var options = {hostedFields: badHostedFieldsInstance};
 
         UnionPay.prototype.fetchCapabilities.call({
-          _options: {client: {}}
+          _logger: new Logger(null, 'unionpay'),
+          _options: {client: {}},
+          _requests: new RequestTracker({})
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -256,7 +283,9 @@ describe('UnionPay', function () {
       };
 
       UnionPay.prototype.fetchCapabilities.call({
-        _options: {client: client}
+        _options: {client: client},
+        _requests: new RequestTracker(client),
+        _logger: new Logger(null, 'unionpay')
       }, options, noop);
 
       expect(analytics.sendEvent).to.have.been.calledWith(client, 'unionpay.capabilities-failed');
@@ -273,7 +302,9 @@ describe('UnionPay', function () {
       };
 
       UnionPay.prototype.fetchCapabilities.call({
-        _options: {client: client}
+        _options: {client: client},
+        _requests: new RequestTracker(client),
+        _logger: new Logger(null, 'unionpay')
       }, options, errback);
 
       expect(client.request).to.be.calledWith(this.sandbox.match({
@@ -283,23 +314,40 @@ describe('UnionPay', function () {
   });
 
   describe('enroll', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
+    it('returns a promise when called without a callback', function () {
+      var client = {
+        request: this.sandbox.stub().yields(null, {
+          unionPayEnrollmentId: 'enrollment-id',
+          smsCodeRequired: true
+        })
+      };
 
-      try {
-        UnionPay.prototype.enroll.call({
-          _options: {}
-        }, {
-          card: {number: '1234'}
+      return UnionPay.prototype.enroll.call({
+        _options: {client: client},
+        _requests: new RequestTracker(client),
+        _logger: new Logger(null, 'unionpay')
+      }, {
+        card: {number: '6211111111111111'},
+        mobile: {countryCode: '62', number: '867530911'}
+      }).then(function (data) {
+        expect(data).to.deep.equal({
+          enrollmentId: 'enrollment-id',
+          smsCodeRequired: true
         });
-      } catch (e) {
-        err = e;
-      }
+      });
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('enroll must include a callback function.');
+    it('rejects the promise when mobile data is missing', function () {
+      return UnionPay.prototype.enroll.call({
+        _options: {client: this.client},
+        _requests: new RequestTracker(this.client),
+        _logger: new Logger(null, 'unionpay')
+      }, {
+        card: {number: '6211111111111111'}
+      }).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('UNIONPAY_MISSING_MOBILE_PHONE_DATA');
+      });
     });
 
     describe('when a card is present', function () {
@@ -321,7 +369,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -356,7 +406,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -383,7 +435,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -419,7 +473,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -456,7 +512,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -489,7 +547,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match(function (value) {
@@ -516,7 +576,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match(function (value) {
@@ -542,7 +604,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -568,7 +632,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -607,7 +673,9 @@ describe('UnionPay', function () {
             message: 'An error message'
           };
           UnionPay.prototype.enroll.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, options, noop);
 
           expect(analytics.sendEvent).to.be.calledWith(stubClient, 'unionpay.enrollment-failed');
@@ -622,7 +690,9 @@ describe('UnionPay', function () {
             clientStatus = 422;
 
             UnionPay.prototype.enroll.call({
-              _options: {client: stubClient}
+              _options: {client: stubClient},
+              _requests: new RequestTracker(stubClient),
+              _logger: new Logger(null, 'unionpay')
             }, {
               card: {
                 number: '5'
@@ -652,7 +722,9 @@ describe('UnionPay', function () {
             clientStatus = 403;
 
             UnionPay.prototype.enroll.call({
-              _options: {client: stubClient}
+              _options: {client: stubClient},
+              _requests: new RequestTracker(stubClient),
+              _logger: new Logger(null, 'unionpay')
             }, {
               card: {
                 number: '5'
@@ -689,7 +761,9 @@ describe('UnionPay', function () {
             clientStatus = 500;
 
             UnionPay.prototype.enroll.call({
-              _options: {client: stubClient}
+              _options: {client: stubClient},
+              _requests: new RequestTracker(stubClient),
+              _logger: new Logger(null, 'unionpay')
             }, options, function (err, data) {
               expect(data).not.to.exist;
               expect(err).to.be.an.instanceof(BraintreeError);
@@ -728,7 +802,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.enroll.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, options, function (err, data) {
             expect(err).to.equal(null);
             expect(data).to.deep.equal({
@@ -763,7 +839,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.enroll.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, options, noop);
 
           expect(analytics.sendEvent).to.be.calledWith(stubClient, 'unionpay.enrollment-succeeded');
@@ -786,7 +864,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
+          _logger: new Logger(null, 'unionpay'),
           _options: {client: {}},
+          _requests: new RequestTracker({}),
           _bus: {
             emit: function (eventName, emitOptions, callback) {
               expect(eventName).to.equal(events.HOSTED_FIELDS_ENROLL);
@@ -813,7 +893,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: {}}
+          _logger: new Logger(null, 'unionpay'),
+          _options: {client: {}},
+          _requests: new RequestTracker({})
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -830,7 +912,9 @@ describe('UnionPay', function () {
         var options = {hostedFields: hostedFieldsInstance};
 
         UnionPay.prototype.enroll.call({
-          _options: {client: {}}
+          _logger: new Logger(null, 'unionpay'),
+          _options: {client: {}},
+          _requests: new RequestTracker({})
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -851,7 +935,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.enroll.call({
-          _options: {client: {}}
+          _logger: new Logger(null, 'unionpay'),
+          _options: {client: {}},
+          _requests: new RequestTracker({})
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -864,7 +950,9 @@ describe('UnionPay', function () {
 
     it('returns a BraintreeError if given neither a card nor a Hosted Fields instance', function (done) {
       UnionPay.prototype.enroll.call({
-        _options: {client: {}}
+        _logger: new Logger(null, 'unionpay'),
+        _options: {client: {}},
+        _requests: new RequestTracker({})
       }, {mobile: {}}, function (err) {
         expect(err).to.be.an.instanceof(BraintreeError);
         expect(err.type).to.equal('MERCHANT');
@@ -877,8 +965,12 @@ describe('UnionPay', function () {
 
   describe('tokenize', function () {
     describe('with raw card data', function () {
-      it('throws an error when called without a callback', function () {
-        var err;
+      it('returns a promise when called without a callback', function () {
+        var mockClient = {
+          request: this.sandbox.stub().yields(null, {
+            creditCards: [{nonce: 'a-nonce', consumed: false}]
+          })
+        };
         var request = {
           card: {
             number: '6211111111111111',
@@ -890,16 +982,9 @@ describe('UnionPay', function () {
           smsCode: '123456'
         };
 
-        try {
-          UnionPay.prototype.tokenize.call({_options: {}}, request);
-        } catch (e) {
-          err = e;
-        }
-
-        expect(err).to.be.an.instanceof(BraintreeError);
-        expect(err.type).to.equal('MERCHANT');
-        expect(err.code).to.equal('CALLBACK_REQUIRED');
-        expect(err.message).to.equal('tokenize must include a callback function.');
+        return UnionPay.prototype.tokenize.call({_options: {client: mockClient}, _requests: new RequestTracker(mockClient), _logger: new Logger(null, 'unionpay')}, request).then(function (data) {
+          expect(data).to.deep.equal({nonce: 'a-nonce'});
+        });
       });
 
       it('calls the tokenization endpoint with the card and enrollment', function () {
@@ -916,7 +1001,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, request, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -952,7 +1039,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, request, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match(function (value) {
@@ -978,7 +1067,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -1018,7 +1109,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -1057,7 +1150,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match(function (value) {
@@ -1082,7 +1177,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -1107,7 +1204,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -1126,7 +1225,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, request, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -1148,7 +1249,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, request, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match(function (value) {
@@ -1165,7 +1268,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, request, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match(function (value) {
@@ -1187,7 +1292,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: mockClient}
+          _options: {client: mockClient},
+          _requests: new RequestTracker(mockClient),
+          _logger: new Logger(null, 'unionpay')
         }, request, noop);
 
         expect(mockClient.request).to.be.calledWith(this.sandbox.match({
@@ -1225,7 +1332,9 @@ describe('UnionPay', function () {
           var errback = this.sandbox.stub();
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, errback);
 
           expect(analytics.sendEvent).to.be.calledWith(stubClient, 'unionpay.nonce-received');
@@ -1267,7 +1376,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, function (err, data) {
             expect(err).to.equal(null);
             expect(data).to.equal(expectedCardNonce);
@@ -1309,7 +1420,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, function (err, data) {
             expect(err).to.equal(null);
             expect(data).to.not.have.property('threeDSecureInfo');
@@ -1343,7 +1456,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, function (err, data) {
             expect(data).not.to.exist;
             expect(err).to.be.an.instanceof(BraintreeError);
@@ -1378,7 +1493,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, function (err, data) {
             expect(data).not.to.exist;
             expect(err).to.equal(stubError);
@@ -1409,7 +1526,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, function (err, data) {
             expect(data).not.to.exist;
             expect(err).to.be.an.instanceof(BraintreeError);
@@ -1444,7 +1563,9 @@ describe('UnionPay', function () {
           };
 
           UnionPay.prototype.tokenize.call({
-            _options: {client: stubClient}
+            _options: {client: stubClient},
+            _requests: new RequestTracker(stubClient),
+            _logger: new Logger(null, 'unionpay')
           }, request, noop);
 
           expect(analytics.sendEvent).to.be.calledWith(stubClient, 'unionpay.nonce-failed');
@@ -1464,7 +1585,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
+          _logger: new Logger(null, 'unionpay'),
           _options: {client: {}},
+          _requests: new RequestTracker({}),
           _bus: {
             emit: function (eventName, emitOptions, callback) {
               expect(eventName).to.equal(events.HOSTED_FIELDS_TOKENIZE);
@@ -1489,7 +1612,9 @@ describe('UnionPay', function () {
         };
 
         UnionPay.prototype.tokenize.call({
-          _options: {client: {}}
+          _logger: new Logger(null, 'unionpay'),
+          _options: {client: {}},
+          _requests: new RequestTracker({})
         }, options, function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
@@ -1502,7 +1627,9 @@ describe('UnionPay', function () {
 
     it('returns a BraintreeError if given neither a card nor a Hosted Fields instance', function (done) {
       UnionPay.prototype.tokenize.call({
-        _options: {client: {}}
+        _logger: new Logger(null, 'unionpay'),
+        _options: {client: {}},
+        _requests: new RequestTracker({})
       }, {}, function (err) {
         expect(err).to.be.an.instanceof(BraintreeError);
         expect(err.type).to.equal('MERCHANT');
@@ -1516,6 +1643,7 @@ describe('UnionPay', function () {
   describe('teardown', function () {
     beforeEach(function () {
       this.fakeBus = {teardown: this.sandbox.stub()};
+      this.fakeRequests = {abortAll: this.sandbox.stub()};
       this.fakeHostedFieldsFrame = {
         parentNode: {
           removeChild: this.sandbox.stub()
@@ -1524,19 +1652,34 @@ describe('UnionPay', function () {
     });
 
     it("doesn't throw if there is no bus and no callback", function () {
+      var context = {_requests: this.fakeRequests, _logger: new Logger(null, 'unionpay')};
+
       expect(function () {
-        UnionPay.prototype.teardown.call({});
+        UnionPay.prototype.teardown.call(context);
       }).not.to.throw;
     });
 
     it('calls the callback if there is no bus', function (done) {
-      UnionPay.prototype.teardown.call({}, done);
+      UnionPay.prototype.teardown.call({_requests: this.fakeRequests, _logger: new Logger(null, 'unionpay')}, done);
+    });
+
+    it('returns a promise if no callback is provided', function () {
+      return UnionPay.prototype.teardown.call({
+        _bus: this.fakeBus,
+        _hostedFieldsFrame: this.fakeHostedFieldsFrame,
+        _requests: this.fakeRequests,
+        _logger: new Logger(null, 'unionpay')
+      }).then(function () {
+        expect(this.fakeBus.teardown).to.have.been.calledOnce;
+      }.bind(this));
     });
 
     it('tears down the bus if it exists', function () {
       UnionPay.prototype.teardown.call({
         _bus: this.fakeBus,
-        _hostedFieldsFrame: this.fakeHostedFieldsFrame
+        _hostedFieldsFrame: this.fakeHostedFieldsFrame,
+        _requests: this.fakeRequests,
+        _logger: new Logger(null, 'unionpay')
       });
 
       expect(this.fakeBus.teardown).to.have.been.calledOnce;
@@ -1545,7 +1688,9 @@ describe('UnionPay', function () {
     it('tears down the Hosted Fields frame if the bus exists', function () {
       UnionPay.prototype.teardown.call({
         _bus: this.fakeBus,
-        _hostedFieldsFrame: this.fakeHostedFieldsFrame
+        _hostedFieldsFrame: this.fakeHostedFieldsFrame,
+        _requests: this.fakeRequests,
+        _logger: new Logger(null, 'unionpay')
       });
 
       expect(this.fakeHostedFieldsFrame.parentNode.removeChild).to.have.been.calledWith(this.fakeHostedFieldsFrame);
@@ -1554,10 +1699,21 @@ describe('UnionPay', function () {
     it('calls the callback if there is a bus', function (done) {
       UnionPay.prototype.teardown.call({
         _bus: this.fakeBus,
-        _hostedFieldsFrame: this.fakeHostedFieldsFrame
+        _hostedFieldsFrame: this.fakeHostedFieldsFrame,
+        _requests: this.fakeRequests,
+        _logger: new Logger(null, 'unionpay')
       }, done);
     });
 
+    it('aborts in-flight requests', function () {
+      return UnionPay.prototype.teardown.call({
+        _requests: this.fakeRequests,
+        _logger: new Logger(null, 'unionpay')
+      }).then(function () {
+        expect(this.fakeRequests.abortAll).to.have.been.calledOnce;
+      }.bind(this));
+    });
+
     it('replaces all methods so error is thrown when methods are invoked', function (done) {
       var up = new UnionPay({client: this.client});
 
@@ -5,6 +5,7 @@ var USBankAccount = require('../../../src/us-bank-account/us-bank-account');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var fake = require('../../helpers/fake');
 var version = require('../../../package.json').version;
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('usBankAccount component', function () {
   beforeEach(function () {
@@ -24,19 +25,17 @@ describe('usBankAccount component', function () {
   });
 
   describe('create', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
-
-      try {
-        create({client: this.fakeClient});
-      } catch (e) {
-        err = e;
-      }
+    it('returns a promise when called without a callback', function () {
+      return create({client: this.fakeClient}).then(function (usb) {
+        expect(usb).to.be.an.instanceof(USBankAccount);
+      });
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.message).to.equal('create must include a callback function.');
+    it('rejects the promise when called without a client', function () {
+      return create({}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('INSTANTIATION_OPTION_REQUIRED');
+      });
     });
 
     it('calls callback with an error when called without a client', function (done) {
@@ -3,9 +3,12 @@
 
 var fake = require('../../helpers/fake');
 var USBankAccount = require('../../../src/us-bank-account/us-bank-account');
+var RequestTracker = require('../../../src/lib/request-tracker');
+var Logger = require('../../../src/lib/logger');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var analytics = require('../../../src/lib/analytics');
 var methods = require('../../../src/lib/methods');
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('USBankAccount', function () {
   beforeEach(function () {
@@ -26,6 +29,8 @@ describe('USBankAccount', function () {
 
     this.context = {
       _client: this.fakeClient,
+      _requests: new RequestTracker(this.fakeClient),
+      _logger: new Logger(null, 'us-bank-account'),
       _tokenizeBankDetails: USBankAccount.prototype._tokenizeBankDetails,
       _tokenizeBankLogin: USBankAccount.prototype._tokenizeBankLogin
     };
@@ -44,34 +49,26 @@ describe('USBankAccount', function () {
 
   describe('tokenize', function () {
     describe('with bad arguments', function () {
-      it('errors without any arguments', function (done) {
-        try {
-          USBankAccount.prototype.tokenize.call(this.context);
-        } catch (err) {
+      it('rejects the promise without any arguments', function () {
+        return USBankAccount.prototype.tokenize.call(this.context).then(rejectIfResolves).catch(function (err) {
           expect(err).to.be.an.instanceof(BraintreeError);
           expect(err.type).to.equal('MERCHANT');
-          expect(err.code).to.equal('CALLBACK_REQUIRED');
-          expect(err.message).to.equal('tokenize must include a callback function.');
+          expect(err.code).to.equal('US_BANK_ACCOUNT_OPTION_REQUIRED');
+          expect(err.message).to.equal('mandateText property is required.');
 
           expect(this.fakeClient.request).not.to.have.beenCalled;
-
-          done();
-        }
+        }.bind(this));
       });
 
-      it('errors without a callback', function (done) {
-        try {
-          USBankAccount.prototype.tokenize.call(this.context, {});
-        } catch (err) {
-          expect(err).to.be.an.instanceof(BraintreeError);
-          expect(err.type).to.equal('MERCHANT');
-          expect(err.code).to.equal('CALLBACK_REQUIRED');
-          expect(err.message).to.equal('tokenize must include a callback function.');
+      it('returns a promise without a callback', function () {
+        var result = USBankAccount.prototype.tokenize.call(this.context, {});
 
-          expect(this.fakeClient.request).not.to.have.beenCalled;
+        expect(result).to.respondTo('then');
 
-          done();
-        }
+        return result.then(rejectIfResolves).catch(function (err) {
+          expect(err).to.be.an.instanceof(BraintreeError);
+          expect(err.code).to.equal('US_BANK_ACCOUNT_OPTION_REQUIRED');
+        });
       });
 
       it('errors without tokenizing raw bank details or the auth flow', function (done) {
@@ -392,6 +389,40 @@ describe('USBankAccount', function () {
         });
       });
 
+      it('includes field errors when tokenize fails with invalid fields', function (done) {
+        var fieldErrors = [{field: 'routingNumber', code: 'invalid_routing_number', message: 'Routing number is invalid.'}];
+        var originalError = new BraintreeError({
+          type: 'NETWORK',
+          code: 'CLIENT_REQUEST_ERROR',
+          message: 'There was a problem with your request.',
+          details: {fieldErrors: fieldErrors}
+        });
+
+        this.fakeClient.request.yields(originalError, null, 422);
+
+        USBankAccount.prototype.tokenize.call(this.context, {
+          bankDetails: {
+            routingNumber: '1234567',
+            accountNumber: '0000000',
+            accountType: 'checking',
+            accountHolderName: 'Frodo Baggins',
+            billingAddress: {
+              streetAddress: '123 Townsend St',
+              extendedAddress: 'FL 6',
+              locality: 'San Francisco',
+              region: 'CA',
+              postalCode: '94107'
+            }
+          },
+          mandateText: 'I authorize Braintree to charge my bank account on behalf of Test Merchant.'
+        }, function (err) {
+          expect(err.code).to.equal('US_BANK_ACCOUNT_FAILED_TOKENIZATION');
+          expect(err.details.fieldErrors).to.deep.equal(fieldErrors);
+
+          done();
+        });
+      });
+
       it('errors when tokenize fails with 5xx status code', function (done) {
         var originalError = new Error('Something bad happnened');
 
@@ -1256,6 +1287,44 @@ describe('USBankAccount', function () {
   });
 
   describe('teardown', function () {
+    it('returns a promise if no callback is provided', function () {
+      var instance = new USBankAccount({client: this.fakeClient});
+
+      return instance.teardown().then(function () {
+        expect(function () {
+          instance.tokenize({});
+        }).to.throw('tokenize cannot be called after teardown.');
+      });
+    });
+
+    it('aborts in-flight tokenization requests', function () {
+      var instance = new USBankAccount({client: this.fakeClient});
+      var request = {abort: this.sandbox.spy()};
+
+      this.fakeClient.request.returns(request);
+
+      instance.tokenize({
+        bankDetails: {
+          routingNumber: '1234567',
+          accountNumber: '0001234',
+          accountType: 'checking',
+          accountHolderName: 'Frodo Baggins',
+          billingAddress: {
+            streetAddress: '123 Townsend St',
+            extendedAddress: 'FL 6',
+            locality: 'San Francisco',
+            region: 'CA',
+            postalCode: '94107'
+          }
+        },
+        mandateText: 'I authorize Braintree to charge my bank account.'
+      }, function () {});
+
+      return instance.teardown().then(function () {
+        expect(request.abort).to.have.been.calledOnce;
+      });
+    });
+
     it('replaces all methods so error is thrown when methods are invoked', function (done) {
       var instance = new USBankAccount({client: this.fakeClient});
 
@@ -3,7 +3,9 @@
 var VisaCheckout = require('../../../src/visa-checkout/visa-checkout');
 var BraintreeError = require('../../../src/lib/braintree-error');
 var analytics = require('../../../src/lib/analytics');
+var Logger = require('../../../src/lib/logger');
 var fake = require('../../helpers/fake');
+var rejectIfResolves = require('../../helpers/promise-helper').rejectIfResolves;
 
 describe('Visa Checkout', function () {
   beforeEach(function () {
@@ -142,19 +144,25 @@ describe('Visa Checkout', function () {
   });
 
   describe('tokenize', function () {
-    it('throws an error when called without a callback', function () {
-      var err;
+    it('returns a promise when called without a callback', function () {
+      this.client.request = function (options, callback) {
+        callback(null, {visaCheckoutCards: [{nonce: 'a-nonce'}]});
+      };
 
-      try {
-        this.visaCheckout.tokenize({});
-      } catch (e) {
-        err = e;
-      }
+      return this.visaCheckout.tokenize({
+        callid: 'callId',
+        encKey: 'encKey',
+        encPaymentData: 'encPaymentData'
+      }).then(function (payload) {
+        expect(payload).to.deep.equal({nonce: 'a-nonce'});
+      });
+    });
 
-      expect(err).to.be.an.instanceof(BraintreeError);
-      expect(err.code).to.equal('CALLBACK_REQUIRED');
-      expect(err.type).to.equal('MERCHANT');
-      expect(err.message).to.equal('tokenize must include a callback function.');
+    it('rejects the promise when the payment is incomplete', function () {
+      return this.visaCheckout.tokenize({}).then(rejectIfResolves).catch(function (err) {
+        expect(err).to.be.an.instanceof(BraintreeError);
+        expect(err.code).to.equal('VISA_CHECKOUT_PAYMENT_REQUIRED');
+      });
     });
 
     it('calls callback with error when payment.callid is undefined', function (done) {
@@ -285,6 +293,7 @@ describe('Visa Checkout', function () {
         };
 
         VisaCheckout.prototype.tokenize.call({
+          _logger: new Logger(null, 'visa-checkout'),
           _client: this.client
         }, {
           callid: 'callId',
@@ -301,6 +310,7 @@ describe('Visa Checkout', function () {
         };
 
         VisaCheckout.prototype.tokenize.call({
+          _logger: new Logger(null, 'visa-checkout'),
           _client: this.client
         }, {
           callid: 'callId',